@@ -0,0 +1,75 @@
+'use strict';
+const { sha256 } = require('./firmware-module');
+
+/**
+ * Local copy of an application asset.
+ *
+ * @typedef {Object} LocalAsset
+ * @property {String} name Asset name, e.g. `'sound.wav'`.
+ * @property {Buffer} [data] Contents of the asset. Used to compute the hash of the asset if `hash` is
+ *           not specified.
+ * @property {String} [hash] SHA-256 hash of the contents of the asset (hex-encoded).
+ * @property {Buffer} [module] Asset packaged as a firmware module, as produced by the Particle build
+ *           tools. Required to transfer the asset to the device.
+ */
+
+/**
+ * Result of a comparison of the local assets with the assets stored on a device.
+ *
+ * @typedef {Object} AssetComparison
+ * @property {Array<Object>} missing Local assets that are not stored on the device. Have the `name` and
+ *           `hash` properties.
+ * @property {Array<Object>} stale Local assets that are stored on the device with different contents.
+ *           Have the `name`, `hash` and `deviceHash` properties.
+ * @property {Array<Object>} current Local assets that are stored on the device with the same contents.
+ *           Have the `name` and `hash` properties.
+ * @property {Array<Object>} unavailable Assets required by the application on the device that are
+ *           neither stored on the device nor provided locally. Have the `name` and `hash` properties.
+ */
+
+function normalizeHash(hash) {
+	return hash.toLowerCase().replace(/^0x/, '');
+}
+
+// Returns the hash of a local asset
+async function assetHash(asset) {
+	if (asset.hash) {
+		return normalizeHash(asset.hash);
+	}
+	if (!asset.data) {
+		throw new TypeError(`Contents of the asset ${asset.name} are not specified`);
+	}
+	return sha256(asset.data);
+}
+
+/**
+ * Compare local assets with the assets stored on a device.
+ *
+ * @param {Array<LocalAsset>} assets Local assets.
+ * @param {Object} info Asset information reported by the device (see {@link Device#getAssetInfo}).
+ * @return {Promise<AssetComparison>}
+ */
+async function compareAssets(assets, info) {
+	const missing = [];
+	const stale = [];
+	const current = [];
+	for (const asset of assets) {
+		const hash = await assetHash(asset);
+		const stored = info.available.find((a) => a.name === asset.name);
+		if (!stored) {
+			missing.push({ name: asset.name, hash });
+		} else if (normalizeHash(stored.hash) !== hash) {
+			stale.push({ name: asset.name, hash, deviceHash: normalizeHash(stored.hash) });
+		} else {
+			current.push({ name: asset.name, hash });
+		}
+	}
+	const unavailable = info.required.filter((req) => {
+		return !assets.some((a) => a.name === req.name) && !info.available.some((a) => a.name === req.name);
+	}).map(({ name, hash }) => ({ name, hash: normalizeHash(hash) }));
+	return { missing, stale, current, unavailable };
+}
+
+module.exports = {
+	compareAssets
+};
@@ -0,0 +1,21 @@
+'use strict';
+const { StateError } = require('./error');
+const { parseBundle } = require('./bundle');
+
+// Bundle files are not available in the browser
+
+async function loadBundle(source, { force = false } = {}) {
+	if (typeof source === 'string') {
+		throw new StateError('Loading bundles from files is not supported in this environment');
+	}
+	return parseBundle(source, { force });
+}
+
+async function findBundles() {
+	throw new StateError('Loading bundles from files is not supported in this environment');
+}
+
+module.exports = {
+	loadBundle,
+	findBundles
+};
@@ -0,0 +1,53 @@
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const { parseBundle, bundleModulesForPlatform } = require('./bundle');
+
+// Extension of the bundle files
+const BUNDLE_EXTENSION = '.zip';
+
+/**
+ * Load a firmware bundle.
+ *
+ * @param {Buffer|String} source Bundle data or path to a bundle file.
+ * @param {Object} [options] Options.
+ * @param {Boolean} [options.force=false] Skip the validation of the module binaries.
+ * @return {Promise<FirmwareBundle>}
+ * @throws {InvalidFirmwareError} If the bundle is not valid.
+ */
+async function loadBundle(source, { force = false } = {}) {
+	if (typeof source !== 'string') {
+		return parseBundle(source, { force });
+	}
+	const data = await fs.promises.readFile(source);
+	const bundle = await parseBundle(data, { force });
+	bundle.path = source;
+	return bundle;
+}
+
+/**
+ * Load the firmware bundles stored in a directory.
+ *
+ * @param {String} dir Directory path.
+ * @param {Object} [options] Options.
+ * @param {Number} [options.platformId] Only load the bundles that contain modules for this platform.
+ * @param {Boolean} [options.force=false] Skip the validation of the module binaries.
+ * @return {Promise<Array<FirmwareBundle>>} Bundles sorted by file name.
+ * @throws {InvalidFirmwareError} If any of the bundles is not valid.
+ */
+async function findBundles(dir, { platformId = null, force = false } = {}) {
+	const names = (await fs.promises.readdir(dir)).filter((name) => name.toLowerCase().endsWith(BUNDLE_EXTENSION)).sort();
+	const bundles = [];
+	for (const name of names) {
+		const bundle = await loadBundle(path.join(dir, name), { force });
+		if (platformId === null || bundleModulesForPlatform(bundle, platformId).length) {
+			bundles.push(bundle);
+		}
+	}
+	return bundles;
+}
+
+module.exports = {
+	loadBundle,
+	findBundles
+};
@@ -0,0 +1,93 @@
+'use strict';
+const { readZip } = require('./zip');
+const { isFirmwareModule, parseFirmwareModule, validateFirmwareModule, FirmwareValidationFailure } = require('./firmware-module');
+const { InvalidFirmwareError } = require('./error');
+
+// Name of the bundle manifest
+const MANIFEST_FILE = 'manifest.json';
+// Directory containing the assets
+const ASSETS_DIR = 'assets/';
+
+/**
+ * Firmware module contained in a bundle.
+ *
+ * @typedef {Object} BundleModule
+ * @property {String} name Path of the module binary in the bundle.
+ * @property {Buffer} data Module binary.
+ * @property {FirmwareModuleInfo} info Module information.
+ */
+
+/**
+ * Firmware bundle.
+ *
+ * @typedef {Object} FirmwareBundle
+ * @property {Object|null} manifest Contents of the bundle manifest (`manifest.json`), or `null` if the
+ *           bundle doesn't have a manifest.
+ * @property {Array<BundleModule>} modules Firmware modules.
+ * @property {Array<LocalAsset>} assets Assets stored in the `assets` directory of the bundle. Have the
+ *           `name` and `data` properties.
+ * @property {String} [path] Path to the bundle file if it has been loaded from a file.
+ */
+
+/**
+ * Parse a firmware bundle.
+ *
+ * A bundle is a zip archive containing firmware module binaries and, optionally, the application
+ * assets in the `assets` directory and a manifest. Every module binary found in the bundle is validated.
+ * The files that are not module binaries are ignored.
+ *
+ * @param {Buffer} data Bundle data.
+ * @param {Object} [options] Options.
+ * @param {Boolean} [options.force=false] Skip the validation of the module binaries.
+ * @return {Promise<FirmwareBundle>}
+ * @throws {InvalidFirmwareError} If the bundle is not a valid zip archive or any of the module binaries
+ *         is not valid.
+ */
+async function parseBundle(data, { force = false } = {}) {
+	let files;
+	try {
+		files = await readZip(data);
+	} catch (err) {
+		throw new InvalidFirmwareError(FirmwareValidationFailure.INVALID_FORMAT, `Invalid bundle: ${err.message}`, { cause: err });
+	}
+	const bundle = { manifest: null, modules: [], assets: [] };
+	for (const { name, data } of files) {
+		if (name === MANIFEST_FILE) {
+			try {
+				bundle.manifest = JSON.parse(data.toString('utf8'));
+			} catch (err) {
+				throw new InvalidFirmwareError(FirmwareValidationFailure.INVALID_FORMAT, `Invalid bundle manifest: ${err.message}`, { cause: err });
+			}
+		} else if (name.startsWith(ASSETS_DIR)) {
+			bundle.assets.push({ name: name.slice(ASSETS_DIR.length), data });
+		} else if (isFirmwareModule(data)) {
+			let info;
+			try {
+				info = force ? parseFirmwareModule(data) : await validateFirmwareModule(data);
+			} catch (err) {
+				if (err instanceof InvalidFirmwareError) {
+					err.message = `${name}: ${err.message}`;
+				}
+				throw err;
+			}
+			bundle.modules.push({ name, data, info });
+		}
+	}
+	return bundle;
+}
+
+/**
+ * Get the modules of a bundle that can be flashed to a device of the specified platform.
+ *
+ * @param {FirmwareBundle} bundle Bundle.
+ * @param {Number} platformId Platform ID.
+ * @return {Array<BundleModule>}
+ */
+function bundleModulesForPlatform(bundle, platformId) {
+	return bundle.modules.filter((m) => m.info.platformId === platformId);
+}
+
+module.exports = {
+	parseBundle,
+	bundleModulesForPlatform
+};
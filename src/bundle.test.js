@@ -0,0 +1,66 @@
+'use strict';
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect, firmwareModule, zipArchive } = require('../test/support');
+const { parseBundle, bundleModulesForPlatform } = require('./bundle');
+const { loadBundle, findBundles } = require('./bundle-loader');
+const { InvalidFirmwareError } = require('./error');
+
+describe('bundle', () => {
+	const systemPart = firmwareModule({ platformId: 13, moduleFunction: 4, index: 1, version: 5302 });
+	const userPart = firmwareModule({ platformId: 13 });
+	const manifest = { version: '1.0.0' };
+
+	describe('parseBundle()', () => {
+		it('parses the manifest, modules and assets of a bundle', async () => {
+			const data = zipArchive({
+				'manifest.json': Buffer.from(JSON.stringify(manifest)),
+				'system-part1.bin': systemPart,
+				'app.bin': userPart,
+				'assets/chime.wav': Buffer.from('wav'),
+				'README.txt': Buffer.from('Not a module')
+			});
+			const bundle = await parseBundle(data);
+			expect(bundle.manifest).to.deep.equal(manifest);
+			expect(bundle.modules.map((m) => [m.name, m.info.type])).to.deep.equal([['system-part1.bin', 'SYSTEM_PART'], ['app.bin', 'USER_PART']]);
+			expect(bundle.modules[1].data).to.deep.equal(userPart);
+			expect(bundle.assets).to.deep.equal([{ name: 'chime.wav', data: Buffer.from('wav') }]);
+			expect(bundleModulesForPlatform(bundle, 13)).to.have.lengthOf(2);
+			expect(bundleModulesForPlatform(bundle, 32)).to.be.empty;
+		});
+
+		it('fails if a module is corrupted', async () => {
+			const corrupted = Buffer.from(userPart);
+			corrupted[100] ^= 0xff;
+			const data = zipArchive({ 'app.bin': corrupted });
+			await expect(parseBundle(data)).to.be.rejectedWith(InvalidFirmwareError, 'app.bin: Invalid CRC-32');
+		});
+
+		it('fails if the data is not a zip archive', async () => {
+			await expect(parseBundle(Buffer.alloc(100))).to.be.rejectedWith(InvalidFirmwareError, 'Invalid bundle');
+		});
+	});
+
+	describe('findBundles()', () => {
+		let dir;
+
+		beforeEach(() => {
+			dir = fs.mkdtempSync(path.join(os.tmpdir(), 'particle-usb-'));
+		});
+
+		afterEach(() => {
+			fs.rmSync(dir, { recursive: true, force: true });
+		});
+
+		it('loads the bundles for a platform stored in a directory', async () => {
+			fs.writeFileSync(path.join(dir, 'boron.zip'), zipArchive({ 'app.bin': userPart }));
+			fs.writeFileSync(path.join(dir, 'p2.zip'), zipArchive({ 'app.bin': firmwareModule({ platformId: 32 }) }));
+			fs.writeFileSync(path.join(dir, 'notes.txt'), 'Not a bundle');
+			const bundles = await findBundles(dir, { platformId: 13 });
+			expect(bundles.map((b) => b.path)).to.deep.equal([path.join(dir, 'boron.zip')]);
+			const bundle = await loadBundle(path.join(dir, 'p2.zip'));
+			expect(bundle.modules[0].info.platformId).to.equal(32);
+		});
+	});
+});
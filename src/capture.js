@@ -0,0 +1,366 @@
+'use strict';
+const { UsbError, UsbStallError, NotAllowedError, ProtocolError } = require('./error');
+const { filterDevices } = require('./transport');
+const { createLogger } = require('./logger');
+
+// Version of the capture format
+const CAPTURE_FORMAT_VERSION = 1;
+
+// Errors that can be reported by a device handle and reproduced during replay
+const TRANSFER_ERRORS = {
+	UsbError,
+	UsbStallError,
+	NotAllowedError
+};
+
+const SETUP_FIELDS = ['bmRequestType', 'bRequest', 'wValue', 'wIndex', 'wLength'];
+
+function setupToJson(setup) {
+	const s = {};
+	for (const field of SETUP_FIELDS) {
+		if (setup[field] !== undefined) {
+			s[field] = setup[field];
+		}
+	}
+	return s;
+}
+
+function isSameSetup(setup1, setup2) {
+	return SETUP_FIELDS.every((field) => (setup1[field] === undefined ? null : setup1[field]) ===
+			(setup2[field] === undefined ? null : setup2[field]));
+}
+
+function delay(ms) {
+	return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * A device handle that records the traffic between the host and the device.
+ *
+ * Every operation performed on the device is written to the output as a JSON object followed by a
+ * newline character (NDJSON). The object has the following properties:
+ * - `type`: Operation type (`open`, `close`, `transferIn`, `transferOut`, `claimInterface`,
+ *   `releaseInterface` or `setAltSetting`).
+ * - `time`: Time since the beginning of the recording (milliseconds).
+ * - `duration`: Duration of the operation (milliseconds).
+ * - `setup`: Setup packet of a control transfer.
+ * - `data`: Hex-encoded data stage of a control transfer.
+ * - `args`: Arguments of an interface operation.
+ * - `device`: Device descriptor info (`open` only).
+ * - `error`: Name and message of the error reported by the operation.
+ *
+ * This class is not meant to be instantiated directly. Use the `capture` option of
+ * {@link DeviceBase#open} to record the traffic of a device.
+ */
+class RecordingDevice {
+	constructor(dev, output) {
+		this._dev = dev;
+		this._output = output;
+		this._log = createLogger({ component: 'capture' });
+		this._startTime = Date.now();
+	}
+
+	async open() {
+		await this._record('open', {}, async (entry) => {
+			await this._dev.open();
+			entry.format = CAPTURE_FORMAT_VERSION;
+			entry.device = {
+				vendorId: this._dev.vendorId,
+				productId: this._dev.productId,
+				serialNumber: this._dev.serialNumber,
+				productName: this._dev.productName,
+				usbVersion: this._dev.usbVersion
+			};
+		});
+	}
+
+	async close() {
+		await this._record('close', {}, () => this._dev.close());
+	}
+
+	async transferIn(setup) {
+		return this._record('transferIn', { setup: setupToJson(setup) }, async (entry) => {
+			const data = await this._dev.transferIn(setup);
+			entry.data = Buffer.from(data).toString('hex');
+			return data;
+		});
+	}
+
+	async transferOut(setup, data) {
+		const props = { setup: setupToJson(setup) };
+		if (data) {
+			props.data = Buffer.from(data).toString('hex');
+		}
+		await this._record('transferOut', props, () => this._dev.transferOut(setup, data));
+	}
+
+	async claimInterface(intrface) {
+		await this._record('claimInterface', { args: [intrface] }, () => this._dev.claimInterface(intrface));
+	}
+
+	async releaseInterface(intrface) {
+		await this._record('releaseInterface', { args: [intrface] }, () => this._dev.releaseInterface(intrface));
+	}
+
+	async setAltSetting(intrface, setting) {
+		await this._record('setAltSetting', { args: [intrface, setting] }, () => this._dev.setAltSetting(intrface, setting));
+	}
+
+	/**
+	 * Device handle being recorded.
+	 */
+	get device() {
+		return this._dev;
+	}
+
+	get vendorId() {
+		return this._dev.vendorId;
+	}
+
+	get productId() {
+		return this._dev.productId;
+	}
+
+	get serialNumber() {
+		return this._dev.serialNumber;
+	}
+
+	get productName() {
+		return this._dev.productName;
+	}
+
+	get isOpen() {
+		return this._dev.isOpen;
+	}
+
+	get internalObject() {
+		return this._dev.internalObject || this._dev;
+	}
+
+	get quirks() {
+		return this._dev.quirks;
+	}
+
+	set quirks(qs) {
+		this._dev.quirks = qs;
+	}
+
+	get usbVersion() {
+		return this._dev.usbVersion;
+	}
+
+	async _record(type, props, fn) {
+		const startTime = Date.now();
+		const entry = Object.assign({ type, time: startTime - this._startTime }, props);
+		try {
+			return await fn(entry);
+		} catch (err) {
+			entry.error = { name: err.name, message: err.message };
+			throw err;
+		} finally {
+			entry.duration = Date.now() - startTime;
+			try {
+				this._output.write(JSON.stringify(entry) + '\n');
+			} catch (err) {
+				this._log.warn('Unable to write capture data', { error: err });
+			}
+		}
+	}
+}
+
+/**
+ * A device handle that replays a recorded session.
+ *
+ * The operations performed on the device are expected to match the recorded ones. Control transfers
+ * are matched by their setup packets, and the outgoing transfers also by their data.
+ *
+ * This class is not meant to be instantiated directly. Use {@link createReplayTransport} to replay
+ * a capture.
+ */
+class ReplayDevice {
+	constructor(entries, { realtime = false } = {}) {
+		this._entries = entries;
+		this._info = entries[0].device;
+		this._realtime = realtime;
+		this._index = 0;
+		this._open = false;
+		this._finished = false;
+		this._quirks = {};
+	}
+
+	async open() {
+		await this._next('open');
+		this._open = true;
+	}
+
+	async close() {
+		// The recording may have been stopped before the device was closed
+		const entry = this._entries[this._index];
+		if (entry && entry.type === 'close') {
+			await this._next('close');
+		}
+		this._open = false;
+		this._finished = true;
+	}
+
+	async transferIn(setup) {
+		const entry = await this._next('transferIn', { setup });
+		return Buffer.from(entry.data || '', 'hex');
+	}
+
+	async transferOut(setup, data) {
+		await this._next('transferOut', { setup, data: data ? Buffer.from(data).toString('hex') : '' });
+	}
+
+	async claimInterface(intrface) {
+		await this._next('claimInterface', { args: [intrface] });
+	}
+
+	async releaseInterface(intrface) {
+		await this._next('releaseInterface', { args: [intrface] });
+	}
+
+	async setAltSetting(intrface, setting) {
+		await this._next('setAltSetting', { args: [intrface, setting] });
+	}
+
+	/**
+	 * Set to `true` if the recorded session has been replayed and the device has been closed.
+	 */
+	get isFinished() {
+		return this._finished;
+	}
+
+	get vendorId() {
+		return this._info.vendorId;
+	}
+
+	get productId() {
+		return this._info.productId;
+	}
+
+	get serialNumber() {
+		return this._info.serialNumber;
+	}
+
+	get productName() {
+		return this._info.productName;
+	}
+
+	get isOpen() {
+		return this._open;
+	}
+
+	get quirks() {
+		return this._quirks;
+	}
+
+	set quirks(qs) {
+		this._quirks = qs;
+	}
+
+	get usbVersion() {
+		return this._info.usbVersion;
+	}
+
+	async _next(type, { setup, args, data } = {}) {
+		const entry = this._entries[this._index];
+		if (!entry) {
+			throw new ProtocolError(`Unexpected ${type} operation: End of capture`);
+		}
+		if (entry.type !== type || (setup && !isSameSetup(entry.setup, setup)) ||
+				(args && JSON.stringify(entry.args) !== JSON.stringify(args))) {
+			throw new ProtocolError(`Unexpected ${type} operation: Expected ${entry.type} (entry ${this._index})`);
+		}
+		if (data !== undefined && data !== (entry.data || '')) {
+			throw new ProtocolError(`Unexpected ${type} operation: Data does not match the capture (entry ${this._index})`);
+		}
+		++this._index;
+		if (this._realtime && entry.duration) {
+			await delay(entry.duration);
+		}
+		if (entry.error) {
+			const ErrorClass = TRANSFER_ERRORS[entry.error.name] || UsbError;
+			throw new ErrorClass(entry.error.message);
+		}
+		return entry;
+	}
+}
+
+/**
+ * Parse a capture.
+ *
+ * @param {String|Buffer} data Capture data in the NDJSON or JSON array format.
+ * @return {Array<Object>} Capture entries.
+ */
+function parseCapture(data) {
+	data = data.toString().trim();
+	if (data.startsWith('[')) {
+		return JSON.parse(data);
+	}
+	return data.split('\n').filter((line) => line.trim()).map((line, i) => {
+		try {
+			return JSON.parse(line);
+		} catch (err) {
+			throw new ProtocolError(`Invalid capture data at line ${i + 1}`, { cause: err });
+		}
+	});
+}
+
+/**
+ * Create a transport that replays a capture recorded via the `capture` option of {@link DeviceBase#open}.
+ *
+ * Every recorded session (i.e. all operations from opening a device to closing it) is represented by
+ * a separate device. Only the first session of a given device that hasn't been replayed yet is
+ * enumerated, so a device that was reopened during the recording, e.g. after it entered the DFU mode,
+ * is enumerated again in its new mode once the previous session has been replayed.
+ *
+ * @param {String|Buffer|Array<Object>} capture Capture data (see {@link parseCapture}).
+ * @param {Object} [options] Options.
+ * @param {String} [options.name='replay'] Transport name.
+ * @param {Boolean} [options.realtime=false] Whether to reproduce the recorded duration of every operation.
+ * @return {Transport}
+ */
+function createReplayTransport(capture, { name = 'replay', realtime = false } = {}) {
+	const entries = Array.isArray(capture) ? capture : parseCapture(capture);
+	const devs = [];
+	let session = null;
+	for (const entry of entries) {
+		if (entry.type === 'open') {
+			if (entry.error) {
+				continue; // The device could not be opened
+			}
+			session = [];
+			devs.push(session);
+		}
+		if (session) {
+			session.push(entry);
+			if (entry.type === 'close') {
+				session = null;
+			}
+		}
+	}
+	const replayDevs = devs.map((entries) => new ReplayDevice(entries, { realtime }));
+	return {
+		name,
+		getDevices: async (filters) => {
+			// Sessions of the same device are replayed one after another
+			const ids = new Set();
+			const available = replayDevs.filter((dev) => {
+				if (dev.isFinished || ids.has(dev.serialNumber)) {
+					return false;
+				}
+				ids.add(dev.serialNumber);
+				return true;
+			});
+			return filterDevices(available, filters);
+		}
+	};
+}
+
+module.exports = {
+	RecordingDevice,
+	ReplayDevice,
+	parseCapture,
+	createReplayTransport
+};
@@ -0,0 +1,143 @@
+'use strict';
+const { fakeUsb, sinon, expect } = require('../test/support');
+const proxyquire = require('proxyquire');
+
+const { getDevices, openDeviceById } = proxyquire('./device-base', {
+	'./usb-device-node': fakeUsb
+});
+const { parseCapture, createReplayTransport } = require('./capture');
+const { registerTransport, unregisterTransport } = require('./transport');
+const { ProtocolError } = require('./error');
+
+// Application-specific request type
+const REQUEST_1 = 1;
+
+const DEVICE_ID = '111111111111111111111111';
+
+class CaptureOutput {
+	constructor() {
+		this.data = '';
+	}
+
+	write(str) {
+		this.data += str;
+	}
+}
+
+describe('capture', () => {
+	afterEach(() => {
+		fakeUsb.clearDevices();
+		unregisterTransport('replay');
+		sinon.restore();
+	});
+
+	async function recordSession(usbDev, fn) {
+		const output = new CaptureOutput();
+		const dev = (await getDevices()).find((d) => d.usbDevice === usbDev);
+		await dev.open({ capture: output });
+		await fn(dev);
+		await dev.close();
+		return output.data;
+	}
+
+	it('records the control requests sent to the device', async () => {
+		const usbDev = fakeUsb.addArgon({ id: DEVICE_ID, firmwareVersion: '1.0.0' });
+		sinon.stub(usbDev.protocol, 'replyData').returns(Buffer.from('reply data'));
+		const capture = await recordSession(usbDev, (dev) => dev.sendControlRequest(REQUEST_1, Buffer.from('request data')));
+		const entries = parseCapture(capture);
+		expect(entries[0]).to.containSubset({
+			type: 'open',
+			device: { vendorId: usbDev.vendorId, productId: usbDev.productId, serialNumber: DEVICE_ID }
+		});
+		expect(entries[entries.length - 1].type).to.equal('close');
+		const outData = entries.filter((e) => e.type === 'transferOut' && e.data).map((e) => Buffer.from(e.data, 'hex').toString());
+		expect(outData).to.include('request data');
+		const inData = entries.filter((e) => e.type === 'transferIn').map((e) => Buffer.from(e.data, 'hex').toString());
+		expect(inData).to.include('reply data');
+		for (const e of entries) {
+			expect(e.time).to.be.a('number');
+			expect(e.duration).to.be.a('number');
+		}
+	});
+
+	it('stops recording when the device is closed', async () => {
+		const usbDev = fakeUsb.addArgon({ id: DEVICE_ID });
+		const output = new CaptureOutput();
+		const dev = (await getDevices())[0];
+		await dev.open({ capture: output });
+		expect(dev.usbDevice).to.not.equal(usbDev);
+		await dev.close();
+		expect(dev.usbDevice).to.equal(usbDev);
+		const len = output.data.length;
+		await dev.open();
+		await dev.close();
+		expect(output.data).to.have.lengthOf(len);
+	});
+
+	it('replays a recorded session', async () => {
+		const usbDev = fakeUsb.addArgon({ id: DEVICE_ID, firmwareVersion: '1.2.3' });
+		sinon.stub(usbDev.protocol, 'replyData').returns(Buffer.from('reply data'));
+		const capture = await recordSession(usbDev, (dev) => dev.sendControlRequest(REQUEST_1, Buffer.from('request data')));
+		fakeUsb.clearDevices();
+		sinon.restore();
+
+		registerTransport(createReplayTransport(capture));
+		const dev = await openDeviceById(DEVICE_ID);
+		expect(dev.type).to.equal('argon');
+		expect(dev.firmwareVersion).to.equal('1.2.3');
+		const rep = await dev.sendControlRequest(REQUEST_1, Buffer.from('request data'));
+		expect(rep.data).to.deep.equal(Buffer.from('reply data'));
+		await dev.close();
+		// The session has been replayed
+		expect(await getDevices()).to.be.empty;
+	});
+
+	it('replays the DFU traffic', async () => {
+		const usbDev = fakeUsb.addArgon({ id: DEVICE_ID, dfu: true });
+		const capture = await recordSession(usbDev, async (dev) => {
+			expect(dev.isInDfuMode).to.be.true;
+		});
+		const entries = parseCapture(capture);
+		expect(entries.map((e) => e.type)).to.include.members(['claimInterface', 'setAltSetting']);
+		fakeUsb.clearDevices();
+
+		registerTransport(createReplayTransport(capture));
+		const dev = await openDeviceById(DEVICE_ID);
+		expect(dev.isInDfuMode).to.be.true;
+		await dev.close();
+	});
+
+	it('fails if the replayed traffic does not match the capture', async () => {
+		const usbDev = fakeUsb.addArgon({ id: DEVICE_ID });
+		const capture = await recordSession(usbDev, (dev) => dev.sendControlRequest(REQUEST_1));
+		fakeUsb.clearDevices();
+
+		registerTransport(createReplayTransport(capture));
+		const dev = await openDeviceById(DEVICE_ID);
+		await expect(dev.sendControlRequest(REQUEST_1, Buffer.from('unexpected data'))).to.be.rejectedWith(ProtocolError);
+		await dev.close();
+	});
+
+	it('fails if the replayed request data does not match the capture', async () => {
+		const usbDev = fakeUsb.addArgon({ id: DEVICE_ID });
+		const capture = await recordSession(usbDev, (dev) => dev.sendControlRequest(REQUEST_1, Buffer.from('request data')));
+		fakeUsb.clearDevices();
+
+		registerTransport(createReplayTransport(capture));
+		const dev = await openDeviceById(DEVICE_ID);
+		await expect(dev.sendControlRequest(REQUEST_1, Buffer.from('REQUEST DATA'))).to.be.rejectedWith(ProtocolError, 'Data does not match');
+		await dev.close();
+	});
+
+	describe('parseCapture()', () => {
+		it('parses NDJSON and JSON arrays', () => {
+			const entries = [{ type: 'open' }, { type: 'close' }];
+			expect(parseCapture(entries.map((e) => JSON.stringify(e)).join('\n') + '\n')).to.deep.equal(entries);
+			expect(parseCapture(JSON.stringify(entries))).to.deep.equal(entries);
+		});
+
+		it('fails if the capture is malformed', () => {
+			expect(() => parseCapture('{"type":"open"}\n{')).to.throw(ProtocolError);
+		});
+	});
+});
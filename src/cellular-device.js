@@ -20,10 +20,11 @@ const CellularDevice = base => class extends base {
 	 *
 	 * @param {Object} [options] Options.
 	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise<Object>}
 	 */
-	async getCellularInfo({ timeout = globalOptions.requestTimeout } = {}) {
-		const r = await this.sendRequest(Request.CELLULAR_GET_ICCID, null /* msg */, { timeout });
+	async getCellularInfo({ timeout = globalOptions.requestTimeout, signal } = {}) {
+		const r = await this.sendRequest(Request.CELLULAR_GET_ICCID, null /* msg */, { timeout, signal });
 		return {
 			iccid: r.iccid,
 			imei: r.imei
@@ -39,10 +40,11 @@ const CellularDevice = base => class extends base {
 	 *
 	 * @param {Object} [options] Options.
 	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise<String>}
 	 */
-	async getIccid({ timeout = globalOptions.requestTimeout } = {}) {
-		const r = await this.sendRequest(Request.CELLULAR_GET_ICCID, null /* msg */, { timeout });
+	async getIccid({ timeout = globalOptions.requestTimeout, signal } = {}) {
+		const r = await this.sendRequest(Request.CELLULAR_GET_ICCID, null /* msg */, { timeout, signal });
 		return r.iccid;
 	}
 
@@ -68,6 +70,12 @@ const CellularDevice = base => class extends base {
 	get isCellularDevice() {
 		return true;
 	}
+
+	_infoGetters(options) {
+		return Object.assign(super._infoGetters(options), {
+			iccid: () => this.getIccid(options)
+		});
+	}
 };
 
 module.exports = {
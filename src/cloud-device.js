@@ -53,10 +53,11 @@ const CloudDevice = base => class extends base {
 	 * @param {Boolean} [options.dontWait] Do wait for the device to actually connect to the cloud and
 	 *        return immediately.
 	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise}
 	 */
-	async connectToCloud({ dontWait = false, timeout = globalOptions.requestTimeout } = {}) {
-		await this.timeout(timeout, async (s) => {
+	async connectToCloud({ dontWait = false, timeout = globalOptions.requestTimeout, signal } = {}) {
+		await this.timeout({ timeout, signal }, async (s) => {
 			await s.sendRequest(Request.CLOUD_CONNECT);
 			if (!dontWait) {
 				for (;;) {
@@ -85,9 +86,10 @@ const CloudDevice = base => class extends base {
 	 * @param {Boolean} [options.force] Disconnect immediately, even if the device is busy performing
 	 *        some operation with the cloud.
 	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise}
 	 */
-	async disconnectFromCloud({ dontWait = false, force = false, timeout = globalOptions.requestTimeout } = {}) {
+	async disconnectFromCloud({ dontWait = false, force = false, timeout = globalOptions.requestTimeout, signal } = {}) {
 		if (force) {
 			const setup = {
 				bmRequestType: usbProto.BmRequestType.HOST_TO_DEVICE,
@@ -100,7 +102,7 @@ const CloudDevice = base => class extends base {
 				return;
 			}
 		}
-		await this.timeout(timeout, async (s) => {
+		await this.timeout({ timeout, signal }, async (s) => {
 			if (!force) {
 				await s.sendRequest(Request.CLOUD_DISCONNECT);
 			}
@@ -125,10 +127,11 @@ const CloudDevice = base => class extends base {
 	 *
 	 * @param {Object} [options] Options.
 	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise<CloudConnectionStatus>}
 	 */
-	async getCloudConnectionStatus({ timeout = globalOptions.requestTimeout } = {}) {
-		const r = await this.sendRequest(Request.CLOUD_STATUS, null /* msg */, { timeout });
+	async getCloudConnectionStatus({ timeout = globalOptions.requestTimeout, signal } = {}) {
+		const r = await this.sendRequest(Request.CLOUD_STATUS, null /* msg */, { timeout, signal });
 		return CloudConnectionStatus.fromProtobuf(r.status);
 	}
 
@@ -142,10 +145,11 @@ const CloudDevice = base => class extends base {
 	 * @param {String} code Claim code.
 	 * @param {Object} [options] Options.
 	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise}
 	 */
-	setClaimCode(code, { timeout = globalOptions.requestTimeout } = {}) {
-		return this.sendRequest(Request.SET_CLAIM_CODE, { code }, { timeout });
+	setClaimCode(code, { timeout = globalOptions.requestTimeout, signal } = {}) {
+		return this.sendRequest(Request.SET_CLAIM_CODE, { code }, { timeout, signal });
 	}
 
 	/**
@@ -157,10 +161,11 @@ const CloudDevice = base => class extends base {
 	 *
 	 * @param {Object} [options] Options.
 	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise<Boolean>}
 	 */
-	isClaimed({ timeout = globalOptions.requestTimeout } = {}) {
-		return this.sendRequest(Request.IS_CLAIMED, null /* msg */, { timeout }).then(rep => rep.claimed);
+	isClaimed({ timeout = globalOptions.requestTimeout, signal } = {}) {
+		return this.sendRequest(Request.IS_CLAIMED, null /* msg */, { timeout, signal }).then((rep) => rep.claimed);
 	}
 
 	/**
@@ -174,13 +179,16 @@ const CloudDevice = base => class extends base {
 	 *
 	 * @param {Buffer} data Key data.
 	 * @param {String} [protocol] Server protocol.
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout for every request (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise}
 	 */
-	setDevicePrivateKey(data, protocol) {
-		return this._getServerProtocol(protocol).then(protocol => {
+	setDevicePrivateKey(data, protocol, { timeout = globalOptions.requestTimeout, signal } = {}) {
+		return this._getServerProtocol(protocol, { timeout, signal }).then((protocol) => {
 			const keyType = (protocol === proto.ServerProtocolType.UDP_PROTOCOL ?
 				proto.SecurityKeyType.UDP_DEVICE_PRIVATE_KEY : proto.SecurityKeyType.TCP_DEVICE_PRIVATE_KEY);
-			return this._setSecurityKey(keyType, data);
+			return this._setSecurityKey(keyType, data, { timeout, signal });
 		});
 	}
 
@@ -194,13 +202,16 @@ const CloudDevice = base => class extends base {
 	 * - Gen 2 (since Device OS 0.8.0, deprecated in 2.0.0)
 	 *
 	 * @param {String} [protocol] Server protocol.
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout for every request (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise<Buffer>}
 	 */
-	getDevicePrivateKey(protocol) {
-		return this._getServerProtocol(protocol).then(protocol => {
+	getDevicePrivateKey(protocol, { timeout = globalOptions.requestTimeout, signal } = {}) {
+		return this._getServerProtocol(protocol, { timeout, signal }).then((protocol) => {
 			const keyType = (protocol === proto.ServerProtocolType.UDP_PROTOCOL ?
 				proto.SecurityKeyType.UDP_DEVICE_PRIVATE_KEY : proto.SecurityKeyType.TCP_DEVICE_PRIVATE_KEY);
-			return this._getSecurityKey(keyType);
+			return this._getSecurityKey(keyType, { timeout, signal });
 		});
 	}
 
@@ -215,13 +226,16 @@ const CloudDevice = base => class extends base {
 	 *
 	 * @param {Buffer} data Key data.
 	 * @param {String} [protocol] Server protocol.
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout for every request (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise}
 	 */
-	setDevicePublicKey(data, protocol) {
-		return this._getServerProtocol(protocol).then(protocol => {
+	setDevicePublicKey(data, protocol, { timeout = globalOptions.requestTimeout, signal } = {}) {
+		return this._getServerProtocol(protocol, { timeout, signal }).then((protocol) => {
 			const keyType = (protocol === proto.ServerProtocolType.UDP_PROTOCOL ?
 				proto.SecurityKeyType.UDP_DEVICE_PUBLIC_KEY : proto.SecurityKeyType.TCP_DEVICE_PUBLIC_KEY);
-			return this._setSecurityKey(keyType, data);
+			return this._setSecurityKey(keyType, data, { timeout, signal });
 		});
 	}
 
@@ -235,13 +249,16 @@ const CloudDevice = base => class extends base {
 	 * - Gen 2 (since Device OS 0.8.0, deprecated in 2.0.0)
 	 *
 	 * @param {String} [protocol] Server protocol.
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout for every request (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise<Buffer>}
 	 */
-	getDevicePublicKey(data, protocol) {
-		return this._getServerProtocol(protocol).then(protocol => {
+	getDevicePublicKey(data, protocol, { timeout = globalOptions.requestTimeout, signal } = {}) {
+		return this._getServerProtocol(protocol, { timeout, signal }).then((protocol) => {
 			const keyType = (protocol === proto.ServerProtocolType.UDP_PROTOCOL ?
 				proto.SecurityKeyType.UDP_DEVICE_PUBLIC_KEY : proto.SecurityKeyType.TCP_DEVICE_PUBLIC_KEY);
-			return this._getSecurityKey(keyType);
+			return this._getSecurityKey(keyType, { timeout, signal });
 		});
 	}
 
@@ -256,13 +273,16 @@ const CloudDevice = base => class extends base {
 	 *
 	 * @param {Buffer} data Key data.
 	 * @param {String} [protocol] Server protocol.
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout for every request (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise}
 	 */
-	setServerPublicKey(data, protocol) {
-		return this._getServerProtocol(protocol).then(protocol => {
+	setServerPublicKey(data, protocol, { timeout = globalOptions.requestTimeout, signal } = {}) {
+		return this._getServerProtocol(protocol, { timeout, signal }).then((protocol) => {
 			const keyType = (protocol === proto.ServerProtocolType.UDP_PROTOCOL ?
 				proto.SecurityKeyType.UDP_SERVER_PUBLIC_KEY : proto.SecurityKeyType.TCP_SERVER_PUBLIC_KEY);
-			return this._setSecurityKey(keyType, data);
+			return this._setSecurityKey(keyType, data, { timeout, signal });
 		});
 	}
 
@@ -276,13 +296,16 @@ const CloudDevice = base => class extends base {
 	 * - Gen 2 (since Device OS 0.8.0, deprecated in 2.0.0)
 	 *
 	 * @param {String} [protocol] Server protocol.
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout for every request (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise<Buffer>}
 	 */
-	getServerPublicKey(data, protocol) {
-		return this._getServerProtocol(protocol).then(protocol => {
+	getServerPublicKey(data, protocol, { timeout = globalOptions.requestTimeout, signal } = {}) {
+		return this._getServerProtocol(protocol, { timeout, signal }).then((protocol) => {
 			const keyType = (protocol === proto.ServerProtocolType.UDP_PROTOCOL ?
 				proto.SecurityKeyType.UDP_SERVER_PUBLIC_KEY : proto.SecurityKeyType.TCP_SERVER_PUBLIC_KEY);
-			return this._getSecurityKey(keyType);
+			return this._getSecurityKey(keyType, { timeout, signal });
 		});
 	}
 
@@ -298,15 +321,18 @@ const CloudDevice = base => class extends base {
 	 * @param {String} data Host address.
 	 * @param {Number} port Port number.
 	 * @param {String} [protocol] Server protocol.
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout for every request (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise}
 	 */
-	setServerAddress(address, port, protocol) {
-		return this._getServerProtocol(protocol).then(protocol => {
+	setServerAddress(address, port, protocol, { timeout = globalOptions.requestTimeout, signal } = {}) {
+		return this._getServerProtocol(protocol, { timeout, signal }).then((protocol) => {
 			return this.sendRequest(Request.SET_SERVER_ADDRESS, {
 				protocol: protocol,
 				address: address,
 				port: port // TODO: Make port number optional
-			});
+			}, { timeout, signal });
 		});
 	}
 
@@ -320,13 +346,16 @@ const CloudDevice = base => class extends base {
 	 * - Gen 2 (since Device OS 0.8.0, deprecated in 2.0.0)
 	 *
 	 * @param {String} [protocol] Server protocol.
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout for every request (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise<Object>}
 	 */
-	getServerAddress(protocol) {
-		return this._getServerProtocol(protocol).then(protocol => {
+	getServerAddress(protocol, { timeout = globalOptions.requestTimeout, signal } = {}) {
+		return this._getServerProtocol(protocol, { timeout, signal }).then((protocol) => {
 			return this.sendRequest(Request.GET_SERVER_ADDRESS, {
 				protocol: protocol
-			});
+			}, { timeout, signal });
 		});
 	}
 
@@ -340,12 +369,15 @@ const CloudDevice = base => class extends base {
 	 * - Gen 2 (since Device OS 0.8.0, deprecated in 2.0.0)
 	 *
 	 * @param {String} protocol Server protocol.
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise}
 	 */
-	setServerProtocol(protocol) {
+	setServerProtocol(protocol, { timeout = globalOptions.requestTimeout, signal } = {}) {
 		return this.sendRequest(Request.SET_SERVER_PROTOCOL, {
 			protocol: ServerProtocol.toProtobuf(protocol)
-		});
+		}, { timeout, signal });
 	}
 
 	/**
@@ -357,25 +389,34 @@ const CloudDevice = base => class extends base {
 	 * Supported platforms:
 	 * - Gen 2 (since Device OS 0.8.0, deprecated in 2.0.0)
 	 *
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise<String>}
 	 */
-	getServerProtocol() {
-		return this._getServerProtocol().then(protocol => ServerProtocol.fromProtobuf(protocol));
+	getServerProtocol({ timeout = globalOptions.requestTimeout, signal } = {}) {
+		return this._getServerProtocol(null /* protocol */, { timeout, signal }).then((protocol) => ServerProtocol.fromProtobuf(protocol));
+	}
+
+	_infoGetters(options) {
+		return Object.assign(super._infoGetters(options), {
+			cloudConnectionStatus: () => this.getCloudConnectionStatus(options)
+		});
 	}
 
-	_setSecurityKey(type, data) {
-		return this.sendRequest(Request.SET_SECURITY_KEY, { type: type, data: data });
+	_setSecurityKey(type, data, opts) {
+		return this.sendRequest(Request.SET_SECURITY_KEY, { type: type, data: data }, opts);
 	}
 
-	_getSecurityKey(type) {
-		return this.sendRequest(Request.GET_SECURITY_KEY, { type: type }).then(rep => rep.data);
+	_getSecurityKey(type, opts) {
+		return this.sendRequest(Request.GET_SECURITY_KEY, { type: type }, opts).then((rep) => rep.data);
 	}
 
-	_getServerProtocol(protocol) {
+	_getServerProtocol(protocol, opts) {
 		if (protocol) {
 			return Promise.resolve(ServerProtocol.toProtobuf(protocol));
 		}
-		return this.sendRequest(Request.GET_SERVER_PROTOCOL).then(rep => rep.protocol);
+		return this.sendRequest(Request.GET_SERVER_PROTOCOL, null /* msg */, opts).then((rep) => rep.protocol);
 	}
 };
 
@@ -3,6 +3,12 @@
 const globalOptions = {
 	// Request timeout
 	requestTimeout: 60000,
+	// Directory for the device lock files
+	lockDir: null,
+	// Default retry policy for control requests
+	retryPolicy: null,
+	// Format of the structured log fields
+	logFormat: 'text',
 	// Logger instance
 	log: {
 		// No logging
@@ -24,8 +30,18 @@ const globalOptions = {
  *
  * @param {Object} [options] Options.
  * @param {Number} [options.requestTimeout=60000] Default request timeout (milliseconds).
+ * @param {String} [options.lockDir] Directory for the device lock files (Node.js only). By default, a
+ *                 subdirectory of the system's temporary directory is used.
+ * @param {RetryPolicy} [options.retryPolicy] Default retry policy for control requests. The properties of
+ *                 this object override the properties of the built-in policy, which doesn't retry the
+ *                 requests.
  * @param {Object} [options.log] Logger instance. The logger is expected to have the following methods:
  *                 `trace(String)`, `info(String)`, `warn(String)`, `error(String)`.
+ * @param {String} [options.logFormat='text'] Specifies how the structured fields, such as the device ID
+ *                 or request type, are passed to the logger: `'text'` appends them to the message,
+ *                 `'pino'` passes them as an object preceding the message, and `'winston'` passes them
+ *                 as an object following the message. In the latter two modes, the logger's `child()`
+ *                 method is used to bind the fields of a device if the logger has such a method.
  * @return {Object} Current options.
  */
 function config(options) {
@@ -2,9 +2,18 @@
 const { getUsbDevices, UsbDevice, MAX_CONTROL_TRANSFER_DATA_SIZE } = require('./usb-device-node');
 const proto = require('./usb-protocol');
 const { PLATFORMS } = require('./platforms');
-const { DeviceError, NotFoundError, StateError, TimeoutError, MemoryError, ProtocolError, NotAllowedError, assert } = require('./error');
+const { DeviceError, NotFoundError, StateError, TimeoutError, MemoryError, ProtocolError, NotAllowedError, AbortError, assert } = require('./error');
 const { globalOptions } = require('./config');
 const { Dfu } = require('./dfu');
+const { getTransports } = require('./transport');
+const { RecordingDevice } = require('./capture');
+const { RequestStats } = require('./request-stats');
+const { requestNameForType } = require('./protobuf-util');
+const { AdaptivePollingPolicy } = require('./polling-policy');
+const { acquireDeviceLock } = require('./device-lock');
+const { mergeRetryPolicies, retryDelay, isTransientError, isTransientResult, isIdempotentRequest } = require('./retry-policy');
+const { Result } = require('./result');
+const { createLogger } = require('./logger');
 
 const EventEmitter = require('events');
 
@@ -40,6 +49,11 @@ function platformForUsbIds(vendorId, productId) {
 	return (PLATFORM_USB_IDS[vendorId] || {})[productId];
 }
 
+// Particle devices expose their IDs via the serial number descriptor
+function deviceIdFromSerialNumber(serialNum) {
+	return serialNum.replace(/[^\x20-\x7e]/g, '').toLowerCase();
+}
+
 // Default backoff intervals for the CHECK service request
 const DEFAULT_CHECK_INTERVALS = [50, 50, 100, 100, 250, 250, 500, 500, 1000];
 
@@ -68,6 +82,12 @@ const DeviceState = {
 	CLOSING: 3
 };
 
+// Default timeout for waiting for a device to reconnect
+const DEFAULT_RECONNECT_TIMEOUT = 60000;
+
+// Interval for polling the list of devices while waiting for a device to reconnect
+const RECONNECT_POLL_INTERVAL = 250;
+
 // Low-level vendor requests as defined by the firmware's ctrl_request_type enum
 const VendorRequest = {
 	SYSTEM_VERSION: 30 // Get system version
@@ -77,18 +97,110 @@ const VendorRequest = {
 function ignore() {
 }
 
+// Resolves after the specified time or rejects with an AbortError when the signal is triggered
+function delay(ms, signal = null) {
+	return new Promise((resolve, reject) => {
+		const onAbort = () => {
+			clearTimeout(timer);
+			reject(new AbortError('Operation aborted', { cause: signal.reason }));
+		};
+		const timer = setTimeout(() => {
+			if (signal) {
+				signal.removeEventListener('abort', onAbort);
+			}
+			resolve();
+		}, ms);
+		if (signal) {
+			signal.addEventListener('abort', onAbort, { once: true });
+		}
+	});
+}
+
+// Returns the fields identifying a device in the log messages
+function deviceLogFields(id, info) {
+	return {
+		deviceId: id,
+		platform: info.type,
+		mode: info.dfu ? 'dfu' : 'normal'
+	};
+}
+
+// Returns filters matching a device with the given ID in any mode
+function deviceIdFilters(id) {
+	const filters = [];
+	PLATFORMS.forEach((platform) => {
+		if (platform && platform.usb && platform.usb.vendorId) {
+			filters.push(Object.assign({ serialNumber: id }, platform.usb));
+		}
+		if (platform && platform.dfu && platform.dfu.vendorId) {
+			filters.push(Object.assign({ serialNumber: id }, platform.dfu));
+		}
+	});
+	return filters;
+}
+
+// Enumerates the devices available via the USB transport and all registered transports
+async function enumerateDevices(filters, options) {
+	let devs = await getUsbDevices(filters, options);
+	for (const transport of getTransports()) {
+		devs = devs.concat(await transport.getDevices(filters, options));
+	}
+	return devs;
+}
+
+// Returns true if two USB device handles refer to the same enumerated device. A device that
+// re-enumerates gets a new native handle
+function isSameUsbDevice(dev1, dev2) {
+	return (dev1.internalObject || dev1) === (dev2.internalObject || dev2);
+}
+
+/**
+ * Control request event.
+ *
+ * @typedef {Object} RequestEvent
+ * @property {Number} id Internal request ID.
+ * @property {Number} type Request type.
+ * @property {String} name Request name (e.g. the protobuf message name) or `null` if not known.
+ * @property {Number} size Size of the request payload.
+ * @property {Number} [replySize] Size of the reply payload (`request:done` only).
+ * @property {Number} [result] Result code (`request:done` and `request:retry`).
+ * @property {Error} [error] Error (`request:error` and `request:retry`).
+ * @property {Number} [status] Status reported by the device (`request:poll` only).
+ * @property {Number} [attempt] Number of attempts made so far (`request:retry` only).
+ * @property {Number} [delay] Delay before the next attempt (`request:retry` only).
+ * @property {Number} queueTime Time the request has spent queued on the host (milliseconds).
+ * @property {Number} transferTime Time spent performing the USB transfers (milliseconds).
+ * @property {Number} pollTime Time spent waiting for the device to process the request (milliseconds).
+ * @property {Number} pollCount Number of times the device has been polled.
+ * @property {Number} duration Time since the request was sent (milliseconds).
+ */
+
 /**
  * Base class for a Particle USB device.
  *
+ * Events:
+ * - `open`: The device has been opened.
+ * - `closed`: The device has been closed.
+ * - `reconnecting`, `reconnected`: The device is being reopened automatically (see {@link DeviceBase#open}).
+ * - `request:start` ({@link RequestEvent}): A control request has been enqueued.
+ * - `request:sent` ({@link RequestEvent}): The request and its payload data have been delivered to
+ *   the device.
+ * - `request:poll` ({@link RequestEvent}): The device has been polled for the status of the request.
+ * - `request:done` ({@link RequestEvent}): The request has completed.
+ * - `request:retry` ({@link RequestEvent}): The request has failed with a transient error and will be
+ *   sent again (see {@link RetryPolicy}). The event has the `attempt` and `delay` properties, and either
+ *   the `error` or `result` property.
+ * - `request:error` ({@link RequestEvent}): The request has failed.
+ *
  * This class is not meant to be instantiated directly. Use {@link getDevices} and
  * {@link openDeviceById} to create device instances.
  */
 class DeviceBase extends EventEmitter {
 	constructor(dev, info) {
 		super();
-		this._dev = dev; // USB device handle
+		this._dev = dev; // Device handle (see TransportDevice)
 		this._info = info; // Device info
-		this._log = globalOptions.log; // Logger instance
+		this._log = createLogger(deviceLogFields(null, info)); // Logger instance
 		this._state = DeviceState.CLOSED; // Device state
 		this._reqs = new Map(); // All known requests
 		this._reqQueue = []; // Unprocessed requests
@@ -104,6 +216,11 @@ class DeviceBase extends EventEmitter {
 		this._fwVer = null; // Firmware version
 		this._id = null; // Device ID
 		this._dfu = null; // DFU class implementation
+		this._openOptions = null; // Options passed to open()
+		this._pollingPolicy = null; // Default polling policy
+		this._stats = new RequestStats(); // Request statistics
+		this._lock = null; // Device lock
+		this._keepLock = false; // Set to true if the device lock needs to be kept when the device is closed
 		// Whether the device supports all the expected USB control requests. A device without such support
 		// can only be opened/closed but we still want it to be discoverable as a Particle device
 		this._supported = !this._info.quirks.controlRequestsNotSupported;
@@ -116,6 +233,27 @@ class DeviceBase extends EventEmitter {
 	 * @param {Number} [options.concurrentRequests] Maximum number of requests that can be sent to the
 	 *        device concurrently. Requests that exceed this limit are queued. By default, this parameter
 	 *        is set to the maximum number of concurrent requests supported by the device.
+	 * @param {Boolean} [options.reconnect=false] Whether to reopen the device automatically after it
+	 *        resets or changes its mode, e.g. when {@link Device#reset} or {@link Device#enterDfuMode}
+	 *        is called. The device emits the `reconnecting` and `reconnected` events while this happens.
+	 * @param {Number} [options.reconnectTimeout=60000] Maximum time to wait for the device to reconnect
+	 *        (milliseconds).
+	 * @param {Object} [options.capture] Output for recording the traffic between the host and the device,
+	 *        e.g. a file stream. The object is expected to have a `write(String)` method. The recorded data
+	 *        can be replayed via {@link createReplayTransport}.
+	 * @param {Function|Number|AdaptivePollingPolicy} [options.pollingPolicy=PollingPolicy.DEFAULT] Polling
+	 *        policy for the requests sent without an explicit polling policy (see
+	 *        {@link DeviceBase#sendControlRequest}).
+	 * @param {Boolean} [options.lock=false] Whether to acquire an advisory lock that prevents other
+	 *        processes from opening the device while it is open (Node.js only). The lock is keyed by the
+	 *        device ID, so it also covers the device when it is in the DFU mode. If the device is locked
+	 *        by another process, the method fails with a {@link LockError}.
+	 * @param {Number} [options.lockTimeout=0] Maximum time to wait for the lock to be released by
+	 *        another process (milliseconds).
+	 * @param {String} [options.lockDir] Directory for the lock files. By default, the directory set via
+	 *        {@link config} is used.
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation, e.g. to stop
+	 *        waiting for the device lock.
 	 * @return {Promise}
 	 */
 	open(options) {
@@ -123,11 +261,29 @@ class DeviceBase extends EventEmitter {
 		this._dev.quirks = this._info.quirks;
 
 		options = Object.assign({
-			concurrentRequests: null // The maximum number of concurrent requests is limited by the device
+			concurrentRequests: null, // The maximum number of concurrent requests is limited by the device
+			reconnect: false, // Do not reconnect automatically
+			reconnectTimeout: DEFAULT_RECONNECT_TIMEOUT, // Reconnection timeout
+			capture: null, // Do not record the traffic
+			pollingPolicy: PollingPolicy.DEFAULT, // Polling policy
+			lock: false, // Do not lock the device
+			lockTimeout: 0, // Fail if the device is locked
+			lockDir: null, // Use the default directory for the lock files
+			signal: null
 		}, options);
+		const signal = options.signal;
+		// The signal only applies to this call and must not be reused when the device is reopened
+		options = Object.assign({}, options, { signal: null });
+		if (signal && signal.aborted) {
+			return Promise.reject(new AbortError('Operation aborted', { cause: signal.reason }));
+		}
 		if (this._state === DeviceState.OPEN) {
 			return Promise.reject(new StateError('Device is already open'));
 		}
+		if (options.capture) {
+			this._dev = new RecordingDevice(this._dev, options.capture);
+		}
+		this._pollingPolicy = options.pollingPolicy;
 		// Open USB device
 		this._log.trace('Opening device');
 		this._state = DeviceState.OPENING;
@@ -135,29 +291,34 @@ class DeviceBase extends EventEmitter {
 		return this._dev.open().then(() => {
 			devOpen = true;
 			// Normalize the device ID string
-			this._id = this._dev.serialNumber.replace(/[^\x20-\x7e]/g, '').toLowerCase();
-			this._log.trace(`Device ID: ${this._id}`);
-
+			this._id = deviceIdFromSerialNumber(this._dev.serialNumber);
+			this._log.setFields({ deviceId: this._id });
+			this._log.trace('Device ID received');
+			if (options.lock) {
+				return this._acquireLock(options, signal);
+			}
+		}).then(() => {
 			if (this._supported) {
 				// Get firmware version
 				return this._getFirmwareVersion().then(ver => {
 					this._fwVer = ver;
-					this._log.trace(`Firmware version: ${this._fwVer}`);
+					this._log.trace('Firmware version received', { firmwareVersion: this._fwVer });
 				}).catch(err => {
 					// Pre-0.6.0 firmwares and devices in DFU mode don't support the firmware version request
 					if (!this._info.dfu) {
-						this._log.trace(`Unable to get firmware version: ${err.message}`);
+						this._log.trace('Unable to get firmware version', { error: err });
 					}
 				});
 			}
 		}).then(() => {
 			if (this._info.dfu) {
-				this._dfu = new Dfu(this._dev, this._log);
+				this._dfu = new Dfu(this._dev, this._log.child({ component: 'dfu' }));
 				return this._dfu.open(options);
 			}
 		}).then(() => {
 			this._log.trace('Device is open');
 			this._maxActiveReqs = options.concurrentRequests;
+			this._openOptions = options;
 			if (!this._dfu) {
 				this._resetAllReqs = true; // Reset all requests remaining from a previous session
 			}
@@ -166,6 +327,7 @@ class DeviceBase extends EventEmitter {
 			this._process();
 		}).catch(err => {
 			if (!devOpen) {
+				this._stopRecording();
 				throw err;
 			}
 			return this._close(err).catch(ignore).then(() => {
@@ -221,17 +383,107 @@ class DeviceBase extends EventEmitter {
 	 * @param {Number} type Request type.
 	 * @param {Buffer|String} data Request data.
 	 * @param {Object} [options] Request options.
-	 * @param {Function|Number} [options.pollingPolicy=PollingPolicy.DEFAULT] Request polling policy.
+	 * @param {Function|Number|AdaptivePollingPolicy} [options.pollingPolicy] Request polling policy.
 	 *        This parameter specifies how frequently the device will be polled to determine the result
 	 *        of the request. The argument can either be a function that returns the number of milliseconds
-	 *        to wait before polling the device again or a number that specifies a fixed interval.
+	 *        to wait before polling the device again, a number that specifies a fixed interval, or an
+	 *        {@link AdaptivePollingPolicy} instance. By default, the polling policy passed to
+	 *        {@link DeviceBase#open} is used.
 	 * @param {Number} [options.timeout] Request timeout. The default timeout can be configured via
 	 *        {@link config}.
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the request. A queued
+	 *        request is removed from the queue, and an active request is reset on the device side.
+	 *        The returned promise is rejected with an {@link AbortError}.
+	 * @param {String} [options.name] Request name reported in the `request:*` events and statistics, e.g.
+	 *        the protobuf message name.
+	 * @param {RetryPolicy} [options.retryPolicy] Retry policy. The properties of this object override the
+	 *        properties of the policy configured via {@link config}. The timeout applies to all attempts
+	 *        of the request.
+	 * @param {Boolean} [options.idempotent] Whether the request can be safely sent to the device more than
+	 *        once. By default, only the requests that read the state of the device are considered
+	 *        idempotent (see {@link RetryPolicy}).
 	 * @return {Promise<Object>} Response object.
 	 */
 	sendControlRequest(type, data, options) {
+		const policy = mergeRetryPolicies(globalOptions.retryPolicy, options && options.retryPolicy);
+		if (policy.maxAttempts > 1) {
+			return this._sendControlRequestWithRetries(type, data, options, policy);
+		}
+		return this._sendControlRequest(type, data, options);
+	}
+
+	async _sendControlRequestWithRetries(type, data, options, policy) {
 		options = Object.assign({
-			pollingPolicy: PollingPolicy.DEFAULT, // Polling policy
+			timeout: globalOptions.requestTimeout,
+			idempotent: null
+		}, options);
+		const idempotent = (options.idempotent !== null) ? !!options.idempotent :
+			isIdempotentRequest(options.name || requestNameForType(type));
+		const signal = options.signal;
+		const timeoutTime = options.timeout ? Date.now() + options.timeout : null;
+		for (let n = 1; ; ++n) {
+			const attempt = { req: null };
+			const opts = Object.assign({}, options);
+			if (timeoutTime !== null) {
+				opts.timeout = Math.max(timeoutTime - Date.now(), 1);
+			}
+			let rep = null;
+			let error = null;
+			try {
+				rep = await this._sendControlRequest(type, data, opts, attempt);
+			} catch (err) {
+				error = err;
+			}
+			let retry = false;
+			if (n < policy.maxAttempts && attempt.req) {
+				if (error) {
+					// A request that is not idempotent can't be retried once its data has been delivered
+					retry = isTransientError(policy, error) && (idempotent || !attempt.req.dataSent);
+				} else {
+					retry = isTransientResult(policy, rep.result) && (idempotent || rep.result === Result.BUSY);
+				}
+			}
+			const delayMs = retry ? retryDelay(policy, n) : 0;
+			if (retry && timeoutTime !== null && Date.now() + delayMs >= timeoutTime) {
+				retry = false;
+			}
+			if (!retry) {
+				if (error) {
+					throw error;
+				}
+				return rep;
+			}
+			this._log.trace('Retrying request', { requestId: attempt.req.id, type, attempt: n, delay: delayMs });
+			this._emitRequestEvent('request:retry', attempt.req, error ? { attempt: n, delay: delayMs, error } :
+				{ attempt: n, delay: delayMs, result: rep.result });
+			await this._retryDelay(delayMs, signal);
+		}
+	}
+
+	_retryDelay(ms, signal) {
+		return new Promise((resolve, reject) => {
+			if (signal && signal.aborted) {
+				return reject(new AbortError('Request aborted', { cause: signal.reason }));
+			}
+			const onAbort = () => {
+				clearTimeout(timer);
+				reject(new AbortError('Request aborted', { cause: signal.reason }));
+			};
+			const timer = setTimeout(() => {
+				if (signal) {
+					signal.removeEventListener('abort', onAbort);
+				}
+				resolve();
+			}, ms);
+			if (signal) {
+				signal.addEventListener('abort', onAbort, { once: true });
+			}
+		});
+	}
+
+	_sendControlRequest(type, data, options, attempt = null) {
+		options = Object.assign({
+			pollingPolicy: this._pollingPolicy || PollingPolicy.DEFAULT, // Polling policy
 			timeout: globalOptions.requestTimeout // Request timeout
 		}, options);
 		return new Promise((resolve, reject) => {
@@ -254,21 +506,39 @@ class DeviceBase extends EventEmitter {
 			if (data && data.length > proto.MAX_PAYLOAD_SIZE) {
 				throw new RangeError('Request data is too large');
 			}
+			const signal = options.signal;
+			if (signal && signal.aborted) {
+				throw new AbortError('Request aborted', { cause: signal.reason });
+			}
+			const now = Date.now();
 			const req = {
 				id: ++this._lastReqId, // Internal request ID
 				type: type,
+				name: options.name || requestNameForType(type),
 				data: data,
 				dataIsStr: dataIsStr,
 				dataSent: false,
 				protoId: null, // Protocol request ID
 				checkInterval: options.pollingPolicy,
 				checkIntervalIsFunc: (typeof options.pollingPolicy === 'function'),
+				adaptivePolicy: (options.pollingPolicy instanceof AdaptivePollingPolicy) ? options.pollingPolicy : null,
+				sentTime: null, // Time the request data was delivered to the device
+				lastPendingTime: null, // Time the device last reported that the request was being processed
 				checkTimer: null,
 				checkCount: 0,
 				reqTimer: null,
 				resolve: resolve,
 				reject: reject,
-				done: false
+				signal: signal || null,
+				abortListener: null,
+				done: false,
+				startTime: now,
+				queuedSince: now, // Time the request was (re)enqueued
+				pollingSince: null, // Time the check timer was started
+				queueTime: 0,
+				transferTime: 0,
+				pollTime: 0,
+				pollCount: 0
 			};
 			if (options.timeout) {
 				// Start request timer
@@ -277,9 +547,20 @@ class DeviceBase extends EventEmitter {
 					this._process();
 				}, options.timeout);
 			}
+			if (signal) {
+				req.abortListener = () => {
+					this._rejectRequest(req, new AbortError('Request aborted', { cause: signal.reason }));
+					this._process();
+				};
+				signal.addEventListener('abort', req.abortListener);
+			}
+			if (attempt) {
+				attempt.req = req;
+			}
 			this._reqs.set(req.id, req);
 			this._reqQueue.push(req);
-			this._log.trace(`Request ${req.id}: Enqueued`);
+			this._log.trace('Request enqueued', { requestId: req.id, type: req.type, bytes: data ? data.length : 0 });
+			this._emitRequestEvent('request:start', req);
 			this._process();
 		});
 	}
@@ -298,6 +579,26 @@ class DeviceBase extends EventEmitter {
 		throw new StateError();
 	}
 
+	/**
+	 * Get the statistics of the control requests sent to the device.
+	 *
+	 * The statistics are collected since the device instance was created or {@link DeviceBase#resetStats}
+	 * was called.
+	 *
+	 * @return {Object} An object with the `requests` property containing an array of
+	 *         {@link RequestTypeStats} objects, one per request type.
+	 */
+	getStats() {
+		return { requests: this._stats.toJSON() };
+	}
+
+	/**
+	 * Reset the statistics of the control requests.
+	 */
+	resetStats() {
+		this._stats.clear();
+	}
+
 	/**
 	 * Set to `true` if the device is open.
 	 */
@@ -359,7 +660,8 @@ class DeviceBase extends EventEmitter {
 	}
 
 	/**
-	 * Internal USB device handle.
+	 * Internal USB device handle. For devices enumerated by a registered transport, this is the
+	 * {@link TransportDevice} object provided by the transport.
 	 */
 	get usbDevice() {
 		return this._dev;
@@ -372,6 +674,91 @@ class DeviceBase extends EventEmitter {
 		return this._info.quirks;
 	}
 
+	// Closes the device, waits until it re-enumerates and reopens it using the same options. If `dfu`
+	// is set to a boolean value, waits until the device re-enumerates in the respective mode
+	async _reconnect({ dfu = null, signal = null } = {}) {
+		const id = this._id;
+		const oldDev = this._dev;
+		const options = this._openOptions;
+		if (!id || !options) {
+			throw new StateError('Device is not open');
+		}
+		this._log.trace('Reconnecting to device');
+		this.emit('reconnecting', { dfu });
+		// Keep the device locked while it is being reconnected
+		this._keepLock = true;
+		try {
+			await this.close({ processPendingRequests: false });
+			await this._reopen({ id, oldDev, options, dfu, signal });
+		} catch (err) {
+			await this._releaseLock();
+			throw err;
+		} finally {
+			this._keepLock = false;
+		}
+		// The device may have changed its mode, so update its prototype chain accordingly. The module is
+		// required lazily as it depends on this module
+		const { setDevicePrototype } = require('./set-device-prototype');
+		setDevicePrototype(this);
+		this._log.trace('Device reconnected');
+		this.emit('reconnected', { dfu: this.isInDfuMode });
+	}
+
+	async _reopen({ id, oldDev, options, dfu, signal }) {
+		const timeoutTime = Date.now() + options.reconnectTimeout;
+		for (;;) {
+			let devs = [];
+			try {
+				devs = await enumerateDevices(deviceIdFilters(id), { requestAccess: false });
+			} catch (err) {
+				this._log.trace('Unable to enumerate devices', { error: err });
+			}
+			const dev = devs.find((dev) => {
+				const platform = platformForUsbIds(dev.vendorId, dev.productId);
+				return platform && !isSameUsbDevice(dev, oldDev) && (dfu === null || platform.dfu === dfu);
+			});
+			if (dev) {
+				this._dev = dev;
+				this._info = platformForUsbIds(dev.vendorId, dev.productId);
+				this._supported = !this._info.quirks.controlRequestsNotSupported;
+				this._log.setFields(deviceLogFields(id, this._info));
+				try {
+					await this.open(options);
+					break;
+				} catch (err) {
+					// The device may not be ready yet
+					this._log.trace('Unable to open device', { error: err });
+				}
+			}
+			if (Date.now() >= timeoutTime) {
+				throw new TimeoutError('Device did not reconnect in time');
+			}
+			if (signal && signal.aborted) {
+				throw new AbortError('Operation aborted', { cause: signal.reason });
+			}
+			await delay(RECONNECT_POLL_INTERVAL, signal);
+		}
+	}
+
+	async _acquireLock({ lockTimeout, lockDir }, signal) {
+		if (this._lock) {
+			if (this._lock.id === this._id) {
+				return; // The lock has been kept while the device was reconnecting
+			}
+			await this._releaseLock();
+		}
+		this._lock = await acquireDeviceLock(this._id, { dir: lockDir, timeout: lockTimeout, signal });
+		this._log.trace('Acquired device lock', { file: this._lock.file });
+	}
+
+	async _releaseLock() {
+		if (this._lock) {
+			const lock = this._lock;
+			this._lock = null;
+			await lock.release();
+		}
+	}
+
 	_process() {
 		if (this._state === DeviceState.CLOSED
                || (this._state === DeviceState.OPENING && !this._wantClose)
@@ -426,7 +813,7 @@ class DeviceBase extends EventEmitter {
 			return false;
 		}
 		const req = this._resetQueue.shift();
-		this._log.trace(`Request ${req.id}: Sending RESET`);
+		this._log.trace('Sending RESET', { requestId: req.id, protocolId: req.protoId });
 		assert(!this._busy && req.protoId);
 		this._busy = true;
 		const setup = proto.resetRequest(req.protoId);
@@ -451,16 +838,22 @@ class DeviceBase extends EventEmitter {
 		if (!req) {
 			return false;
 		}
-		this._log.trace(`Request ${req.id}: Sending CHECK (${req.checkCount})`);
+		this._log.trace('Sending CHECK', { requestId: req.id, checkCount: req.checkCount });
 		assert(!this._busy && req.protoId);
 		this._busy = true;
+		this._stopPolling(req);
+		++req.pollCount;
 		const setup = proto.checkRequest(req.protoId);
+		const startTime = Date.now();
 		this._sendServiceRequest(setup).then(srep => {
-			this._log.trace(`Request ${req.id}: Status: ${srep.status}`);
+			req.transferTime += Date.now() - startTime;
+			this._log.trace('Status received', { requestId: req.id, status: srep.status });
+			this._emitRequestEvent('request:poll', req, { status: srep.status });
 			switch (srep.status) {
 				case proto.Status.OK: {
 					if (req.dataSent) {
 						// Request processing is completed
+						this._recordCompletionTime(req);
 						const rep = {
 							result: srep.result
 						};
@@ -468,6 +861,7 @@ class DeviceBase extends EventEmitter {
 							// Receive payload data
 							return this._recvReplyData(req, srep.size).then(data => {
 								rep.data = req.dataIsStr ? data.toString() : data;
+								req.replySize = data.length;
 								this._resolveRequest(req, rep);
 							});
 						} else {
@@ -476,7 +870,7 @@ class DeviceBase extends EventEmitter {
 					} else {
 						// Buffer allocation is completed, send payload data
 						return this._sendRequestData(req).then(() => {
-							req.dataSent = true;
+							this._setRequestSent(req);
 							req.checkCount = 0; // Reset check counter
 							this._startCheckTimer(req);
 						});
@@ -484,6 +878,9 @@ class DeviceBase extends EventEmitter {
 					break;
 				}
 				case proto.Status.PENDING: {
+					if (req.dataSent) {
+						req.lastPendingTime = Date.now();
+					}
 					this._startCheckTimer(req);
 					break;
 				}
@@ -521,27 +918,36 @@ class DeviceBase extends EventEmitter {
 		if (!req) {
 			return false;
 		}
-		this._log.trace(`Request ${req.id}: Sending INIT`);
+		this._log.trace('Sending INIT', { requestId: req.id, type: req.type });
 		assert(!this._busy);
 		this._busy = true;
+		req.queueTime += Date.now() - req.queuedSince;
+		req.queuedSince = null;
 		const setup = proto.initRequest(req.type, req.data ? req.data.length : 0);
+		const startTime = Date.now();
 		this._sendServiceRequest(setup).then(srep => {
-			this._log.trace(`Request ${req.id}: Status: ${srep.status}`);
+			req.transferTime += Date.now() - startTime;
+			this._log.trace('Status received', { requestId: req.id, status: srep.status });
 			if (srep.status === proto.Status.OK || srep.status === proto.Status.PENDING) {
 				req.protoId = srep.id;
 				++this._activeReqs;
-				this._log.trace(`Request ${req.id}: Protocol ID: ${req.protoId}`);
+				this._log.trace('Request initialized', { requestId: req.id, protocolId: req.protoId });
+				if (req.done) {
+					// The request has been cancelled while the INIT request was being processed
+					this._resetQueue.push(req);
+					return;
+				}
 			}
 			switch (srep.status) {
 				case proto.Status.OK: {
 					if (req.data && req.data.length > 0) {
 						// Send payload data
 						return this._sendRequestData(req).then(() => {
-							req.dataSent = true;
+							this._setRequestSent(req);
 							this._startCheckTimer(req);
 						});
 					} else {
-						req.dataSent = true; // No payload data
+						this._setRequestSent(req); // No payload data
 						this._startCheckTimer(req);
 					}
 					break;
@@ -558,6 +964,7 @@ class DeviceBase extends EventEmitter {
 					// Update maximum number of active requests
 					this._maxActiveReqs = this._activeReqs;
 					// Return the request back to queue
+					req.queuedSince = Date.now();
 					this._reqQueue.unshift(req);
 					break;
 				}
@@ -583,10 +990,12 @@ class DeviceBase extends EventEmitter {
 		const sendNextChunk = () => {
 			const chunkSize = Math.min(MAX_CONTROL_TRANSFER_DATA_SIZE, req.data.length - offs);
 			const chunk = req.data.slice(offs, offs + chunkSize);
-			this._log.trace(`Request ${req.id}: Sending SEND`);
+			this._log.trace('Sending SEND', { requestId: req.id });
 			const setup = proto.sendRequest(req.protoId, chunkSize);
+			const startTime = Date.now();
 			return this._dev.transferOut(setup, chunk).then(() => {
-				this._log.trace(`Request ${req.id}: Sent ${chunkSize} bytes`);
+				req.transferTime += Date.now() - startTime;
+				this._log.trace('Sent request data', { requestId: req.id, bytes: chunkSize });
 				offs += chunkSize;
 				if (offs < req.data.length) {
 					if (req.done) {
@@ -605,10 +1014,12 @@ class DeviceBase extends EventEmitter {
 		let offs = 0;
 		const recvNextChunk = () => {
 			const chunkSize = Math.min(MAX_CONTROL_TRANSFER_DATA_SIZE, size - offs);
-			this._log.trace(`Request ${req.id}: Sending RECV`);
+			this._log.trace('Sending RECV', { requestId: req.id });
 			const setup = proto.recvRequest(req.protoId, chunkSize);
+			const startTime = Date.now();
 			return this._dev.transferIn(setup).then(data => {
-				this._log.trace(`Request ${req.id}: Received ${data.length} bytes`);
+				req.transferTime += Date.now() - startTime;
+				this._log.trace('Received reply data', { requestId: req.id, bytes: data.length });
 				if (data.length !== chunkSize) {
 					throw new Error('Unexpected size of the control transfer');
 				}
@@ -646,12 +1057,16 @@ class DeviceBase extends EventEmitter {
 		let p = Promise.resolve();
 		if (this._dfu) {
 			p = p.then(() => this._dfu.close()).catch(err => {
-				this._log.warn(`Unable to close DFU interface: ${err.message}`);
+				this._log.warn('Unable to close DFU interface', { error: err });
 			});
 		}
 		// Close USB device
 		return p.then(() => this._dev.close()).catch(err => {
-			this._log.warn(`Unable to close USB device: ${err.message}`);
+			this._log.warn('Unable to close USB device', { error: err });
+		}).then(() => {
+			if (!this._keepLock) {
+				return this._releaseLock();
+			}
 		}).then(() => {
 			// Reset device state
 			const emitEvent = (this._state === DeviceState.CLOSING);
@@ -659,6 +1074,9 @@ class DeviceBase extends EventEmitter {
 			this._wantClose = false;
 			this._busy = false;
 			this._maxActiveReqs = null;
+			this._openOptions = null;
+			this._pollingPolicy = null;
+			this._stopRecording();
 			this._dfu = null;
 			this._fwVer = null;
 			this._id = null;
@@ -668,6 +1086,12 @@ class DeviceBase extends EventEmitter {
 		});
 	}
 
+	_stopRecording() {
+		if (this._dev instanceof RecordingDevice) {
+			this._dev = this._dev.device;
+		}
+	}
+
 	_rejectAllRequests(err) {
 		this._reqs.forEach(req => {
 			this._rejectRequest(req, err);
@@ -684,11 +1108,12 @@ class DeviceBase extends EventEmitter {
 		if (req.done) {
 			return;
 		}
-		this._log.trace(`Request ${req.id}: Failed: ${err.message}`);
+		this._log.trace('Request failed', { requestId: req.id, error: err });
 		this._clearRequest(req);
 		if (req.protoId) {
 			this._resetQueue.push(req);
 		}
+		this._completeRequestStats(req, { error: err });
 		req.reject(err);
 	}
 
@@ -696,9 +1121,10 @@ class DeviceBase extends EventEmitter {
 		if (req.done) {
 			return;
 		}
-		this._log.trace(`Request ${req.id}: Completed`);
+		this._log.trace('Request completed', { requestId: req.id, result: rep.result });
 		this._clearRequest(req);
 		assert(--this._activeReqs >= 0);
+		this._completeRequestStats(req, { result: rep.result, replySize: req.replySize || 0 });
 		req.resolve(rep);
 	}
 
@@ -711,22 +1137,90 @@ class DeviceBase extends EventEmitter {
 			clearTimeout(req.reqTimer);
 			req.reqTimer = null;
 		}
+		if (req.abortListener) {
+			req.signal.removeEventListener('abort', req.abortListener);
+			req.abortListener = null;
+		}
 		this._reqs.delete(req.id);
 		req.done = true;
 	}
 
 	_startCheckTimer(req) {
 		let timeout = req.checkInterval;
-		if (req.checkIntervalIsFunc) {
+		if (req.adaptivePolicy) {
+			// The completion time is only known once the request data has been delivered
+			timeout = req.dataSent ? req.adaptivePolicy.interval(req.type, req.checkCount, PollingPolicy.DEFAULT) :
+				PollingPolicy.DEFAULT(req.checkCount);
+		} else if (req.checkIntervalIsFunc) {
 			timeout = timeout(req.checkCount);
 		}
 		++req.checkCount;
+		req.pollingSince = Date.now();
 		setTimeout(() => {
 			this._checkQueue.push(req);
 			this._process();
 		}, timeout);
 	}
 
+	_setRequestSent(req) {
+		req.dataSent = true;
+		req.sentTime = Date.now();
+		this._emitRequestEvent('request:sent', req);
+	}
+
+	_recordCompletionTime(req) {
+		if (req.adaptivePolicy) {
+			const now = Date.now();
+			const minTime = (req.lastPendingTime !== null) ? req.lastPendingTime - req.sentTime : null;
+			req.adaptivePolicy.record(req.type, now - req.sentTime, minTime);
+		}
+	}
+
+	_stopPolling(req) {
+		if (req.pollingSince !== null) {
+			req.pollTime += Date.now() - req.pollingSince;
+			req.pollingSince = null;
+		}
+	}
+
+	_completeRequestStats(req, props) {
+		const now = Date.now();
+		if (req.queuedSince !== null) {
+			req.queueTime += now - req.queuedSince;
+			req.queuedSince = null;
+		}
+		this._stopPolling(req);
+		props = Object.assign({ duration: now - req.startTime }, props);
+		this._stats.add(Object.assign(this._requestEventData(req), props));
+		this._emitRequestEvent(props.error ? 'request:error' : 'request:done', req, props);
+	}
+
+	_requestEventData(req) {
+		return {
+			id: req.id,
+			type: req.type,
+			name: req.name,
+			size: req.data ? req.data.length : 0,
+			queueTime: req.queueTime,
+			transferTime: req.transferTime,
+			pollTime: req.pollTime,
+			pollCount: req.pollCount,
+			duration: Date.now() - req.startTime
+		};
+	}
+
+	_emitRequestEvent(name, req, props) {
+		if (this.listenerCount(name) === 0) {
+			return;
+		}
+		try {
+			this.emit(name, Object.assign(this._requestEventData(req), props));
+		} catch (err) {
+			// Errors thrown by the listeners must not break the request processing
+			this._log.warn(`Unhandled error in "${name}" event listener`, { error: err });
+		}
+	}
+
 	_getFirmwareVersion() {
 		const setup = {
 			bmRequestType: proto.BmRequestType.DEVICE_TO_HOST,
@@ -750,7 +1244,7 @@ class DeviceBase extends EventEmitter {
 	}
 }
 
-async function getDevices({ types = [], includeDfu = true } = {}) {
+async function getDevices({ types = [], includeDfu = true, requestAccess = true } = {}) {
 	types = types.map(type => type.toLowerCase());
 	const filters = [];
 	PLATFORMS.forEach((platform) => {
@@ -766,7 +1260,7 @@ async function getDevices({ types = [], includeDfu = true } = {}) {
 	if (filters.length === 0) {
 		return [];
 	}
-	const devs = await getUsbDevices(filters);
+	const devs = await enumerateDevices(filters, { requestAccess });
 	return devs.map(dev => {
 		const platform = platformForUsbIds(dev.vendorId, dev.productId);
 		assert(platform);
@@ -775,22 +1269,13 @@ async function getDevices({ types = [], includeDfu = true } = {}) {
 }
 
 async function openDeviceById(id, options = null) {
-	const log = globalOptions.log;
-	const filters = [];
-	PLATFORMS.forEach((platform) => {
-		if (platform && platform.usb && platform.usb.vendorId) {
-			filters.push(Object.assign({ serialNumber: id }, platform.usb));
-		}
-		if (platform && platform.dfu && platform.dfu.vendorId) {
-			filters.push(Object.assign({ serialNumber: id }, platform.dfu));
-		}
-	});
-	const devs = await getUsbDevices(filters);
+	const log = createLogger({ deviceId: id });
+	const devs = await enumerateDevices(deviceIdFilters(id));
 	if (devs.length === 0) {
 		throw new NotFoundError('Device is not found');
 	}
 	if (devs.length !== 1) {
-		log.warn(`Found multiple devices with the same ID: ${id}`); // lol
+		log.warn('Found multiple devices with the same ID'); // lol
 	}
 	let dev = devs[0];
 	const platform = platformForUsbIds(dev.vendorId, dev.productId);
@@ -821,5 +1306,6 @@ module.exports = {
 	getDevices,
 	openDeviceById,
 	openNativeUsbDevice,
+	deviceIdFromSerialNumber,
 	platformForUsbIds // For testing
 };
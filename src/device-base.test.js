@@ -8,6 +8,14 @@ const { getDevices, openDeviceById, openNativeUsbDevice, PollingPolicy } = proxy
 const usbImpl = require('./usb-device-node');
 const proto = require('./usb-protocol');
 const error = require('./error');
+const { PLATFORMS } = require('./platforms');
+const { registerTransport, unregisterTransport, filterDevices } = require('./transport');
+const { AdaptivePollingPolicy } = require('./polling-policy');
+const { acquireDeviceLock, getDeviceLockOwner } = require('./device-lock');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 // Application-specific request types
 const REQUEST_1 = 1;
@@ -308,6 +316,118 @@ describe('device-base', () => {
 					const open = dev.open();
 					await expect(open).to.be.rejectedWith(error.StateError);
 				});
+
+				describe('with the lock option', () => {
+					let lockDir;
+
+					beforeEach(() => {
+						lockDir = fs.mkdtempSync(path.join(os.tmpdir(), 'particle-usb-test-'));
+					});
+
+					afterEach(() => {
+						fs.rmSync(lockDir, { recursive: true, force: true });
+					});
+
+					it('locks the device while it is open', async () => {
+						await dev.open({ lock: true, lockDir });
+						const owner = await getDeviceLockOwner(dev.id, { dir: lockDir });
+						expect(owner.pid).to.equal(process.pid);
+						await dev.close();
+						expect(await getDeviceLockOwner('111111111111111111111111', { dir: lockDir })).to.be.null;
+					});
+
+					it('fails if the device is locked by another process', async () => {
+						const lock = await acquireDeviceLock('111111111111111111111111', { dir: lockDir });
+						const open = dev.open({ lock: true, lockDir });
+						await expect(open).to.be.rejectedWith(error.LockError);
+						expect(dev.isOpen).to.be.false;
+						expect(usbDev.isOpen).to.be.false;
+						await lock.release();
+					});
+
+					it('stops waiting for the lock when the operation is aborted', async () => {
+						const lock = await acquireDeviceLock('111111111111111111111111', { dir: lockDir });
+						const ctrl = new AbortController();
+						const open = dev.open({ lock: true, lockDir, lockTimeout: 60000, signal: ctrl.signal });
+						setTimeout(() => ctrl.abort(), 10);
+						await expect(open).to.be.rejectedWith(error.AbortError);
+						expect(dev.isOpen).to.be.false;
+						expect(usbDev.isOpen).to.be.false;
+						expect(dev._openOptions).to.be.null;
+						await lock.release();
+					});
+
+					it('keeps the device locked while it is reconnecting', async () => {
+						await dev.open({ lock: true, lockDir });
+						const lockFile = path.join(lockDir, '111111111111111111111111.lock');
+						const { time } = JSON.parse(fs.readFileSync(lockFile, 'utf8'));
+						fakeUsb.removeDevice(usbDev);
+						fakeUsb.addPhoton({ id: '111111111111111111111111' });
+						await dev._reconnect();
+						expect(JSON.parse(fs.readFileSync(lockFile, 'utf8')).time).to.equal(time);
+						await dev.close();
+						expect(fs.existsSync(lockFile)).to.be.false;
+					});
+				});
+			});
+
+			describe('_reconnect()', () => {
+				it('reopens the device after it re-enumerates', async () => {
+					await dev.open({ concurrentRequests: 2, reconnect: true });
+					const reconnecting = sinon.spy();
+					const reconnected = sinon.spy();
+					dev.on('reconnecting', reconnecting);
+					dev.on('reconnected', reconnected);
+					fakeUsb.removeDevice(usbDev);
+					const newUsbDev = fakeUsb.addPhoton({ id: '111111111111111111111111', firmwareVersion: '1.0.1' });
+					await dev._reconnect();
+					expect(dev.isOpen).to.be.true;
+					expect(dev.usbDevice).to.equal(newUsbDev);
+					expect(dev.id).to.equal('111111111111111111111111');
+					expect(dev.firmwareVersion).to.equal('1.0.1');
+					expect(reconnecting).to.have.been.calledOnce;
+					expect(reconnected).to.have.been.calledOnce;
+					expect(reconnected.firstCall.args[0]).to.deep.equal({ dfu: false });
+				});
+
+				it('updates the device mode and prototype', async () => {
+					await dev.open();
+					fakeUsb.removeDevice(usbDev);
+					const newUsbDev = fakeUsb.addPhoton({ id: '111111111111111111111111', dfu: true });
+					await dev._reconnect({ dfu: true });
+					expect(dev.usbDevice).to.equal(newUsbDev);
+					expect(dev.isInDfuMode).to.be.true;
+					expect(dev.productId).to.equal(newUsbDev.productId);
+					expect(dev.writeOverDfu).to.be.a('function');
+				});
+
+				it('waits until the device re-enumerates', async () => {
+					await dev.open();
+					setTimeout(() => {
+						fakeUsb.removeDevice(usbDev);
+						fakeUsb.addPhoton({ id: '111111111111111111111111', dfu: true });
+					}, 100);
+					await dev._reconnect({ dfu: true });
+					expect(dev.isInDfuMode).to.be.true;
+				});
+
+				it('fails if the device does not reconnect in time', async () => {
+					await dev.open({ reconnectTimeout: 100 });
+					fakeUsb.removeDevice(usbDev);
+					await expect(dev._reconnect()).to.be.rejectedWith(error.TimeoutError);
+					expect(dev.isOpen).to.be.false;
+				});
+
+				it('stops waiting for the device when the operation is aborted', async () => {
+					await dev.open({ reconnectTimeout: 60000 });
+					fakeUsb.removeDevice(usbDev);
+					const ctrl = new AbortController();
+					const start = Date.now();
+					setTimeout(() => ctrl.abort(), 10);
+					await expect(dev._reconnect({ signal: ctrl.signal })).to.be.rejectedWith(error.AbortError);
+					expect(Date.now() - start).to.be.below(200);
+					expect(dev.isOpen).to.be.false;
+				});
 			});
 
 			describe('close()', () => {
@@ -572,6 +692,131 @@ describe('device-base', () => {
 					expect(resetRequest).to.have.been.called;
 				});
 
+				it('emits events for every stage of a request', async function test() {
+					sinon.useFakeTimers();
+					sinon.stub(usbDev.protocol, 'checkRequest')
+						.onFirstCall().returns(proto.Status.PENDING)
+						.returns(proto.Status.OK);
+					sinon.stub(usbDev.protocol, 'replyData').returns(Buffer.from('reply data'));
+					const events = [];
+					for (const name of ['request:start', 'request:sent', 'request:poll', 'request:done', 'request:error']) {
+						dev.on(name, (e) => events.push(Object.assign({ event: name }, e)));
+					}
+					const req = dev.sendControlRequest(20 /* GetDeviceIdRequest */, Buffer.from('request data'));
+					await this.checkTimeout();
+					await this.checkTimeout();
+					await req;
+					expect(events.map((e) => e.event)).to.deep.equal(['request:start', 'request:sent', 'request:poll', 'request:poll', 'request:done']);
+					expect(events[1]).to.containSubset({ type: 20, name: 'GetDeviceIdRequest', size: 12 });
+					expect(events[2]).to.containSubset({ status: proto.Status.PENDING, pollCount: 1 });
+					expect(events[4]).to.containSubset({
+						result: 0,
+						replySize: 10,
+						pollCount: 2,
+						pollTime: this.pollingPolicy(0) + this.pollingPolicy(1)
+					});
+				});
+
+				it('emits an event when a request fails', async function test() {
+					sinon.useFakeTimers();
+					sinon.stub(usbDev.protocol, 'checkRequest').returns(proto.Status.PENDING);
+					const onError = sinon.spy();
+					dev.on('request:error', onError);
+					const req = dev.sendControlRequest(REQUEST_1, null, { timeout: 1000, name: 'Request1' });
+					await this.tick(1000);
+					await expect(req).to.be.rejectedWith(error.TimeoutError);
+					expect(onError).to.have.been.calledOnceWith(sinon.match({
+						type: REQUEST_1,
+						name: 'Request1',
+						error: sinon.match.instanceOf(error.TimeoutError),
+						duration: 1000
+					}));
+				});
+
+				it('collects the statistics of the requests', async function test() {
+					sinon.useFakeTimers();
+					sinon.stub(usbDev.protocol, 'checkRequest').returns(proto.Status.PENDING);
+					let req = dev.sendControlRequest(REQUEST_1, null, { timeout: 1000 });
+					await this.tick(1000);
+					await expect(req).to.be.rejected;
+					usbDev.protocol.checkRequest.returns(proto.Status.OK);
+					this.checkCount = 0;
+					req = dev.sendControlRequest(REQUEST_1);
+					await this.checkTimeout();
+					await req;
+					const { requests } = dev.getStats();
+					expect(requests).to.have.lengthOf(1);
+					expect(requests[0]).to.containSubset({
+						type: REQUEST_1,
+						count: 1,
+						errors: 1,
+						results: { 0: 1 },
+						duration: { count: 2, max: 1000 }
+					});
+					const buckets = requests[0].duration.buckets;
+					expect(buckets.reduce((n, b) => n + b.count, 0)).to.equal(2);
+					dev.resetStats();
+					expect(dev.getStats().requests).to.be.empty;
+				});
+
+				it('learns the completion times when using an adaptive polling policy', async function test() {
+					sinon.useFakeTimers();
+					const policy = new AdaptivePollingPolicy();
+					policy.record(REQUEST_1, 200, 200);
+					const checkRequest = sinon.stub(usbDev.protocol, 'checkRequest')
+						.onFirstCall().returns(proto.Status.PENDING)
+						.returns(proto.Status.OK);
+					const req = dev.sendControlRequest(REQUEST_1, null, { pollingPolicy: policy });
+					await this.tick(199);
+					expect(checkRequest).to.not.have.been.called;
+					await this.tick(1); // The first check is sent after the expected completion time
+					expect(checkRequest).to.have.been.calledOnce;
+					await this.tick(50); // The next one is sent after a fraction of that time
+					await req;
+					expect(checkRequest).to.have.been.calledTwice;
+					expect(policy.toJSON().types[REQUEST_1]).to.deep.equal([200, 225]);
+				});
+
+				it('fails if the signal is already aborted', async () => {
+					const controller = new AbortController();
+					controller.abort();
+					const initRequest = sinon.spy(usbDev.protocol, 'initRequest');
+					const req = dev.sendControlRequest(REQUEST_1, null, { signal: controller.signal });
+					await expect(req).to.be.rejectedWith(error.AbortError);
+					expect(initRequest).to.not.have.been.called;
+				});
+
+				it('removes a queued request from the queue when it is aborted', async function test() {
+					// Reopen the device with different settings
+					await dev.close();
+					await dev.open({ concurrentRequests: 1 });
+					sinon.useFakeTimers();
+					sinon.stub(usbDev.protocol, 'checkRequest').returns(proto.Status.PENDING);
+					const initRequest = sinon.spy(usbDev.protocol, 'initRequest');
+					const controller = new AbortController();
+					dev.sendControlRequest(REQUEST_1);
+					const req = dev.sendControlRequest(REQUEST_2, null, { signal: controller.signal });
+					await this.checkTimeout();
+					controller.abort();
+					await expect(req).to.be.rejectedWith(error.AbortError);
+					await this.checkTimeout();
+					expect(initRequest).to.not.have.been.calledWith(sinon.match({ type: REQUEST_2 }));
+				});
+
+				it('resets an active request when it is aborted', async function test() {
+					sinon.useFakeTimers();
+					sinon.stub(usbDev.protocol, 'checkRequest').returns(proto.Status.PENDING);
+					const resetRequest = sinon.spy(usbDev.protocol, 'resetRequest');
+					const controller = new AbortController();
+					const reqId = usbDev.protocol.nextRequestId;
+					const req = dev.sendControlRequest(REQUEST_1, null, { signal: controller.signal });
+					await this.checkTimeout();
+					controller.abort();
+					await expect(req).to.be.rejectedWith(error.AbortError);
+					await this.checkTimeout();
+					expect(resetRequest).to.have.been.calledWith({ id: reqId });
+				});
+
 				it('converts the reply data to a string if the request data is a string', async function test() {
 					sinon.useFakeTimers();
 					sinon.stub(usbDev.protocol, 'replyData').returns(Buffer.from('reply data'));
@@ -602,6 +847,93 @@ describe('device-base', () => {
 					const req = dev.sendControlRequest(REQUEST_1, Buffer.alloc(65536));
 					await expect(req).to.be.rejectedWith(RangeError);
 				});
+
+				describe('with a retry policy', () => {
+					const options = { retryPolicy: { maxAttempts: 3, delay: 0 }, pollingPolicy: 1 };
+
+					it('retries an idempotent request that has failed with a transient error', async () => {
+						sinon.stub(usbDev, 'transferIn').callThrough()
+							.onSecondCall().rejects(new error.UsbError('LIBUSB_ERROR_IO'));
+						const onRetry = sinon.spy();
+						dev.on('request:retry', onRetry);
+						const rep = await dev.sendControlRequest(20 /* GetDeviceIdRequest */, null, options);
+						expect(rep.result).to.equal(0);
+						expect(onRetry).to.have.been.calledOnceWith(sinon.match({
+							type: 20,
+							attempt: 1,
+							delay: 0,
+							error: sinon.match.instanceOf(error.UsbError)
+						}));
+					});
+
+					it('retries a request if the device is busy', async () => {
+						const replyResult = sinon.stub(usbDev.protocol, 'replyResult')
+							.onFirstCall().returns(-110 /* BUSY */)
+							.returns(0);
+						const rep = await dev.sendControlRequest(REQUEST_1, Buffer.from('request data'), options);
+						expect(rep.result).to.equal(0);
+						expect(replyResult).to.have.been.calledTwice;
+					});
+
+					it('does not retry a request that is not idempotent once its data has been delivered', async () => {
+						sinon.stub(usbDev.protocol, 'checkRequest').throws(new error.UsbError('LIBUSB_ERROR_PIPE'));
+						const initRequest = sinon.spy(usbDev.protocol, 'initRequest');
+						const req = dev.sendControlRequest(REQUEST_1, null, options);
+						await expect(req).to.be.rejectedWith(error.UsbError);
+						expect(initRequest).to.have.been.calledOnce;
+					});
+
+					it('retries a request that is marked as idempotent', async () => {
+						sinon.stub(usbDev.protocol, 'checkRequest').throws(new error.UsbError('LIBUSB_ERROR_PIPE'));
+						const initRequest = sinon.spy(usbDev.protocol, 'initRequest');
+						const req = dev.sendControlRequest(REQUEST_1, null, Object.assign({ idempotent: true }, options));
+						await expect(req).to.be.rejectedWith(error.UsbError);
+						expect(initRequest).to.have.been.calledThrice;
+					});
+				});
+			});
+		});
+
+		describe('with registered transport', () => {
+			const TRANSPORT_DEVICE_ID = '222222222222222222222222';
+
+			beforeEach(() => {
+				const platform = PLATFORMS.find((p) => p.name === 'argon');
+				const transportDev = new fakeUsb.Device(1000, {
+					type: platform.name,
+					platformId: platform.id,
+					vendorId: platform.usb.vendorId,
+					productId: platform.usb.productId,
+					id: TRANSPORT_DEVICE_ID,
+					serialNumber: TRANSPORT_DEVICE_ID,
+					firmwareVersion: '1.0.0'
+				});
+				registerTransport({
+					name: 'test',
+					getDevices: async (filters) => filterDevices([transportDev], filters)
+				});
+				fakeUsb.addPhoton();
+			});
+
+			afterEach(() => {
+				unregisterTransport('test');
+			});
+
+			it('enumerates devices of all transports', async () => {
+				const devs = await getDevices();
+				expect(devs.map((dev) => dev.type)).to.have.all.members(['photon', 'argon']);
+			});
+
+			it('can send control requests to a device of a registered transport', async function test() {
+				dev = await openDeviceById(TRANSPORT_DEVICE_ID);
+				expect(dev.type).to.equal('argon');
+				sinon.useFakeTimers();
+				const initRequest = sinon.spy(dev.usbDevice.protocol, 'initRequest');
+				const req = dev.sendControlRequest(REQUEST_1);
+				await this.checkTimeout();
+				await req;
+				expect(initRequest).to.have.been.calledWith(sinon.match({ type: REQUEST_1 }));
+				await dev.close();
 			});
 		});
 
@@ -0,0 +1,418 @@
+'use strict';
+const { getDevices, deviceIdFromSerialNumber } = require('./device-base');
+const { setDevicePrototype } = require('./set-device-prototype');
+const { StateError, TimeoutError, AbortError } = require('./error');
+const { createLogger } = require('./logger');
+
+const EventEmitter = require('events');
+
+// Default number of devices processed in parallel
+const DEFAULT_CONCURRENCY = 4;
+// Default time given to a task that has timed out or has been aborted to stop before it is retried
+// or reported as failed (milliseconds)
+const DEFAULT_SETTLE_TIMEOUT = 5000;
+
+// Resolves after the specified time or rejects with an AbortError when the signal is triggered
+function delay(ms, signal = null) {
+	if (signal && signal.aborted) {
+		return Promise.reject(new AbortError('Operation aborted', { cause: signal.reason }));
+	}
+	return new Promise((resolve, reject) => {
+		const onAbort = () => {
+			clearTimeout(timer);
+			reject(new AbortError('Operation aborted', { cause: signal.reason }));
+		};
+		const timer = setTimeout(() => {
+			if (signal) {
+				signal.removeEventListener('abort', onAbort);
+			}
+			resolve();
+		}, ms);
+		if (signal) {
+			signal.addEventListener('abort', onAbort, { once: true });
+		}
+	});
+}
+
+/**
+ * Outcome of a task for a single device.
+ *
+ * @typedef {Object} DeviceTaskResult
+ * @property {String|null} id Device ID, or `null` if it couldn't be read.
+ * @property {Device} device Device instance.
+ * @property {Boolean} ok Set to `true` if the task succeeded.
+ * @property {*} result Value returned by the task.
+ * @property {Error} error Error reported by the last attempt if the task failed.
+ * @property {Number} attempts Number of attempts made.
+ * @property {Number} duration Time it took to process the device, including the retries (milliseconds).
+ */
+
+/**
+ * Outcome of a task for all devices of a fleet.
+ *
+ * @typedef {Object} FleetReport
+ * @property {Number} total Number of devices.
+ * @property {Number} succeeded Number of devices the task succeeded for.
+ * @property {Number} failed Number of devices the task failed for.
+ * @property {Number} duration Total duration of the operation (milliseconds).
+ * @property {Array<DeviceTaskResult>} results Results arranged in the same order as the devices.
+ */
+
+/**
+ * Aggregate progress of a task.
+ *
+ * @typedef {Object} FleetProgress
+ * @property {Number} total Number of devices.
+ * @property {Number} completed Number of devices the task has completed for, successfully or not.
+ * @property {Number} succeeded Number of devices the task succeeded for.
+ * @property {Number} failed Number of devices the task failed for.
+ * @property {Number} running Number of devices the task is currently running for.
+ * @property {Number} fraction Overall progress in the range [0, 1].
+ */
+
+/**
+ * Context object passed to a task.
+ *
+ * @typedef {Object} DeviceTaskContext
+ * @property {Number} attempt Attempt number, starting from 1.
+ * @property {AbortSignal} signal Signal that is aborted when the attempt times out or the operation is
+ *           aborted. The task is expected to pass it to the device methods it calls.
+ * @property {Function} progress Function that the task can call to report its progress for the device.
+ *           The first argument is a number in the range [0, 1]. An optional second argument is passed
+ *           as is to the `device:progress` event.
+ */
+
+/**
+ * Runs operations on a group of devices in parallel.
+ *
+ * A failure of the operation for one device does not affect the other devices. The outcome of the
+ * operation for every device is reported in a {@link FleetReport}.
+ *
+ * Events:
+ * - `device:start` ({ id, device, attempt }): The task has started for a device.
+ * - `device:progress` ({ id, device, fraction, info }): The task has reported its progress for a device.
+ * - `device:done` ({@link DeviceTaskResult}): The task has succeeded for a device.
+ * - `device:error` ({@link DeviceTaskResult}): The task has failed for a device after all attempts.
+ * - `device:retry` ({ id, device, attempt, error }): The task has failed for a device and will be retried.
+ * - `progress` ({@link FleetProgress}): The aggregate progress has changed.
+ */
+class DeviceFleet extends EventEmitter {
+	/**
+	 * Constructor.
+	 *
+	 * @param {Object} [options] Options.
+	 * @param {Array<String>} [options.types] Device types (photon, boron, tracker, etc). By default, devices
+	 *        of all platforms supported by the library are included.
+	 * @param {Array<String>} [options.ids] IDs of the devices to include. By default, all devices are included.
+	 * @param {Boolean} [options.includeDfu=false] Whether to include devices in the DFU mode.
+	 * @param {Function} [options.filter] Function that returns `false` if a device needs to be excluded. The
+	 *        function takes an object with the `id`, `type`, `platformId`, `dfu` and `device` properties.
+	 *        The device is not open at this point.
+	 * @param {Number} [options.concurrency=4] Maximum number of devices processed in parallel.
+	 * @param {Object} [options.openOptions] Options passed to {@link DeviceBase#open}.
+	 */
+	constructor(options) {
+		super();
+		options = Object.assign({
+			types: [],
+			ids: null,
+			includeDfu: false,
+			filter: null,
+			concurrency: DEFAULT_CONCURRENCY,
+			openOptions: null
+		}, options);
+		this._types = options.types;
+		this._ids = options.ids ? options.ids.map((id) => id.toLowerCase()) : null;
+		this._includeDfu = options.includeDfu;
+		this._filter = options.filter;
+		this._concurrency = options.concurrency;
+		this._openOptions = options.openOptions;
+		this._log = createLogger({ component: 'fleet' });
+		this._devs = []; // Open devices
+		this._deviceIds = new WeakMap(); // IDs of the enumerated devices
+		this._open = false;
+	}
+
+	/**
+	 * Enumerate the matching devices and open them.
+	 *
+	 * Devices that cannot be opened are reported as failed and are not included in the fleet.
+	 *
+	 * @param {Object} [options] Options (see {@link DeviceFleet#run}).
+	 * @return {Promise<FleetReport>}
+	 */
+	async open(options) {
+		if (this._open) {
+			throw new StateError('Device fleet is already open');
+		}
+		let devs = await getDevices({ types: this._types, includeDfu: this._includeDfu });
+		devs = devs.map((dev) => setDevicePrototype(dev));
+		for (const dev of devs) {
+			this._deviceIds.set(dev, await this._getDeviceId(dev));
+		}
+		if (this._ids || this._filter) {
+			// Devices whose ID can't be read can't be matched
+			devs = devs.filter((dev) => {
+				if (!this._deviceId(dev)) {
+					this._log.warn('Skipping device with unknown ID', { type: dev.type });
+					return false;
+				}
+				return true;
+			});
+		}
+		if (this._ids) {
+			devs = devs.filter((dev) => this._ids.includes(this._deviceId(dev)));
+		}
+		if (this._filter) {
+			devs = devs.filter((dev) => this._filter({
+				id: this._deviceId(dev),
+				type: dev.type,
+				platformId: dev.platformId,
+				dfu: dev.isInDfuMode,
+				device: dev
+			}));
+		}
+		const report = await this._runTasks(devs, (dev) => dev.open(this._openOptions), options);
+		this._devs = report.results.filter((r) => r.ok).map((r) => r.device);
+		this._open = true;
+		return report;
+	}
+
+	/**
+	 * Run a task for every device of the fleet.
+	 *
+	 * @param {Function} task Function that takes a {@link Device} and a {@link DeviceTaskContext} and
+	 *        returns a promise.
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.concurrency] Maximum number of devices processed in parallel. By default,
+	 *        the value passed to the constructor is used.
+	 * @param {Number} [options.retries=0] Number of times the task is retried for a device if it fails.
+	 * @param {Number} [options.retryDelay=0] Delay before retrying the task (milliseconds).
+	 * @param {Number} [options.timeout] Timeout for a single attempt (milliseconds). By default, the
+	 *        task is not limited in time.
+	 * @param {Number} [options.settleTimeout=5000] Time given to an attempt that has timed out or has
+	 *        been aborted to stop before the task is retried or the device is reported as failed
+	 *        (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation. The task is
+	 *        not started for the remaining devices and the devices are reported as failed.
+	 * @return {Promise<FleetReport>}
+	 */
+	async run(task, options) {
+		if (!this._open) {
+			throw new StateError('Device fleet is not open');
+		}
+		return this._runTasks(this._devs, task, options);
+	}
+
+	/**
+	 * Close all devices of the fleet.
+	 *
+	 * @param {Object} [options] Options (see {@link DeviceBase#close}).
+	 * @return {Promise}
+	 */
+	async close(options) {
+		const devs = this._devs;
+		this._devs = [];
+		this._open = false;
+		await Promise.all(devs.map((dev) => dev.close(options).catch((err) => {
+			this._log.child({ deviceId: this._deviceId(dev) }).warn('Unable to close device', { error: err });
+		})));
+	}
+
+	/**
+	 * Open devices of the fleet.
+	 *
+	 * @return {Array<Device>}
+	 */
+	get devices() {
+		return this._devs.slice();
+	}
+
+	async _runTasks(devs, task, options = {}) {
+		const { concurrency = this._concurrency, retries = 0, retryDelay = 0, timeout = null, settleTimeout = DEFAULT_SETTLE_TIMEOUT, signal = null } = options;
+		const startTime = Date.now();
+		const fractions = devs.map(() => 0);
+		const results = new Array(devs.length);
+		const progress = { total: devs.length, completed: 0, succeeded: 0, failed: 0, running: 0, fraction: 0 };
+		const emitProgress = () => {
+			progress.fraction = devs.length ? fractions.reduce((sum, f) => sum + f, 0) / devs.length : 1;
+			this._emitEvent('progress', Object.assign({}, progress));
+		};
+		const runDevice = async (i) => {
+			const dev = devs[i];
+			const id = this._deviceId(dev);
+			const log = this._log.child({ deviceId: id });
+			const devStartTime = Date.now();
+			let result;
+			let error;
+			let attempt = 0;
+			++progress.running;
+			for (;;) {
+				error = null;
+				if (signal && signal.aborted) {
+					error = new AbortError('Operation aborted', { cause: signal.reason });
+					break;
+				}
+				++attempt;
+				this._emitEvent('device:start', { id, device: dev, attempt });
+				try {
+					result = await this._runAttempt(task, dev, { attempt, timeout, settleTimeout, signal, log }, (fraction, info) => {
+						fractions[i] = Math.min(Math.max(fraction, 0), 1);
+						this._emitEvent('device:progress', { id, device: dev, fraction: fractions[i], info });
+						emitProgress();
+					});
+					break;
+				} catch (err) {
+					error = err;
+				}
+				if (attempt > retries || (signal && signal.aborted)) {
+					break;
+				}
+				log.trace('Task failed, retrying', { attempt, error });
+				this._emitEvent('device:retry', { id, device: dev, attempt, error });
+				if (retryDelay) {
+					try {
+						await delay(retryDelay, signal);
+					} catch (err) {
+						error = err;
+						break;
+					}
+				}
+			}
+			const r = {
+				id,
+				device: dev,
+				ok: !error,
+				result: error ? undefined : result,
+				error,
+				attempts: attempt,
+				duration: Date.now() - devStartTime
+			};
+			results[i] = r;
+			fractions[i] = 1;
+			--progress.running;
+			++progress.completed;
+			if (error) {
+				++progress.failed;
+				this._emitEvent('device:error', r);
+			} else {
+				++progress.succeeded;
+				this._emitEvent('device:done', r);
+			}
+			emitProgress();
+		};
+		// Process the devices in the order they were enumerated, with a limited number of workers
+		let next = 0;
+		const worker = async () => {
+			while (next < devs.length) {
+				await runDevice(next++);
+			}
+		};
+		const workers = [];
+		for (let i = 0; i < Math.min(Math.max(concurrency, 1), devs.length); ++i) {
+			workers.push(worker());
+		}
+		await Promise.all(workers);
+		return {
+			total: devs.length,
+			succeeded: progress.succeeded,
+			failed: progress.failed,
+			duration: Date.now() - startTime,
+			results
+		};
+	}
+
+	async _runAttempt(task, dev, { attempt, timeout, settleTimeout, signal, log }, progress) {
+		const controller = new AbortController();
+		const onAbort = () => controller.abort(signal.reason);
+		if (signal) {
+			signal.addEventListener('abort', onAbort);
+		}
+		let timer = null;
+		let settled = false;
+		const taskPromise = Promise.resolve().then(() => task(dev, { attempt, signal: controller.signal, progress }))
+			.finally(() => {
+				settled = true;
+			});
+		try {
+			const promises = [taskPromise];
+			if (timeout) {
+				promises.push(new Promise((resolve, reject) => {
+					timer = setTimeout(() => {
+						const err = new TimeoutError('Operation timed out');
+						reject(err);
+						controller.abort(err);
+					}, timeout);
+				}));
+			}
+			if (signal) {
+				promises.push(new Promise((resolve, reject) => {
+					controller.signal.addEventListener('abort', () => {
+						reject(new AbortError('Operation aborted', { cause: controller.signal.reason }));
+					});
+				}));
+			}
+			return await Promise.race(promises);
+		} catch (err) {
+			if (!settled) {
+				// Give the task a chance to stop so that it doesn't interfere with the next attempt
+				await this._waitSettled(taskPromise, settleTimeout, log);
+			}
+			throw err;
+		} finally {
+			if (timer) {
+				clearTimeout(timer);
+			}
+			if (signal) {
+				signal.removeEventListener('abort', onAbort);
+			}
+		}
+	}
+
+	async _waitSettled(taskPromise, settleTimeout, log) {
+		let timer = null;
+		const timedOut = await Promise.race([
+			taskPromise.then(() => false, () => false),
+			new Promise((resolve) => {
+				timer = setTimeout(() => resolve(true), settleTimeout);
+			})
+		]);
+		clearTimeout(timer);
+		if (timedOut) {
+			log.warn('Task did not stop in time', { settleTimeout });
+		}
+	}
+
+	// Returns the ID of a device that is not necessarily open
+	_deviceId(dev) {
+		return dev.id || this._deviceIds.get(dev) || null;
+	}
+
+	// The serial number of a device is only available after it has been open at least once
+	async _getDeviceId(dev) {
+		const usbDev = dev.usbDevice;
+		try {
+			if (!usbDev.serialNumber && !usbDev.isOpen) {
+				await usbDev.open();
+				await usbDev.close();
+			}
+			return usbDev.serialNumber ? deviceIdFromSerialNumber(usbDev.serialNumber) : null;
+		} catch (err) {
+			this._log.warn('Unable to get device ID', { type: dev.type, error: err });
+			return null;
+		}
+	}
+
+	_emitEvent(name, data) {
+		try {
+			this.emit(name, data);
+		} catch (err) {
+			// Errors thrown by the listeners must not affect the processing of the other devices
+			this._log.warn('Unhandled error in event listener', { event: name, error: err });
+		}
+	}
+}
+
+module.exports = {
+	DeviceFleet
+};
@@ -0,0 +1,204 @@
+'use strict';
+const { fakeUsb, sinon, expect } = require('../test/support');
+const proxyquire = require('proxyquire');
+const { StateError, TimeoutError, AbortError } = require('./error');
+
+const { DeviceFleet } = proxyquire('./device-fleet', {
+	'./device-base': proxyquire('./device-base', {
+		'./usb-device-node': fakeUsb
+	})
+});
+
+describe('device-fleet', () => {
+	let fleet;
+
+	beforeEach(() => {
+		fleet = null;
+	});
+
+	afterEach(async () => {
+		if (fleet) {
+			await fleet.close();
+		}
+		fakeUsb.clearDevices();
+		sinon.restore();
+	});
+
+	describe('DeviceFleet', () => {
+		it('opens the matching devices', async () => {
+			const boron1 = fakeUsb.addBoron({ id: '111111111111111111111111' });
+			const boron2 = fakeUsb.addBoron({ id: '222222222222222222222222' });
+			const boron3 = fakeUsb.addBoron({ id: '333333333333333333333333' });
+			fakeUsb.addBoron({ dfu: true });
+			fakeUsb.addPhoton();
+			fleet = new DeviceFleet({ types: ['boron'], filter: ({ id }) => id !== '333333333333333333333333' });
+			const report = await fleet.open();
+			expect(report.total).to.equal(2);
+			expect(report.succeeded).to.equal(2);
+			expect(fleet.devices.map((dev) => dev.usbDevice)).to.have.all.members([boron1, boron2]);
+			expect(boron1.isOpen).to.be.true;
+			expect(boron2.isOpen).to.be.true;
+			expect(boron3.isOpen).to.be.false;
+			await fleet.close();
+			expect(boron1.isOpen).to.be.false;
+			expect(boron2.isOpen).to.be.false;
+			expect(fleet.devices).to.be.empty;
+		});
+
+		it('reads the IDs of the devices that have not been open yet', async () => {
+			const boron1 = fakeUsb.addBoron({ id: '111111111111111111111111', serialNumberAfterOpen: true });
+			fakeUsb.addBoron({ id: '222222222222222222222222', serialNumberAfterOpen: true });
+			expect(boron1.serialNumber).to.be.null;
+			fleet = new DeviceFleet({ ids: ['111111111111111111111111'] });
+			const report = await fleet.open();
+			expect(report.total).to.equal(1);
+			expect(report.results[0]).to.include({ id: '111111111111111111111111', ok: true });
+			expect(fleet.devices.map((dev) => dev.usbDevice)).to.deep.equal([boron1]);
+			const result = await fleet.run(async (dev) => dev.id);
+			expect(result.results[0]).to.include({ id: '111111111111111111111111', result: '111111111111111111111111' });
+		});
+
+		it('fails to run a task if the fleet is not open', async () => {
+			fleet = new DeviceFleet();
+			await expect(fleet.run(async () => {})).to.be.rejectedWith(StateError);
+		});
+
+		it('isolates failures of individual devices', async () => {
+			fakeUsb.addArgon({ id: '111111111111111111111111' });
+			fakeUsb.addArgon({ id: '222222222222222222222222' });
+			fakeUsb.addArgon({ id: '333333333333333333333333' });
+			fleet = new DeviceFleet();
+			await fleet.open();
+			const failed = sinon.spy();
+			fleet.on('device:error', failed);
+			const report = await fleet.run(async (dev) => {
+				if (dev.id === '222222222222222222222222') {
+					throw new Error('Test error');
+				}
+				return dev.id;
+			});
+			expect(report.total).to.equal(3);
+			expect(report.succeeded).to.equal(2);
+			expect(report.failed).to.equal(1);
+			const r = report.results.find((r) => r.id === '222222222222222222222222');
+			expect(r.ok).to.be.false;
+			expect(r.error.message).to.equal('Test error');
+			expect(r.attempts).to.equal(1);
+			expect(report.results.filter((r) => r.ok).map((r) => r.result)).to.have.all.members([
+				'111111111111111111111111',
+				'333333333333333333333333'
+			]);
+			expect(failed).to.have.been.calledOnceWith(r);
+		});
+
+		it('retries the task for a device', async () => {
+			fakeUsb.addArgon();
+			fleet = new DeviceFleet();
+			await fleet.open();
+			const task = sinon.stub();
+			task.onFirstCall().rejects(new Error('Test error'));
+			task.onSecondCall().resolves(123);
+			const report = await fleet.run(task, { retries: 2 });
+			expect(task).to.have.been.calledTwice;
+			expect(task.secondCall.args[1].attempt).to.equal(2);
+			expect(report.results[0]).to.include({ ok: true, result: 123, attempts: 2 });
+		});
+
+		it('limits the duration of each attempt', async () => {
+			fakeUsb.addArgon();
+			fleet = new DeviceFleet();
+			await fleet.open();
+			let signal = null;
+			const report = await fleet.run((dev, ctx) => {
+				signal = ctx.signal;
+				return new Promise(() => {});
+			}, { timeout: 10, retries: 1, settleTimeout: 10 });
+			expect(report.results[0].ok).to.be.false;
+			expect(report.results[0].attempts).to.equal(2);
+			expect(report.results[0].error).to.be.an.instanceOf(TimeoutError);
+			expect(signal.aborted).to.be.true;
+		});
+
+		it('waits for a timed out attempt to stop before retrying the task', async () => {
+			fakeUsb.addArgon();
+			fleet = new DeviceFleet();
+			await fleet.open();
+			let running = 0;
+			let maxRunning = 0;
+			const report = await fleet.run(async (dev, ctx) => {
+				maxRunning = Math.max(maxRunning, ++running);
+				if (ctx.attempt === 1) {
+					await new Promise((resolve) => ctx.signal.addEventListener('abort', resolve));
+					// Cleaning up takes some time
+					await new Promise((resolve) => setTimeout(resolve, 20));
+				}
+				--running;
+				return ctx.attempt;
+			}, { timeout: 10, retries: 1 });
+			expect(maxRunning).to.equal(1);
+			expect(report.results[0]).to.include({ ok: true, result: 2, attempts: 2 });
+		});
+
+		it('stops waiting for the next attempt when the operation is aborted', async () => {
+			fakeUsb.addArgon();
+			fleet = new DeviceFleet();
+			await fleet.open();
+			const ctrl = new AbortController();
+			const task = sinon.stub().callsFake(async () => {
+				setTimeout(() => ctrl.abort(), 10);
+				throw new Error('Test error');
+			});
+			const start = Date.now();
+			const report = await fleet.run(task, { retries: 1, retryDelay: 60000, signal: ctrl.signal });
+			expect(Date.now() - start).to.be.below(1000);
+			expect(task).to.have.been.calledOnce;
+			expect(report.results[0].ok).to.be.false;
+			expect(report.results[0].attempts).to.equal(1);
+			expect(report.results[0].error).to.be.an.instanceOf(AbortError);
+		});
+
+		it('does not count an attempt for a device skipped due to an aborted operation', async () => {
+			fakeUsb.addArgon();
+			fleet = new DeviceFleet();
+			await fleet.open();
+			const ctrl = new AbortController();
+			ctrl.abort();
+			const task = sinon.stub().resolves();
+			const report = await fleet.run(task, { signal: ctrl.signal });
+			expect(task).to.not.have.been.called;
+			expect(report.results[0]).to.include({ ok: false, attempts: 0 });
+			expect(report.results[0].error).to.be.an.instanceOf(AbortError);
+		});
+
+		it('limits the number of devices processed in parallel', async () => {
+			for (let i = 0; i < 5; ++i) {
+				fakeUsb.addArgon();
+			}
+			fleet = new DeviceFleet({ concurrency: 2 });
+			await fleet.open();
+			let running = 0;
+			let maxRunning = 0;
+			const report = await fleet.run(async () => {
+				maxRunning = Math.max(maxRunning, ++running);
+				await new Promise((resolve) => setTimeout(resolve, 5));
+				--running;
+			});
+			expect(report.succeeded).to.equal(5);
+			expect(maxRunning).to.equal(2);
+		});
+
+		it('reports the aggregate progress', async () => {
+			fakeUsb.addArgon();
+			fakeUsb.addArgon();
+			fleet = new DeviceFleet();
+			await fleet.open();
+			const progress = sinon.spy();
+			fleet.on('progress', progress);
+			await fleet.run(async (dev, ctx) => {
+				ctx.progress(0.5);
+			}, { concurrency: 1 });
+			expect(progress.args.map((args) => args[0].fraction)).to.deep.equal([0.25, 0.5, 0.75, 1]);
+			expect(progress.lastCall.args[0]).to.include({ total: 2, completed: 2, succeeded: 2, failed: 0, running: 0 });
+		});
+	});
+});
@@ -0,0 +1,17 @@
+'use strict';
+const { StateError } = require('./error');
+
+// Lock files are not available in the browser
+
+async function acquireDeviceLock() {
+	throw new StateError('Device locking is not supported in this environment');
+}
+
+async function getDeviceLockOwner() {
+	return null;
+}
+
+module.exports = {
+	acquireDeviceLock,
+	getDeviceLockOwner
+};
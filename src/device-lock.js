@@ -0,0 +1,223 @@
+'use strict';
+const { LockError, AbortError } = require('./error');
+const { globalOptions } = require('./config');
+const { createLogger } = require('./logger');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Interval for checking if a lock has been released
+const LOCK_POLL_INTERVAL = 100;
+
+let lastTempId = 0;
+
+const log = createLogger({ component: 'lock' });
+
+/**
+ * Information about the process holding a device lock.
+ *
+ * @typedef {Object} DeviceLockOwner
+ * @property {Number} pid Process ID.
+ * @property {String} hostname Host name.
+ * @property {Number} time Time when the lock was acquired (milliseconds since the epoch).
+ */
+
+/**
+ * Advisory lock preventing other processes from opening a device.
+ *
+ * The lock is represented by a file named after the device ID. The file contains the ID of the process
+ * holding the lock, so that a lock left by a process that has crashed can be detected and removed.
+ */
+class DeviceLock {
+	constructor(id, file) {
+		this._id = id;
+		this._file = file;
+		this._released = false;
+	}
+
+	/**
+	 * Release the lock.
+	 *
+	 * @return {Promise}
+	 */
+	async release() {
+		if (this._released) {
+			return;
+		}
+		this._released = true;
+		try {
+			const owner = await readOwner(this._file);
+			if (owner && owner.pid === process.pid && owner.hostname === os.hostname()) {
+				await fs.promises.unlink(this._file);
+			}
+		} catch (err) {
+			log.warn('Unable to release device lock', { file: this._file, error: err });
+		}
+	}
+
+	/**
+	 * Device ID.
+	 *
+	 * @return {String}
+	 */
+	get id() {
+		return this._id;
+	}
+
+	/**
+	 * Path to the lock file.
+	 *
+	 * @return {String}
+	 */
+	get file() {
+		return this._file;
+	}
+}
+
+function lockDir(dir) {
+	return dir || globalOptions.lockDir || path.join(os.tmpdir(), 'particle-usb-locks');
+}
+
+function lockFile(id, dir) {
+	return path.join(lockDir(dir), `${id.toLowerCase()}.lock`);
+}
+
+function tempFile(file) {
+	return `${file}.${process.pid}.${++lastTempId}.tmp`;
+}
+
+async function readOwner(file) {
+	let data;
+	try {
+		data = await fs.promises.readFile(file, 'utf8');
+	} catch (err) {
+		if (err.code === 'ENOENT') {
+			return null;
+		}
+		throw err;
+	}
+	try {
+		const owner = JSON.parse(data);
+		return { pid: owner.pid, hostname: owner.hostname, time: owner.time };
+	} catch (_err) {
+		return { pid: null, hostname: null, time: null };
+	}
+}
+
+function isProcessRunning(pid) {
+	try {
+		process.kill(pid, 0);
+		return true;
+	} catch (err) {
+		return err.code === 'EPERM';
+	}
+}
+
+// A lock is stale if the process that has created it is no longer running. Locks created on other hosts
+// sharing the same directory are never considered stale
+function isStale(owner) {
+	return !!owner.pid && owner.hostname === os.hostname() && owner.pid !== process.pid &&
+			!isProcessRunning(owner.pid);
+}
+
+// Creates the lock file atomically. Returns false if the file already exists
+async function tryCreate(file) {
+	const temp = tempFile(file);
+	const data = JSON.stringify({ pid: process.pid, hostname: os.hostname(), time: Date.now() });
+	await fs.promises.writeFile(temp, data);
+	try {
+		await fs.promises.link(temp, file);
+		return true;
+	} catch (err) {
+		if (err.code === 'EEXIST') {
+			return false;
+		}
+		throw err;
+	} finally {
+		await fs.promises.unlink(temp).catch(() => {});
+	}
+}
+
+// Removes a stale lock file. The file is renamed first, so that a lock that has just been created by
+// another process in place of the stale one doesn't get removed by mistake
+async function removeStale(file, owner) {
+	const temp = tempFile(file);
+	try {
+		await fs.promises.rename(file, temp);
+	} catch (err) {
+		if (err.code === 'ENOENT') {
+			return;
+		}
+		throw err;
+	}
+	const renamed = await readOwner(temp);
+	if (renamed && (renamed.pid !== owner.pid || renamed.time !== owner.time)) {
+		// Put the lock back
+		await fs.promises.link(temp, file).catch(() => {});
+	} else {
+		log.trace('Removed stale lock file', { file });
+	}
+	await fs.promises.unlink(temp).catch(() => {});
+}
+
+/**
+ * Acquire an advisory lock for a device.
+ *
+ * @param {String} id Device ID.
+ * @param {Object} [options] Options.
+ * @param {String} [options.dir] Directory for the lock files. By default, the directory set via
+ *        {@link config} or a subdirectory of the system's temporary directory is used.
+ * @param {Number} [options.timeout=0] Maximum time to wait for the lock to be released if it is held by
+ *        another process (milliseconds).
+ * @param {AbortSignal} [options.signal] Signal that can be used to stop waiting for the lock.
+ * @return {Promise<DeviceLock>}
+ */
+async function acquireDeviceLock(id, { dir = null, timeout = 0, signal = null } = {}) {
+	const file = lockFile(id, dir);
+	await fs.promises.mkdir(path.dirname(file), { recursive: true });
+	const timeoutTime = Date.now() + timeout;
+	for (;;) {
+		if (await tryCreate(file)) {
+			return new DeviceLock(id, file);
+		}
+		const owner = await readOwner(file);
+		if (!owner) {
+			continue; // The lock has just been released
+		}
+		if (isStale(owner)) {
+			await removeStale(file, owner);
+			continue;
+		}
+		if (Date.now() >= timeoutTime) {
+			const who = owner.pid ? `process ${owner.pid}` : 'another process';
+			throw new LockError(owner.pid, `Device ${id} is locked by ${who}`);
+		}
+		if (signal && signal.aborted) {
+			throw new AbortError('Operation aborted', { cause: signal.reason });
+		}
+		await new Promise((resolve) => setTimeout(resolve, Math.min(LOCK_POLL_INTERVAL, timeoutTime - Date.now())));
+	}
+}
+
+/**
+ * Get information about the process holding the lock for a device.
+ *
+ * @param {String} id Device ID.
+ * @param {Object} [options] Options.
+ * @param {String} [options.dir] Directory for the lock files.
+ * @return {Promise<DeviceLockOwner|null>} Lock owner or `null` if the device is not locked.
+ */
+async function getDeviceLockOwner(id, { dir = null } = {}) {
+	const owner = await readOwner(lockFile(id, dir));
+	if (!owner || isStale(owner)) {
+		return null;
+	}
+	return owner;
+}
+
+module.exports = {
+	DeviceLock,
+	acquireDeviceLock,
+	getDeviceLockOwner
+};
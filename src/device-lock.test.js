@@ -0,0 +1,61 @@
+'use strict';
+const { expect } = require('../test/support');
+const { acquireDeviceLock, getDeviceLockOwner } = require('./device-lock');
+const { LockError } = require('./error');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEVICE_ID = '0123456789abcdef01234567';
+
+describe('device-lock', () => {
+	let dir;
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'particle-usb-test-'));
+	});
+
+	afterEach(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	describe('acquireDeviceLock()', () => {
+		it('creates a lock file containing the process ID', async () => {
+			const lock = await acquireDeviceLock(DEVICE_ID, { dir });
+			expect(lock.file).to.equal(path.join(dir, `${DEVICE_ID}.lock`));
+			const owner = await getDeviceLockOwner(DEVICE_ID, { dir });
+			expect(owner.pid).to.equal(process.pid);
+			expect(owner.hostname).to.equal(os.hostname());
+			await lock.release();
+			expect(fs.existsSync(lock.file)).to.be.false;
+			expect(await getDeviceLockOwner(DEVICE_ID, { dir })).to.be.null;
+		});
+
+		it('fails if the device is already locked', async () => {
+			const lock = await acquireDeviceLock(DEVICE_ID, { dir });
+			const err = await expect(acquireDeviceLock(DEVICE_ID, { dir })).to.be.rejectedWith(LockError);
+			expect(err.pid).to.equal(process.pid);
+			expect(err.message).to.include(`process ${process.pid}`);
+			await lock.release();
+		});
+
+		it('waits for the lock to be released', async () => {
+			const lock1 = await acquireDeviceLock(DEVICE_ID, { dir });
+			setTimeout(() => lock1.release(), 50);
+			const lock2 = await acquireDeviceLock(DEVICE_ID, { dir, timeout: 1000 });
+			expect(fs.existsSync(lock2.file)).to.be.true;
+			await lock2.release();
+		});
+
+		it('removes a lock left by a process that is no longer running', async () => {
+			const file = path.join(dir, `${DEVICE_ID}.lock`);
+			fs.writeFileSync(file, JSON.stringify({ pid: 0x7fffffff, hostname: os.hostname(), time: Date.now() }));
+			expect(await getDeviceLockOwner(DEVICE_ID, { dir })).to.be.null;
+			const lock = await acquireDeviceLock(DEVICE_ID, { dir });
+			const owner = await getDeviceLockOwner(DEVICE_ID, { dir });
+			expect(owner.pid).to.equal(process.pid);
+			await lock.release();
+		});
+	});
+});
@@ -0,0 +1,294 @@
+'use strict';
+const { getDevices, deviceIdFromSerialNumber } = require('./device-base');
+const { watchUsbDevices } = require('./usb-device-node');
+const { getTransports } = require('./transport');
+const { setDevicePrototype } = require('./set-device-prototype');
+const { StateError } = require('./error');
+const { createLogger } = require('./logger');
+
+const EventEmitter = require('events');
+
+// Default interval for polling the list of devices when hotplug notifications are not available
+const DEFAULT_POLL_INTERVAL = 1000;
+
+// Time to wait after a hotplug notification before enumerating the devices. A freshly attached
+// device may not be able to respond to descriptor requests right away
+const HOTPLUG_SETTLE_DELAY = 250;
+
+// A device that reappears in a different mode within this time is considered to have changed its mode
+const DEFAULT_MODE_CHANGE_TIMEOUT = 30000;
+
+/**
+ * @typedef {Object} DeviceWatcherEvent
+ * @property {String} id Device ID.
+ * @property {String} type Device type (photon, boron, tracker, etc).
+ * @property {Number} platformId Platform ID.
+ * @property {Boolean} dfu Set to `true` if the device is in the DFU mode.
+ * @property {Device} device Device instance. The instance is not open.
+ */
+
+/**
+ * Watches for Particle USB devices being attached to or detached from the host.
+ *
+ * The watcher uses hotplug notifications where they are available (libusb hotplug in Node.js, the
+ * `connect`/`disconnect` events in the browser) and falls back to polling the list of devices
+ * otherwise.
+ *
+ * Events:
+ * - `attached` ({@link DeviceWatcherEvent}): A device has been attached to the host. This event is
+ *   also emitted for the devices that are already attached when the watcher starts.
+ * - `detached` ({@link DeviceWatcherEvent}): A device has been detached from the host.
+ * - `modeChanged` ({@link DeviceWatcherEvent}): A device has re-enumerated in a different mode (e.g. it
+ *   has entered or left the DFU mode). The event object has an additional `previousDfu` property. This
+ *   event is emitted after the `attached` event for the device.
+ * - `ready`: The initial list of devices has been enumerated.
+ * - `error` (Error): The list of devices could not be enumerated.
+ *
+ * This class is not meant to be instantiated directly. Use {@link watchDevices} to create a watcher.
+ */
+class DeviceWatcher extends EventEmitter {
+	constructor(options) {
+		super();
+		options = Object.assign({
+			types: [], // All device types
+			includeDfu: true, // Include devices in DFU mode
+			pollInterval: DEFAULT_POLL_INTERVAL, // Polling interval
+			modeChangeTimeout: DEFAULT_MODE_CHANGE_TIMEOUT // Maximum re-enumeration time
+		}, options);
+		this._types = options.types;
+		this._includeDfu = options.includeDfu;
+		this._pollInterval = options.pollInterval;
+		this._modeChangeTimeout = options.modeChangeTimeout;
+		this._log = createLogger({ component: 'watcher' });
+		this._devs = new Map(); // Attached devices arranged by device ID
+		this._detached = new Map(); // Recently detached devices arranged by device ID
+		this._unwatch = null; // Cancels the hotplug subscription
+		this._pollTimer = null; // Polling timer
+		this._settleTimer = null; // Timer for the delayed enumeration
+		this._scanning = false; // Set to true if the devices are being enumerated
+		this._rescan = false; // Set to true if the devices need to be enumerated again
+		this._running = false;
+	}
+
+	/**
+	 * Start watching for devices.
+	 *
+	 * @return {Promise} Resolves when the initial list of devices has been enumerated.
+	 */
+	async start() {
+		if (this._running) {
+			throw new StateError('Device watcher is already running');
+		}
+		this._running = true;
+		this._unwatch = this._watch();
+		if (!this._unwatch) {
+			this._log.trace('Hotplug notifications are not available, polling the list of devices');
+		}
+		await this._scan();
+		if (this._running) {
+			this.emit('ready');
+		}
+	}
+
+	/**
+	 * Stop watching for devices.
+	 */
+	stop() {
+		if (!this._running) {
+			return;
+		}
+		this._running = false;
+		if (this._unwatch) {
+			this._unwatch();
+			this._unwatch = null;
+		}
+		if (this._pollTimer) {
+			clearTimeout(this._pollTimer);
+			this._pollTimer = null;
+		}
+		if (this._settleTimer) {
+			clearTimeout(this._settleTimer);
+			this._settleTimer = null;
+		}
+		this._detached.clear();
+	}
+
+	/**
+	 * Devices that are currently attached to the host.
+	 *
+	 * @return {Array<Device>}
+	 */
+	get devices() {
+		return Array.from(this._devs.values()).map((d) => d.device);
+	}
+
+	/**
+	 * Set to `true` if the watcher is running.
+	 */
+	get isRunning() {
+		return this._running;
+	}
+
+	// Subscribes to the hotplug notifications of the USB transport and all registered transports.
+	// Returns null if any of the transports doesn't support hotplug notifications
+	_watch() {
+		const listener = () => this._scheduleScan();
+		const unwatchAll = [];
+		const unwatch = () => unwatchAll.forEach((fn) => fn());
+		try {
+			let fn = watchUsbDevices(listener);
+			if (fn) {
+				unwatchAll.push(fn);
+				for (const transport of getTransports()) {
+					fn = transport.watchDevices ? transport.watchDevices(listener) : null;
+					if (!fn) {
+						break;
+					}
+					unwatchAll.push(fn);
+				}
+			}
+			if (!fn) {
+				unwatch();
+				return null;
+			}
+		} catch (err) {
+			unwatch();
+			throw err;
+		}
+		return unwatch;
+	}
+
+	_scheduleScan() {
+		if (!this._running || this._settleTimer) {
+			return;
+		}
+		this._settleTimer = setTimeout(() => {
+			this._settleTimer = null;
+			this._scan();
+		}, HOTPLUG_SETTLE_DELAY);
+	}
+
+	async _scan() {
+		if (this._scanning) {
+			this._rescan = true;
+			return;
+		}
+		this._scanning = true;
+		try {
+			do {
+				this._rescan = false;
+				await this._update();
+			} while (this._rescan && this._running);
+		} catch (err) {
+			this._log.warn('Unable to enumerate devices', { error: err });
+			if (this.listenerCount('error') > 0) {
+				this.emit('error', err);
+			}
+		} finally {
+			this._scanning = false;
+			if (this._running && !this._unwatch && !this._pollTimer) {
+				this._pollTimer = setTimeout(() => {
+					this._pollTimer = null;
+					this._scan();
+				}, this._pollInterval);
+			}
+		}
+	}
+
+	async _update() {
+		const devs = await getDevices({ types: this._types, includeDfu: this._includeDfu, requestAccess: false });
+		const found = new Map();
+		for (const dev of devs) {
+			const id = await this._getDeviceId(dev);
+			if (id) {
+				found.set(id, dev);
+			}
+		}
+		if (!this._running) {
+			return;
+		}
+		const now = Date.now();
+		for (const [id, d] of this._detached) {
+			if (now - d.time >= this._modeChangeTimeout) {
+				this._detached.delete(id);
+			}
+		}
+		// Report detached devices first so that a device that has re-enumerated in a different mode is
+		// reported as detached and then attached again
+		for (const [id, d] of this._devs) {
+			const dev = found.get(id);
+			if (!dev || dev.isInDfuMode !== d.dfu) {
+				this._devs.delete(id);
+				this._detached.set(id, { dfu: d.dfu, time: now });
+				this._log.child({ deviceId: id }).trace('Device detached', { dfu: d.dfu });
+				this.emit('detached', d);
+			}
+		}
+		for (const [id, dev] of found) {
+			if (this._devs.has(id)) {
+				continue;
+			}
+			const d = {
+				id,
+				type: dev.type,
+				platformId: dev.platformId,
+				dfu: dev.isInDfuMode,
+				device: setDevicePrototype(dev)
+			};
+			this._devs.set(id, d);
+			this._log.child({ deviceId: id }).trace('Device attached', { type: d.type, dfu: d.dfu });
+			this.emit('attached', d);
+			const prev = this._detached.get(id);
+			if (prev) {
+				this._detached.delete(id);
+				if (prev.dfu !== d.dfu) {
+					this.emit('modeChanged', Object.assign({ previousDfu: prev.dfu }, d));
+				}
+			}
+		}
+	}
+
+	async _getDeviceId(dev) {
+		const usbDev = dev.usbDevice;
+		try {
+			if (!usbDev.serialNumber && !usbDev.isOpen) {
+				// The serial number is only available when the device is open
+				await usbDev.open();
+				await usbDev.close();
+			}
+			return usbDev.serialNumber ? deviceIdFromSerialNumber(usbDev.serialNumber) : null;
+		} catch (err) {
+			this._log.trace('Unable to get device ID', { type: dev.type, error: err });
+			return null;
+		}
+	}
+}
+
+/**
+ * Start watching for Particle USB devices being attached to or detached from the host.
+ *
+ * The returned watcher starts enumerating the devices asynchronously, so the event listeners can be
+ * registered right after calling this function.
+ *
+ * @param {Object} [options] Options.
+ * @param {Array<String>} [options.types] Device types (photon, boron, tracker, etc). By default, the
+ *        watcher reports devices of all platforms supported by the library.
+ * @param {Boolean} [options.includeDfu=true] Whether to report devices in DFU mode.
+ * @param {Number} [options.pollInterval=1000] Interval for polling the list of devices when hotplug
+ *        notifications are not available (milliseconds).
+ * @param {Number} [options.modeChangeTimeout=30000] Maximum time it may take a device to re-enumerate
+ *        in a different mode for the `modeChanged` event to be emitted (milliseconds).
+ * @return {DeviceWatcher}
+ */
+function watchDevices(options) {
+	const watcher = new DeviceWatcher(options);
+	Promise.resolve().then(() => watcher.start()).catch((err) => {
+		watcher._log.warn('Unable to start device watcher', { error: err });
+	});
+	return watcher;
+}
+
+module.exports = {
+	DeviceWatcher,
+	watchDevices
+};
@@ -0,0 +1,170 @@
+'use strict';
+const { fakeUsb, sinon, expect, nextTick } = require('../test/support');
+const proxyquire = require('proxyquire');
+const { registerTransport, unregisterTransport } = require('./transport');
+
+const { DeviceWatcher, watchDevices } = proxyquire('./device-watcher', {
+	'./device-base': proxyquire('./device-base', {
+		'./usb-device-node': fakeUsb
+	}),
+	'./usb-device-node': fakeUsb
+});
+
+describe('device-watcher', () => {
+	let watcher;
+
+	beforeEach(() => {
+		sinon.useFakeTimers();
+		watcher = null;
+	});
+
+	afterEach(() => {
+		if (watcher) {
+			watcher.stop();
+		}
+		fakeUsb.clearDevices();
+		sinon.restore();
+	});
+
+	// Lets the pending promise callbacks run and advances the fake clock
+	async function tick(ms) {
+		for (let i = 0; i < 10; ++i) {
+			await nextTick();
+		}
+		await sinon.clock.tickAsync(ms);
+	}
+
+	describe('DeviceWatcher', () => {
+		it('reports devices that are already attached', async () => {
+			const photon = fakeUsb.addPhoton();
+			const argon = fakeUsb.addArgon({ dfu: true });
+			watcher = new DeviceWatcher();
+			const attached = sinon.spy();
+			watcher.on('attached', attached);
+			await watcher.start();
+			expect(attached).to.have.been.calledTwice;
+			const events = attached.args.map((args) => args[0]);
+			expect(events.map((e) => e.id)).to.have.all.members([photon.serialNumber, argon.serialNumber]);
+			expect(events.map((e) => e.dfu)).to.have.all.members([false, true]);
+			expect(events.map((e) => e.device.usbDevice)).to.have.all.members([photon, argon]);
+			expect(watcher.devices).to.have.lengthOf(2);
+		});
+
+		it('reports attached and detached devices', async () => {
+			watcher = new DeviceWatcher();
+			const attached = sinon.spy();
+			const detached = sinon.spy();
+			watcher.on('attached', attached);
+			watcher.on('detached', detached);
+			await watcher.start();
+			const boron = fakeUsb.addBoron();
+			await tick(1000);
+			expect(attached).to.have.been.calledOnce;
+			expect(attached.firstCall.args[0]).to.include({ id: boron.serialNumber, type: 'boron', dfu: false });
+			fakeUsb.removeDevice(boron);
+			await tick(1000);
+			expect(detached).to.have.been.calledOnce;
+			expect(detached.firstCall.args[0]).to.include({ id: boron.serialNumber, type: 'boron' });
+			expect(watcher.devices).to.be.empty;
+		});
+
+		it('reports devices that re-enumerate in a different mode', async () => {
+			const id = '0123456789abcdef01234567';
+			const boron = fakeUsb.addBoron({ id });
+			watcher = new DeviceWatcher();
+			const modeChanged = sinon.spy();
+			watcher.on('modeChanged', modeChanged);
+			await watcher.start();
+			fakeUsb.removeDevice(boron);
+			await tick(1000);
+			fakeUsb.addBoron({ id, dfu: true });
+			await tick(1000);
+			expect(modeChanged).to.have.been.calledOnce;
+			expect(modeChanged.firstCall.args[0]).to.include({ id, dfu: true, previousDfu: false });
+		});
+
+		it('does not report a mode change for a device that was detached long ago', async () => {
+			const id = '0123456789abcdef01234567';
+			const boron = fakeUsb.addBoron({ id });
+			watcher = new DeviceWatcher({ modeChangeTimeout: 5000 });
+			const modeChanged = sinon.spy();
+			watcher.on('modeChanged', modeChanged);
+			await watcher.start();
+			fakeUsb.removeDevice(boron);
+			await tick(10000);
+			fakeUsb.addBoron({ id, dfu: true });
+			await tick(1000);
+			expect(modeChanged).to.not.have.been.called;
+		});
+
+		it('can filter devices by type', async () => {
+			watcher = new DeviceWatcher({ types: ['argon'], includeDfu: false });
+			const attached = sinon.spy();
+			watcher.on('attached', attached);
+			await watcher.start();
+			fakeUsb.addBoron();
+			fakeUsb.addArgon({ dfu: true });
+			const argon = fakeUsb.addArgon();
+			await tick(1000);
+			expect(attached).to.have.been.calledOnce;
+			expect(attached.firstCall.args[0].device.usbDevice).to.equal(argon);
+		});
+
+		it('polls the list of devices if hotplug notifications are not available', async () => {
+			fakeUsb.setHotplugSupported(false);
+			watcher = new DeviceWatcher({ pollInterval: 2000 });
+			const attached = sinon.spy();
+			watcher.on('attached', attached);
+			await watcher.start();
+			fakeUsb.addArgon();
+			await tick(1000);
+			expect(attached).to.not.have.been.called;
+			await tick(1000);
+			expect(attached).to.have.been.calledOnce;
+		});
+
+		it('polls the list of devices if a registered transport does not support hotplug notifications', async () => {
+			registerTransport({ name: 'test', getDevices: async () => [] });
+			try {
+				watcher = new DeviceWatcher({ pollInterval: 2000 });
+				const attached = sinon.spy();
+				watcher.on('attached', attached);
+				await watcher.start();
+				fakeUsb.addArgon();
+				await tick(1000);
+				expect(attached).to.not.have.been.called;
+				await tick(1000);
+				expect(attached).to.have.been.calledOnce;
+			} finally {
+				unregisterTransport('test');
+			}
+		});
+
+		it('stops reporting devices when stopped', async () => {
+			watcher = new DeviceWatcher();
+			const attached = sinon.spy();
+			watcher.on('attached', attached);
+			await watcher.start();
+			watcher.stop();
+			fakeUsb.addArgon();
+			await tick(1000);
+			expect(attached).to.not.have.been.called;
+			expect(watcher.isRunning).to.be.false;
+		});
+	});
+
+	describe('watchDevices()', () => {
+		it('starts a device watcher', async () => {
+			fakeUsb.addArgon();
+			watcher = watchDevices();
+			const attached = sinon.spy();
+			const ready = sinon.spy();
+			watcher.on('attached', attached);
+			watcher.on('ready', ready);
+			await tick(0);
+			expect(watcher.isRunning).to.be.true;
+			expect(attached).to.have.been.calledOnce;
+			expect(ready).to.have.been.calledOnce;
+		});
+	});
+});
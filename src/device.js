@@ -2,10 +2,17 @@
 const { DeviceBase, openDeviceById } = require('./device-base');
 const { Request } = require('./request');
 const { Result, errorForRequest } = require('./result');
-const { fromProtobufEnum, extractBits } = require('./protobuf-util');
+const { fromProtobufEnum, extractBits, requestNameForType } = require('./protobuf-util');
 const usbProto = require('./usb-protocol');
-const { RequestError, NotFoundError, TimeoutError, StateError } = require('./error');
+const { RequestError, NotFoundError, NotSupportedError, TimeoutError, StateError, AbortError, InvalidFirmwareError } = require('./error');
 const { globalOptions } = require('./config');
+const { parseFirmwareModule, validateFirmwareModule, checkFirmwareDependencies, sortFirmwareModules, FirmwareValidationFailure } = require('./firmware-module');
+const { compareAssets } = require('./assets');
+const { bundleModulesForPlatform } = require('./bundle');
+const { loadBundle } = require('./bundle-loader');
+const { createEnvDocument, envFromDocument, diffEnvVars } = require('./env');
+const { parseDiagnostics } = require('./diagnostics');
+const { startPhase, reportProgress, endProgress } = require('./progress');
 const DeviceOSProtobuf = require('@particle/device-os-protobuf');
 const { definitions: proto, cloudDefinitions: protoCloud } = DeviceOSProtobuf;
 
@@ -118,11 +125,15 @@ const LogLevel = fromProtobufEnum(proto.logging.LogLevel, {
 
 const DEFAULT_FIRMWARE_UPDATE_TIMEOUT = 120000;
 
+// Types of the modules that can be written directly to their location in flash over DFU
+const DFU_MODULE_TYPES = ['SYSTEM_PART', 'MONO_FIRMWARE', 'USER_PART'];
+
 // Helper class used by Device.timeout()
 class RequestSender {
-	constructor(device, timeout) {
+	constructor(device, timeout, signal) {
 		this.id = device.id;
 		this.device = device;
+		this.signal = signal || null;
 		this._timeoutTime = Date.now() + timeout;
 	}
 
@@ -144,6 +155,9 @@ class RequestSender {
 		} else if (Date.now() + opts.timeout >= this._timeoutTime) {
 			throw new TimeoutError();
 		}
+		if (this.signal && !opts.signal) {
+			opts = Object.assign({}, opts, { signal: this.signal });
+		}
 		return this.device.sendRequest(req, msg, opts);
 	}
 
@@ -151,8 +165,24 @@ class RequestSender {
 		if (Date.now() + ms >= this._timeoutTime) {
 			throw new TimeoutError();
 		}
-		return new Promise((resolve) => {
-			setTimeout(() => resolve(), ms);
+		const signal = this.signal;
+		if (signal && signal.aborted) {
+			throw new AbortError('Operation aborted', { cause: signal.reason });
+		}
+		return new Promise((resolve, reject) => {
+			const onAbort = () => {
+				clearTimeout(timer);
+				reject(new AbortError('Operation aborted', { cause: signal.reason }));
+			};
+			const timer = setTimeout(() => {
+				if (signal) {
+					signal.removeEventListener('abort', onAbort);
+				}
+				resolve();
+			}, ms);
+			if (signal) {
+				signal.addEventListener('abort', onAbort, { once: true });
+			}
 		});
 	}
 }
@@ -173,13 +203,14 @@ class Device extends DeviceBase {
 	 *
 	 * @param {Object} [options] Options.
 	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise<String>}
 	 */
-	async getSerialNumber({ timeout = globalOptions.requestTimeout } = {}) {
+	async getSerialNumber({ timeout = globalOptions.requestTimeout, signal } = {}) {
 		const r = await this.sendProtobufRequest(
 			'GetSerialNumberRequest',
 			null,
-			{ timeout }
+			{ timeout, signal }
 		);
 		return r.serial;
 	}
@@ -193,13 +224,14 @@ class Device extends DeviceBase {
 	 *
 	 * @param {Object} [options] Options.
 	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise<String>}
 	 */
-	async getDeviceId({ timeout = globalOptions.requestTimeout } = {}) {
+	async getDeviceId({ timeout = globalOptions.requestTimeout, signal } = {}) {
 		const r = await this.sendProtobufRequest(
 			'GetDeviceIdRequest',
 			null,
-			{ timeout }
+			{ timeout, signal }
 		);
 		return r.id;
 	}
@@ -207,8 +239,8 @@ class Device extends DeviceBase {
 	/**
 	 * Perform the system reset.
 	 *
-	 * Note: The only safe operation that can be performed on the device instance after the device
-	 * resets is closing it via {@link DeviceBase#close}.
+	 * Note: Unless the device is reconnected automatically, the only safe operation that can be performed
+	 * on the device instance after the device resets is closing it via {@link DeviceBase#close}.
 	 *
 	 * Supported platforms:
 	 * - Gen 3 (since Device OS 0.9.0)
@@ -219,23 +251,29 @@ class Device extends DeviceBase {
 	 * @param {Object} [options] Options.
 	 * @param {Boolean} [options.force] Reset the device immediately, even if it is busy performing
 	 *        some blocking operation, such as writing to flash.
+	 * @param {Boolean} [options.reconnect] Wait for the device to reset and reopen it. By default, the
+	 *        `reconnect` option passed to {@link DeviceBase#open} is used.
 	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise}
 	 */
-	async reset({ force = false, timeout = globalOptions.requestTimeout } = {}) {
+	async reset({ force = false, reconnect, timeout = globalOptions.requestTimeout, signal } = {}) {
 		if (this.isInDfuMode) {
-			return super.reset();
+			await super.reset();
+		} else if (!force) {
+			await this.sendRequest(Request.RESET, null /* msg */, { timeout, signal });
+		} else {
+			const setup = {
+				bmRequestType: usbProto.BmRequestType.HOST_TO_DEVICE,
+				bRequest: usbProto.PARTICLE_BREQUEST,
+				wIndex: Request.RESET.id,
+				wValue: 0
+			};
+			await this.usbDevice.transferOut(setup);
 		}
-		if (!force) {
-			return this.sendRequest(Request.RESET, null /* msg */, { timeout });
+		if (this._shouldReconnect(reconnect)) {
+			await this._reconnect({ signal });
 		}
-		const setup = {
-			bmRequestType: usbProto.BmRequestType.HOST_TO_DEVICE,
-			bRequest: usbProto.PARTICLE_BREQUEST,
-			wIndex: Request.RESET.id,
-			wValue: 0
-		};
-		return this.usbDevice.transferOut(setup);
 	}
 
 	/**
@@ -250,17 +288,18 @@ class Device extends DeviceBase {
 	 *
 	 * @param {Object} [options] Options.
 	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise}
 	 */
-	factoryReset({ timeout = globalOptions.requestTimeout } = {}) {
-		return this.sendRequest(Request.FACTORY_RESET, null /* msg */, { timeout });
+	factoryReset({ timeout = globalOptions.requestTimeout, signal } = {}) {
+		return this.sendRequest(Request.FACTORY_RESET, null /* msg */, { timeout, signal });
 	}
 
 	/**
 	 * Reset and enter the DFU mode.
 	 *
-	 * Note: The only safe operation that can be performed on the device instance after the device
-	 * resets is closing it via {@link DeviceBase#close}.
+	 * Note: Unless the device is reconnected automatically, the only safe operation that can be performed
+	 * on the device instance after the device resets is closing it via {@link DeviceBase#close}.
 	 *
 	 * Supported platforms:
 	 * - Gen 3 (since Device OS 0.9.0)
@@ -270,14 +309,22 @@ class Device extends DeviceBase {
 	 * @param {Boolean} [options.noReconnectWait] After entering DFU mode, do not attempt to connect to the device to make sure it's in DFU mode.
 	 *     This can be useful in a web browser because connecting to the device in DFU mode may prompt the user to authorize
 	 *     access to the device.
+	 * @param {Boolean} [options.reconnect] Wait for the device to enter the DFU mode and reopen it. By
+	 *        default, the `reconnect` option passed to {@link DeviceBase#open} is used.
 	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise}
 	 */
-	enterDfuMode({ noReconnectWait = false, timeout = globalOptions.requestTimeout } = {}) {
+	enterDfuMode({ noReconnectWait = false, reconnect, timeout = globalOptions.requestTimeout, signal } = {}) {
 		if (this.isInDfuMode) {
 			return;
 		}
-		return this.timeout(timeout, async (s) => {
+		if (this._shouldReconnect(reconnect)) {
+			return this.sendRequest(Request.DFU_MODE, null /* msg */, { timeout, signal }).then(() => {
+				return this._reconnect({ dfu: true, signal });
+			});
+		}
+		return this.timeout({ timeout, signal }, async (s) => {
 			await s.sendRequest(Request.DFU_MODE);
 			await s.close();
 			let isInDfuMode;
@@ -301,22 +348,29 @@ class Device extends DeviceBase {
 	/**
 	 * Reset and enter the safe mode.
 	 *
-	 * Note: The only safe operation that can be performed on the device instance after the device
-	 * resets is closing it via {@link DeviceBase#close}.
+	 * Note: Unless the device is reconnected automatically, the only safe operation that can be performed
+	 * on the device instance after the device resets is closing it via {@link DeviceBase#close}.
 	 *
 	 * Supported platforms:
 	 * - Gen 3 (since Device OS 0.9.0)
 	 * - Gen 2 (since Device OS 0.8.0)
 	 *
 	 * @param {Object} [options] Options.
+	 * @param {Boolean} [options.reconnect] Wait for the device to enter the safe mode and reopen it. By
+	 *        default, the `reconnect` option passed to {@link DeviceBase#open} is used.
 	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise}
 	 */
-	enterSafeMode({ timeout = globalOptions.requestTimeout } = {}) {
+	async enterSafeMode({ reconnect, timeout = globalOptions.requestTimeout, signal } = {}) {
 		if (this.isInDfuMode) {
-			return this._dfu.enterSafeMode();
+			await this._dfu.enterSafeMode();
+		} else {
+			await this.sendRequest(Request.SAFE_MODE, null /* msg */, { timeout, signal });
+		}
+		if (this._shouldReconnect(reconnect)) {
+			await this._reconnect({ dfu: false, signal });
 		}
-		return this.sendRequest(Request.SAFE_MODE, null /* msg */, { timeout });
 	}
 
 	/**
@@ -328,17 +382,18 @@ class Device extends DeviceBase {
 	 *
 	 * @param {Object} [options] Options.
 	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise} Resolves when either device is confirmed to be in listening mode, throws an error, or timeout exceeded.
 	 */
-	async enterListeningMode({ timeout = globalOptions.requestTimeout } = {}) {
-		return this.timeout(timeout, async (s) => {
-			await this.sendProtobufRequest('StartListeningModeRequest', {}, { timeout });
+	async enterListeningMode({ timeout = globalOptions.requestTimeout, signal } = {}) {
+		return this.timeout({ timeout, signal }, async (s) => {
+			await this.sendProtobufRequest('StartListeningModeRequest', {}, { timeout, signal });
 
 			// Wait until the device enters the listening mode
 			while (true) {
 				// GetDeviceModeRequest may not be supported by the device even if start listening mode does work, hence try/catch
 				try {
-					const getDeviceModeReply = await this.sendProtobufRequest('GetDeviceModeRequest', {}, { timeout });
+					const getDeviceModeReply = await this.sendProtobufRequest('GetDeviceModeRequest', {}, { timeout, signal });
 
 					const deviceModeEnum = DeviceOSProtobuf.getDefinition('DeviceMode').message;
 					// break if in listening mode
@@ -365,10 +420,11 @@ class Device extends DeviceBase {
 	 *
 	 * @param {Object} [options] Options.
 	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise}
 	 */
-	leaveListeningMode({ timeout = globalOptions.requestTimeout } = {}) {
-		return this.sendRequest(Request.STOP_LISTENING, null /* msg */, { timeout });
+	leaveListeningMode({ timeout = globalOptions.requestTimeout, signal } = {}) {
+		return this.sendRequest(Request.STOP_LISTENING, null /* msg */, { timeout, signal });
 	}
 
 	/**
@@ -380,10 +436,11 @@ class Device extends DeviceBase {
 	 *
 	 * @param {Object} [options] Options.
 	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise<DeviceMode>}
 	 */
-	async getDeviceMode({ timeout = globalOptions.requestTimeout } = {}) {
-		const r = await this.sendRequest(Request.GET_DEVICE_MODE, null /* msg */, { timeout });
+	async getDeviceMode({ timeout = globalOptions.requestTimeout, signal } = {}) {
+		const r = await this.sendRequest(Request.GET_DEVICE_MODE, null /* msg */, { timeout, signal });
 		return DeviceMode.fromProtobuf(r.mode);
 	}
 
@@ -396,10 +453,11 @@ class Device extends DeviceBase {
 	 *
 	 * @param {Object} [options] Options.
 	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise}
 	 */
-	startNyanSignal({ timeout = globalOptions.requestTimeout } = {}) {
-		return this.sendRequest(Request.START_NYAN_SIGNAL, null /* msg */, { timeout });
+	startNyanSignal({ timeout = globalOptions.requestTimeout, signal } = {}) {
+		return this.sendRequest(Request.START_NYAN_SIGNAL, null /* msg */, { timeout, signal });
 	}
 
 	/**
@@ -411,10 +469,11 @@ class Device extends DeviceBase {
 	 *
 	 * @param {Object} [options] Options.
 	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise}
 	 */
-	stopNyanSignal({ timeout = globalOptions.requestTimeout } = {}) {
-		return this.sendRequest(Request.STOP_NYAN_SIGNAL, null /* msg */, { timeout });
+	stopNyanSignal({ timeout = globalOptions.requestTimeout, signal } = {}) {
+		return this.sendRequest(Request.STOP_NYAN_SIGNAL, null /* msg */, { timeout, signal });
 	}
 
 	/**
@@ -424,39 +483,93 @@ class Device extends DeviceBase {
 	 * - Gen 3 (since Device OS 0.9.0)
 	 * - Gen 2 (since Device OS 0.8.0)
 	 *
+	 * The firmware binary is validated before it is sent to the device. A binary that is not a valid
+	 * Particle module, is built for another platform or has an invalid checksum is refused with an
+	 * {@link InvalidFirmwareError}.
+	 *
+	 * If the update fails or is aborted after the device has started receiving the firmware data, the
+	 * update is cancelled on the device side so that the data received so far is discarded.
+	 *
 	 * @param {Buffer} data Firmware data.
 	 * @param {Object} [options] Options.
 	 * @param {Number} [options.timeout] Timeout (milliseconds).
-	 * @param {Function} [options.progress] User's callback function to log progress of the flashing process.
+	 * @param {Boolean} [options.force=false] Skip the validation of the firmware binary.
+	 * @param {Boolean} [options.validateOnly=false] Send the firmware binary to the device and let the
+	 *        device validate it without applying the update. The device is not reset.
+	 * @param {Function|Progress} [options.progress] Callback function or {@link Progress} instance
+	 *        receiving the progress of the update (see {@link TransferProgress}).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the update. If the update
+	 *        has already started, it is cancelled on the device side.
 	 * @return {Promise}
 	 */
-	async updateFirmware(data, { timeout = DEFAULT_FIRMWARE_UPDATE_TIMEOUT, progress } = {}) {
-		if (!data.length) {
-			throw new RangeError('Invalid firmware size');
-		}
-		return this.timeout(timeout, async (s) => {
-			if (progress) {
-				progress({ event: 'start-erase', bytes: data.length });
+	async updateFirmware(data, { timeout = DEFAULT_FIRMWARE_UPDATE_TIMEOUT, force = false, validateOnly = false, progress, signal } = {}) {
+		try {
+			if (!data.length) {
+				throw new RangeError('Invalid firmware size');
 			}
-			const { chunkSize } = await s.sendRequest(Request.START_FIRMWARE_UPDATE, { size: data.length });
-			if (progress) {
-				progress({ event: 'erased', bytes: data.length });
-				progress({ event: 'start-download', bytes: data.length });
+			if (!force) {
+				await validateFirmwareModule(data, { platformId: this.platformId });
 			}
-			let offs = 0;
-			while (offs < data.length) {
-				const n = Math.min(chunkSize, data.length - offs);
-				await s.sendRequest(Request.FIRMWARE_UPDATE_DATA, { data: data.slice(offs, offs + n) });
-				if (progress) {
-					progress({ event: 'downloaded', bytes: n });
+			await this.timeout({ timeout, signal }, async (s) => {
+				// The device erases the flash when the update starts
+				const erase = startPhase(progress, 'erase', data.length);
+				const { chunkSize } = await s.sendRequest(Request.START_FIRMWARE_UPDATE, { size: data.length });
+				erase.advance(data.length);
+				erase.complete();
+				const download = startPhase(progress, 'download', data.length);
+				try {
+					let offs = 0;
+					while (offs < data.length) {
+						const n = Math.min(chunkSize, data.length - offs);
+						await s.sendRequest(Request.FIRMWARE_UPDATE_DATA, { data: data.slice(offs, offs + n) });
+						download.advance(n);
+						offs += n;
+					}
+					await s.sendRequest(Request.FINISH_FIRMWARE_UPDATE, { validateOnly });
+				} catch (err) {
+					download.fail();
+					// Let the device discard the firmware data received so far
+					await this._cancelFirmwareUpdate();
+					throw err;
 				}
-				offs += n;
-			}
-			await s.sendRequest(Request.FINISH_FIRMWARE_UPDATE, { validateOnly: false });
-			if (progress) {
-				progress({ event: 'complete-download', bytes: data.length });
-			}
-		});
+				if (validateOnly) {
+					// The device keeps the validated data until the update is cancelled
+					await this._cancelFirmwareUpdate();
+				}
+				download.complete();
+			});
+		} finally {
+			endProgress(progress);
+		}
+	}
+
+	/**
+	 * Cancel the firmware update.
+	 *
+	 * The device discards the firmware data it has received. This can be used to clean up after an
+	 * update that has been interrupted, e.g. by a crash of the host application.
+	 *
+	 * Supported platforms:
+	 * - Gen 3 (since Device OS 0.9.0)
+	 * - Gen 2 (since Device OS 0.8.0)
+	 *
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
+	 * @return {Promise}
+	 */
+	cancelFirmwareUpdate({ timeout = globalOptions.requestTimeout, signal } = {}) {
+		return this.sendRequest(Request.CANCEL_FIRMWARE_UPDATE, null /* msg */, { timeout, signal });
+	}
+
+	// Cancels the firmware update ignoring any errors. The request is sent regardless of whether the
+	// operation that is being cleaned up has been aborted
+	async _cancelFirmwareUpdate() {
+		try {
+			await this.cancelFirmwareUpdate();
+		} catch (err) {
+			this._log.warn('Unable to cancel firmware update', { error: err });
+		}
 	}
 
 	/**
@@ -470,10 +583,14 @@ class Device extends DeviceBase {
 	 *
 	 * @param {String} module Module type.
 	 * @param {Number} [index] Module index.
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout for every request (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise<Buffer>}
 	 */
-	getFirmwareModule(module, index) {
-		return this._getStorageInfo().then(storage => {
+	getFirmwareModule(module, index, { timeout = globalOptions.requestTimeout, signal } = {}) {
+		const opts = { timeout, signal };
+		return this._getStorageInfo(opts).then((storage) => {
 			const section = storage.modules.find(section => {
 				return (section.moduleType === module && section.moduleIndex === index);
 			});
@@ -481,9 +598,9 @@ class Device extends DeviceBase {
 				throw new NotFoundError();
 			}
 			// Get size of the firmware module
-			return this._getSectionDataSize(section).then(size => {
+			return this._getSectionDataSize(section, opts).then((size) => {
 				// Read firmware data
-				return this._readSectionData(section, 0, size);
+				return this._readSectionData(section, 0, size, opts);
 			});
 		});
 	}
@@ -495,14 +612,17 @@ class Device extends DeviceBase {
 	 * Supported platforms:
 	 * - Gen 3+ (since Device OS 5.6.0)
 	 *
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise<Array>} List of asssets available on the device.
 	 */
-	async getAssetInfo({ timeout = globalOptions.timeout } = {}) {
+	async getAssetInfo({ timeout = globalOptions.timeout, signal } = {}) {
 		if (this.isInDfuMode) {
 			throw new StateError('Cannot get information when the device is in DFU mode');
 		}
 
-		const assetInfoResponse = await this.sendProtobufRequest('GetAssetInfoRequest', null, { timeout });
+		const assetInfoResponse = await this.sendProtobufRequest('GetAssetInfoRequest', null, { timeout, signal });
 		const available = assetInfoResponse.available.map(asset => {
 			const { name, size, storageSize } = asset;
 			const hash = asset.hash.toString('hex');
@@ -524,6 +644,99 @@ class Device extends DeviceBase {
 		return { available, required };
 	}
 
+	/**
+	 * Compare local assets with the assets stored on the device.
+	 *
+	 * The assets are compared by the SHA-256 hashes of their contents.
+	 *
+	 * Supported platforms:
+	 * - Gen 3+ (since Device OS 5.6.0)
+	 *
+	 * @param {Array<LocalAsset>} assets Local assets.
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
+	 * @return {Promise<AssetComparison>}
+	 */
+	async compareAssets(assets, { timeout = globalOptions.timeout, signal } = {}) {
+		const info = await this.getAssetInfo({ timeout, signal });
+		return compareAssets(assets, info);
+	}
+
+	/**
+	 * Outcome of an update of the assets.
+	 *
+	 * @typedef {Object} AssetUpdateReport
+	 * @property {Boolean} ok Set to `true` if all local assets are stored on the device after the update.
+	 * @property {Array<Object>} results Outcome of the transfer of every asset that was missing or
+	 *           stale. Has the `name`, `ok`, `skipped`, `error` and `duration` properties.
+	 * @property {AssetComparison} assets Comparison of the local assets with the assets stored on the
+	 *           device after the update.
+	 */
+
+	/**
+	 * Transfer the local assets that are missing on the device or stored with different contents.
+	 *
+	 * The assets are transferred via the firmware update protocol, so every asset that needs to be
+	 * transferred has to be provided as a firmware module (see {@link LocalAsset}). The device resets
+	 * after every asset and is reopened. Once all assets are transferred, the assets stored on the
+	 * device are compared with the local assets again. If transferring an asset fails, the remaining
+	 * assets are skipped.
+	 *
+	 * Supported platforms:
+	 * - Gen 3+ (since Device OS 5.6.0)
+	 *
+	 * @param {Array<LocalAsset>} assets Local assets.
+	 * @param {Object} [options] Options.
+	 * @param {Boolean} [options.force=false] Skip the validation of the asset modules.
+	 * @param {Function|Progress} [options.progress] Callback function or {@link Progress} instance
+	 *        receiving the progress of the operation. The events carry the `asset` property with the
+	 *        name of the asset that is being transferred.
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
+	 * @return {Promise<AssetUpdateReport>}
+	 * @throws {InvalidFirmwareError} If any of the asset modules is not valid.
+	 */
+	async updateAssets(assets, { force = false, progress, signal } = {}) {
+		try {
+			const before = await this.compareAssets(assets, { signal });
+			const outdated = before.missing.concat(before.stale).map(({ name }) => assets.find((a) => a.name === name));
+			for (const asset of outdated) {
+				if (!asset.module) {
+					throw new TypeError(`Firmware module of the asset ${asset.name} is not specified`);
+				}
+				if (!force) {
+					const info = await validateFirmwareModule(asset.module);
+					if (info.type !== FirmwareModule.ASSET) {
+						throw new InvalidFirmwareError(FirmwareValidationFailure.INVALID_FORMAT, `Firmware module of the asset ${asset.name} is not an asset module`);
+					}
+				}
+			}
+			const results = [];
+			for (const asset of outdated) {
+				if (results.some((r) => !r.ok)) {
+					results.push({ name: asset.name, ok: false, skipped: true, error: null, duration: 0 });
+					continue;
+				}
+				const report = await this.flashAll([asset.module], {
+					force: true,
+					reconnect: true,
+					progress: (e) => reportProgress(progress, Object.assign({ asset: asset.name }, e)),
+					signal
+				});
+				const { ok, error, duration } = report.results[0];
+				results.push({ name: asset.name, ok, skipped: false, error, duration });
+			}
+			const after = await this.compareAssets(assets, { signal });
+			return {
+				ok: !after.missing.length && !after.stale.length,
+				results,
+				assets: after
+			};
+		} finally {
+			endProgress(progress);
+		}
+	}
+
 	/**
 	 * Get firmware module info.
 	 *
@@ -533,14 +746,15 @@ class Device extends DeviceBase {
 	 * - Gen 2 (since Device OS 0.8.0)
 	 * - New format since 5.6.0 (old format in 'modules_deprecated')
 	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise<Array>} List of modules installed into the device and their dependencies
 	 */
-	async getFirmwareModuleInfo({ timeout = globalOptions.requestTimeout } = {}) {
+	async getFirmwareModuleInfo({ timeout = globalOptions.requestTimeout, signal } = {}) {
 		if (this.isInDfuMode) {
 			throw new StateError('Cannot get information when the device is in DFU mode');
 		}
 
-		const moduleInfoResponse = await this.sendProtobufRequest('GetModuleInfoRequest', null, { timeout });
+		const moduleInfoResponse = await this.sendProtobufRequest('GetModuleInfoRequest', null, { timeout, signal });
 		const { modulesDeprecated, modules } = moduleInfoResponse;
 
 		if (modulesDeprecated && modulesDeprecated.length > 0) {
@@ -598,6 +812,212 @@ class Device extends DeviceBase {
 		});
 	}
 
+	/**
+	 * Check if a firmware module can be flashed to the device without breaking the dependencies between
+	 * the modules.
+	 *
+	 * The dependencies declared by the module binary are compared with the modules installed on the
+	 * device. The dependencies of the installed modules are checked as well, as an installed application
+	 * may require a newer version of the module that is being replaced.
+	 *
+	 * Supported platforms:
+	 * - Gen 3 (since Device OS 0.9.0)
+	 * - Gen 2 (since Device OS 0.8.0)
+	 *
+	 * @param {Buffer} data Module binary.
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
+	 * @return {Promise<FirmwareCompatibility>}
+	 * @throws {InvalidFirmwareError} If the data is not a valid module binary.
+	 */
+	async checkFirmwareCompatibility(data, { timeout = globalOptions.requestTimeout, signal } = {}) {
+		const module = parseFirmwareModule(data);
+		const installed = await this.getFirmwareModuleInfo({ timeout, signal });
+		return checkFirmwareDependencies(module, installed);
+	}
+
+	/**
+	 * Outcome of flashing a firmware module.
+	 *
+	 * @typedef {Object} FlashModuleResult
+	 * @property {FirmwareModule} type Module type.
+	 * @property {Number} index Module index.
+	 * @property {Number} version Module version.
+	 * @property {String} method `'dfu'` if the module is written over DFU, or `'control'` if it is sent
+	 *           to the device via control requests.
+	 * @property {Boolean} ok Set to `true` if the module has been flashed.
+	 * @property {Boolean} skipped Set to `true` if the module has not been flashed because flashing one
+	 *           of the preceding modules failed.
+	 * @property {Error} error Error that occurred while flashing the module, or `null`.
+	 * @property {Number} duration Time it took to flash the module, including the reconnection to the
+	 *           device (milliseconds).
+	 */
+
+	/**
+	 * Outcome of flashing a set of firmware modules.
+	 *
+	 * @typedef {Object} FlashReport
+	 * @property {Boolean} ok Set to `true` if all modules have been flashed.
+	 * @property {Number} duration Total duration of the operation (milliseconds).
+	 * @property {Array<FlashModuleResult>} results Results arranged in the order in which the modules
+	 *           have been flashed.
+	 */
+
+	/**
+	 * Flash a set of firmware modules, such as a bootloader, system parts and an application.
+	 *
+	 * The modules are flashed one by one so that every module is flashed after the modules it depends
+	 * on. If the device is in the DFU mode, the system parts and the application are written over DFU
+	 * as long as their location is writable via the DFU interface. The remaining modules are sent to
+	 * the device via control requests, in which case the device leaves the DFU mode first. The device
+	 * resets after every module that is sent via control requests and it is reopened before the next
+	 * module is flashed.
+	 *
+	 * All binaries are validated before anything is flashed. If flashing a module fails, the remaining
+	 * modules are skipped and the error is reported in the result for that module.
+	 *
+	 * Supported platforms:
+	 * - Gen 3 (since Device OS 0.9.0)
+	 * - Gen 2 (since Device OS 0.8.0)
+	 *
+	 * @param {Array<Buffer>} binaries Module binaries.
+	 * @param {Object} [options] Options.
+	 * @param {Boolean} [options.force=false] Skip the validation of the firmware binaries.
+	 * @param {Boolean} [options.reconnect] Reopen the device after the last module is flashed. By default,
+	 *        the `reconnect` option passed to {@link DeviceBase#open} is used.
+	 * @param {Function|Progress} [options.progress] Callback function or {@link Progress} instance
+	 *        receiving the progress of the operation. In addition to the events reported by
+	 *        {@link Device#updateFirmware} and {@link DfuDevice#writeOverDfu}, the `start-module` and
+	 *        `complete-module` events are reported for every module. All events carry the `module`,
+	 *        `method`, `step` and `steps` properties.
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
+	 * @return {Promise<FlashReport>}
+	 * @throws {InvalidFirmwareError} If any of the binaries is not valid.
+	 */
+	async flashAll(binaries, { force = false, reconnect, progress, signal } = {}) {
+		try {
+			const startTime = Date.now();
+			const modules = [];
+			for (const data of binaries) {
+				const info = force ? parseFirmwareModule(data) : await validateFirmwareModule(data, { platformId: this.platformId });
+				modules.push(Object.assign(info, { data }));
+			}
+			const steps = sortFirmwareModules(modules);
+			// Once the device leaves the DFU mode, all subsequent modules are sent via control requests
+			let dfu = this.isInDfuMode;
+			for (const module of steps) {
+				dfu = dfu && DFU_MODULE_TYPES.includes(module.type) && await this._canWriteOverDfu(module.startAddress);
+				module.method = dfu ? 'dfu' : 'control';
+			}
+			const results = steps.map(({ type, index, version, method }) => {
+				return { type, index, version, method, ok: false, skipped: true, error: null, duration: 0 };
+			});
+			for (let i = 0; i < steps.length; ++i) {
+				const { data, method, startAddress } = steps[i];
+				const result = results[i];
+				const last = i === steps.length - 1;
+				const stepStartTime = Date.now();
+				const module = { type: result.type, index: result.index, version: result.version };
+				const report = (e) => reportProgress(progress, Object.assign({ module, method, step: i + 1, steps: steps.length }, e));
+				result.skipped = false;
+				try {
+					report({ event: 'start-module', bytes: data.length });
+					if (method === 'dfu') {
+						await this.writeOverDfu(data, { altSetting: 0 /* Internal flash */, startAddr: startAddress, leave: false, force: true, progress: report, signal });
+						if (last || steps[i + 1].method !== 'dfu') {
+							// Leave the DFU mode to run the new firmware
+							await this.reset({ reconnect: false });
+							if (!last || this._shouldReconnect(reconnect)) {
+								await this._reconnect({ dfu: false, signal });
+							}
+						}
+					} else {
+						if (this.isInDfuMode) {
+							await this.reset({ reconnect: false });
+							await this._reconnect({ dfu: false, signal });
+						}
+						// The device resets to apply the update
+						await this.updateFirmware(data, { force: true, progress: report, signal });
+						if (!last || this._shouldReconnect(reconnect)) {
+							await this._reconnect({ dfu: false, signal });
+						}
+					}
+					result.ok = true;
+					report({ event: 'complete-module', bytes: data.length });
+				} catch (err) {
+					if (err instanceof AbortError) {
+						throw err;
+					}
+					this._log.error('Unable to flash firmware module', { module: result.type, index: result.index, error: err });
+					result.error = err;
+					break;
+				} finally {
+					result.duration = Date.now() - stepStartTime;
+				}
+			}
+			return {
+				ok: results.every((r) => r.ok),
+				duration: Date.now() - startTime,
+				results
+			};
+		} finally {
+			endProgress(progress);
+		}
+	}
+
+	/**
+	 * Flash the firmware modules of a bundle.
+	 *
+	 * Only the modules built for the platform of the device are flashed. The modules are flashed via
+	 * {@link Device#flashAll}, which determines the order of the modules and how each of them is flashed.
+	 * The target platforms are determined by the module prefixes; the bundle manifest is not used.
+	 *
+	 * The assets of a bundle are stored as raw data, which can't be transferred to the device as is, so
+	 * a bundle containing assets is refused unless the `ignoreAssets` option is set. Use
+	 * {@link Device#updateAssets} with the asset modules produced by the Particle build tools to
+	 * transfer the assets.
+	 *
+	 * Supported platforms:
+	 * - Gen 3 (since Device OS 0.9.0)
+	 * - Gen 2 (since Device OS 0.8.0)
+	 *
+	 * @param {FirmwareBundle|Buffer|String} bundle Bundle, bundle data or path to a bundle file (Node.js only).
+	 * @param {Object} [options] Options.
+	 * @param {Boolean} [options.force=false] Skip the validation of the firmware binaries.
+	 * @param {Boolean} [options.ignoreAssets=false] Flash the modules of a bundle containing assets
+	 *        without transferring the assets.
+	 * @param {Boolean} [options.reconnect] Reopen the device after the last module is flashed. By default,
+	 *        the `reconnect` option passed to {@link DeviceBase#open} is used.
+	 * @param {Function|Progress} [options.progress] Callback function or {@link Progress} instance
+	 *        receiving the progress of the operation (see {@link Device#flashAll}).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
+	 * @return {Promise<FlashReport>}
+	 * @throws {InvalidFirmwareError} If the bundle is not valid or contains no modules for the platform
+	 *         of the device.
+	 * @throws {NotSupportedError} If the bundle contains assets and the `ignoreAssets` option is not set.
+	 */
+	async flashBundle(bundle, { force = false, ignoreAssets = false, reconnect, progress, signal } = {}) {
+		let modules;
+		try {
+			if (typeof bundle === 'string' || bundle instanceof Uint8Array) {
+				bundle = await loadBundle(bundle, { force });
+			}
+			if (bundle.assets.length && !ignoreAssets) {
+				const names = bundle.assets.map((a) => a.name).join(', ');
+				throw new NotSupportedError(Result.NOT_SUPPORTED, `Flashing the assets of a bundle is not supported: ${names}`);
+			}
+			modules = bundleModulesForPlatform(bundle, this.platformId);
+			if (!modules.length) {
+				throw new InvalidFirmwareError(FirmwareValidationFailure.PLATFORM_MISMATCH, `Bundle contains no firmware modules for platform ${this.platformId}`);
+			}
+		} catch (err) {
+			endProgress(progress);
+			throw err;
+		}
+		return this.flashAll(modules.map((m) => m.data), { force, reconnect, progress, signal });
+	}
+
 	/**
 	 * Check if the device runs a modular firmware.
 	 *
@@ -607,10 +1027,13 @@ class Device extends DeviceBase {
 	 * Supported platforms:
 	 * - Gen 2 (since Device OS 0.8.0, deprecated in 2.0.0)
 	 *
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise<Boolean>}
 	 */
-	hasModularFirmware() {
-		return this._getStorageInfo().then(storage => storage.hasModularFirmware);
+	hasModularFirmware({ timeout = globalOptions.requestTimeout, signal } = {}) {
+		return this._getStorageInfo({ timeout, signal }).then((storage) => storage.hasModularFirmware);
 	}
 
 	/**
@@ -623,14 +1046,18 @@ class Device extends DeviceBase {
 	 * - Gen 2 (since Device OS 0.8.0, deprecated in 2.0.0)
 	 *
 	 * @param {Buffer} data Firmware data.
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout for every request (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise}
 	 */
-	setFactoryFirmware(data) {
-		return this._getStorageInfo().then(storage => {
+	setFactoryFirmware(data, { timeout = globalOptions.requestTimeout, signal } = {}) {
+		const opts = { timeout, signal };
+		return this._getStorageInfo(opts).then((storage) => {
 			if (!storage.factory) {
 				throw new NotFoundError();
 			}
-			return this._writeSectionData(storage.factory, 0, data);
+			return this._writeSectionData(storage.factory, 0, data, opts);
 		});
 	}
 
@@ -643,17 +1070,21 @@ class Device extends DeviceBase {
 	 * Supported platforms:
 	 * - Gen 2 (since Device OS 0.8.0, deprecated in 2.0.0)
 	 *
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout for every request (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise<Buffer>}
 	 */
-	getFactoryFirmware() {
-		return this._getStorageInfo().then(storage => {
+	getFactoryFirmware({ timeout = globalOptions.requestTimeout, signal } = {}) {
+		const opts = { timeout, signal };
+		return this._getStorageInfo(opts).then((storage) => {
 			if (!storage.factory) {
 				throw new NotFoundError();
 			}
 			// Get size of the firmware module
-			return this._getSectionDataSize(storage.factory).then(size => {
+			return this._getSectionDataSize(storage.factory, opts).then((size) => {
 				// Read firmware data
-				return this._readSectionData(storage.factory, 0, size);
+				return this._readSectionData(storage.factory, 0, size, opts);
 			});
 		});
 	}
@@ -669,14 +1100,18 @@ class Device extends DeviceBase {
 	 *
 	 * @param {Number} address Address.
 	 * @param {Number} size Data size.
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout for every request (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise<Buffer>}
 	 */
-	readConfigData(address, size) {
-		return this._getStorageInfo().then(storage => {
+	readConfigData(address, size, { timeout = globalOptions.requestTimeout, signal } = {}) {
+		const opts = { timeout, signal };
+		return this._getStorageInfo(opts).then((storage) => {
 			if (!storage.config) {
 				throw new NotFoundError();
 			}
-			return this._readSectionData(storage.config, address, size);
+			return this._readSectionData(storage.config, address, size, opts);
 		});
 	}
 
@@ -691,14 +1126,18 @@ class Device extends DeviceBase {
 	 *
 	 * @param {Number} address Address.
 	 * @param {Buffer} data Data.
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout for every request (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise}
 	 */
-	writeConfigData(address, data) {
-		return this._getStorageInfo().then(storage => {
+	writeConfigData(address, data, { timeout = globalOptions.requestTimeout, signal } = {}) {
+		const opts = { timeout, signal };
+		return this._getStorageInfo(opts).then((storage) => {
 			if (!storage.config) {
 				throw new NotFoundError();
 			}
-			return this._writeSectionData(storage.config, address, data);
+			return this._writeSectionData(storage.config, address, data, opts);
 		});
 	}
 
@@ -711,10 +1150,13 @@ class Device extends DeviceBase {
 	 * Supported platforms:
 	 * - Gen 2 (since Device OS 0.8.0, deprecated in 2.0.0)
 	 *
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise<Number>}
 	 */
-	getConfigDataSize() {
-		return this._getStorageInfo().then(storage => {
+	getConfigDataSize({ timeout = globalOptions.requestTimeout, signal } = {}) {
+		return this._getStorageInfo({ timeout, signal }).then((storage) => {
 			if (!storage.config) {
 				throw new NotFoundError();
 			}
@@ -733,14 +1175,18 @@ class Device extends DeviceBase {
 	 *
 	 * @param {Number} address Address.
 	 * @param {Number} size Data size.
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout for every request (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise<Buffer>}
 	 */
-	readEeprom(address, size) {
-		return this._getStorageInfo().then(storage => {
+	readEeprom(address, size, { timeout = globalOptions.requestTimeout, signal } = {}) {
+		const opts = { timeout, signal };
+		return this._getStorageInfo(opts).then((storage) => {
 			if (!storage.eeprom) {
 				throw new NotFoundError();
 			}
-			return this._readSectionData(storage.eeprom, address, size);
+			return this._readSectionData(storage.eeprom, address, size, opts);
 		});
 	}
 
@@ -755,14 +1201,18 @@ class Device extends DeviceBase {
 	 *
 	 * @param {Number} address Address.
 	 * @param {Buffer} data Data.
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout for every request (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise}
 	 */
-	writeEeprom(address, data) {
-		return this._getStorageInfo().then(storage => {
+	writeEeprom(address, data, { timeout = globalOptions.requestTimeout, signal } = {}) {
+		const opts = { timeout, signal };
+		return this._getStorageInfo(opts).then((storage) => {
 			if (!storage.eeprom) {
 				throw new NotFoundError();
 			}
-			return this._writeSectionData(storage.eeprom, address, data);
+			return this._writeSectionData(storage.eeprom, address, data, opts);
 		});
 	}
 
@@ -775,14 +1225,18 @@ class Device extends DeviceBase {
 	 * Supported platforms:
 	 * - Gen 2 (since Device OS 0.8.0, deprecated in 2.0.0)
 	 *
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout for every request (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise}
 	 */
-	clearEeprom() {
-		return this._getStorageInfo().then(storage => {
+	clearEeprom({ timeout = globalOptions.requestTimeout, signal } = {}) {
+		const opts = { timeout, signal };
+		return this._getStorageInfo(opts).then((storage) => {
 			if (!storage.eeprom) {
 				throw new NotFoundError();
 			}
-			return this._clearSectionData(storage.eeprom);
+			return this._clearSectionData(storage.eeprom, opts);
 		});
 	}
 
@@ -795,10 +1249,13 @@ class Device extends DeviceBase {
 	 * Supported platforms:
 	 * - Gen 2 (since Device OS 0.8.0, deprecated in 2.0.0)
 	 *
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise<Number>}
 	 */
-	getEepromSize() {
-		return this._getStorageInfo().then(storage => {
+	getEepromSize({ timeout = globalOptions.requestTimeout, signal } = {}) {
+		return this._getStorageInfo({ timeout, signal }).then((storage) => {
 			if (!storage.eeprom) {
 				throw new NotFoundError();
 			}
@@ -819,9 +1276,11 @@ class Device extends DeviceBase {
 	 * @param {String} [options.level] Default logging level: `trace`, `info`, `warn`, `error`, `none`, `all`.
 	 * @param {Array} [options.filters] Category filters.
 	 * @param {Number} [options.baudRate] Baud rate.
+	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise}
 	 */
-	async addLogHandler({ id, stream, format, level, filters, baudRate }) {
+	async addLogHandler({ id, stream, format, level, filters, baudRate, timeout = globalOptions.requestTimeout, signal }) {
 		const req = {
 			id,
 			level: LogLevel.toProtobuf(level || 'all')
@@ -875,7 +1334,7 @@ class Device extends DeviceBase {
 				level: LogLevel.toProtobuf(f.level)
 			}));
 		}
-		return this.sendRequest(Request.ADD_LOG_HANDLER, req);
+		return this.sendRequest(Request.ADD_LOG_HANDLER, req, { timeout, signal });
 	}
 
 	/**
@@ -886,10 +1345,12 @@ class Device extends DeviceBase {
 	 *
 	 * @param {Object} options Options.
 	 * @param {String} options.id Handler ID.
+	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise}
 	 */
-	async removeLogHandler({ id }) {
-		return this.sendRequest(Request.REMOVE_LOG_HANDLER, { id });
+	async removeLogHandler({ id, timeout = globalOptions.requestTimeout, signal }) {
+		return this.sendRequest(Request.REMOVE_LOG_HANDLER, { id }, { timeout, signal });
 	}
 
 	/**
@@ -898,10 +1359,13 @@ class Device extends DeviceBase {
 	 * @deprecated This method is not guaranteed to work with recent versions of Device OS and it will
 	 *             be removed in future versions of this library.
 	 *
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise<Array<Object>>}
 	 */
-	async getLogHandlers() {
-		const rep = await this.sendRequest(Request.GET_LOG_HANDLERS);
+	async getLogHandlers({ timeout = globalOptions.requestTimeout, signal } = {}) {
+		const rep = await this.sendRequest(Request.GET_LOG_HANDLERS, null /* msg */, { timeout, signal });
 		return rep.handlers.map(h => ({
 			id: h.id
 		}));
@@ -923,13 +1387,18 @@ class Device extends DeviceBase {
 	 * @param {Buffer} [param.serverNonce] Server nonce. Mandatory if `action` is `prepare`.
 	 * @param {Buffer} [param.serverSignature] Server signature. Mandatory if `action` is `confirm`.
 	 * @param {Buffer} [param.serverPublicKeyFingerprint] Fingerprint of the server public key. Mandatory if `action` is `confirm`.
+	 * @param {Number} [param.timeout] Timeout (milliseconds). Not used in the DFU mode.
+	 * @param {AbortSignal} [param.signal] Signal that can be used to abort the operation.
 	 * @returns {Promise<UnprotectDeviceResult>}
 	 */
-	async unprotectDevice({ action, serverNonce, serverSignature, serverPublicKeyFingerprint }) {
+	async unprotectDevice({ action, serverNonce, serverSignature, serverPublicKeyFingerprint, timeout = globalOptions.requestTimeout, signal }) {
 		if (this.isInDfuMode) {
 			if (action !== 'reset') {
 				throw new StateError('Cannot perform operation when device is in DFU mode');
 			}
+			if (signal && signal.aborted) {
+				throw new AbortError('Operation aborted', { cause: signal.reason });
+			}
 			await this._dfu.clearSecurityModeOverride();
 			return;
 		}
@@ -965,7 +1434,7 @@ class Device extends DeviceBase {
 				throw new Error('Invalid arguments');
 			}
 		}
-		const rep = await this.sendProtobufRequest('SetProtectedStateRequest', req);
+		const rep = await this.sendProtobufRequest('SetProtectedStateRequest', req, { timeout, signal });
 		if (action === 'prepare') {
 			if (!rep.prepare) {
 				return { protected: false };
@@ -988,14 +1457,20 @@ class Device extends DeviceBase {
 	/**
 	 * Check if device protection is enabled.
 	 *
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout (milliseconds). Not used in the DFU mode.
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @returns {GetProtectionStateResult}
 	 */
-	async getProtectionState() {
+	async getProtectionState({ timeout = globalOptions.requestTimeout, signal } = {}) {
 		if (this.isInDfuMode) {
+			if (signal && signal.aborted) {
+				throw new AbortError('Operation aborted', { cause: signal.reason });
+			}
 			return this._dfu.getProtectionState();
 		}
 
-		const rep = await this.sendProtobufRequest('GetProtectedStateRequest');
+		const rep = await this.sendProtobufRequest('GetProtectedStateRequest', null, { timeout, signal });
 		const result = { protected: rep.state };
 		if (rep.overridden) {
 			result.overridden = true;
@@ -1025,13 +1500,16 @@ class Device extends DeviceBase {
 	 * - Gen 3 (since Device OS 6.4.0)
 	 * - Gen 4 (since Device OS 6.4.0)
 	 *
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @returns {Promise<GetEnvResult>}
 	 */
-	async getEnv() {
+	async getEnv({ timeout = globalOptions.requestTimeout, signal } = {}) {
 		const result = {
 			env: {}
 		};
-		const resp = await this.sendProtobufRequest('GetEnvRequest');
+		const resp = await this.sendProtobufRequest('GetEnvRequest', null, { timeout, signal });
 		for (const { name, value, isApp } of resp.vars) {
 			result.env[name] = { value, isApp };
 		}
@@ -1052,26 +1530,236 @@ class Device extends DeviceBase {
 	/**
 	 * Clear all defined environment variables.
 	 *
+	 * The control protocol has no requests for setting or deleting individual variables, so clearing
+	 * all of them is the only supported modification.
+	 *
 	 * Supported platforms:
 	 * - Gen 3 (since Device OS 6.4.0)
 	 * - Gen 4 (since Device OS 6.4.0)
 	 *
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @returns {Promise<ClearEnvResult>}
 	 */
-	async clearEnv() {
-		const resp = await this.sendProtobufRequest('ClearEnvRequest');
+	async clearEnv({ timeout = globalOptions.requestTimeout, signal } = {}) {
+		const resp = await this.sendProtobufRequest('ClearEnvRequest', null, { timeout, signal });
 		return {
 			needReset: resp.needReset
 		};
 	}
 
+	/**
+	 * Export the environment variables of the device.
+	 *
+	 * The returned document can be serialized to JSON and later passed to {@link Device#diffEnv} or
+	 * {@link Device#applyEnv}.
+	 *
+	 * Supported platforms:
+	 * - Gen 3 (since Device OS 6.4.0)
+	 * - Gen 4 (since Device OS 6.4.0)
+	 *
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
+	 * @returns {Promise<EnvDocument>}
+	 */
+	async exportEnv({ timeout = globalOptions.requestTimeout, signal } = {}) {
+		const result = await this.getEnv({ timeout, signal });
+		return createEnvDocument(result, this.id);
+	}
+
+	/**
+	 * Compare the environment variables of the device with a target set of variables.
+	 *
+	 * Supported platforms:
+	 * - Gen 3 (since Device OS 6.4.0)
+	 * - Gen 4 (since Device OS 6.4.0)
+	 *
+	 * @param {EnvDocument|Object} target Document exported via {@link Device#exportEnv}, or an object
+	 *        mapping the variable names to values.
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
+	 * @returns {Promise<EnvDiff>}
+	 */
+	async diffEnv(target, { timeout = globalOptions.requestTimeout, signal } = {}) {
+		const result = await this.getEnv({ timeout, signal });
+		return diffEnvVars(result.env, envFromDocument(target));
+	}
+
+	/**
+	 * @typedef ApplyEnvResult
+	 * @type {Object}
+	 * @property {Boolean} changed If `true`, the variables have been modified.
+	 * @property {Boolean} needReset If `true`, a system reset is needed to apply the changes.
+	 * @property {String|null} snapshot Snapshot hash of the variables after the update.
+	 */
+
+	/**
+	 * Clear the environment variables of the device if they have not changed since they were exported.
+	 *
+	 * The control protocol only allows clearing all variables, so the only target this method can apply
+	 * is an empty set of variables. A target that requires setting any variables fails with a
+	 * {@link NotSupportedError}. If the device variables already match the target, nothing is changed.
+	 *
+	 * If the `expectSnapshot` option is set and the snapshot hash reported by the device differs from
+	 * it, the method fails with a {@link StateError}. The check and the clearing are separate requests,
+	 * so the variables modified on the device between them are cleared as well.
+	 *
+	 * Supported platforms:
+	 * - Gen 3 (since Device OS 6.4.0)
+	 * - Gen 4 (since Device OS 6.4.0)
+	 *
+	 * @param {EnvDocument|Object} target Document exported via {@link Device#exportEnv}, or an object
+	 *        mapping the variable names to values.
+	 * @param {Object} [options] Options.
+	 * @param {String|Boolean} [options.expectSnapshot] Expected snapshot hash. If set to `true`, the
+	 *        snapshot hash stored in the document is used.
+	 * @param {Number} [options.timeout] Timeout for every request (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
+	 * @returns {Promise<ApplyEnvResult>}
+	 */
+	async applyEnv(target, { expectSnapshot, timeout = globalOptions.requestTimeout, signal } = {}) {
+		if (expectSnapshot === true) {
+			expectSnapshot = target.snapshot || null;
+		}
+		const env = envFromDocument(target);
+		const opts = { timeout, signal };
+		const current = await this.getEnv(opts);
+		const snapshot = current.snapshot ? current.snapshot.hash : null;
+		if (expectSnapshot !== undefined && expectSnapshot !== false && snapshot !== expectSnapshot) {
+			throw new StateError('Environment variables have changed since the snapshot was taken');
+		}
+		const diff = diffEnvVars(current.env, env);
+		if (!diff.added.length && !diff.changed.length && !diff.removed.length) {
+			return { changed: false, needReset: false, snapshot };
+		}
+		if (Object.keys(env).length) {
+			throw new NotSupportedError(Result.NOT_SUPPORTED, 'Setting environment variables is not supported');
+		}
+		const { needReset } = await this.clearEnv(opts);
+		const updated = await this.getEnv(opts);
+		return { changed: true, needReset, snapshot: updated.snapshot ? updated.snapshot.hash : null };
+	}
+
+	/**
+	 * Get the diagnostic data of the device.
+	 *
+	 * The data includes the vitals that the device normally reports to the Cloud, such as the uptime,
+	 * memory usage, battery state, signal strength and connection statistics, and can be retrieved while
+	 * the device is offline.
+	 *
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
+	 * @return {Promise<DiagnosticInfo>}
+	 */
+	async getDiagnostics({ timeout = globalOptions.requestTimeout, signal } = {}) {
+		// The request and reply of this request are not protobuf messages
+		const rep = await this.sendControlRequest(Request.DIAGNOSTIC_INFO.id, null, { timeout, signal });
+		if (rep.result !== Result.OK) {
+			throw errorForRequest(rep.result, this._requestErrorContext(Request.DIAGNOSTIC_INFO.id));
+		}
+		return parseDiagnostics(rep.data || Buffer.alloc(0));
+	}
+
+	/**
+	 * Device information.
+	 *
+	 * The properties that the device doesn't support are set to `null` and listed in the `unsupported`
+	 * array. The properties that couldn't be retrieved for other reasons are set to `null` as well, and
+	 * the respective errors are reported via the `errors` object.
+	 *
+	 * @typedef {Object} DeviceInfo
+	 * @property {String} id Device ID.
+	 * @property {String} type Device type (e.g. `'boron'`).
+	 * @property {Number} platformId Platform ID.
+	 * @property {Boolean} dfu Set to `true` if the device is in the DFU mode.
+	 * @property {String|null} firmwareVersion Device OS version.
+	 * @property {String|null} [serialNumber] Serial number.
+	 * @property {DeviceMode|null} [deviceMode] Device mode.
+	 * @property {Array<Object>|null} [firmwareModules] Firmware modules (see {@link Device#getFirmwareModuleInfo}).
+	 * @property {GetProtectionStateResult|null} [protectionState] Device protection state.
+	 * @property {CloudConnectionStatus|null} [cloudConnectionStatus] Cloud connection status.
+	 * @property {Array<Object>|null} [networkInterfaces] Network interfaces (see
+	 *           {@link NetworkDevice#getNetworkInterfaceList}).
+	 * @property {String|null} [iccid] ICCID of the active SIM card (cellular devices only).
+	 * @property {Array<String>} unsupported Names of the properties that the device doesn't support.
+	 * @property {Object.<String, Object>} errors Errors that occurred while retrieving the properties,
+	 *           arranged by property name. Every error is described by an object with the `name` and
+	 *           `message` properties.
+	 */
+
+	/**
+	 * Get all the information about the device that it can report.
+	 *
+	 * The set of requests sent to the device depends on its platform and mode. The requests are sent
+	 * concurrently, and the number of requests processed by the device at a time is limited by the
+	 * `concurrentRequests` option passed to {@link DeviceBase#open}. The returned object can be serialized
+	 * to JSON.
+	 *
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout for every request (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
+	 * @return {Promise<DeviceInfo>}
+	 */
+	async getInfo({ timeout = globalOptions.requestTimeout, signal } = {}) {
+		const info = {
+			id: this.id,
+			type: this.type,
+			platformId: this.platformId,
+			dfu: this.isInDfuMode,
+			firmwareVersion: this.firmwareVersion
+		};
+		const unsupported = [];
+		const errors = {};
+		const getters = this._infoGetters({ timeout, signal });
+		await Promise.all(Object.keys(getters).map(async (name) => {
+			try {
+				info[name] = await getters[name]();
+			} catch (err) {
+				if (err instanceof AbortError) {
+					throw err;
+				}
+				info[name] = null;
+				if (err instanceof NotSupportedError) {
+					unsupported.push(name);
+				} else {
+					errors[name] = { name: err.name, message: err.message };
+				}
+			}
+		}));
+		// Keep the order of the properties stable
+		info.unsupported = Object.keys(getters).filter((name) => unsupported.includes(name));
+		info.errors = errors;
+		return info;
+	}
+
+	// Returns true if the data at the specified address can be written over DFU. Only possible in the DFU mode
+	async _canWriteOverDfu(_address) {
+		return false;
+	}
+
+	// Returns the functions retrieving the properties reported by getInfo(), arranged by property name.
+	// Subclasses add the properties specific to their platforms
+	_infoGetters(options) {
+		return {
+			serialNumber: () => this.getSerialNumber(options),
+			deviceMode: () => this.getDeviceMode(options),
+			firmwareModules: () => this.getFirmwareModuleInfo(options),
+			protectionState: () => this.getProtectionState(options)
+		};
+	}
+
 	/**
 	 * Sends a protobuf encoded request to Device and decodes response. Use higher level methods like getSerialNumber() than this if possible.
 	 * @param {String} protobufMessageName - The protobuf message name, see DeviceOSProtobuf.getDefinitions() for valid values.
 	 * @param {Object} protobufMessageData data that will be encoded into the protobuf request before sending to device
 	 * @param {*} opts See sendControlRequest(), same options are here.
 	 * @returns {Object} Depends on schema defined by `req.reply`
-	 * @throws {RequestError} thrown when message isn't supported by device or other USB related failures
+	 * @throws {RequestError} thrown when message isn't supported by device or other USB related failures. The
+	 *         error is an instance of the {@link RequestError} subclass corresponding to the result code
 	 */
 	async sendProtobufRequest(protobufMessageName, protobufMessageData = {}, opts) {
 		const protobufDefinition = DeviceOSProtobuf.getDefinition(protobufMessageName);
@@ -1083,7 +1771,7 @@ class Device extends DeviceBase {
 		);
 
 		if (rep.result !== Result.OK) {
-			throw errorForRequest(rep.result);
+			throw errorForRequest(rep.result, this._requestErrorContext(protobufDefinition.id, protobufMessageName));
 		}
 
 		if (rep.data) {
@@ -1110,7 +1798,7 @@ class Device extends DeviceBase {
 			if (opts && opts.dontThrow) {
 				r = { result: rep.result };
 			} else if (rep.result !== Result.OK) {
-				throw errorForRequest(rep.result);
+				throw errorForRequest(rep.result, this._requestErrorContext(req.id));
 			}
 			if (req.reply) {
 				if (rep.data) {
@@ -1125,21 +1813,48 @@ class Device extends DeviceBase {
 		});
 	}
 
+	// Returns the properties describing the context of a failed request
+	_requestErrorContext(type, messageName = null) {
+		return {
+			requestType: type,
+			messageName: messageName || requestNameForType(type),
+			deviceId: this.id,
+			firmwareVersion: this.firmwareVersion
+		};
+	}
+
+	// Returns true if the device needs to be reopened after it resets
+	_shouldReconnect(reconnect) {
+		if (reconnect !== undefined) {
+			return !!reconnect;
+		}
+		return !!(this._openOptions && this._openOptions.reconnect);
+	}
+
 	// This method is used to send multiple requests to the device. The overall execution time can be
-	// limited via the `ms` argument (optional)
+	// limited via the `ms` argument (optional). The argument can also be an object with the `timeout`
+	// and `signal` properties, in which case all requests can be aborted via the signal
 	async timeout(ms, fn) {
 		if (typeof ms === 'function') {
 			fn = ms;
 			ms = undefined;
 		}
+		let signal = null;
+		if (ms && typeof ms === 'object') {
+			signal = ms.signal;
+			ms = ms.timeout;
+		}
 		if (!ms) {
 			ms = globalOptions.requestTimeout; // Default timeout
 		}
-		const s = new RequestSender(this, ms);
+		if (signal && signal.aborted) {
+			throw new AbortError('Operation aborted', { cause: signal.reason });
+		}
+		const s = new RequestSender(this, ms, signal);
 		return fn(s);
 	}
 
-	_readSectionData(section, offset, size) {
+	_readSectionData(section, offset, size, opts) {
 		const data = Buffer.alloc(size);
 		let chunkSize = 4096;
 		let chunkOffs = 0;
@@ -1155,7 +1870,7 @@ class Device extends DeviceBase {
 				section: section.sectionIndex,
 				offset: offset + chunkOffs,
 				size: chunkSize
-			}).then(rep => {
+			}, opts).then((rep) => {
 				rep.data.copy(data, chunkOffs);
 				chunkOffs += chunkSize;
 				return readChunk();
@@ -1164,10 +1879,10 @@ class Device extends DeviceBase {
 		return readChunk();
 	}
 
-	_writeSectionData(section, offset, data) {
+	_writeSectionData(section, offset, data, opts) {
 		return Promise.resolve().then(() => {
 			if (section.needClear) {
-				return this._clearSectionData(section);
+				return this._clearSectionData(section, opts);
 			}
 		}).then(() => {
 			let chunkSize = 4096;
@@ -1184,7 +1899,7 @@ class Device extends DeviceBase {
 					section: section.sectionIndex,
 					offset: offset + chunkOffs,
 					data: data.slice(chunkOffs, chunkOffs + chunkSize)
-				}).then(() => {
+				}, opts).then(() => {
 					chunkOffs += chunkSize;
 					return writeChunk();
 				});
@@ -1193,27 +1908,27 @@ class Device extends DeviceBase {
 		});
 	}
 
-	_clearSectionData(section) {
+	_clearSectionData(section, opts) {
 		return this.sendRequest(Request.CLEAR_SECTION_DATA, {
 			storage: section.storageIndex,
 			section: section.sectionIndex
-		});
+		}, opts);
 	}
 
-	_getSectionDataSize(section) {
+	_getSectionDataSize(section, opts) {
 		return this.sendRequest(Request.GET_SECTION_DATA_SIZE, {
 			storage: section.storageIndex,
 			section: section.sectionIndex
-		}).then(rep => rep.size);
+		}, opts).then((rep) => rep.size);
 	}
 
-	_getStorageInfo() {
+	_getStorageInfo(opts) {
 		// Check if there's a cached storage info
 		if (this._storageInfo) {
 			return Promise.resolve(this._storageInfo);
 		}
 		// Request storage info from the device
-		return this.sendRequest(Request.DESCRIBE_STORAGE).then(rep => {
+		return this.sendRequest(Request.DESCRIBE_STORAGE, null /* msg */, opts).then((rep) => {
 			const storage = {
 				modules: [],
 				factory: null,
@@ -4,13 +4,17 @@
  * which is the object under test in this file. Instead, we take a different mocking
  * strategy that also mocks out USB hardware, but doesn't mock src/device.js.
  */
-const { sinon, expect } = require('../test/support');
+const crypto = require('crypto');
+const { sinon, expect, firmwareModule, zipArchive } = require('../test/support');
 const { UsbDevice } = require('./usb-device-node');
 const { Device } = require('./device');
+const { DfuDevice } = require('./dfu-device');
+const { Progress } = require('./progress');
 const { platformForUsbIds } = require('./device-base');
 const DeviceOSProtobuf = require('@particle/device-os-protobuf');
 const { Result } = require('./result');
-const { RequestError, StateError } = require('./error');
+const { Request } = require('./request');
+const { RequestError, NotSupportedError, StateError, AbortError, InvalidFirmwareError, ProtocolError } = require('./error');
 
 describe('Device', () => {
 	const exampleSerialNumber = 'P046AF1450000FC';
@@ -39,6 +43,176 @@ describe('Device', () => {
 		expect(result).to.eql(exampleDeviceId);
 	});
 
+	it('reconnects to the device after reset if requested', async () => {
+		sinon.stub(device, 'sendRequest').resolves();
+		sinon.stub(device, '_reconnect').resolves();
+		await device.reset({ reconnect: true });
+		expect(device.sendRequest).to.have.property('callCount', 1);
+		expect(device._reconnect).to.have.property('callCount', 1);
+	});
+
+	it('reconnects to the device in DFU mode after entering DFU mode if requested', async () => {
+		sinon.stub(device, 'sendRequest').resolves();
+		sinon.stub(device, '_reconnect').resolves();
+		await device.enterDfuMode({ reconnect: true });
+		expect(device._reconnect).to.have.been.calledWithMatch({ dfu: true });
+	});
+
+	it('uses the reconnect option passed to open() by default', async () => {
+		sinon.stub(device, 'sendRequest').resolves();
+		sinon.stub(device, '_reconnect').resolves();
+		device._openOptions = { reconnect: true };
+		await device.enterSafeMode();
+		expect(device._reconnect).to.have.been.calledWithMatch({ dfu: false });
+		await device.enterSafeMode({ reconnect: false });
+		expect(device._reconnect).to.have.property('callCount', 1);
+	});
+
+	it('cancels the firmware update if it is aborted', async () => {
+		const controller = new AbortController();
+		sinon.stub(device, 'sendRequest').callsFake(async (req, msg, opts) => {
+			if (req === Request.START_FIRMWARE_UPDATE) {
+				return { chunkSize: 100 };
+			}
+			if (req === Request.FIRMWARE_UPDATE_DATA) {
+				controller.abort();
+				expect(opts.signal.aborted).to.be.true;
+				throw new AbortError('Request aborted');
+			}
+		});
+		const update = device.updateFirmware(firmwareModule({ platformId: p2Platform.id }), { signal: controller.signal });
+		await expect(update).to.be.rejectedWith(AbortError);
+		expect(device.sendRequest).to.have.been.calledThrice;
+		expect(device.sendRequest.thirdCall.args[0]).to.equal(Request.CANCEL_FIRMWARE_UPDATE);
+	});
+
+	it('cancels the firmware update if it fails', async () => {
+		sinon.stub(device, 'sendRequest').callsFake(async (req) => {
+			if (req === Request.START_FIRMWARE_UPDATE) {
+				return { chunkSize: 512 };
+			}
+			if (req === Request.FINISH_FIRMWARE_UPDATE) {
+				throw new RequestError(Result.INVALID_STATE);
+			}
+		});
+		await expect(device.updateFirmware(firmwareModule({ platformId: p2Platform.id }))).to.be.rejectedWith(RequestError);
+		expect(device.sendRequest.lastCall.args[0]).to.equal(Request.CANCEL_FIRMWARE_UPDATE);
+	});
+
+	it('validates the firmware without applying it if validateOnly is set', async () => {
+		sinon.stub(device, 'sendRequest').resolves({ chunkSize: 1024 });
+		await device.updateFirmware(firmwareModule({ platformId: p2Platform.id }), { validateOnly: true });
+		expect(device.sendRequest.getCalls().map((c) => c.args[0])).to.deep.equal([Request.START_FIRMWARE_UPDATE,
+			Request.FIRMWARE_UPDATE_DATA, Request.FINISH_FIRMWARE_UPDATE, Request.CANCEL_FIRMWARE_UPDATE]);
+		expect(device.sendRequest.thirdCall.args[1]).to.deep.equal({ validateOnly: true });
+	});
+
+	it('reports the progress of the firmware update to a Progress instance', async () => {
+		sinon.stub(device, 'sendRequest').resolves({ chunkSize: 512 });
+		const progress = new Progress();
+		const listener = sinon.spy();
+		progress.on('progress', listener);
+		await device.updateFirmware(firmwareModule({ platformId: p2Platform.id }), { progress });
+		expect(listener.args.map((args) => args[0].event)).to.deep.equal(['start-erase', 'erased', 'complete-erase',
+			'start-download', 'downloaded', 'downloaded', 'complete-download']);
+		expect(listener.lastCall.args[0]).to.include({ phase: 'download', done: 1024, total: 1024, fraction: 1 });
+		expect(progress.ended).to.be.true;
+
+		const failed = new Progress();
+		await expect(device.updateFirmware(firmwareModule({ platformId: 13 }), { progress: failed })).to.be.rejectedWith(InvalidFirmwareError);
+		expect(failed.ended).to.be.true;
+	});
+
+	it('does not start the firmware update if the signal is already aborted', async () => {
+		const controller = new AbortController();
+		controller.abort();
+		sinon.stub(device, 'sendRequest').resolves();
+		await expect(device.updateFirmware(firmwareModule({ platformId: p2Platform.id }), { signal: controller.signal })).to.be.rejectedWith(AbortError);
+		expect(device.sendRequest).to.not.have.been.called;
+	});
+
+	it('refuses to update the firmware with a module built for another platform', async () => {
+		sinon.stub(device, 'sendRequest').resolves({ chunkSize: 1024 });
+		const data = firmwareModule({ platformId: 13 /* Boron */ });
+		await expect(device.updateFirmware(data)).to.be.rejectedWith(InvalidFirmwareError, 'built for platform 13');
+		expect(device.sendRequest).to.not.have.been.called;
+		await device.updateFirmware(data, { force: true });
+		expect(device.sendRequest.firstCall.args[0]).to.equal(Request.START_FIRMWARE_UPDATE);
+	});
+
+	it('implements checkFirmwareCompatibility() and reports the missing and broken dependencies', async () => {
+		sinon.stub(device, 'getFirmwareModuleInfo').resolves([
+			{ type: 'BOOTLOADER', index: 0, version: 1200, store: 'MAIN', dependencies: [] },
+			{ type: 'SYSTEM_PART', index: 1, version: 5501, store: 'MAIN', dependencies: [{ type: 'BOOTLOADER', index: 0, version: 1200 }] },
+			{ type: 'USER_PART', index: 1, version: 6, store: 'MAIN', dependencies: [{ type: 'SYSTEM_PART', index: 1, version: 5501 }] }
+		]);
+		const data = firmwareModule({ platformId: p2Platform.id, moduleFunction: 4 /* SYSTEM_PART */, index: 1, version: 5302 });
+		// Depends on bootloader version 2300
+		data.writeUInt8(2, 16);
+		data.writeUInt8(0, 17);
+		data.writeUInt16LE(2300, 18);
+
+		const result = await device.checkFirmwareCompatibility(data);
+		expect(result).to.deep.equal({
+			safeMode: true,
+			missing: [{ type: 'BOOTLOADER', index: 0, version: 2300, installedVersion: 1200, requiredBy: { type: 'SYSTEM_PART', index: 1, version: 5302 } }],
+			broken: [{ type: 'SYSTEM_PART', index: 1, version: 5501, installedVersion: 5302, requiredBy: { type: 'USER_PART', index: 1, version: 6 } }]
+		});
+	});
+
+	describe('flashAll()', () => {
+		let bootloader, systemPart, userPart;
+		beforeEach(() => {
+			bootloader = firmwareModule({ platformId: p2Platform.id, moduleFunction: 2, index: 0, version: 2300, startAddress: 0x8000000 });
+			const systemDeps = [{ moduleFunction: 2, index: 0, version: 2300 }];
+			systemPart = firmwareModule({ platformId: p2Platform.id, moduleFunction: 4, index: 1, version: 5302, startAddress: 0x8060000, dependencies: systemDeps });
+			const userDeps = [{ moduleFunction: 4, index: 1, version: 5302 }];
+			userPart = firmwareModule({ platformId: p2Platform.id, moduleFunction: 5, index: 1, version: 6, dependencies: userDeps });
+		});
+
+		it('flashes the modules in the order of their dependencies and reopens the device in between', async () => {
+			const flashed = [];
+			sinon.stub(device, 'updateFirmware').callsFake(async (data) => flashed.push(data));
+			sinon.stub(device, '_reconnect').resolves();
+			const progress = sinon.spy();
+
+			const report = await device.flashAll([userPart, systemPart, bootloader], { progress });
+			expect(flashed).to.deep.equal([bootloader, systemPart, userPart]);
+			expect(device._reconnect).to.have.been.calledTwice;
+			expect(report.ok).to.be.true;
+			expect(report.results.map((r) => [r.type, r.method, r.ok])).to.deep.equal([
+				['BOOTLOADER', 'control', true], ['SYSTEM_PART', 'control', true], ['USER_PART', 'control', true]
+			]);
+			expect(progress).to.have.been.calledWithMatch({ event: 'start-module', module: { type: 'SYSTEM_PART', index: 1, version: 5302 }, step: 2, steps: 3 });
+		});
+
+		it('writes the modules over DFU if the device is in the DFU mode', async () => {
+			device = new (DfuDevice(Device))(usbDevice, p2Platform);
+			sinon.stub(device, 'isInDfuMode').value(true);
+			sinon.stub(device, '_canWriteOverDfu').resolves(true);
+			sinon.stub(device, 'writeOverDfu').resolves();
+			sinon.stub(device, 'reset').resolves();
+			sinon.stub(device, '_reconnect').resolves();
+
+			const report = await device.flashAll([userPart, systemPart]);
+			expect(report.results.map((r) => r.method)).to.deep.equal(['dfu', 'dfu']);
+			expect(device.writeOverDfu.firstCall).to.have.been.calledWithMatch(systemPart, { altSetting: 0, startAddr: 0x8060000, leave: false });
+			expect(device.writeOverDfu.secondCall).to.have.been.calledWithMatch(userPart, { altSetting: 0, startAddr: 0x85f000, leave: false });
+			expect(device.reset).to.have.been.calledOnce;
+			expect(device._reconnect).to.not.have.been.called;
+		});
+
+		it('skips the remaining modules if flashing a module fails', async () => {
+			sinon.stub(device, 'updateFirmware').onSecondCall().rejects(new RequestError(Result.ERROR));
+			sinon.stub(device, '_reconnect').resolves();
+
+			const report = await device.flashAll([bootloader, systemPart, userPart]);
+			expect(report.ok).to.be.false;
+			expect(report.results.map((r) => [r.ok, r.skipped])).to.deep.equal([[true, false], [false, false], [false, true]]);
+			expect(report.results[1].error).to.be.an.instanceOf(RequestError);
+		});
+	});
+
 	it('provides enterListeningMode()', async () => {
 		sinon.stub(device, 'sendProtobufRequest');
 		device.sendProtobufRequest.onCall(0).resolves({});
@@ -76,6 +250,20 @@ describe('Device', () => {
 		expect(error).to.be.an.instanceOf(RequestError);
 	});
 
+	it('implements sendProtobufRequest() in a way that reports the context of a failed request', async () => {
+		sinon.stub(device, 'sendControlRequest').resolves({ result: Result.NOT_SUPPORTED });
+		const error = await expect(device.sendProtobufRequest('GetSerialNumberRequest')).to.be.rejectedWith(NotSupportedError);
+		expect(error).to.be.an.instanceOf(RequestError);
+		expect(error).to.include({
+			code: 'NOT_SUPPORTED',
+			result: Result.NOT_SUPPORTED,
+			requestType: DeviceOSProtobuf.getDefinition('GetSerialNumberRequest').id,
+			messageName: 'GetSerialNumberRequest',
+			deviceId: device.id,
+			firmwareVersion: device.firmwareVersion
+		});
+	});
+
 	it('implements sendProtobufRequest() in a way that creates a valid decoded protobuf message even if sendControlRequest does not return valid .data field', async () => {
 		sinon.stub(device, 'sendControlRequest').resolves({ result: Result.OK /* no data field */ });
 		const replyObject = await device.sendProtobufRequest('GetSerialNumberRequest');
@@ -296,6 +484,266 @@ describe('Device', () => {
 		await expect(device.getAssetInfo()).to.be.eventually.rejectedWith(StateError, 'Cannot get information when the device is in DFU mode');
 	});
 
+	it('implements flashBundle() flashing the modules built for the platform of the device', async () => {
+		const p2Module = firmwareModule({ platformId: p2Platform.id });
+		const data = zipArchive({ 'boron.bin': firmwareModule({ platformId: 13 }), 'p2.bin': p2Module });
+		sinon.stub(device, 'flashAll').resolves({ ok: true, results: [] });
+		await device.flashBundle(data);
+		expect(device.flashAll).to.have.been.calledOnce;
+		expect(device.flashAll.firstCall.args[0]).to.deep.equal([p2Module]);
+
+		const other = zipArchive({ 'boron.bin': firmwareModule({ platformId: 13 }) });
+		await expect(device.flashBundle(other)).to.be.rejectedWith(InvalidFirmwareError, 'no firmware modules for platform 32');
+	});
+
+	it('implements flashBundle() refusing a bundle with assets unless they are ignored', async () => {
+		const p2Module = firmwareModule({ platformId: p2Platform.id });
+		const data = zipArchive({ 'p2.bin': p2Module, 'assets/sound.wav': Buffer.from('abc') });
+		sinon.stub(device, 'flashAll').resolves({ ok: true, results: [] });
+		await expect(device.flashBundle(data)).to.be.rejectedWith(NotSupportedError, 'sound.wav');
+		expect(device.flashAll).to.not.have.been.called;
+		await device.flashBundle(data, { ignoreAssets: true });
+		expect(device.flashAll.firstCall.args[0]).to.deep.equal([p2Module]);
+	});
+
+	it('passes the timeout and abort signal to every request sent by readEeprom()', async () => {
+		const signal = new AbortController().signal;
+		sinon.stub(device, 'sendRequest').callsFake(async (req, msg) => {
+			if (req === Request.DESCRIBE_STORAGE) {
+				return { storage: [{ sections: [{ type: DeviceOSProtobuf.definitions.SectionType.EEPROM, size: 8192, flags: 0 }] }] };
+			}
+			return { data: Buffer.alloc(msg.size) };
+		});
+		const data = await device.readEeprom(0, 5000, { timeout: 1234, signal });
+		expect(data).to.have.lengthOf(5000);
+		expect(device.sendRequest).to.have.been.calledThrice;
+		for (const call of device.sendRequest.getCalls()) {
+			expect(call.args[2]).to.deep.equal({ timeout: 1234, signal });
+		}
+	});
+
+	it('passes the timeout and abort signal to the requests sent by getEnv() and clearEnv()', async () => {
+		const signal = new AbortController().signal;
+		sinon.stub(device, 'sendProtobufRequest').resolves({ vars: [], needReset: false });
+		await device.getEnv({ timeout: 1234, signal });
+		await device.clearEnv({ timeout: 1234, signal });
+		expect(device.sendProtobufRequest.firstCall.args).to.deep.equal(['GetEnvRequest', null, { timeout: 1234, signal }]);
+		expect(device.sendProtobufRequest.secondCall.args).to.deep.equal(['ClearEnvRequest', null, { timeout: 1234, signal }]);
+	});
+
+	describe('environment', () => {
+		beforeEach(() => {
+			sinon.stub(device, 'getEnv').resolves({
+				env: { B: { value: '2', isApp: true }, A: { value: '1', isApp: false } },
+				snapshot: { hash: 'abcd' }
+			});
+		});
+
+		it('implements exportEnv() and diffEnv()', async () => {
+			const doc = await device.exportEnv();
+			const env = { A: { value: '1', isApp: false }, B: { value: '2', isApp: true } };
+			expect(doc).to.deep.equal({ format: 'particle-env', version: 1, deviceId: null, snapshot: 'abcd', env });
+			const diff = await device.diffEnv({ A: '10', C: { value: '3', isApp: true } });
+			expect(diff).to.deep.equal({
+				added: [{ name: 'C', value: '3', isApp: true }],
+				changed: [{ name: 'A', value: '10', isApp: false, deviceValue: '1', deviceIsApp: false }],
+				removed: [{ name: 'B', value: '2', isApp: true }]
+			});
+		});
+
+		it('implements applyEnv() and fails if the snapshot has changed', async () => {
+			const doc = await device.exportEnv();
+			sinon.stub(device, 'clearEnv').resolves({ needReset: true });
+			expect(await device.applyEnv(doc, { expectSnapshot: true })).to.deep.equal({ changed: false, needReset: false, snapshot: 'abcd' });
+			doc.snapshot = '1234';
+			await expect(device.applyEnv(Object.assign({}, doc, { env: {} }), { expectSnapshot: true })).to.be.rejectedWith(StateError);
+			expect(device.clearEnv).to.not.have.been.called;
+		});
+
+		it('implements applyEnv() clearing the variables', async () => {
+			sinon.stub(device, 'clearEnv').resolves({ needReset: true });
+			const result = await device.applyEnv({}, { expectSnapshot: 'abcd' });
+			expect(device.clearEnv).to.have.been.calledOnce;
+			expect(result).to.include({ changed: true, needReset: true });
+			await expect(device.applyEnv({ A: '10' })).to.be.rejectedWith(NotSupportedError);
+		});
+
+		it('implements applyEnv() passing the options to every request', async () => {
+			const signal = new AbortController().signal;
+			sinon.stub(device, 'clearEnv').resolves({ needReset: false });
+			await device.applyEnv({}, { timeout: 1234, signal });
+			expect(device.getEnv).to.have.been.calledTwice;
+			expect(device.getEnv).to.have.always.been.calledWith({ timeout: 1234, signal });
+			expect(device.clearEnv).to.have.been.calledWith({ timeout: 1234, signal });
+		});
+
+		it('implements applyEnv() clearing the variables changed after the snapshot check', async () => {
+			let state = { env: { A: { value: '1', isApp: false } }, snapshot: { hash: 'abcd' } };
+			device.getEnv.callsFake(async () => state);
+			device.getEnv.onFirstCall().callsFake(async () => {
+				const current = state;
+				// Another client sets a variable right after the snapshot has been checked
+				state = { env: Object.assign({ C: { value: '3', isApp: true } }, current.env), snapshot: { hash: 'beef' } };
+				return current;
+			});
+			sinon.stub(device, 'clearEnv').callsFake(async () => {
+				expect(state.env).to.have.property('C');
+				state = { env: {}, snapshot: { hash: 'ef01' } };
+				return { needReset: true };
+			});
+			const result = await device.applyEnv({}, { expectSnapshot: 'abcd' });
+			expect(device.clearEnv).to.have.been.calledOnce;
+			expect(result).to.deep.equal({ changed: true, needReset: true, snapshot: 'ef01' });
+		});
+	});
+
+	describe('getDiagnostics()', () => {
+		const entry = (id, data) => {
+			const header = Buffer.alloc(4);
+			header.writeUInt16LE(id, 0);
+			header.writeUInt16LE(data.length, 2);
+			return Buffer.concat([header, data]);
+		};
+		const int32 = (val) => {
+			const buf = Buffer.alloc(4);
+			buf.writeInt32LE(val, 0);
+			return buf;
+		};
+
+		it('decodes the known diagnostic sources and preserves the unknown ones', async () => {
+			const data = Buffer.concat([
+				entry(6, int32(3600)), // Uptime
+				entry(1, int32(20)), // Reset reason
+				entry(3, int32(Math.round(84.5 * 256))), // Battery charge
+				entry(7, int32(99)), // Battery state (unknown value)
+				entry(37, int32(-71 * 256)), // Signal strength value
+				entry(29, int32(3)), // Cloud connection attempts
+				entry(40000, Buffer.from('abc'))
+			]);
+			sinon.stub(device, 'sendControlRequest').resolves({ result: Result.OK, data });
+			const diag = await device.getDiagnostics();
+			expect(device.sendControlRequest).to.have.been.calledOnceWith(Request.DIAGNOSTIC_INFO.id, null);
+			expect(diag).to.deep.equal({
+				uptime: 3600,
+				resetReason: 'PIN_RESET',
+				batteryCharge: 84.5,
+				batteryState: 99,
+				signalStrengthValue: -71,
+				cloudConnectionAttempts: 3,
+				unknown: [{ id: 40000, data: Buffer.from('abc') }]
+			});
+		});
+
+		it('fails if the request fails or the data is malformed', async () => {
+			const stub = sinon.stub(device, 'sendControlRequest');
+			stub.resolves({ result: Result.NOT_SUPPORTED });
+			await expect(device.getDiagnostics()).to.be.rejectedWith(NotSupportedError);
+			stub.resolves({ result: Result.OK, data: entry(6, int32(1)).slice(0, 6) });
+			await expect(device.getDiagnostics()).to.be.rejectedWith(ProtocolError);
+		});
+	});
+
+	describe('assets', () => {
+		const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+		let local;
+		beforeEach(() => {
+			local = [
+				{ name: 'a.wav', data: Buffer.from('aaa'), module: firmwareModule({ moduleFunction: 9, index: 0, version: 0 }) },
+				{ name: 'b.wav', data: Buffer.from('bbb'), module: firmwareModule({ moduleFunction: 9, index: 0, version: 0 }) },
+				{ name: 'c.wav', data: Buffer.from('ccc') }
+			];
+		});
+
+		it('implements compareAssets() and reports the missing and stale assets', async () => {
+			sinon.stub(device, 'getAssetInfo').resolves({
+				available: [{ name: 'b.wav', hash: sha256('old'), size: 3, storageSize: 3 }, { name: 'c.wav', hash: sha256('ccc'), size: 3, storageSize: 3 }],
+				required: [{ name: 'b.wav', hash: sha256('bbb') }, { name: 'd.wav', hash: sha256('ddd') }]
+			});
+			const result = await device.compareAssets(local);
+			expect(result).to.deep.equal({
+				missing: [{ name: 'a.wav', hash: sha256('aaa') }],
+				stale: [{ name: 'b.wav', hash: sha256('bbb'), deviceHash: sha256('old') }],
+				current: [{ name: 'c.wav', hash: sha256('ccc') }],
+				unavailable: [{ name: 'd.wav', hash: sha256('ddd') }]
+			});
+		});
+
+		it('implements updateAssets() transferring the outdated assets and verifying the result', async () => {
+			const before = { available: [{ name: 'b.wav', hash: sha256('old') }, { name: 'c.wav', hash: sha256('ccc') }], required: [] };
+			const after = { available: local.map((a) => ({ name: a.name, hash: sha256(a.data) })), required: [] };
+			sinon.stub(device, 'getAssetInfo').onFirstCall().resolves(before).onSecondCall().resolves(after);
+			sinon.stub(device, 'flashAll').resolves({ ok: true, results: [{ ok: true, error: null, duration: 10 }] });
+
+			const report = await device.updateAssets(local);
+			expect(device.flashAll).to.have.been.calledTwice;
+			expect(device.flashAll.firstCall.args[0]).to.deep.equal([local[0].module]);
+			expect(device.flashAll.secondCall.args[0]).to.deep.equal([local[1].module]);
+			expect(device.flashAll.firstCall.args[1]).to.include({ force: true, reconnect: true });
+			expect(report.ok).to.be.true;
+			expect(report.results.map((r) => r.name)).to.deep.equal(['a.wav', 'b.wav']);
+			expect(report.assets.current).to.have.lengthOf(3);
+		});
+
+		it('implements updateAssets() and refuses a module that is not an asset', async () => {
+			sinon.stub(device, 'getAssetInfo').resolves({ available: [], required: [] });
+			sinon.stub(device, 'flashAll').resolves();
+			local[0].module = firmwareModule({ moduleFunction: 5 });
+			await expect(device.updateAssets(local.slice(0, 1))).to.be.rejectedWith(InvalidFirmwareError, 'not an asset module');
+			expect(device.flashAll).to.not.have.been.called;
+		});
+	});
+
+	it('implements getInfo() and marks the properties that the device does not support', async () => {
+		sinon.stub(device, 'getSerialNumber').resolves(exampleSerialNumber);
+		sinon.stub(device, 'getDeviceMode').rejects(new NotSupportedError(Result.NOT_SUPPORTED));
+		sinon.stub(device, 'getFirmwareModuleInfo').rejects(new RequestError(Result.ERROR, 'Request error'));
+		sinon.stub(device, 'getProtectionState').resolves({ protected: false });
+
+		const info = await device.getInfo();
+		expect(info).to.deep.include({
+			type: 'p2',
+			dfu: false,
+			serialNumber: exampleSerialNumber,
+			deviceMode: null,
+			firmwareModules: null,
+			protectionState: { protected: false },
+			unsupported: ['deviceMode'],
+			errors: { firmwareModules: { name: 'RequestError', message: 'Request error' } }
+		});
+		expect(JSON.parse(JSON.stringify(info))).to.deep.equal(info);
+	});
+
+	it('implements getInfo() and passes the timeout and signal to the protection state request', async () => {
+		const controller = new AbortController();
+		const sendProtobufRequest = sinon.stub(device, 'sendProtobufRequest').resolves({});
+		sinon.stub(device, 'getFirmwareModuleInfo').resolves([]);
+		await device.getInfo({ timeout: 1234, signal: controller.signal });
+		const protectionCall = sendProtobufRequest.getCalls().find((c) => c.args[0] === 'GetProtectedStateRequest');
+		expect(protectionCall.args[2]).to.deep.equal({ timeout: 1234, signal: controller.signal });
+	});
+
+	it('refuses to write a truncated module over DFU', async () => {
+		device = new (DfuDevice(Device))(usbDevice, p2Platform);
+		device._dfu = { setAltSetting: sinon.stub().resolves(), doDownload: sinon.stub().resolves() };
+		const data = firmwareModule({ platformId: 32 });
+		await expect(device.writeOverDfu(data.slice(0, 512), { altSetting: 0, startAddr: 0x85f000 })).to.be.rejectedWith(InvalidFirmwareError);
+		expect(device._dfu.doDownload).to.not.have.been.called;
+		await device.writeOverDfu(data.slice(0, 512), { altSetting: 0, startAddr: 0x85f000, force: true });
+		expect(device._dfu.doDownload).to.have.been.calledOnce;
+	});
+
+	it('implements getInfo() and only requests the protection state when the device is in dfu', async () => {
+		device = new (DfuDevice(Device))(usbDevice, p2Platform);
+		sinon.stub(device, 'isInDfuMode').value(true);
+		sinon.stub(device, 'getProtectionState').resolves({ protected: true });
+		const sendRequest = sinon.stub(device, 'sendRequest').rejects(new StateError());
+
+		const info = await device.getInfo();
+		expect(info).to.deep.include({ dfu: true, protectionState: { protected: true }, unsupported: [], errors: {} });
+		expect(info).to.not.have.property('serialNumber');
+		expect(sendRequest).to.not.have.been.called;
+	});
+
 	describe('Device', () => {
 		let device;
 
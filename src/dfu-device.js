@@ -1,26 +1,64 @@
 'use strict';
+const { isFirmwareModule, validateFirmwareModule } = require('./firmware-module');
+const { endProgress } = require('./progress');
+
+// Alternate setting of the DFU interface providing access to the internal flash
+const INTERNAL_FLASH_ALT_SETTING = 0;
+
 const DfuDevice = (base) => class extends base {
 	/**
 	 * Flashes the firmware over DFU interface.
 	 *
+	 * If the data is a Particle module binary, it is validated before it is flashed. A module that is
+	 * built for another platform, is truncated or has an invalid checksum is refused with an
+	 * {@link InvalidFirmwareError}.
+	 *
 	 * @param {Buffer} data The binary firmware data to be flashed.
 	 * @param {Object} options Options.
 	 * @param {Number} options.altSetting The interface alternate setting.
 	 * @param {Number} options.startAddr The starting address where the firmware will be written.
 	 * @param {boolean} [options.noErase] - Skip erasing the device memory.
 	 * @param {boolean} [options.leave] - Leave DFU mode after download.
-	 * @param {Function} [options.progress] User's callback function to log progress of the flashing process.
+	 * @param {Boolean} [options.force] Skip the validation of the firmware binary.
+	 * @param {Function|Progress} [options.progress] Callback function or {@link Progress} instance
+	 *        receiving the progress of the operation (see {@link TransferProgress}).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the transfer.
 	 * @returns {Promise<void>} A Promise that resolves when the firmware is successfully flashed.
 	 */
-	async writeOverDfu(data, { altSetting, startAddr, noErase, leave, progress }) {
-		await this._dfu.setAltSetting(altSetting);
-		await this._dfu.doDownload({ startAddr, data, noErase, leave, progress });
+	async writeOverDfu(data, { altSetting, startAddr, noErase, leave, force, progress, signal }) {
+		try {
+			// Arbitrary data can be written over DFU, so only the data that looks like a module is validated
+			if (!force && isFirmwareModule(data)) {
+				await validateFirmwareModule(data, { platformId: this.platformId });
+			}
+			await this._dfu.setAltSetting(altSetting);
+			await this._dfu.doDownload({ startAddr, data, noErase, leave, progress, signal });
+		} finally {
+			endProgress(progress);
+		}
+	}
+
+	async readOverDfu({ altSetting, startAddr, size, progress, signal }) {
+		try {
+			await this._dfu.setAltSetting(altSetting);
+			const buffer = await this._dfu.doUpload({ startAddr, maxSize: size, progress, signal });
+			return buffer;
+		} finally {
+			endProgress(progress);
+		}
+	}
+
+	async _canWriteOverDfu(address) {
+		await this._dfu.setAltSetting(INTERNAL_FLASH_ALT_SETTING);
+		const segment = this._dfu._getSegment(address);
+		return !!segment && segment.writable;
 	}
 
-	async readOverDfu({ altSetting, startAddr, size, progress }) {
-		await this._dfu.setAltSetting(altSetting);
-		const buffer = await this._dfu.doUpload({ startAddr, maxSize: size, progress });
-		return buffer;
+	// Only a few properties can be retrieved in the DFU mode
+	_infoGetters(options) {
+		return {
+			protectionState: () => this.getProtectionState(options)
+		};
 	}
 };
 
@@ -18,7 +18,8 @@
  * OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
  */
 'use strict';
-const { DeviceError, UsbStallError, DeviceProtectionError, UnsupportedDfuseCommandError } = require('./error');
+const { DeviceError, UsbStallError, DeviceProtectionError, UnsupportedDfuseCommandError, AbortError } = require('./error');
+const { startPhase, endProgress } = require('./progress');
 
 /**
  * A generic DFU error.
@@ -309,10 +310,21 @@ class Dfu {
 	 * @param {Buffer} options.data - The binary data to write.
 	 * @param {boolean} [options.noErase] - Skip erasing the device memory.
 	 * @param {boolean} [options.leave] - Leave DFU mode after download.
-	 * @param {function} [options.progress] - Callback function used to log progress.
+	 * @param {function|Progress} [options.progress] - Callback function or {@link Progress} instance
+	 *        receiving the progress of the operation (see {@link TransferProgress}).
+	 * @param {AbortSignal} [options.signal] - Signal that can be used to abort the download. The device
+	 *        is returned to the idle state.
 	 * @return {Promise}
 	 */
-	async doDownload({ startAddr, data, noErase, leave, progress }) {
+	async doDownload({ startAddr, data, noErase, leave, progress, signal }) {
+		try {
+			await this._doDownloadImpl({ startAddr, data, noErase, leave, progress, signal });
+		} finally {
+			endProgress(progress);
+		}
+	}
+
+	async _doDownloadImpl({ startAddr, data, noErase, leave, progress, signal }) {
 		if (!this._memoryInfo || !this._memoryInfo.segments) {
 			throw new Error('No memory map available');
 		}
@@ -324,56 +336,49 @@ class Dfu {
 			this._log.error(`Start address 0x${startAddress.toString(16)} outside of memory map bounds`);
 		}
 		if (segment && !segment.writable) {
-			throw new DeviceProtectionError('Segment is not writable');
+			throw new DeviceProtectionError(null, 'Segment is not writable');
 		}
 
 		const expectedSize = data.byteLength;
 
 		if (!noErase) {
 			this._log.info('Erasing DFU device memory');
-			await this._erase(startAddress, expectedSize, progress);
+			await this._erase(startAddress, expectedSize, progress, signal);
 		}
 
-		this._log.info('Copying binary data to DFU device startAddress=' + startAddress + ' total_expected_size=' + expectedSize);
+		this._log.info('Copying binary data to DFU device', { address: startAddress, bytes: expectedSize });
 
-		if (progress) {
-			progress({ event: 'start-download', bytes: expectedSize });
-		}
+		const transfer = startPhase(progress, 'download', expectedSize, startAddress);
 		let bytesSent = 0;
 		let address = startAddress;
 		while (bytesSent < expectedSize) {
+			await this._checkAborted(signal);
 			const bytesLeft = expectedSize - bytesSent;
 			const chunkSize = Math.min(bytesLeft, this._transferSize);
 
 			let dfuStatus;
 			try {
 				await this._dfuseCommand(DfuseCommand.DFUSE_COMMAND_SET_ADDRESS_POINTER, address);
-				this._log.trace(`Set address to 0x${address.toString(16)}`);
+				this._log.trace('Set address', { address });
 				await this._sendDnloadRequest(data.slice(bytesSent, bytesSent + chunkSize), 2);
 				dfuStatus = await this._pollUntil(state => (state === DfuDeviceState.dfuDNLOAD_IDLE));
-				this._log.trace('Sent ' + chunkSize + ' bytes');
+				this._log.trace('Sent data', { bytes: chunkSize });
 				address += chunkSize;
 			} catch (error) {
 				throw new Error('Error during DfuSe download: ' + error);
 			}
 
 			if (dfuStatus.status !== DfuDeviceStatus.OK) {
-				if (progress) {
-					progress({ event: 'failed-download' });
-				}
+				transfer.fail();
 				throw new Error(`DFU DOWNLOAD failed state=${dfuStatus.state}, status=${dfuStatus.status}`);
 			}
 
-			this._log.trace('Wrote ' + chunkSize + ' bytes');
+			this._log.trace('Wrote data', { address: address - chunkSize, bytes: chunkSize });
 			bytesSent += chunkSize;
-			if (progress) {
-				progress({ event: 'downloaded', bytes: chunkSize });
-			}
-		}
-		this._log.info(`Wrote ${bytesSent} bytes total`);
-		if (progress) {
-			progress({ event: 'complete-download', bytes: bytesSent });
+			transfer.advance(chunkSize, address);
 		}
+		this._log.info('Download completed', { bytes: bytesSent });
+		transfer.complete();
 
 		if (leave) {
 			this._log.info('Manifesting new firmware');
@@ -619,7 +624,7 @@ class Dfu {
 				if (triesLeft === 0 || !(error instanceof UsbStallError)) {
 					throw new Error('Error during special DfuSe command ' + commandNames[command] + ':' + error);
 				}
-				this._log.trace('dfuse error, retrying', error);
+				this._log.trace('DfuSe command failed, retrying', { command: commandNames[command], error });
 
 				await new Promise(resolve => setTimeout(resolve, 1000));
 
@@ -698,46 +703,41 @@ class Dfu {
 	 *
 	 * @param {number} startAddr The starting address of the memory range to be erased.
 	 * @param {number} length The length of the memory range to be erased in bytes.
+	 * @param {function|Progress} [progress] Callback function or {@link Progress} instance receiving
+	 *        the progress of the operation.
+	 * @param {AbortSignal} [signal] Signal that can be used to abort the operation.
 	 * @throws {Error} If the start address or the length is outside the memory map bounds, or if erasing fails.
 	 */
-	async _erase(startAddr, length, progress) {
+	async _erase(startAddr, length, progress, signal) {
 		let segment = this._getSegment(startAddr);
 		if (segment && !segment.erasable) {
-			throw new DeviceProtectionError('Segment is not erasable');
+			throw new DeviceProtectionError(null, 'Segment is not erasable');
 		}
 		let addr = this._getSectorStart(startAddr, segment);
 		const endAddr = this._getSectorEnd(startAddr + length - 1);
 
-		let bytesErased = 0;
 		const bytesToErase = endAddr - addr;
-
-		if (progress) {
-			progress({ event: 'start-erase', bytes: bytesToErase });
-		}
+		const erase = startPhase(progress, 'erase', bytesToErase, addr);
 		while (addr < endAddr) {
 			if (segment.end <= addr) {
 				segment = this._getSegment(addr);
 			}
 			if (!segment.erasable) {
-				// Skip over the non-erasable section
-				bytesErased = Math.min(bytesErased + segment.end - addr, bytesToErase);
-				if (progress) {
-					// include a progress event for the skipped section to ensure total matches
-					progress({ event: 'erased', bytes: segment.end - addr });
-				}
+				// Skip over the non-erasable section. Include a progress event for the skipped section
+				// to ensure the total matches
+				erase.advance(segment.end - addr, segment.end);
 				addr = segment.end;
 				continue;
 			}
+			await this._checkAborted(signal);
 			const sectorIndex = Math.floor((addr - segment.start) / segment.sectorSize);
 			const sectorAddr = segment.start + sectorIndex * segment.sectorSize;
-			this._log.trace(`Erasing ${segment.sectorSize}B at 0x${sectorAddr.toString(16)}`);
+			this._log.trace('Erasing sector', { address: sectorAddr, bytes: segment.sectorSize });
 			await this._dfuseCommand(DfuseCommand.DFUSE_COMMAND_ERASE, sectorAddr);
 			addr = sectorAddr + segment.sectorSize;
-			bytesErased += segment.sectorSize;
-			if (progress) {
-				progress({ event: 'erased', bytes: segment.sectorSize });
-			}
+			erase.advance(segment.sectorSize, addr);
 		}
+		erase.complete();
 	}
 
 	async _getStringDescriptor(index) {
@@ -847,59 +847,70 @@ class Dfu {
 		return desc;
 	}
 
-	async doUpload({ startAddr, maxSize, progress }) {
-		const segment = this._getSegment(startAddr);
-		if (segment && !segment.readable) {
-			throw new DeviceProtectionError('Segment is not readable');
-		}
+	/**
+	 * Perform DFU upload of binary data from the device.
+	 *
+	 * @param {Object} options Options.
+	 * @param {number} options.startAddr - The starting address to read the data from.
+	 * @param {number} [options.maxSize] - The maximum number of bytes to read.
+	 * @param {function|Progress} [options.progress] - Callback function or {@link Progress} instance
+	 *        receiving the progress of the operation (see {@link TransferProgress}).
+	 * @param {AbortSignal} [options.signal] - Signal that can be used to abort the upload. The device
+	 *        is returned to the idle state.
+	 * @return {Promise<Buffer>}
+	 */
+	async doUpload({ startAddr, maxSize, progress, signal }) {
+		try {
+			const segment = this._getSegment(startAddr);
+			if (segment && !segment.readable) {
+				throw new DeviceProtectionError(null, 'Segment is not readable');
+			}
 
-		const state = await this._getStatus();
-		if (state.state !== DfuDeviceState.dfuIDLE) {
-			await this._clearStatus(); // suggested by dfu-util
+			const state = await this._getStatus();
+			if (state.state !== DfuDeviceState.dfuIDLE) {
+				await this._clearStatus(); // suggested by dfu-util
+				await this.abortToIdle();
+			}
+			await this._dfuseCommand(DfuseCommand.DFUSE_COMMAND_SET_ADDRESS_POINTER, startAddr);
 			await this.abortToIdle();
-		}
-		await this._dfuseCommand(DfuseCommand.DFUSE_COMMAND_SET_ADDRESS_POINTER, startAddr);
-		await this.abortToIdle();
 
-		// DfuSe encodes the read address based on the transfer size,
-		// the block number - 2, and the SET_ADDRESS pointer.
-		const data = await this._doUploadImpl(maxSize, 2, progress);
-		return data;
+			// DfuSe encodes the read address based on the transfer size,
+			// the block number - 2, and the SET_ADDRESS pointer.
+			const data = await this._doUploadImpl(maxSize, 2, progress, signal, startAddr);
+			return data;
+		} finally {
+			endProgress(progress);
+		}
 	}
 
-	async _doUploadImpl(maxSize = Infinity, firstBlock = 0, progress) {
+	async _doUploadImpl(maxSize = Infinity, firstBlock = 0, progress, signal, startAddr = null) {
 		let transaction = firstBlock;
 		const blocks = [];
 		let bytesRead = 0;
 
 		this._log.trace('Copying data from DFU device to browser');
-		if (progress) {
-			progress({ event: 'start-upload', bytes: maxSize });
-		}
+		const transfer = startPhase(progress, 'upload', maxSize, startAddr);
 
 		let result;
 		let bytesToRead;
 		do {
+			await this._checkAborted(signal);
 			bytesToRead = Math.min(this._transferSize, maxSize - bytesRead);
 			result = await this._sendUploadReqest(bytesToRead, transaction++);
-			this._log.trace('Read ' + result.byteLength + ' bytes');
+			this._log.trace('Read data', { bytes: result.byteLength });
 			if (result.byteLength > 0) {
 				blocks.push(Buffer.from(result));
 				bytesRead += result.byteLength;
 			}
-			if (progress) {
-				progress({ event: 'uploaded', bytes: bytesRead });
-			}
+			transfer.advance(result.byteLength, (startAddr !== null) ? startAddr + bytesRead : undefined);
 		} while ((bytesRead < maxSize) && (result.byteLength === bytesToRead));
 
 		if (bytesRead === maxSize) {
 			await this.abortToIdle();
 		}
 
-		this._log.trace(`Read ${bytesRead} bytes`);
-		if (progress) {
-			progress({ event: 'complete-upload', bytes: bytesRead });
-		}
+		this._log.trace('Upload completed', { bytes: bytesRead });
+		transfer.complete();
 
 		return Buffer.concat(blocks);
 	}
@@ -916,6 +927,19 @@ class Dfu {
 		}
 	}
 
+	// Returns the device to the idle state and throws an AbortError if the signal has been aborted
+	async _checkAborted(signal) {
+		if (!signal || !signal.aborted) {
+			return;
+		}
+		try {
+			await this.abortToIdle();
+		} catch (err) {
+			this._log.warn(`Unable to abort DFU operation: ${err.message}`);
+		}
+		throw new AbortError('Operation aborted', { cause: signal.reason });
+	}
+
 	async _checkDfuseCommandSupported(cmd) {
 		if (!this._supportedDfuseCommands.length) {
 			await this._goIntoIdleState({ uploadIdle: true });
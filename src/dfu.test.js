@@ -2,7 +2,7 @@
 const { expect, sinon } = require('../test/support');
 const { DfuDeviceState } = require('../src/dfu');
 const { Dfu } = require('./dfu');
-const { DeviceProtectionError } = require('../src/error');
+const { DeviceProtectionError, AbortError } = require('../src/error');
 
 describe('dfu', () => {
 	describe('_parseMemoryDescriptor', () => {
@@ -277,6 +277,7 @@ describe('dfu', () => {
 			}
 
 			expect(error).to.be.an.instanceOf(DeviceProtectionError);
+			expect(error.result).to.be.null;
 		});
 
 		it ('sends upload command', async () => {
@@ -363,6 +364,83 @@ describe('dfu', () => {
 			expect(data).to.be.an.instanceof(Buffer);
 			expect(data.length).equal(maxSize);
 		});
+
+		it('aborts the upload when the signal is aborted', async () => {
+			const logger = {
+				trace: () => {},
+				info: () => {},
+				warn: () => {},
+				error: () => {}
+			};
+			const dfu = new Dfu(null, logger);
+			const controller = new AbortController();
+			sinon.stub(dfu, '_sendUploadReqest').callsFake(async () => {
+				if (dfu._sendUploadReqest.callCount === 3) {
+					controller.abort();
+				}
+				return new ArrayBuffer(1024);
+			});
+			sinon.stub(dfu, 'abortToIdle').resolves();
+
+			let error;
+			try {
+				await dfu._doUploadImpl(40960, 0, null, controller.signal);
+			} catch (_e) {
+				error = _e;
+			}
+
+			expect(error).to.be.an.instanceOf(AbortError);
+			expect(dfu._sendUploadReqest.callCount).equal(3);
+			expect(dfu.abortToIdle).to.have.been.calledOnce;
+		});
+	});
+
+	describe('doDownload', () => {
+		it('aborts the download and returns the device to the idle state when the signal is aborted', async () => {
+			const logger = {
+				trace: () => {},
+				info: () => {},
+				warn: () => {},
+				error: () => {}
+			};
+			const dfu = new Dfu(null, logger);
+			dfu._transferSize = 1024;
+			dfu._memoryInfo = {
+				'name': 'Internal Flash',
+				'segments': [
+					{
+						'start': 134217728,
+						'sectorSize': 4096,
+						'end': 135266304,
+						'readable': true,
+						'erasable': true,
+						'writable': true
+					}
+				]
+			};
+			const controller = new AbortController();
+			const progress = sinon.spy(({ event }) => {
+				if (event === 'downloaded') {
+					controller.abort();
+				}
+			});
+			sinon.stub(dfu, '_dfuseCommand').resolves();
+			sinon.stub(dfu, '_sendDnloadRequest').resolves();
+			sinon.stub(dfu, '_pollUntil').resolves({ status: 0, state: DfuDeviceState.dfuDNLOAD_IDLE });
+			sinon.stub(dfu, 'abortToIdle').resolves();
+
+			let error;
+			try {
+				await dfu.doDownload({ startAddr: 134217728, data: Buffer.alloc(4096), progress, signal: controller.signal });
+			} catch (_e) {
+				error = _e;
+			}
+
+			expect(error).to.be.an.instanceOf(AbortError);
+			expect(dfu._sendDnloadRequest).to.have.been.calledOnce;
+			expect(dfu.abortToIdle).to.have.been.calledOnce;
+			expect(progress).to.not.have.been.calledWithMatch({ event: 'complete-download' });
+		});
 	});
 
 	describe('getProtectionState', () => {
@@ -0,0 +1,188 @@
+'use strict';
+const { ProtocolError } = require('./error');
+
+// Size of the header of a diagnostic source entry: source ID (uint16) and data size (uint16)
+const ENTRY_HEADER_SIZE = 4;
+
+const ResetReason = {
+	0: 'NONE',
+	10: 'UNKNOWN',
+	20: 'PIN_RESET',
+	30: 'POWER_MANAGEMENT',
+	40: 'POWER_DOWN',
+	50: 'POWER_BROWNOUT',
+	60: 'WATCHDOG',
+	70: 'UPDATE',
+	80: 'UPDATE_ERROR',
+	90: 'UPDATE_TIMEOUT',
+	100: 'FACTORY_RESET',
+	110: 'SAFE_MODE',
+	120: 'DFU_MODE',
+	130: 'PANIC',
+	140: 'USER',
+	150: 'CONFIG_UPDATE'
+};
+
+const BatteryState = {
+	0: 'UNKNOWN',
+	1: 'NOT_CHARGING',
+	2: 'CHARGING',
+	3: 'CHARGED',
+	4: 'DISCHARGING',
+	5: 'FAULT',
+	6: 'DISCONNECTED'
+};
+
+const PowerSource = {
+	0: 'UNKNOWN',
+	1: 'VIN',
+	2: 'USB_HOST',
+	3: 'USB_ADAPTER',
+	4: 'USB_OTG',
+	5: 'BATTERY'
+};
+
+const NetworkStatus = {
+	0: 'TURNED_OFF',
+	1: 'TURNING_ON',
+	2: 'DISCONNECTED',
+	3: 'CONNECTING',
+	4: 'CONNECTED',
+	5: 'DISCONNECTING',
+	6: 'TURNING_OFF'
+};
+
+const CloudStatus = {
+	0: 'DISCONNECTED',
+	1: 'CONNECTING',
+	2: 'CONNECTED',
+	3: 'DISCONNECTING'
+};
+
+/**
+ * Diagnostic sources known to this library, arranged by source ID.
+ *
+ * Every source is described by the name of the property it is decoded into and its type. All known
+ * sources are encoded as 32-bit little-endian integers. The values of the `fixed` sources are fixed-point
+ * numbers with 8 fractional bits. The values of the `enum` sources are mapped to names; the values not
+ * listed in the mapping are reported as numbers.
+ */
+const DiagnosticSource = {
+	1: { name: 'resetReason', type: 'enum', values: ResetReason },
+	2: { name: 'freeMemory', type: 'int' },
+	3: { name: 'batteryCharge', type: 'fixed' },
+	4: { name: 'systemLoops', type: 'int' },
+	5: { name: 'applicationLoops', type: 'int' },
+	6: { name: 'uptime', type: 'int' },
+	7: { name: 'batteryState', type: 'enum', values: BatteryState },
+	8: { name: 'networkStatus', type: 'enum', values: NetworkStatus },
+	9: { name: 'networkError', type: 'int' },
+	10: { name: 'cloudStatus', type: 'enum', values: CloudStatus },
+	12: { name: 'networkDisconnects', type: 'int' },
+	13: { name: 'cloudError', type: 'int' },
+	14: { name: 'cloudDisconnects', type: 'int' },
+	20: { name: 'rateLimitedEvents', type: 'int' },
+	21: { name: 'repeatedMessages', type: 'int' },
+	22: { name: 'unacknowledgedMessages', type: 'int' },
+	24: { name: 'powerSource', type: 'enum', values: PowerSource },
+	25: { name: 'totalMemory', type: 'int' },
+	26: { name: 'usedMemory', type: 'int' },
+	27: { name: 'networkConnectionAttempts', type: 'int' },
+	28: { name: 'networkDisconnectionReason', type: 'int' },
+	29: { name: 'cloudConnectionAttempts', type: 'int' },
+	30: { name: 'cloudDisconnectionReason', type: 'int' },
+	33: { name: 'signalStrength', type: 'fixed' },
+	34: { name: 'signalQuality', type: 'fixed' },
+	35: { name: 'signalQualityValue', type: 'fixed' },
+	36: { name: 'accessTechnology', type: 'int' },
+	37: { name: 'signalStrengthValue', type: 'fixed' }
+};
+
+/**
+ * Diagnostic data reported by a device.
+ *
+ * Only the properties for the sources reported by the device are set. The data of the sources that are
+ * not known to this library, or that have an unexpected size, is reported via the `unknown` array.
+ *
+ * @typedef {Object} DiagnosticInfo
+ * @property {String|Number} [resetReason] Reason of the last reset, e.g. `'PIN_RESET'`.
+ * @property {Number} [uptime] Time elapsed since the last reset (seconds).
+ * @property {Number} [freeMemory] Free heap memory (bytes).
+ * @property {Number} [usedMemory] Used RAM (bytes).
+ * @property {Number} [totalMemory] Total RAM (bytes).
+ * @property {Number} [systemLoops] Number of system loop iterations per second.
+ * @property {Number} [applicationLoops] Number of application loop iterations per second.
+ * @property {Number} [batteryCharge] Battery state of charge (percents).
+ * @property {String|Number} [batteryState] Battery state, e.g. `'CHARGING'`.
+ * @property {String|Number} [powerSource] Power source, e.g. `'USB_HOST'`.
+ * @property {String|Number} [networkStatus] Network connection status, e.g. `'CONNECTED'`.
+ * @property {Number} [networkError] Last network connection error code.
+ * @property {Number} [networkConnectionAttempts] Number of network connection attempts.
+ * @property {Number} [networkDisconnects] Number of network disconnections.
+ * @property {Number} [networkDisconnectionReason] Reason of the last network disconnection.
+ * @property {Number} [signalStrength] Signal strength (percents).
+ * @property {Number} [signalStrengthValue] Signal strength value (e.g. RSSI in dBm).
+ * @property {Number} [signalQuality] Signal quality (percents).
+ * @property {Number} [signalQualityValue] Signal quality value.
+ * @property {Number} [accessTechnology] Radio access technology.
+ * @property {String|Number} [cloudStatus] Cloud connection status, e.g. `'CONNECTED'`.
+ * @property {Number} [cloudError] Last cloud connection error code.
+ * @property {Number} [cloudConnectionAttempts] Number of cloud connection attempts.
+ * @property {Number} [cloudDisconnects] Number of cloud disconnections.
+ * @property {Number} [cloudDisconnectionReason] Reason of the last cloud disconnection.
+ * @property {Number} [rateLimitedEvents] Number of events that have been rate-limited.
+ * @property {Number} [repeatedMessages] Number of retransmitted cloud messages.
+ * @property {Number} [unacknowledgedMessages] Number of unacknowledged cloud messages.
+ * @property {Array<Object>} unknown Sources that couldn't be decoded. Have the `id` and `data`
+ *           properties.
+ */
+
+function decodeValue(source, data) {
+	const val = data.readInt32LE(0);
+	switch (source.type) {
+		case 'fixed':
+			return val / 256;
+		case 'enum':
+			return (source.values[val] !== undefined) ? source.values[val] : val;
+		default:
+			return val;
+	}
+}
+
+/**
+ * Parse the diagnostic data reported by a device.
+ *
+ * @param {Buffer} data Diagnostic data.
+ * @return {DiagnosticInfo}
+ * @throws {ProtocolError} If the data is malformed.
+ */
+function parseDiagnostics(data) {
+	data = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+	const info = { unknown: [] };
+	let offs = 0;
+	while (offs < data.length) {
+		if (offs + ENTRY_HEADER_SIZE > data.length) {
+			throw new ProtocolError('Unexpected end of diagnostic data');
+		}
+		const id = data.readUInt16LE(offs);
+		const size = data.readUInt16LE(offs + 2);
+		offs += ENTRY_HEADER_SIZE;
+		if (offs + size > data.length) {
+			throw new ProtocolError('Unexpected end of diagnostic data');
+		}
+		const entryData = data.slice(offs, offs + size);
+		offs += size;
+		const source = DiagnosticSource[id];
+		if (source && size === 4) {
+			info[source.name] = decodeValue(source, entryData);
+		} else {
+			info.unknown.push({ id, data: entryData });
+		}
+	}
+	return info;
+}
+
+module.exports = {
+	DiagnosticSource,
+	parseDiagnostics
+};
@@ -0,0 +1,1328 @@
+'use strict';
+const DeviceOSProtobuf = require('@particle/device-os-protobuf');
+const proto = require('./usb-protocol');
+const { Dfu, DfuRequestType, DfuDeviceStatus, DfuDeviceState, DfuseCommand, DfuBmRequestType, DFU_STATUS_SIZE } = require('./dfu');
+const { Request } = require('./request');
+const { Result } = require('./result');
+const { PLATFORMS } = require('./platforms');
+const { filterDevices } = require('./transport');
+const { ProtocolError, UsbError, UsbStallError, StateError, NotFoundError } = require('./error');
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+
+// Low-level vendor requests
+const VendorRequest = {
+	SYSTEM_VERSION: 30 // Get system version
+};
+
+// Maximum request ID value
+const MAX_REQUEST_ID = 0xffff;
+
+// Default memory map of a Gen 3 device
+const DEFAULT_MEMORY_MAP = [
+	'@Internal Flash   /0x00000000/1*004Ka,47*004Kg,192*004Kg,4*004Kg,4*004Kg,8*004Ka',
+	'@DCT Flash   /0x00000000/1*016Ke',
+	'@External Flash   /0x80000000/1024*004Kg'
+];
+
+// DfuSe commands supported by the emulated bootloader
+const DFUSE_COMMANDS = [
+	DfuseCommand.DFUSE_COMMAND_GET_COMMAND,
+	DfuseCommand.DFUSE_COMMAND_SET_ADDRESS_POINTER,
+	DfuseCommand.DFUSE_COMMAND_ERASE,
+	DfuseCommand.DFUSE_COMMAND_ENTER_SAFE_MODE,
+	DfuseCommand.DFUSE_COMMAND_CLEAR_SECURITY_MODE_OVERRIDE
+];
+
+// Index of the string descriptor with the memory map of the first alternate setting
+const MEMORY_MAP_STRING_INDEX = 6;
+
+const DEFAULT_TRANSFER_SIZE = 4096;
+const DEFAULT_RESET_DELAY = 100;
+const DEFAULT_FIRMWARE_VERSION = '6.1.1';
+
+// Size of a page of the in-memory flash image
+const FLASH_PAGE_SIZE = 4096;
+
+// Standard USB requests
+const GET_DESCRIPTOR = 0x06;
+const STANDARD_DEVICE_TO_HOST = 0x80;
+const DESCRIPTOR_TYPE_CONFIG = 0x02;
+const DESCRIPTOR_TYPE_STRING = 0x03;
+
+function delay(ms) {
+	return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function unrefTimer(timer) {
+	if (timer.unref) {
+		timer.unref();
+	}
+	return timer;
+}
+
+/**
+ * Implementation of the device side of the control request protocol.
+ *
+ * The protocol state machine invokes a set of methods (`initRequest()`, `checkRequest()`,
+ * `replyData()`, etc) that can be overridden in a subclass or stubbed in tests to simulate a specific
+ * behavior of the device.
+ */
+class ControlProtocol {
+	constructor(options) {
+		this._opts = options; // Device options
+		this._reqs = new Map(); // All known requests
+		this._lastReqId = 0; // Last used request ID
+	}
+
+	deviceToHostRequest(setup) {
+		if (setup.bmRequestType !== proto.BmRequestType.DEVICE_TO_HOST) {
+			throw new ProtocolError(`Unsupported device-to-host request: bmRequestType: ${setup.bmRequestType}`);
+		}
+		let data = null;
+		switch (setup.bRequest) {
+			case proto.ServiceType.INIT: {
+				data = this.initServiceRequest(setup.wIndex, setup.wValue);
+				break;
+			}
+			case proto.ServiceType.CHECK: {
+				data = this.checkServiceRequest(setup.wIndex);
+				break;
+			}
+			case proto.ServiceType.RECV: {
+				data = this.recvServiceRequest(setup.wIndex, setup.wLength);
+				break;
+			}
+			case proto.ServiceType.RESET: {
+				data = this.resetServiceRequest(setup.wIndex);
+				break;
+			}
+			case proto.PARTICLE_BREQUEST: { // Low-level vendor request
+				if (setup.wIndex === VendorRequest.SYSTEM_VERSION) {
+					if (!this._opts.firmwareVersion) {
+						throw new ProtocolError(`Unsupported device-to-host request: wIndex: ${setup.wIndex}`);
+					}
+					data = Buffer.from(this._opts.firmwareVersion);
+				} else {
+					throw new ProtocolError(`Unsupported device-to-host request: wIndex: ${setup.wIndex}`);
+				}
+				break;
+			}
+			default: {
+				throw new ProtocolError(`Unsupported device-to-host request: bRequest: ${setup.bRequest}`);
+			}
+		}
+		if (data.length > setup.wLength) {
+			throw new ProtocolError(`Unexpected size of the data stage: wLength: ${setup.wLength}`);
+		}
+		return data;
+	}
+
+	hostToDeviceRequest(setup, data) {
+		if (setup.bmRequestType !== proto.BmRequestType.HOST_TO_DEVICE) {
+			throw new ProtocolError(`Unsupported host-to-device request: bmRequestType: ${setup.bmRequestType}`);
+		}
+		if (data && data.length !== setup.wLength || !data && setup.wLength !== 0) {
+			throw new ProtocolError(`Unexpected size of the data stage: wLength: ${setup.wLength}`);
+		}
+		switch (setup.bRequest) {
+			case proto.ServiceType.SEND: {
+				this.sendServiceRequest(setup.wIndex, data);
+				break;
+			}
+			case proto.PARTICLE_BREQUEST: { // Low-level vendor request
+				this.vendorRequest({ type: setup.wIndex, data });
+				break;
+			}
+			default: {
+				throw new ProtocolError(`Unsupported host-to-device request: bRequest: ${setup.bRequest}`);
+			}
+		}
+	}
+
+	initServiceRequest(type, size) {
+		if (type < 0 || type > proto.MAX_REQUEST_TYPE) {
+			throw new ProtocolError(`Invalid request type: ${type}`);
+		}
+		if (size < 0 || size > proto.MAX_PAYLOAD_SIZE) {
+			throw new ProtocolError(`Invalid payload size: ${size}`);
+		}
+		const id = this.nextRequestId;
+		const req = { // Request object
+			id: id,
+			type: type,
+			size: size,
+			offset: 0,
+			data: null,
+			reply: null,
+			received: false
+		};
+		const srep = {}; // Service reply
+		srep.status = this.initRequest({ id, type, size });
+		if (srep.status === proto.Status.OK || srep.status === proto.Status.PENDING) {
+			if (srep.status === proto.Status.OK) {
+				if (!req.size) {
+					req.received = true;
+				} else if (!req.data) {
+					req.data = Buffer.alloc(req.size);
+				}
+			}
+			this._reqs.set(id, req);
+			this._lastReqId = id;
+			srep.id = id;
+		}
+		return proto.encodeReply(srep);
+	}
+
+	checkServiceRequest(id) {
+		const req = this._reqs.get(id);
+		const srep = {}; // Service reply
+		if (req) {
+			if (req.size && !req.data) {
+				// Buffer allocation is pending
+				srep.status = this.checkBuffer({ id });
+				if (srep.status === proto.Status.OK) {
+					req.data = Buffer.alloc(req.size);
+				} else if (srep.status !== proto.Status.PENDING) {
+					this._reqs.delete(id); // Buffer allocation failed
+				}
+			} else {
+				// Request processing is pending
+				srep.status = this.checkRequest({ id, type: req.type, data: req.data });
+				if (srep.status === proto.Status.OK) {
+					const rep = { // Application reply
+						result: this.replyResult({ id }),
+						data: this.replyData({ id })
+					};
+					srep.result = rep.result;
+					if (rep.data && rep.data.length !== 0) {
+						srep.size = rep.data.length;
+						req.reply = rep;
+					} else {
+						this._reqs.delete(id); // Request completed
+						this.completeRequest({ id });
+					}
+				} else if (srep.status !== proto.Status.PENDING) {
+					this._reqs.delete(id); // Request failed
+				}
+			}
+		} else {
+			srep.status = proto.Status.NOT_FOUND;
+		}
+		return proto.encodeReply(srep);
+	}
+
+	sendServiceRequest(id, data) {
+		const req = this._reqs.get(id);
+		if (!req) {
+			// This is a host-to-device request, so we can't reply with a status code
+			throw new ProtocolError(`Request not found: ${id}`);
+		}
+		if (req.received) {
+			throw new ProtocolError('Unexpected service request');
+		}
+		if (!req.data) {
+			throw new ProtocolError('Request buffer is not allocated');
+		}
+		if (!data || !data.length || req.offset + data.length > req.data.length) {
+			throw new ProtocolError('Unexpected size of the control transfer');
+		}
+		this.sendRequest({ id, data: Buffer.from(data) });
+		data.copy(req.data, req.offset);
+		req.offset += data.length;
+		if (req.offset === req.data.length) {
+			req.offset = 0;
+			req.received = true;
+		}
+	}
+
+	recvServiceRequest(id, size) {
+		const req = this._reqs.get(id);
+		if (!req) {
+			// Payload data is application-specific, so we can't reply with a status code
+			throw new ProtocolError(`Request not found: ${id}`);
+		}
+		const repData = req.reply ? req.reply.data : null;
+		if (!repData) {
+			throw new ProtocolError('Reply data is not available');
+		}
+		if (!size || req.offset + size > repData.length) {
+			throw new ProtocolError('Unexpected size of the control transfer');
+		}
+		this.recvRequest({ id, size });
+		const data = repData.slice(req.offset, req.offset + size);
+		req.offset += size;
+		if (req.offset === repData.length) {
+			this._reqs.delete(id); // Request completed
+			this.completeRequest({ id });
+		}
+		return data;
+	}
+
+	resetServiceRequest(id) {
+		const srep = {}; // Service reply
+		if (id) {
+			const req = this._reqs.get(id);
+			if (req) {
+				srep.status = this.resetRequest({ id: req.id });
+				if (srep.status === proto.Status.OK) {
+					this._reqs.delete(id);
+				}
+			} else {
+				srep.status = proto.Status.NOT_FOUND;
+			}
+		} else {
+			srep.status = this.resetAllRequests();
+			if (srep.status === proto.Status.OK) {
+				this._reqs.clear();
+			}
+		}
+		return proto.encodeReply(srep);
+	}
+
+	initRequest(/* { id, type, size } */) {
+		return proto.Status.OK;
+	}
+
+	checkBuffer(/* { id } */) {
+		return proto.Status.OK;
+	}
+
+	checkRequest(/* { id, type, data } */) {
+		return proto.Status.OK;
+	}
+
+	sendRequest(/* { id, data } */) {
+	}
+
+	recvRequest(/* { id, size } */) {
+	}
+
+	resetRequest(/* { id } */) {
+		return proto.Status.OK;
+	}
+
+	resetAllRequests() {
+		return proto.Status.OK;
+	}
+
+	replyResult(/* { id } */) {
+		return 0; // OK
+	}
+
+	replyData(/* { id } */) {
+		return null;
+	}
+
+	completeRequest(/* { id } */) {
+	}
+
+	vendorRequest({ type /* , data */ }) {
+		throw new ProtocolError(`Unsupported host-to-device request: wIndex: ${type}`);
+	}
+
+	reset() {
+		this._reqs.clear();
+		this._lastReqId = 0;
+	}
+
+	get lastRequestId() {
+		return this._lastReqId;
+	}
+
+	get nextRequestId() {
+		let id = this._lastReqId + 1;
+		if (id > MAX_REQUEST_ID) {
+			id = 0;
+		}
+		return id;
+	}
+}
+
+// Control request protocol of an emulated device
+class EmulatedProtocol extends ControlProtocol {
+	constructor(device, options) {
+		super(options);
+		this._device = device;
+		this._pending = new Map(); // Requests being processed by the handlers
+	}
+
+	initRequest(/* { id, type, size } */) {
+		return this._device._takeStatus('init');
+	}
+
+	checkRequest({ id, type, data }) {
+		const status = this._device._takeStatus('check');
+		if (status !== proto.Status.OK) {
+			return status;
+		}
+		let req = this._pending.get(id);
+		if (!req) {
+			req = this._device._processRequest(type, data);
+			this._pending.set(id, req);
+		}
+		return req.done ? proto.Status.OK : proto.Status.PENDING;
+	}
+
+	replyResult({ id }) {
+		return this._pending.get(id).result;
+	}
+
+	replyData({ id }) {
+		return this._pending.get(id).data;
+	}
+
+	completeRequest({ id }) {
+		const req = this._pending.get(id);
+		if (!req) {
+			return;
+		}
+		this._pending.delete(id);
+		for (const fn of req.afterReply) {
+			fn();
+		}
+	}
+
+	resetRequest({ id }) {
+		this._pending.delete(id);
+		return proto.Status.OK;
+	}
+
+	resetAllRequests() {
+		this._pending.clear();
+		return proto.Status.OK;
+	}
+
+	vendorRequest({ type }) {
+		if (type !== Request.RESET.id) {
+			return super.vendorRequest({ type });
+		}
+		this._device.restart();
+	}
+
+	reset() {
+		super.reset();
+		this._pending.clear();
+	}
+}
+
+/**
+ * Sparse in-memory flash image.
+ *
+ * Erased memory reads as `0xff`. Pages of the image are allocated on the first write.
+ */
+class FlashMemory {
+	constructor(segments) {
+		this._segments = segments;
+		this._pages = new Map();
+	}
+
+	read(addr, size) {
+		const data = Buffer.alloc(size, 0xff);
+		this._forEachPage(addr, size, (page, pageOffs, dataOffs, n) => {
+			if (page) {
+				page.copy(data, dataOffs, pageOffs, pageOffs + n);
+			}
+		});
+		return data;
+	}
+
+	write(addr, data) {
+		this._forEachPage(addr, data.length, (page, pageOffs, dataOffs, n) => {
+			data.copy(page, pageOffs, dataOffs, dataOffs + n);
+		}, { alloc: true });
+	}
+
+	// Writing to flash memory can only clear bits, so the sectors need to be erased beforehand
+	program(addr, data) {
+		this._forEachPage(addr, data.length, (page, pageOffs, dataOffs, n) => {
+			for (let i = 0; i < n; ++i) {
+				page[pageOffs + i] &= data[dataOffs + i];
+			}
+		}, { alloc: true });
+	}
+
+	erase(addr, size) {
+		this._forEachPage(addr, size, (page, pageOffs, dataOffs, n) => {
+			if (page) {
+				page.fill(0xff, pageOffs, pageOffs + n);
+			}
+		});
+	}
+
+	clear() {
+		this._pages.clear();
+	}
+
+	getSegment(addr) {
+		return this._segments.find((s) => s.start <= addr && addr < s.end) || null;
+	}
+
+	_forEachPage(addr, size, fn, { alloc = false } = {}) {
+		let dataOffs = 0;
+		while (dataOffs < size) {
+			const pageAddr = Math.floor((addr + dataOffs) / FLASH_PAGE_SIZE) * FLASH_PAGE_SIZE;
+			const pageOffs = addr + dataOffs - pageAddr;
+			const n = Math.min(FLASH_PAGE_SIZE - pageOffs, size - dataOffs);
+			let page = this._pages.get(pageAddr) || null;
+			if (!page && alloc) {
+				page = Buffer.alloc(FLASH_PAGE_SIZE, 0xff);
+				this._pages.set(pageAddr, page);
+			}
+			fn(page, pageOffs, dataOffs, n);
+			dataOffs += n;
+		}
+	}
+}
+
+// DfuSe interface of an emulated device in the DFU mode
+class EmulatedDfuInterface {
+	constructor(device, options) {
+		this._device = device;
+		this._memoryMap = options.memoryMap;
+		this._transferSize = options.transferSize;
+		this._alt = 0;
+		this._addr = 0;
+		this._state = DfuDeviceState.dfuIDLE;
+		this._status = DfuDeviceStatus.OK;
+		this._op = null; // Operation to perform on the next DFU_GETSTATUS request
+	}
+
+	setAltSetting(alt) {
+		if (alt < 0 || alt >= this._memoryMap.length) {
+			throw new UsbStallError(`Invalid alternate setting: ${alt}`);
+		}
+		this._alt = alt;
+	}
+
+	deviceToHostRequest(setup) {
+		if (setup.bmRequestType === STANDARD_DEVICE_TO_HOST && setup.bRequest === GET_DESCRIPTOR) {
+			return this._getDescriptor(setup.wValue >> 8, setup.wValue & 0xff).slice(0, setup.wLength);
+		}
+		if (setup.bmRequestType !== DfuBmRequestType.DEVICE_TO_HOST) {
+			throw new UsbStallError(`Unsupported device-to-host request: bmRequestType: ${setup.bmRequestType}`);
+		}
+		switch (setup.bRequest) {
+			case DfuRequestType.DFU_GETSTATUS: {
+				return this._getStatus();
+			}
+			case DfuRequestType.DFU_GETSTATE: {
+				return Buffer.from([this._state]);
+			}
+			case DfuRequestType.DFU_UPLOAD: {
+				return this._upload(setup.wValue, setup.wLength);
+			}
+			default: {
+				return this._stall(`Unsupported device-to-host request: bRequest: ${setup.bRequest}`);
+			}
+		}
+	}
+
+	hostToDeviceRequest(setup, data) {
+		if (setup.bmRequestType !== DfuBmRequestType.HOST_TO_DEVICE) {
+			throw new UsbStallError(`Unsupported host-to-device request: bmRequestType: ${setup.bmRequestType}`);
+		}
+		switch (setup.bRequest) {
+			case DfuRequestType.DFU_DNLOAD: {
+				this._download(setup.wValue, data ? Buffer.from(data) : Buffer.alloc(0));
+				break;
+			}
+			case DfuRequestType.DFU_CLRSTATUS:
+			case DfuRequestType.DFU_ABORT: {
+				this._state = DfuDeviceState.dfuIDLE;
+				this._status = DfuDeviceStatus.OK;
+				this._op = null;
+				break;
+			}
+			default: {
+				this._stall(`Unsupported host-to-device request: bRequest: ${setup.bRequest}`);
+			}
+		}
+	}
+
+	_getStatus() {
+		if (this._state === DfuDeviceState.dfuDNLOAD_SYNC) {
+			const op = this._op;
+			this._op = null;
+			this._state = DfuDeviceState.dfuDNLOAD_IDLE;
+			try {
+				op();
+			} catch (err) {
+				this._state = DfuDeviceState.dfuERROR;
+				this._status = err.dfuStatus || DfuDeviceStatus.errUNKNOWN;
+			}
+		} else if (this._state === DfuDeviceState.dfuMANIFEST_SYNC) {
+			this._state = DfuDeviceState.dfuMANIFEST;
+			// The device resets once the status has been reported to the host
+			this._device.restart();
+		}
+		const data = Buffer.alloc(DFU_STATUS_SIZE);
+		data.writeUInt8(this._status, 0);
+		data.writeUIntLE(0, 1, 3); // bwPollTimeout
+		data.writeUInt8(this._state, 4);
+		data.writeUInt8(0, 5); // iString
+		return data;
+	}
+
+	_download(block, data) {
+		if (this._state !== DfuDeviceState.dfuIDLE && this._state !== DfuDeviceState.dfuDNLOAD_IDLE) {
+			this._stall('Unexpected DFU_DNLOAD request');
+		}
+		if (!data.length) {
+			// Leave the DFU mode
+			this._state = DfuDeviceState.dfuMANIFEST_SYNC;
+			return;
+		}
+		if (block === 0) {
+			this._op = this._dfuseCommand(data);
+		} else if (block >= 2) {
+			const addr = this._addr + (block - 2) * this._transferSize;
+			this._op = () => this._write(addr, data);
+		} else {
+			this._stall(`Invalid block number: ${block}`);
+		}
+		this._state = DfuDeviceState.dfuDNLOAD_SYNC;
+	}
+
+	_dfuseCommand(data) {
+		const cmd = data.readUInt8(0);
+		const param = data.length >= 5 ? data.readUInt32LE(1) : 0;
+		switch (cmd) {
+			case DfuseCommand.DFUSE_COMMAND_SET_ADDRESS_POINTER: {
+				return () => {
+					this._addr = param;
+				};
+			}
+			case DfuseCommand.DFUSE_COMMAND_ERASE: {
+				return () => this._erase(param);
+			}
+			case DfuseCommand.DFUSE_COMMAND_ENTER_SAFE_MODE: {
+				return () => {
+					this._state = DfuDeviceState.dfuMANIFEST;
+					this._device.restart();
+				};
+			}
+			case DfuseCommand.DFUSE_COMMAND_CLEAR_SECURITY_MODE_OVERRIDE: {
+				return () => {};
+			}
+			default: {
+				return this._stall(`Unsupported DfuSe command: ${cmd}`);
+			}
+		}
+	}
+
+	_erase(addr) {
+		const mem = this._device._memory[this._alt];
+		const seg = mem.getSegment(addr);
+		if (!seg || !seg.erasable) {
+			throw dfuError(DfuDeviceStatus.errADDRESS);
+		}
+		const sectorAddr = seg.start + Math.floor((addr - seg.start) / seg.sectorSize) * seg.sectorSize;
+		mem.erase(sectorAddr, seg.sectorSize);
+	}
+
+	_write(addr, data) {
+		const mem = this._device._memory[this._alt];
+		const seg = mem.getSegment(addr);
+		if (!seg || addr + data.length > seg.end) {
+			throw dfuError(DfuDeviceStatus.errADDRESS);
+		}
+		if (!seg.writable) {
+			throw dfuError(DfuDeviceStatus.errWRITE);
+		}
+		mem.program(addr, data);
+	}
+
+	_upload(block, size) {
+		if (this._state !== DfuDeviceState.dfuIDLE && this._state !== DfuDeviceState.dfuUPLOAD_IDLE) {
+			this._stall('Unexpected DFU_UPLOAD request');
+		}
+		if (block === 0) {
+			this._state = DfuDeviceState.dfuUPLOAD_IDLE;
+			return Buffer.from(DFUSE_COMMANDS).slice(0, size);
+		}
+		if (block < 2) {
+			this._stall(`Invalid block number: ${block}`);
+		}
+		const mem = this._device._memory[this._alt];
+		const addr = this._addr + (block - 2) * this._transferSize;
+		const seg = mem.getSegment(addr);
+		if (!seg || !seg.readable) {
+			this._stall(`Address is not readable: 0x${addr.toString(16)}`, DfuDeviceStatus.errADDRESS);
+		}
+		this._state = DfuDeviceState.dfuUPLOAD_IDLE;
+		// A short block signals the end of the readable memory
+		return mem.read(addr, Math.min(size, seg.end - addr));
+	}
+
+	_getDescriptor(type, index) {
+		if (type === DESCRIPTOR_TYPE_CONFIG) {
+			return this._getConfigDescriptor();
+		}
+		if (type === DESCRIPTOR_TYPE_STRING) {
+			if (index === 0) {
+				return Buffer.from([0x04, DESCRIPTOR_TYPE_STRING, 0x09, 0x04]); // English (US)
+			}
+			const str = this._memoryMap[index - MEMORY_MAP_STRING_INDEX];
+			if (str) {
+				const data = Buffer.from(str, 'utf16le');
+				return Buffer.concat([Buffer.from([data.length + 2, DESCRIPTOR_TYPE_STRING]), data]);
+			}
+		}
+		throw new UsbStallError(`Unsupported descriptor: type: ${type}, index: ${index}`);
+	}
+
+	_getConfigDescriptor() {
+		const descs = [];
+		for (let alt = 0; alt < this._memoryMap.length; ++alt) {
+			// Interface descriptor: DFU class, DFU mode protocol
+			descs.push(Buffer.from([0x09, 0x04, 0x00, alt, 0x00, 0xfe, 0x01, 0x02, MEMORY_MAP_STRING_INDEX + alt]));
+			// DFU functional descriptor: bitWillDetach, bitManifestationTolerant, bitCanDnload; DfuSe 1.1a
+			const func = Buffer.from([0x09, 0x21, 0x0b, 0xff, 0x00, 0x00, 0x00, 0x1a, 0x01]);
+			func.writeUInt16LE(this._transferSize, 5);
+			descs.push(func);
+		}
+		const header = Buffer.from([0x09, DESCRIPTOR_TYPE_CONFIG, 0x00, 0x00, 0x01, 0x01, 0x00, 0x80, 0x32]);
+		const data = Buffer.concat([header, ...descs]);
+		data.writeUInt16LE(data.length, 2); // wTotalLength
+		return data;
+	}
+
+	_stall(msg, status = DfuDeviceStatus.errSTALLEDPKT) {
+		this._state = DfuDeviceState.dfuERROR;
+		this._status = status;
+		this._op = null;
+		throw new UsbStallError(msg);
+	}
+}
+
+function dfuError(status) {
+	const err = new Error(`DFU error: ${status}`);
+	err.dfuStatus = status;
+	return err;
+}
+
+/**
+ * A handle of an emulated device.
+ *
+ * Every time the emulated device is attached to the host, a new handle is created, so that the
+ * handles obtained before a reset become invalid just like the handles of a real USB device.
+ *
+ * This class is not meant to be instantiated directly. Use {@link Emulator#getDevices} or
+ * {@link openDeviceById} to access an emulated device.
+ */
+class EmulatedUsbDevice {
+	constructor(device, dfu) {
+		this._device = device;
+		this._dfu = dfu;
+		this._attached = true;
+		this._open = false;
+		this._quirks = {};
+	}
+
+	async open() {
+		await this._wait();
+		if (this._open) {
+			throw new UsbError('Device is already open');
+		}
+		this._open = true;
+	}
+
+	async close() {
+		// Closing a detached device is not an error
+		this._open = false;
+	}
+
+	async transferIn(setup) {
+		await this._wait({ open: true });
+		if (this._dfu) {
+			return this._device._dfuInterface.deviceToHostRequest(setup);
+		}
+		try {
+			return this._device._protocol.deviceToHostRequest(setup);
+		} catch (err) {
+			throw new UsbStallError(err.message);
+		}
+	}
+
+	async transferOut(setup, data) {
+		await this._wait({ open: true });
+		if (this._dfu) {
+			return this._device._dfuInterface.hostToDeviceRequest(setup, data);
+		}
+		try {
+			this._device._protocol.hostToDeviceRequest(setup, data ? Buffer.from(data) : null);
+		} catch (err) {
+			throw new UsbStallError(err.message);
+		}
+	}
+
+	async claimInterface(/* intrface */) {
+		await this._wait({ open: true, dfu: true });
+	}
+
+	async releaseInterface(/* intrface */) {
+		await this._wait({ open: true, dfu: true });
+	}
+
+	async setAltSetting(intrface, setting) {
+		await this._wait({ open: true, dfu: true });
+		this._device._dfuInterface.setAltSetting(setting);
+	}
+
+	/**
+	 * Emulated device.
+	 *
+	 * @return {EmulatedDevice}
+	 */
+	get device() {
+		return this._device;
+	}
+
+	get vendorId() {
+		return this._usbInfo.vendorId;
+	}
+
+	get productId() {
+		return this._usbInfo.productId;
+	}
+
+	get serialNumber() {
+		return this._device.id.toUpperCase();
+	}
+
+	get productName() {
+		return `${this._device.platform.displayName} ${this._dfu ? 'DFU Mode' : 'Serial'}`;
+	}
+
+	get isOpen() {
+		return this._open;
+	}
+
+	get quirks() {
+		return this._quirks;
+	}
+
+	set quirks(qs) {
+		this._quirks = qs;
+	}
+
+	get usbVersion() {
+		return { major: 2, minor: 0 };
+	}
+
+	get _usbInfo() {
+		return this._dfu ? this._device.platform.dfu : this._device.platform.usb;
+	}
+
+	async _wait({ open = false, dfu = false } = {}) {
+		if (this._device.latency) {
+			await delay(this._device.latency);
+		}
+		if (!this._attached) {
+			throw new UsbError('Device is not found');
+		}
+		if (open && !this._open) {
+			throw new UsbError('Device is not open');
+		}
+		if (dfu && !this._dfu) {
+			throw new UsbError('Unsupported command');
+		}
+	}
+}
+
+/**
+ * An emulated Particle device.
+ *
+ * The device implements the control request protocol and, in the DFU mode, a DfuSe bootloader backed
+ * by an in-memory flash image. Control requests are processed by handlers registered via
+ * {@link EmulatedDevice#handle}.
+ *
+ * Events:
+ * - `connect` (`{ dfu }`): The device has been attached to the host.
+ * - `disconnect`: The device has been detached from the host.
+ *
+ * This class is not meant to be instantiated directly. Use {@link Emulator#addDevice} to create a
+ * device.
+ */
+class EmulatedDevice extends EventEmitter {
+	constructor(options) {
+		super();
+		options = Object.assign({
+			type: 'boron', // Device type
+			id: null, // Device ID
+			dfu: false, // Start in the DFU mode
+			firmwareVersion: DEFAULT_FIRMWARE_VERSION, // Device OS version
+			latency: 0, // Latency of every USB transfer (milliseconds)
+			resetDelay: DEFAULT_RESET_DELAY, // Time it takes the device to reset (milliseconds)
+			memoryMap: DEFAULT_MEMORY_MAP, // DfuSe memory map
+			transferSize: DEFAULT_TRANSFER_SIZE // DFU transfer size
+		}, options);
+		const platform = PLATFORMS.find((p) => p.name === options.type);
+		if (!platform || !platform.usb) {
+			throw new NotFoundError(`Unsupported device type: ${options.type}`);
+		}
+		if (options.dfu && !platform.dfu) {
+			throw new StateError(`Platform doesn't support DFU mode: ${options.type}`);
+		}
+		this._platform = platform;
+		this._id = (options.id || crypto.randomBytes(12).toString('hex')).toLowerCase();
+		this._opts = options;
+		this._latency = options.latency;
+		this._resetDelay = options.resetDelay;
+		this._memory = options.memoryMap.map((desc) => new FlashMemory(parseMemoryMap(desc)));
+		this._handlers = new Map(); // Request handlers arranged by request type
+		this._statuses = []; // Simulated service reply statuses
+		this._protocol = null;
+		this._dfuInterface = null;
+		this._handle = null; // Handle of the attached device
+		this._resetTimer = null;
+		this.handle(Request.GET_DEVICE_ID, () => ({ id: this._id }));
+		this.handle(Request.RESET, (msg, ctx) => {
+			ctx.afterReply(() => this.restart());
+		});
+		this.handle(Request.DFU_MODE, (msg, ctx) => {
+			ctx.afterReply(() => this.restart({ dfu: true }));
+		});
+		this.handle(Request.SAFE_MODE, (msg, ctx) => {
+			ctx.afterReply(() => this.restart());
+		});
+		this.connect({ dfu: options.dfu });
+	}
+
+	/**
+	 * Register a handler for a control request.
+	 *
+	 * The handler is called with the request message and a context object, and can return the reply
+	 * message or a promise. The request stays pending until the promise is settled. If the handler
+	 * throws an error, the request completes with the `result` property of the error (e.g. a
+	 * {@link RequestError}) or with `Result.ERROR` if the error has no such property.
+	 *
+	 * The request can be specified as:
+	 * - A DeviceOSProtobuf message name (e.g. `'GetSerialNumberRequest'`). The handler receives the
+	 *   decoded request message and returns a plain object that is encoded as the reply message.
+	 * - An entry of `Request` (e.g. `Request.GET_DEVICE_ID`, see `src/request.js`). Same as above.
+	 * - A request type. The handler receives the raw request data as a `Buffer` (or `null`) and returns
+	 *   a `Buffer`, a string or `null`.
+	 *
+	 * The context object has the following properties:
+	 * - `device`: The emulated device.
+	 * - `type`: Request type.
+	 * - `data`: Raw request data.
+	 * - `afterReply(fn)`: Registers a function that is called once the reply has been delivered to the
+	 *   host. Can be used to simulate a reset of the device.
+	 *
+	 * Unhandled requests complete with `Result.NOT_SUPPORTED`.
+	 *
+	 * @param {String|Object|Number} request Request.
+	 * @param {Function} fn Handler function. Pass `null` to remove the handler.
+	 * @return {EmulatedDevice}
+	 */
+	handle(request, fn) {
+		let type = request;
+		let reqMsg = null;
+		let repMsg = null;
+		if (typeof request === 'string') {
+			const def = getProtobufDefinition(request);
+			type = def.id;
+			reqMsg = def.message;
+			repMsg = def.replyMessage;
+		} else if (request && typeof request === 'object') {
+			type = request.id;
+			reqMsg = request.request || null;
+			repMsg = request.reply || null;
+		}
+		if (!Number.isInteger(type) || type < 0 || type > proto.MAX_REQUEST_TYPE) {
+			throw new TypeError(`Invalid request type: ${request}`);
+		}
+		if (fn) {
+			this._handlers.set(type, { fn, reqMsg, repMsg });
+		} else {
+			this._handlers.delete(type);
+		}
+		return this;
+	}
+
+	/**
+	 * Make the device reply to the next service requests with a specific status.
+	 *
+	 * Supported statuses:
+	 * - `busy`: Requests are rejected because the device is busy processing other requests.
+	 * - `no-memory`: Requests are rejected because the device has run out of memory.
+	 * - `pending`: Checking the status of a request reports that the request is still being
+	 *   processed.
+	 *
+	 * @param {String} status Status.
+	 * @param {Number} [count=1] Number of service requests to reply to with this status.
+	 */
+	simulateStatus(status, count = 1) {
+		let s = null;
+		switch (status) {
+			case 'busy': {
+				s = { stage: 'init', status: proto.Status.BUSY };
+				break;
+			}
+			case 'no-memory': {
+				s = { stage: 'init', status: proto.Status.NO_MEMORY };
+				break;
+			}
+			case 'pending': {
+				s = { stage: 'check', status: proto.Status.PENDING };
+				break;
+			}
+			default: {
+				throw new TypeError(`Unknown status: ${status}`);
+			}
+		}
+		if (count > 0) {
+			this._statuses.push(Object.assign(s, { count }));
+		}
+	}
+
+	/**
+	 * Attach the device to the host.
+	 *
+	 * @param {Object} [options] Options.
+	 * @param {Boolean} [options.dfu=false] Whether the device should be attached in the DFU mode.
+	 */
+	connect({ dfu = false } = {}) {
+		if (dfu && !this._platform.dfu) {
+			throw new StateError(`Platform doesn't support DFU mode: ${this.type}`);
+		}
+		this._detach();
+		// The device boots up with a clean state
+		this._protocol = new EmulatedProtocol(this, { firmwareVersion: dfu ? null : this._opts.firmwareVersion });
+		this._dfuInterface = dfu ? new EmulatedDfuInterface(this, this._opts) : null;
+		this._handle = new EmulatedUsbDevice(this, dfu);
+		this.emit('connect', { dfu });
+	}
+
+	/**
+	 * Detach the device from the host.
+	 */
+	disconnect() {
+		if (this._resetTimer) {
+			clearTimeout(this._resetTimer);
+			this._resetTimer = null;
+		}
+		this._detach();
+	}
+
+	/**
+	 * Detach the device and attach it again after the reset delay.
+	 *
+	 * @param {Object} [options] Options.
+	 * @param {Boolean} [options.dfu=false] Whether the device should be attached in the DFU mode.
+	 * @param {Number} [options.delay] Reset delay (milliseconds). By default, the `resetDelay` option of
+	 *        the device is used.
+	 */
+	restart({ dfu = false, delay = this._resetDelay } = {}) {
+		this.disconnect();
+		this._resetTimer = unrefTimer(setTimeout(() => {
+			this._resetTimer = null;
+			this.connect({ dfu });
+		}, delay));
+	}
+
+	/**
+	 * Read the contents of the flash image.
+	 *
+	 * @param {Number} addr Address.
+	 * @param {Number} size Number of bytes to read.
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.alt=0] DFU alternate setting identifying the memory region.
+	 * @return {Buffer}
+	 */
+	readMemory(addr, size, { alt = 0 } = {}) {
+		return this._getMemory(alt).read(addr, size);
+	}
+
+	/**
+	 * Write to the flash image.
+	 *
+	 * Unlike the writes performed via DFU, the data is written regardless of whether the memory has
+	 * been erased.
+	 *
+	 * @param {Number} addr Address.
+	 * @param {Buffer} data Data.
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.alt=0] DFU alternate setting identifying the memory region.
+	 */
+	writeMemory(addr, data, { alt = 0 } = {}) {
+		this._getMemory(alt).write(addr, Buffer.from(data));
+	}
+
+	/**
+	 * Device ID.
+	 */
+	get id() {
+		return this._id;
+	}
+
+	/**
+	 * Device type (photon, boron, tracker, etc).
+	 */
+	get type() {
+		return this._platform.name;
+	}
+
+	/**
+	 * Platform info (see `src/platforms.js`).
+	 */
+	get platform() {
+		return this._platform;
+	}
+
+	/**
+	 * Set to `true` if the device is attached to the host.
+	 */
+	get isConnected() {
+		return !!this._handle;
+	}
+
+	/**
+	 * Set to `true` if the device is attached in the DFU mode.
+	 */
+	get isInDfuMode() {
+		return !!this._dfuInterface;
+	}
+
+	/**
+	 * Latency of every USB transfer (milliseconds).
+	 */
+	get latency() {
+		return this._latency;
+	}
+
+	set latency(ms) {
+		this._latency = ms;
+	}
+
+	_detach() {
+		if (this._handle) {
+			this._handle._attached = false;
+			this._handle = null;
+			this._protocol = null;
+			this._dfuInterface = null;
+			this.emit('disconnect');
+		}
+	}
+
+	_getMemory(alt) {
+		const mem = this._memory[alt];
+		if (!mem) {
+			throw new RangeError(`Invalid alternate setting: ${alt}`);
+		}
+		return mem;
+	}
+
+	_takeStatus(stage) {
+		const s = this._statuses.find((s) => s.stage === stage);
+		if (!s) {
+			return proto.Status.OK;
+		}
+		if (--s.count === 0) {
+			this._statuses.splice(this._statuses.indexOf(s), 1);
+		}
+		return s.status;
+	}
+
+	// Runs the handler of a request. Returns an object that is updated once the request is processed
+	_processRequest(type, data) {
+		const req = { done: false, result: Result.OK, data: null, afterReply: [] };
+		const h = this._handlers.get(type);
+		if (!h) {
+			req.result = Result.NOT_SUPPORTED;
+			req.done = true;
+			return req;
+		}
+		const ctx = {
+			device: this,
+			type,
+			data,
+			afterReply: (fn) => {
+				req.afterReply.push(fn);
+			}
+		};
+		const onReply = (rep) => {
+			req.data = encodeReply(rep, h.repMsg);
+			req.done = true;
+		};
+		const onError = (err) => {
+			req.result = (err && Number.isInteger(err.result)) ? err.result : Result.ERROR;
+			req.done = true;
+		};
+		try {
+			let msg = data;
+			if (h.reqMsg) {
+				msg = data ? h.reqMsg.decode(data) : h.reqMsg.create();
+			}
+			const rep = h.fn(msg, ctx);
+			if (rep && typeof rep.then === 'function') {
+				rep.then(onReply, onError);
+			} else {
+				onReply(rep);
+			}
+		} catch (err) {
+			onError(err);
+		}
+		return req;
+	}
+}
+
+function encodeReply(rep, repMsg) {
+	if (rep === undefined || rep === null) {
+		return null;
+	}
+	if (repMsg) {
+		return Buffer.from(repMsg.encode(repMsg.create(rep)).finish());
+	}
+	return Buffer.from(rep);
+}
+
+function getProtobufDefinition(name) {
+	let def = null;
+	try {
+		def = DeviceOSProtobuf.getDefinition(name);
+	} catch (_err) {
+		// Handled below
+	}
+	if (!def) {
+		throw new TypeError(`Unknown protobuf message: ${name}`);
+	}
+	return def;
+}
+
+function parseMemoryMap(desc) {
+	// The parser doesn't depend on the state of the DFU instance
+	return Dfu.prototype._parseMemoryDescriptor(desc).segments;
+}
+
+/**
+ * A transport providing emulated devices.
+ *
+ * Once registered via {@link registerTransport}, the emulated devices are reported by
+ * {@link getDevices}, {@link openDeviceById} and {@link watchDevices} along with the USB devices.
+ *
+ * @example
+ * const { registerTransport, openDeviceById } = require('particle-usb');
+ * const { Emulator } = require('particle-usb/emulator');
+ *
+ * const emulator = new Emulator();
+ * const dev = emulator.addDevice({ type: 'boron' });
+ * dev.handle('GetSerialNumberRequest', () => ({ serial: 'B40KAB000000000' }));
+ * registerTransport(emulator);
+ * const device = await openDeviceById(dev.id);
+ */
+class Emulator {
+	/**
+	 * Constructor.
+	 *
+	 * @param {Object} [options] Options.
+	 * @param {String} [options.name='emulator'] Transport name.
+	 */
+	constructor({ name = 'emulator' } = {}) {
+		this._name = name;
+		this._devs = [];
+		this._listeners = new Set();
+		this._notify = () => this._listeners.forEach((fn) => fn());
+	}
+
+	/**
+	 * Create an emulated device.
+	 *
+	 * @param {Object} [options] Options.
+	 * @param {String} [options.type='boron'] Device type. Any platform from `src/platforms.js` with USB
+	 *        support can be emulated.
+	 * @param {String} [options.id] Device ID. By default, a random ID is generated.
+	 * @param {Boolean} [options.dfu=false] Whether the device should start in the DFU mode.
+	 * @param {String} [options.firmwareVersion] Device OS version reported by the device.
+	 * @param {Number} [options.latency=0] Latency of every USB transfer (milliseconds).
+	 * @param {Number} [options.resetDelay=100] Time it takes the device to reset (milliseconds).
+	 * @param {Array<String>} [options.memoryMap] DfuSe memory map. Every string describes the memory
+	 *        region of the respective DFU alternate setting (e.g. `'@Internal Flash /0x00000000/256*004Kg'`).
+	 *        By default, the memory map of a Gen 3 device is used.
+	 * @param {Number} [options.transferSize=4096] DFU transfer size.
+	 * @return {EmulatedDevice}
+	 */
+	addDevice(options) {
+		const dev = new EmulatedDevice(options);
+		if (this._devs.some((d) => d.id === dev.id)) {
+			throw new StateError(`Device already exists: ${dev.id}`);
+		}
+		dev.on('connect', this._notify);
+		dev.on('disconnect', this._notify);
+		this._devs.push(dev);
+		this._notify();
+		return dev;
+	}
+
+	/**
+	 * Remove an emulated device.
+	 *
+	 * @param {EmulatedDevice|String} dev Device or device ID.
+	 * @return {Boolean} `true` if the device was removed, otherwise `false`.
+	 */
+	removeDevice(dev) {
+		const id = typeof dev === 'string' ? dev.toLowerCase() : dev.id;
+		const i = this._devs.findIndex((d) => d.id === id);
+		if (i === -1) {
+			return false;
+		}
+		dev = this._devs[i];
+		this._devs.splice(i, 1);
+		dev.disconnect();
+		dev.removeListener('connect', this._notify);
+		dev.removeListener('disconnect', this._notify);
+		this._notify();
+		return true;
+	}
+
+	/**
+	 * Enumerate the emulated devices attached to the host.
+	 *
+	 * @param {Array<Object>} [filters] Filters (see {@link Transport}).
+	 * @return {Promise<Array<EmulatedUsbDevice>>}
+	 */
+	async getDevices(filters) {
+		const handles = this._devs.filter((d) => d.isConnected).map((d) => d._handle);
+		return filterDevices(handles, filters);
+	}
+
+	/**
+	 * Subscribe to device attach/detach notifications.
+	 *
+	 * @param {Function} listener Listener function.
+	 * @return {Function} Function that cancels the subscription.
+	 */
+	watchDevices(listener) {
+		this._listeners.add(listener);
+		return () => this._listeners.delete(listener);
+	}
+
+	/**
+	 * Transport name.
+	 */
+	get name() {
+		return this._name;
+	}
+
+	/**
+	 * All emulated devices, including the detached ones.
+	 *
+	 * @return {Array<EmulatedDevice>}
+	 */
+	get devices() {
+		return this._devs.slice();
+	}
+}
+
+module.exports = {
+	Emulator,
+	EmulatedDevice,
+	EmulatedUsbDevice,
+	ControlProtocol,
+	FlashMemory,
+	Request
+};
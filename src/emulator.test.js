@@ -0,0 +1,117 @@
+'use strict';
+const { expect } = require('../test/support');
+
+const { Emulator } = require('./emulator');
+const { openDeviceById, getDevices } = require('./particle-usb');
+const { registerTransport, unregisterTransport } = require('./transport');
+const { Request } = require('./request');
+const { Result } = require('./result');
+const { RequestError, MemoryError } = require('./error');
+
+// Application-specific request type
+const REQUEST_1 = 1;
+
+const DEVICE_ID = '0123456789abcdef01234567';
+
+describe('emulator', () => {
+	let emulator;
+	let dev;
+
+	beforeEach(() => {
+		emulator = new Emulator();
+		registerTransport(emulator);
+	});
+
+	afterEach(async () => {
+		if (dev) {
+			await dev.close();
+			dev = null;
+		}
+		unregisterTransport(emulator.name);
+	});
+
+	it('emulates a device of the specified platform', async () => {
+		const emuDev = emulator.addDevice({ type: 'argon', id: DEVICE_ID, firmwareVersion: '5.0.0' });
+		const devs = await getDevices({ types: ['argon'] });
+		expect(devs.map((d) => d.usbDevice)).to.include(emuDev._handle);
+		dev = await openDeviceById(DEVICE_ID);
+		expect(dev.type).to.equal('argon');
+		expect(dev.firmwareVersion).to.equal('5.0.0');
+		expect(await dev.getDeviceId()).to.equal(DEVICE_ID);
+	});
+
+	it('dispatches control requests to the registered handlers', async () => {
+		const emuDev = emulator.addDevice({ id: DEVICE_ID });
+		emuDev.handle('GetSerialNumberRequest', () => ({ serial: 'B40KAB000000000' }));
+		emuDev.handle(REQUEST_1, (data) => Buffer.concat([data, Buffer.from(' reply')]));
+		emuDev.handle(Request.START_LISTENING, async () => {
+			throw new RequestError(Result.NOT_ALLOWED, 'Not allowed');
+		});
+		dev = await openDeviceById(DEVICE_ID);
+		expect(await dev.getSerialNumber()).to.equal('B40KAB000000000');
+		const rep = await dev.sendControlRequest(REQUEST_1, Buffer.from('request'));
+		expect(rep).to.deep.equal({ result: Result.OK, data: Buffer.from('request reply') });
+		await expect(dev.sendRequest(Request.START_LISTENING)).to.be.rejectedWith(RequestError)
+			.and.eventually.have.property('result', Result.NOT_ALLOWED);
+		await expect(dev.sendProtobufRequest('GetDeviceModeRequest')).to.be.rejectedWith(RequestError)
+			.and.eventually.have.property('result', Result.NOT_SUPPORTED);
+	});
+
+	it('keeps the request pending until an asynchronous handler completes', async () => {
+		const emuDev = emulator.addDevice({ id: DEVICE_ID });
+		let resolveReq;
+		emuDev.handle(REQUEST_1, () => new Promise((resolve) => {
+			resolveReq = resolve;
+		}));
+		dev = await openDeviceById(DEVICE_ID);
+		const rep = dev.sendControlRequest(REQUEST_1);
+		await new Promise((resolve) => setTimeout(resolve, 150));
+		resolveReq('reply');
+		expect((await rep).data.toString()).to.equal('reply');
+	});
+
+	it('simulates the statuses of the service requests', async () => {
+		const emuDev = emulator.addDevice({ id: DEVICE_ID });
+		emuDev.handle(REQUEST_1, () => 'reply');
+		dev = await openDeviceById(DEVICE_ID);
+		emuDev.simulateStatus('busy', 2);
+		emuDev.simulateStatus('pending', 2);
+		expect((await dev.sendControlRequest(REQUEST_1)).data.toString()).to.equal('reply');
+		emuDev.simulateStatus('no-memory');
+		await expect(dev.sendControlRequest(REQUEST_1)).to.be.rejectedWith(MemoryError);
+	});
+
+	it('re-enumerates the device when it resets', async () => {
+		const emuDev = emulator.addDevice({ id: DEVICE_ID, resetDelay: 10 });
+		let changes = 0;
+		const unwatch = emulator.watchDevices(() => ++changes);
+		dev = await openDeviceById(DEVICE_ID);
+		await dev.reset({ reconnect: true });
+		expect(dev.isOpen).to.be.true;
+		expect(changes).to.equal(2);
+		await dev.enterDfuMode({ reconnect: true });
+		expect(dev.isInDfuMode).to.be.true;
+		expect(emuDev.isInDfuMode).to.be.true;
+		unwatch();
+	});
+
+	it('emulates a DfuSe memory map backed by an in-memory flash image', async () => {
+		const emuDev = emulator.addDevice({
+			id: DEVICE_ID,
+			dfu: true,
+			resetDelay: 10,
+			memoryMap: ['@Internal Flash /0x00000000/4*004Ka,12*004Kg'],
+			transferSize: 1024
+		});
+		emuDev.writeMemory(0x4000, Buffer.alloc(8192, 0x55));
+		dev = await openDeviceById(DEVICE_ID);
+		const data = Buffer.alloc(5000, 0xaa);
+		await dev.writeOverDfu(data, { altSetting: 0, startAddr: 0x4000 });
+		// The sectors are erased before writing
+		expect(emuDev.readMemory(0x4000, 8192)).to.deep.equal(Buffer.concat([data, Buffer.alloc(3192, 0xff)]));
+		expect(await dev.readOverDfu({ altSetting: 0, startAddr: 0x4000, size: 5000 })).to.deep.equal(data);
+		await expect(dev.writeOverDfu(data, { altSetting: 0, startAddr: 0 })).to.be.rejected;
+		await dev.reset({ reconnect: true });
+		expect(dev.isInDfuMode).to.be.false;
+	});
+});
@@ -0,0 +1,106 @@
+'use strict';
+
+// Format identifier of an exported environment document
+const ENV_DOCUMENT_FORMAT = 'particle-env';
+const ENV_DOCUMENT_VERSION = 1;
+
+/**
+ * Portable representation of the environment variables of a device.
+ *
+ * @typedef {Object} EnvDocument
+ * @property {String} format Format identifier (`'particle-env'`).
+ * @property {Number} version Format version.
+ * @property {String|null} deviceId ID of the device the variables have been exported from.
+ * @property {String|null} snapshot Snapshot hash of the variables at the time of the export.
+ * @property {Object.<string, EnvValue>} env Environment variables.
+ */
+
+/**
+ * Differences between the environment variables of a device and a target set of variables.
+ *
+ * @typedef {Object} EnvDiff
+ * @property {Array<Object>} added Variables that are not defined on the device. Have the `name`,
+ *           `value` and `isApp` properties.
+ * @property {Array<Object>} changed Variables that are defined on the device with a different value.
+ *           Have the `name`, `value`, `isApp`, `deviceValue` and `deviceIsApp` properties.
+ * @property {Array<Object>} removed Variables that are defined on the device but not in the target set.
+ *           Have the `name`, `value` and `isApp` properties.
+ */
+
+/**
+ * Create an environment document.
+ *
+ * @param {GetEnvResult} result Variables reported by the device (see {@link Device#getEnv}).
+ * @param {String} [deviceId] Device ID.
+ * @return {EnvDocument}
+ */
+function createEnvDocument(result, deviceId = null) {
+	return {
+		format: ENV_DOCUMENT_FORMAT,
+		version: ENV_DOCUMENT_VERSION,
+		deviceId,
+		snapshot: result.snapshot ? result.snapshot.hash : null,
+		env: normalizeEnv(result.env)
+	};
+}
+
+/**
+ * Get the variables of an environment document.
+ *
+ * Plain objects mapping the variable names to values (strings or {@link EnvValue} objects) are
+ * accepted as well.
+ *
+ * @param {EnvDocument|Object} doc Document.
+ * @return {Object.<string, EnvValue>}
+ */
+function envFromDocument(doc) {
+	if (doc && doc.format !== undefined) {
+		if (doc.format !== ENV_DOCUMENT_FORMAT || doc.version !== ENV_DOCUMENT_VERSION) {
+			throw new TypeError('Unsupported format of the environment document');
+		}
+		return normalizeEnv(doc.env);
+	}
+	return normalizeEnv(doc);
+}
+
+function normalizeEnv(env) {
+	const result = {};
+	for (const name of Object.keys(env || {}).sort()) {
+		const v = env[name];
+		result[name] = (typeof v === 'string') ? { value: v, isApp: false } : { value: v.value, isApp: !!v.isApp };
+	}
+	return result;
+}
+
+/**
+ * Compare two sets of environment variables.
+ *
+ * @param {Object.<string, EnvValue>} current Variables defined on the device.
+ * @param {Object.<string, EnvValue>} target Target variables.
+ * @return {EnvDiff}
+ */
+function diffEnvVars(current, target) {
+	const added = [];
+	const changed = [];
+	const removed = [];
+	for (const [name, { value, isApp }] of Object.entries(target)) {
+		const cur = current[name];
+		if (!cur) {
+			added.push({ name, value, isApp });
+		} else if (cur.value !== value || cur.isApp !== isApp) {
+			changed.push({ name, value, isApp, deviceValue: cur.value, deviceIsApp: cur.isApp });
+		}
+	}
+	for (const [name, { value, isApp }] of Object.entries(current)) {
+		if (!target[name]) {
+			removed.push({ name, value, isApp });
+		}
+	}
+	return { added, changed, removed };
+}
+
+module.exports = {
+	createEnvDocument,
+	envFromDocument,
+	diffEnvVars
+};
@@ -1,11 +1,41 @@
 'use strict';
+// Properties describing the context in which an error occurred
+const CONTEXT_PROPERTIES = ['requestType', 'messageName', 'deviceId', 'firmwareVersion'];
+
 /**
  * Generic device error. This is a base class for all errors reported by the library.
+ *
+ * The constructor takes the same arguments as the `Error` constructor. In addition to `cause`, the
+ * options argument may contain the following properties describing the context of the error:
+ * `requestType`, `messageName`, `deviceId` and `firmwareVersion`.
  */
 class DeviceError extends Error {
 	constructor(...args) {
 		super(...args);
 		this.name = this.constructor.name;
+		const options = (args[1] && typeof args[1] === 'object') ? args[1] : {};
+		for (const prop of CONTEXT_PROPERTIES) {
+			this[prop] = (options[prop] !== undefined) ? options[prop] : null;
+		}
+	}
+
+	/**
+	 * Get a representation of the error that can be serialized to JSON.
+	 *
+	 * @return {Object}
+	 */
+	toJSON() {
+		const json = { name: this.name, message: this.message };
+		for (const prop of ['code', 'result', ...CONTEXT_PROPERTIES]) {
+			if (this[prop] !== undefined && this[prop] !== null) {
+				json[prop] = this[prop];
+			}
+		}
+		if (this.cause) {
+			const cause = this.cause;
+			json.cause = (typeof cause.toJSON === 'function') ? cause.toJSON() : { name: cause.name, message: cause.message };
+		}
+		return json;
 	}
 }
 
@@ -91,12 +121,162 @@ class InternalError extends DeviceError {
 
 /**
  * Request error.
+ *
+ * This is a base class for the errors reported when the device fails to process a control request.
+ * The `result` property contains the result code reported by the device (see {@link Result}), and
+ * the `code` property contains its symbolic name (e.g. `'NOT_SUPPORTED'`).
  */
 class RequestError extends DeviceError {
 	constructor(result, ...args) {
 		super(...args);
 		this.name = this.constructor.name;
 		this.result = result;
+		// The module is required lazily as it depends on this module
+		this.code = require('./result').codeForResult(result);
+	}
+}
+
+/**
+ * An error reported when the device is busy (`Result.BUSY`).
+ */
+class BusyError extends RequestError {
+	constructor(...args) {
+		super(...args);
+		this.name = this.constructor.name;
+	}
+}
+
+/**
+ * An error reported when a request is not supported by the device (`Result.NOT_SUPPORTED`).
+ */
+class NotSupportedError extends RequestError {
+	constructor(...args) {
+		super(...args);
+		this.name = this.constructor.name;
+	}
+}
+
+/**
+ * An error reported when the device does not allow an operation (`Result.NOT_ALLOWED`).
+ */
+class OperationNotAllowedError extends RequestError {
+	constructor(...args) {
+		super(...args);
+		this.name = this.constructor.name;
+	}
+}
+
+/**
+ * An error reported when an operation is cancelled or aborted on the device side (`Result.CANCELLED`,
+ * `Result.ABORTED`).
+ */
+class CancelledError extends RequestError {
+	constructor(...args) {
+		super(...args);
+		this.name = this.constructor.name;
+	}
+}
+
+/**
+ * An error reported when an operation times out on the device side (`Result.TIMEOUT_ERROR`).
+ */
+class RequestTimeoutError extends RequestError {
+	constructor(...args) {
+		super(...args);
+		this.name = this.constructor.name;
+	}
+}
+
+/**
+ * An error reported when a resource cannot be found on the device (`Result.NOT_FOUND`).
+ */
+class ResourceNotFoundError extends RequestError {
+	constructor(...args) {
+		super(...args);
+		this.name = this.constructor.name;
+	}
+}
+
+/**
+ * An error reported when a resource already exists on the device (`Result.ALREADY_EXISTS`).
+ */
+class AlreadyExistsError extends RequestError {
+	constructor(...args) {
+		super(...args);
+		this.name = this.constructor.name;
+	}
+}
+
+/**
+ * An error reported when a size or count limit is exceeded (`Result.TOO_LARGE`, `Result.LIMIT_EXCEEDED`).
+ */
+class LimitExceededError extends RequestError {
+	constructor(...args) {
+		super(...args);
+		this.name = this.constructor.name;
+	}
+}
+
+/**
+ * An error reported when the device is not in an appropriate state to process a request
+ * (`Result.INVALID_STATE`).
+ */
+class InvalidStateError extends RequestError {
+	constructor(...args) {
+		super(...args);
+		this.name = this.constructor.name;
+	}
+}
+
+/**
+ * An error reported when an I/O operation fails on the device (`Result.IO_ERROR`).
+ */
+class IoError extends RequestError {
+	constructor(...args) {
+		super(...args);
+		this.name = this.constructor.name;
+	}
+}
+
+/**
+ * An error reported when a network operation fails on the device (`Result.NETWORK_ERROR`).
+ */
+class NetworkError extends RequestError {
+	constructor(...args) {
+		super(...args);
+		this.name = this.constructor.name;
+	}
+}
+
+/**
+ * An error reported when the device runs out of memory while processing a request (`Result.NO_MEMORY`).
+ */
+class OutOfMemoryError extends RequestError {
+	constructor(...args) {
+		super(...args);
+		this.name = this.constructor.name;
+	}
+}
+
+/**
+ * An error reported when the request data is invalid (`Result.INVALID_ARGUMENT`, `Result.BAD_DATA`,
+ * `Result.OUT_OF_RANGE`).
+ */
+class InvalidArgumentError extends RequestError {
+	constructor(...args) {
+		super(...args);
+		this.name = this.constructor.name;
+	}
+}
+
+/**
+ * An error reported when a cryptographic check fails on the device (`Result.KEY_MISMATCH`,
+ * `Result.INVALID_SIGNATURE`).
+ */
+class SecurityError extends RequestError {
+	constructor(...args) {
+		super(...args);
+		this.name = this.constructor.name;
 	}
 }
 
@@ -111,13 +291,19 @@ class UsbStallError extends UsbError {
 }
 
 /**
- * Device Protection error.
+ * An error reported when an operation is not permitted because the device is protected.
+ *
+ * The error can be reported by a control request (`Result.DEVICE_PROTECTED`) or by a DFU operation,
+ * so it is not a subclass of {@link RequestError}. The `result` and `code` properties are set to `null`
+ * if the error was not reported by a control request.
  */
 class DeviceProtectionError extends DeviceError {
 	constructor(result, ...args) {
 		super(...args);
 		this.name = this.constructor.name;
 		this.result = result;
+		// The module is required lazily as it depends on this module
+		this.code = require('./result').codeForResult(result);
 	}
 }
 
@@ -131,6 +317,38 @@ class UnsupportedDfuseCommandError extends DeviceError {
 	}
 }
 
+/**
+ * An error reported when an operation is aborted via an `AbortSignal`.
+ */
+class AbortError extends DeviceError {
+	constructor(...args) {
+		super(...args);
+		this.name = this.constructor.name;
+	}
+}
+
+/**
+ * An error reported when a device is locked by another process.
+ */
+class LockError extends DeviceError {
+	constructor(pid, ...args) {
+		super(...args);
+		this.name = this.constructor.name;
+		this.pid = pid; // ID of the process holding the lock
+	}
+}
+
+/**
+ * An error reported when a firmware binary is not valid or is not compatible with the device.
+ */
+class InvalidFirmwareError extends DeviceError {
+	constructor(reason, ...args) {
+		super(...args);
+		this.name = this.constructor.name;
+		this.reason = reason; // See FirmwareValidationFailure
+	}
+}
+
 function assert(val, msg = null) {
 	if (!val) {
 		throw new InternalError(msg ? msg : 'Assertion failed');
@@ -148,8 +366,25 @@ module.exports = {
 	UsbError,
 	InternalError,
 	RequestError,
+	BusyError,
+	NotSupportedError,
+	OperationNotAllowedError,
+	CancelledError,
+	RequestTimeoutError,
+	ResourceNotFoundError,
+	AlreadyExistsError,
+	LimitExceededError,
+	InvalidStateError,
+	IoError,
+	NetworkError,
+	OutOfMemoryError,
+	InvalidArgumentError,
+	SecurityError,
 	UsbStallError,
 	DeviceProtectionError,
 	UnsupportedDfuseCommandError,
+	AbortError,
+	LockError,
+	InvalidFirmwareError,
 	assert
 };
@@ -0,0 +1,369 @@
+'use strict';
+const { InvalidFirmwareError } = require('./error');
+
+// Size of the module prefix (module_info_t)
+const PREFIX_SIZE = 24;
+// Offsets at which the module prefix can be found. Some of the Gen 2 modules start with a vector table
+const PREFIX_OFFSETS = [0, 0x184];
+// Size of the module suffix without extensions (module_info_suffix_t)
+const MIN_SUFFIX_SIZE = 40;
+// Size of the SHA-256 hash
+const SHA256_SIZE = 32;
+// Size of the CRC-32 checksum
+const CRC32_SIZE = 4;
+// Module function of an empty dependency
+const MODULE_FUNCTION_NONE = 0;
+// Range of the module functions of the modules known to this library (see FirmwareModule)
+const MIN_MODULE_FUNCTION = 1; // RESOURCE
+const MAX_MODULE_FUNCTION = 9; // ASSET
+// Order in which the modules of different types are flashed if they don't depend on each other
+const FLASH_ORDER = ['BOOTLOADER', 'RADIO_STACK', 'NCP_FIRMWARE', 'SYSTEM_PART', 'MONO_FIRMWARE', 'USER_PART', 'ASSET'];
+
+let crcTable = null;
+
+/**
+ * Reasons for which a firmware binary can be refused.
+ *
+ * @enum {String}
+ */
+const FirmwareValidationFailure = {
+	/** The data is not a valid Particle module binary. */
+	INVALID_FORMAT: 'INVALID_FORMAT',
+	/** The module is built for another platform. */
+	PLATFORM_MISMATCH: 'PLATFORM_MISMATCH',
+	/** The CRC-32 checksum of the module is invalid. */
+	CRC_MISMATCH: 'CRC_MISMATCH',
+	/** The SHA-256 hash of the module is invalid. */
+	HASH_MISMATCH: 'HASH_MISMATCH'
+};
+
+/**
+ * Firmware module dependency.
+ *
+ * @typedef {Object} FirmwareModuleDependency
+ * @property {FirmwareModule} type Module type.
+ * @property {Number} moduleFunction Numeric module function.
+ * @property {Number} index Module index.
+ * @property {Number} version Module version.
+ */
+
+/**
+ * Information parsed from a firmware module binary.
+ *
+ * @typedef {Object} FirmwareModuleInfo
+ * @property {FirmwareModule} type Module type (the module function).
+ * @property {Number} moduleFunction Numeric module function.
+ * @property {Number} index Module index.
+ * @property {Number} version Module version.
+ * @property {Number} platformId ID of the platform the module is built for.
+ * @property {Number} startAddress Start address of the module.
+ * @property {Number} endAddress End address of the module, not including the CRC-32 checksum.
+ * @property {Number} flags Module flags.
+ * @property {Number} prefixOffset Offset of the module prefix in the binary.
+ * @property {Array<FirmwareModuleDependency>} dependencies Module dependencies.
+ * @property {Number} productId Product ID.
+ * @property {Number} productVersion Product version.
+ * @property {Number} suffixSize Size of the module suffix.
+ * @property {String|null} sha256 SHA-256 hash of the module stored in the suffix (hex-encoded), or
+ *           `null` if the module doesn't have a hash.
+ * @property {Number} crc32 CRC-32 checksum of the module stored at the end of the binary.
+ */
+
+function crc32(data) {
+	if (!crcTable) {
+		crcTable = new Int32Array(256);
+		for (let i = 0; i < 256; ++i) {
+			let c = i;
+			for (let j = 0; j < 8; ++j) {
+				c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+			}
+			crcTable[i] = c;
+		}
+	}
+	let crc = -1;
+	for (let i = 0; i < data.length; ++i) {
+		crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+	}
+	return (crc ^ -1) >>> 0;
+}
+
+async function sha256(data) {
+	const hash = await globalThis.crypto.subtle.digest('SHA-256', data);
+	return Buffer.from(hash).toString('hex');
+}
+
+// Returns true if the size of the module as specified in the prefix matches the size of the binary
+function prefixSizeMatches(data, offs) {
+	const startAddr = data.readUInt32LE(offs);
+	const endAddr = data.readUInt32LE(offs + 4);
+	return endAddr > startAddr && endAddr - startAddr + CRC32_SIZE === data.length;
+}
+
+// Returns true if the prefix describes a known module type built for some platform. Used to detect
+// truncated or padded modules, for which the size check fails
+function prefixFieldsValid(data, offs) {
+	const startAddr = data.readUInt32LE(offs);
+	const endAddr = data.readUInt32LE(offs + 4);
+	const platformId = data.readUInt16LE(offs + 12);
+	const moduleFunction = data.readUInt8(offs + 14);
+	return endAddr > startAddr && platformId !== 0 && moduleFunction >= MIN_MODULE_FUNCTION &&
+			moduleFunction <= MAX_MODULE_FUNCTION;
+}
+
+// Finds the module prefix. The `offset` property of the returned object is set to -1 if the data
+// doesn't contain a valid prefix, and `sizeMatches` is false if the size of the module specified in
+// the prefix doesn't match the size of the data
+function findPrefix(data) {
+	const offsets = PREFIX_OFFSETS.filter((offs) => data.length >= offs + PREFIX_SIZE);
+	for (const offs of offsets) {
+		if (prefixSizeMatches(data, offs)) {
+			return { offset: offs, sizeMatches: true };
+		}
+	}
+	for (const offs of offsets) {
+		if (prefixFieldsValid(data, offs)) {
+			return { offset: offs, sizeMatches: false };
+		}
+	}
+	return { offset: -1, sizeMatches: false };
+}
+
+function parseDependency(data, offs, FirmwareModule) {
+	const moduleFunction = data.readUInt8(offs);
+	return {
+		type: FirmwareModule.fromProtobuf(moduleFunction),
+		moduleFunction,
+		index: data.readUInt8(offs + 1),
+		version: data.readUInt16LE(offs + 2)
+	};
+}
+
+/**
+ * Parse a Particle firmware module binary.
+ *
+ * @param {Buffer} data Module binary.
+ * @return {FirmwareModuleInfo}
+ * @throws {InvalidFirmwareError} If the data is not a valid module binary.
+ */
+function parseFirmwareModule(data) {
+	const { FirmwareModule } = require('./device'); // Required lazily as it depends on this module
+	data = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+	const { offset: offs, sizeMatches } = findPrefix(data);
+	if (offs < 0) {
+		throw new InvalidFirmwareError(FirmwareValidationFailure.INVALID_FORMAT, 'Not a valid firmware module binary');
+	}
+	if (!sizeMatches) {
+		throw new InvalidFirmwareError(FirmwareValidationFailure.INVALID_FORMAT, 'Size of the firmware module does not match the size specified in its prefix');
+	}
+	if (data.length < offs + PREFIX_SIZE + MIN_SUFFIX_SIZE + CRC32_SIZE) {
+		throw new InvalidFirmwareError(FirmwareValidationFailure.INVALID_FORMAT, 'Not a valid firmware module binary');
+	}
+	const suffixSize = data.readUInt16LE(data.length - CRC32_SIZE - 2);
+	if (suffixSize < MIN_SUFFIX_SIZE || suffixSize > data.length - offs - PREFIX_SIZE - CRC32_SIZE) {
+		throw new InvalidFirmwareError(FirmwareValidationFailure.INVALID_FORMAT, 'Invalid size of the module suffix');
+	}
+	const suffixOffs = data.length - CRC32_SIZE - MIN_SUFFIX_SIZE;
+	const sha = data.slice(suffixOffs + 6, suffixOffs + 6 + SHA256_SIZE);
+	const moduleFunction = data.readUInt8(offs + 14);
+	const dependencies = [parseDependency(data, offs + 16, FirmwareModule), parseDependency(data, offs + 20, FirmwareModule)];
+	return {
+		type: FirmwareModule.fromProtobuf(moduleFunction),
+		moduleFunction,
+		index: data.readUInt8(offs + 15),
+		version: data.readUInt16LE(offs + 10),
+		platformId: data.readUInt16LE(offs + 12),
+		startAddress: data.readUInt32LE(offs),
+		endAddress: data.readUInt32LE(offs + 4),
+		flags: data.readUInt8(offs + 9),
+		prefixOffset: offs,
+		dependencies: dependencies.filter((dep) => dep.moduleFunction !== MODULE_FUNCTION_NONE),
+		productId: data.readUInt16LE(suffixOffs),
+		productVersion: data.readUInt16LE(suffixOffs + 2),
+		suffixSize,
+		sha256: sha.every((b) => b === 0) ? null : sha.toString('hex'),
+		crc32: data.readUInt32BE(data.length - CRC32_SIZE)
+	};
+}
+
+/**
+ * Verify the integrity of a Particle firmware module binary.
+ *
+ * The CRC-32 checksum is calculated over the entire binary except the checksum itself. The SHA-256
+ * hash is calculated over the binary up to the hash field of the module suffix.
+ *
+ * @param {Buffer} data Module binary.
+ * @return {Promise<Object>} An object with the `crcValid` and `hashValid` properties. `hashValid` is set
+ *         to `null` if the module doesn't have a hash.
+ * @throws {InvalidFirmwareError} If the data is not a valid module binary.
+ */
+async function verifyFirmwareModule(data) {
+	const info = parseFirmwareModule(data);
+	data = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+	const crcValid = crc32(data.slice(0, data.length - CRC32_SIZE)) === info.crc32;
+	let hashValid = null;
+	if (info.sha256) {
+		const hashOffs = data.length - CRC32_SIZE - 2 - SHA256_SIZE;
+		hashValid = await sha256(data.slice(0, hashOffs)) === info.sha256;
+	}
+	return { crcValid, hashValid };
+}
+
+/**
+ * Check that a firmware module binary can be flashed to a device.
+ *
+ * @param {Buffer} data Module binary.
+ * @param {Object} [options] Options.
+ * @param {Number} [options.platformId] Platform ID of the device.
+ * @return {Promise<FirmwareModuleInfo>}
+ * @throws {InvalidFirmwareError} If the binary is not valid, is corrupted or is built for another
+ *         platform. The `reason` property of the error is set to a {@link FirmwareValidationFailure} value.
+ */
+async function validateFirmwareModule(data, { platformId = null } = {}) {
+	const info = parseFirmwareModule(data);
+	if (platformId !== null && info.platformId !== platformId) {
+		throw new InvalidFirmwareError(FirmwareValidationFailure.PLATFORM_MISMATCH,
+			`Firmware module is built for platform ${info.platformId}, expected platform ${platformId}`);
+	}
+	const { crcValid, hashValid } = await verifyFirmwareModule(data);
+	if (!crcValid) {
+		throw new InvalidFirmwareError(FirmwareValidationFailure.CRC_MISMATCH, 'Invalid CRC-32 checksum of the firmware module');
+	}
+	if (hashValid === false) {
+		throw new InvalidFirmwareError(FirmwareValidationFailure.HASH_MISMATCH, 'Invalid SHA-256 hash of the firmware module');
+	}
+	return info;
+}
+
+/**
+ * Dependency of a firmware module that is not satisfied.
+ *
+ * @typedef {Object} UnmetFirmwareDependency
+ * @property {FirmwareModule} type Type of the required module.
+ * @property {Number} index Index of the required module.
+ * @property {Number} version Minimum required version.
+ * @property {Number|null} installedVersion Version of the module installed on the device, or `null` if
+ *           the module is not installed.
+ * @property {Object} requiredBy Module that has the dependency, described by the `type`, `index` and
+ *           `version` properties.
+ */
+
+/**
+ * Result of a compatibility check of a firmware module.
+ *
+ * @typedef {Object} FirmwareCompatibility
+ * @property {Boolean} safeMode `true` if flashing the module would leave the device in safe mode, i.e.
+ *           some of the dependencies would not be satisfied.
+ * @property {Array<UnmetFirmwareDependency>} missing Dependencies of the module that are not satisfied
+ *           by the modules installed on the device. These modules need to be updated first.
+ * @property {Array<UnmetFirmwareDependency>} broken Dependencies of the installed modules that would no
+ *           longer be satisfied after the module is flashed.
+ */
+
+function sameModule(a, b) {
+	return a.type === b.type && (a.index || 0) === (b.index || 0);
+}
+
+function moduleRef({ type, index, version }) {
+	return { type, index: index || 0, version };
+}
+
+// Returns the dependencies of a module that are not satisfied by a set of modules
+function unmetDependencies(module, modules) {
+	const unmet = [];
+	for (const dep of module.dependencies) {
+		const m = modules.find((m) => sameModule(m, dep));
+		if (!m || m.version < dep.version) {
+			unmet.push(Object.assign(moduleRef(dep), {
+				installedVersion: m ? m.version : null,
+				requiredBy: moduleRef(module)
+			}));
+		}
+	}
+	return unmet;
+}
+
+/**
+ * Check if the dependencies of a firmware module are satisfied by a set of installed modules.
+ *
+ * @param {FirmwareModuleInfo} module Module to be flashed (see {@link parseFirmwareModule}).
+ * @param {Array<Object>} installed Modules installed on the device (see
+ *        {@link Device#getFirmwareModuleInfo}). Only the modules in the main store are taken into account.
+ * @return {FirmwareCompatibility}
+ */
+function checkFirmwareDependencies(module, installed) {
+	installed = installed.filter((m) => !m.store || m.store === 'MAIN' || m.store === 'UNKNOWN');
+	const missing = unmetDependencies(module, installed);
+	// Check the installed modules against the set of modules the device would have after the update
+	const updated = installed.filter((m) => !sameModule(m, module)).concat([module]);
+	let broken = [];
+	for (const m of updated) {
+		if (m !== module) {
+			broken = broken.concat(unmetDependencies(m, updated));
+		}
+	}
+	return {
+		safeMode: missing.length > 0 || broken.length > 0,
+		missing,
+		broken
+	};
+}
+
+function flashRank(module) {
+	const rank = FLASH_ORDER.indexOf(module.type);
+	return rank >= 0 ? rank : FLASH_ORDER.length;
+}
+
+function compareFlashOrder(a, b) {
+	return (flashRank(a) - flashRank(b)) || ((a.index || 0) - (b.index || 0));
+}
+
+/**
+ * Sort firmware modules in the order in which they need to be flashed.
+ *
+ * A module is placed after the modules it depends on. The modules that don't depend on each other
+ * are ordered by type: bootloader, radio stack, NCP firmware, system parts, application.
+ *
+ * @param {Array<FirmwareModuleInfo>} modules Modules (see {@link parseFirmwareModule}).
+ * @return {Array<FirmwareModuleInfo>} Sorted modules. The original array is not modified.
+ */
+function sortFirmwareModules(modules) {
+	const pending = modules.slice().sort(compareFlashOrder);
+	const sorted = [];
+	while (pending.length) {
+		// Pick the first module whose dependencies are not pending. If there's a circular dependency,
+		// fall back to the order by type
+		let i = pending.findIndex((m) => !m.dependencies.some((dep) => pending.some((p) => p !== m && sameModule(p, dep))));
+		if (i < 0) {
+			i = 0;
+		}
+		sorted.push(pending[i]);
+		pending.splice(i, 1);
+	}
+	return sorted;
+}
+
+/**
+ * Check if the data looks like a Particle firmware module binary.
+ *
+ * Only the module prefix is checked, the integrity of the module is not verified. A module whose size
+ * doesn't match its prefix, e.g. a truncated binary, is still detected as a module so that it can be
+ * refused by {@link validateFirmwareModule}.
+ *
+ * @param {Buffer} data Data.
+ * @return {Boolean}
+ */
+function isFirmwareModule(data) {
+	return findPrefix(Buffer.from(data.buffer, data.byteOffset, data.byteLength)).offset >= 0;
+}
+
+module.exports = {
+	FirmwareValidationFailure,
+	parseFirmwareModule,
+	verifyFirmwareModule,
+	validateFirmwareModule,
+	isFirmwareModule,
+	checkFirmwareDependencies,
+	sortFirmwareModules,
+	crc32,
+	sha256
+};
@@ -0,0 +1,92 @@
+'use strict';
+const { expect, firmwareModule } = require('../test/support');
+const { parseFirmwareModule, verifyFirmwareModule, validateFirmwareModule, isFirmwareModule, checkFirmwareDependencies, FirmwareValidationFailure } = require('./firmware-module');
+const { InvalidFirmwareError } = require('./error');
+
+describe('firmware-module', () => {
+	describe('parseFirmwareModule()', () => {
+		it('parses the module prefix and suffix', () => {
+			const data = firmwareModule({ platformId: 13, moduleFunction: 4, index: 1, version: 5302, productId: 1234 });
+			// Depends on system part 1, version 1302
+			data.writeUInt8(4, 16);
+			data.writeUInt8(1, 17);
+			data.writeUInt16LE(1302, 18);
+			const info = parseFirmwareModule(data);
+			expect(info).to.deep.include({
+				type: 'SYSTEM_PART',
+				moduleFunction: 4,
+				index: 1,
+				version: 5302,
+				platformId: 13,
+				startAddress: 0x85f000,
+				endAddress: 0x85f000 + data.length - 4,
+				prefixOffset: 0,
+				productId: 1234,
+				suffixSize: 40,
+				sha256: data.slice(data.length - 38, data.length - 6).toString('hex'),
+				crc32: data.readUInt32BE(data.length - 4)
+			});
+			expect(info.dependencies).to.deep.equal([{ type: 'SYSTEM_PART', moduleFunction: 4, index: 1, version: 1302 }]);
+		});
+
+		it('finds the module prefix following a vector table', () => {
+			const data = Buffer.alloc(0x184 + 100);
+			data.writeUInt32LE(0x8020000, 0x184);
+			data.writeUInt32LE(0x8020000 + data.length - 4, 0x188);
+			data.writeUInt16LE(40, data.length - 6);
+			expect(parseFirmwareModule(data).prefixOffset).to.equal(0x184);
+		});
+
+		it('fails if the data is not a module binary', () => {
+			expect(() => parseFirmwareModule(Buffer.alloc(1000))).to.throw(InvalidFirmwareError);
+			expect(isFirmwareModule(Buffer.alloc(1000))).to.be.false;
+		});
+
+		it('detects a module whose size does not match its prefix', async () => {
+			const data = firmwareModule();
+			const truncated = data.slice(0, data.length - 100);
+			const padded = Buffer.concat([data, Buffer.alloc(100)]);
+			expect(isFirmwareModule(truncated)).to.be.true;
+			expect(isFirmwareModule(padded)).to.be.true;
+			expect(() => parseFirmwareModule(truncated)).to.throw(InvalidFirmwareError, 'does not match');
+			const err = await expect(validateFirmwareModule(padded)).to.be.rejectedWith(InvalidFirmwareError);
+			expect(err.reason).to.equal(FirmwareValidationFailure.INVALID_FORMAT);
+		});
+	});
+
+	describe('verifyFirmwareModule()', () => {
+		it('verifies the checksum and hash of the module', async () => {
+			const data = firmwareModule();
+			expect(await verifyFirmwareModule(data)).to.deep.equal({ crcValid: true, hashValid: true });
+			data[100] ^= 0xff;
+			expect(await verifyFirmwareModule(data)).to.deep.equal({ crcValid: false, hashValid: false });
+		});
+	});
+
+	describe('validateFirmwareModule()', () => {
+		it('fails if the module is built for another platform', async () => {
+			const err = await expect(validateFirmwareModule(firmwareModule({ platformId: 13 }), { platformId: 32 })).to.be.rejectedWith(InvalidFirmwareError);
+			expect(err.reason).to.equal(FirmwareValidationFailure.PLATFORM_MISMATCH);
+		});
+
+		it('fails if the module is corrupted', async () => {
+			const data = firmwareModule();
+			data.writeUInt32BE(0, data.length - 4);
+			const err = await expect(validateFirmwareModule(data)).to.be.rejectedWith(InvalidFirmwareError);
+			expect(err.reason).to.equal(FirmwareValidationFailure.CRC_MISMATCH);
+		});
+	});
+
+	describe('checkFirmwareDependencies()', () => {
+		it('succeeds if the dependencies are satisfied by the installed modules', () => {
+			const module = parseFirmwareModule(firmwareModule({ moduleFunction: 5 /* USER_PART */ }));
+			module.dependencies = [{ type: 'SYSTEM_PART', index: 1, version: 5501 }];
+			const installed = [
+				{ type: 'SYSTEM_PART', index: 1, version: 5501, store: 'MAIN', dependencies: [] },
+				{ type: 'SYSTEM_PART', index: 1, version: 4000, store: 'BACKUP', dependencies: [] },
+				{ type: 'USER_PART', index: 1, version: 5, store: 'MAIN', dependencies: [{ type: 'SYSTEM_PART', index: 1, version: 9000 }] }
+			];
+			expect(checkFirmwareDependencies(module, installed)).to.deep.equal({ safeMode: false, missing: [], broken: [] });
+		});
+	});
+});
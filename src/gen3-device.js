@@ -1,5 +1,6 @@
 'use strict';
 const { Request } = require('./request');
+const { globalOptions } = require('./config');
 
 /**
  * Gen 3 device.
@@ -14,13 +15,16 @@ const Gen3Device = (base) => class extends base {
 	 * Set the setup done flag.
 	 *
 	 * @param {Boolean} [done] Flag value.
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise}
 	 */
-	async setSetupDone(done) {
+	async setSetupDone(done, { timeout = globalOptions.requestTimeout, signal } = {}) {
 		if (done === undefined) {
 			done = true;
 		}
-		await this.sendRequest(Request.SET_DEVICE_SETUP_DONE, { done });
+		await this.sendRequest(Request.SET_DEVICE_SETUP_DONE, { done }, { timeout, signal });
 	}
 
 	/**
@@ -0,0 +1,170 @@
+'use strict';
+const { globalOptions } = require('./config');
+
+function formatValue(value) {
+	if (typeof value === 'string') {
+		return /[\s"=]/.test(value) ? JSON.stringify(value) : value;
+	}
+	if (value instanceof Error) {
+		return JSON.stringify(value.message);
+	}
+	return String(value);
+}
+
+// Formats the fields as a sequence of key=value pairs
+function formatFields(fields) {
+	return Object.keys(fields).filter((key) => fields[key] !== undefined && fields[key] !== null)
+		.map((key) => `${key}=${formatValue(fields[key])}`).join(' ');
+}
+
+/**
+ * Logger bound to a set of structured fields, such as the ID of the device that is being logged about.
+ *
+ * The messages are forwarded to the logger configured via {@link config}. How the fields are passed to
+ * that logger depends on the `logFormat` option:
+ *
+ * - `'text'` (default): The fields are appended to the message as `key=value` pairs. This works with any
+ *   logger implementing the `trace(String)`, `info(String)`, `warn(String)` and `error(String)` methods.
+ * - `'pino'`: The fields are passed as an object preceding the message, e.g. `log.info(fields, message)`.
+ * - `'winston'`: The fields are passed as an object following the message, e.g. `log.info(message, fields)`.
+ *
+ * In the latter two modes, if the configured logger has a `child()` method, the bound fields are passed
+ * to it once and only the fields of a particular log call are passed along with the message.
+ */
+class Logger {
+	/**
+	 * Constructor.
+	 *
+	 * @param {Object} [fields] Bound fields.
+	 * @param {Logger} [parent] Parent logger.
+	 */
+	constructor(fields = {}, parent = null) {
+		this._parent = parent;
+		this._fields = Object.assign({}, fields);
+		this._revision = 0; // Incremented every time the bound fields change
+		this._target = null; // Child of the configured logger
+		this._targetKey = null; // State the child logger was created for
+	}
+
+	/**
+	 * Create a child logger.
+	 *
+	 * The child logger inherits the fields of this logger, including the ones that are set after the
+	 * child logger has been created.
+	 *
+	 * @param {Object} fields Additional fields.
+	 * @return {Logger}
+	 */
+	child(fields) {
+		return new Logger(fields, this);
+	}
+
+	/**
+	 * Update the bound fields.
+	 *
+	 * @param {Object} fields Fields to update.
+	 */
+	setFields(fields) {
+		Object.assign(this._fields, fields);
+		++this._revision;
+	}
+
+	/**
+	 * Bound fields, including the ones of the parent loggers.
+	 *
+	 * @return {Object}
+	 */
+	get fields() {
+		return Object.assign({}, this._parent ? this._parent.fields : null, this._fields);
+	}
+
+	/**
+	 * Log a trace message.
+	 *
+	 * @param {String} message Message.
+	 * @param {Object} [fields] Additional fields.
+	 */
+	trace(message, fields) {
+		this._log('trace', message, fields);
+	}
+
+	/**
+	 * Log an informational message.
+	 *
+	 * @param {String} message Message.
+	 * @param {Object} [fields] Additional fields.
+	 */
+	info(message, fields) {
+		this._log('info', message, fields);
+	}
+
+	/**
+	 * Log a warning.
+	 *
+	 * @param {String} message Message.
+	 * @param {Object} [fields] Additional fields.
+	 */
+	warn(message, fields) {
+		this._log('warn', message, fields);
+	}
+
+	/**
+	 * Log an error.
+	 *
+	 * @param {String} message Message.
+	 * @param {Object} [fields] Additional fields.
+	 */
+	error(message, fields) {
+		this._log('error', message, fields);
+	}
+
+	_log(level, message, fields) {
+		const base = globalOptions.log;
+		const format = globalOptions.logFormat || 'text';
+		if (format === 'text') {
+			const text = formatFields(Object.assign(this.fields, fields));
+			base[level](text ? `${message} (${text})` : message);
+			return;
+		}
+		let target = base;
+		let args = Object.assign(this.fields, fields);
+		if (typeof base.child === 'function') {
+			target = this._childOf(base);
+			args = Object.assign({}, fields);
+		}
+		if (format === 'pino') {
+			target[level](args, message);
+		} else {
+			target[level](message, args);
+		}
+	}
+
+	// Returns a child of the configured logger bound to the fields of this logger
+	_childOf(base) {
+		const revision = this._totalRevision();
+		if (!this._target || this._targetKey.base !== base || this._targetKey.revision !== revision) {
+			this._target = base.child(this.fields);
+			this._targetKey = { base, revision };
+		}
+		return this._target;
+	}
+
+	_totalRevision() {
+		return this._revision + (this._parent ? this._parent._totalRevision() : 0);
+	}
+}
+
+/**
+ * Create a logger bound to a set of fields.
+ *
+ * @param {Object} [fields] Bound fields.
+ * @return {Logger}
+ */
+function createLogger(fields) {
+	return new Logger(fields);
+}
+
+module.exports = {
+	Logger,
+	createLogger
+};
@@ -0,0 +1,62 @@
+'use strict';
+const { sinon, expect } = require('../test/support');
+const { createLogger } = require('./logger');
+const { globalOptions, config } = require('./config');
+
+describe('logger', () => {
+	let savedOptions;
+	let base;
+
+	beforeEach(() => {
+		savedOptions = { log: globalOptions.log, logFormat: globalOptions.logFormat };
+		base = {
+			trace: sinon.spy(),
+			info: sinon.spy(),
+			warn: sinon.spy(),
+			error: sinon.spy()
+		};
+		config({ log: base });
+	});
+
+	afterEach(() => {
+		config(savedOptions);
+	});
+
+	it('appends the fields to the message in the text format', () => {
+		const log = createLogger({ deviceId: 'abc', platform: 'boron' });
+		log.trace('Sending INIT', { requestId: 1, name: 'Get Device ID' });
+		log.info('Device is open');
+		expect(base.trace).to.have.been.calledOnceWithExactly('Sending INIT (deviceId=abc platform=boron requestId=1 name="Get Device ID")');
+		expect(base.info).to.have.been.calledOnceWithExactly('Device is open (deviceId=abc platform=boron)');
+	});
+
+	it('propagates the fields of a parent logger to its children', () => {
+		const log = createLogger({ deviceId: null, mode: 'normal' });
+		const child = log.child({ component: 'dfu' });
+		log.setFields({ deviceId: 'abc', mode: 'dfu' });
+		child.warn('Unable to abort DFU operation');
+		expect(base.warn).to.have.been.calledOnceWithExactly('Unable to abort DFU operation (deviceId=abc mode=dfu component=dfu)');
+	});
+
+	it('passes the fields as an object in the pino format', () => {
+		const childLog = { trace: sinon.spy() };
+		base.child = sinon.stub().returns(childLog);
+		config({ logFormat: 'pino' });
+		const log = createLogger({ deviceId: 'abc' });
+		log.trace('Sending INIT', { requestId: 1 });
+		log.trace('Sending CHECK', { requestId: 1 });
+		expect(base.child).to.have.been.calledOnceWithExactly({ deviceId: 'abc' });
+		expect(childLog.trace.firstCall).to.have.been.calledWithExactly({ requestId: 1 }, 'Sending INIT');
+		log.setFields({ deviceId: 'def' });
+		log.trace('Sending INIT');
+		expect(base.child).to.have.been.calledTwice;
+		expect(base.child.secondCall).to.have.been.calledWithExactly({ deviceId: 'def' });
+	});
+
+	it('passes the fields after the message in the winston format', () => {
+		config({ logFormat: 'winston' });
+		const log = createLogger({ deviceId: 'abc' });
+		log.error('Unable to close device', { bytes: 10 });
+		expect(base.error).to.have.been.calledOnceWithExactly('Unable to close device', { deviceId: 'abc', bytes: 10 });
+	});
+});
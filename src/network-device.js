@@ -111,12 +111,15 @@ const NetworkDevice = base => class extends base {
 	 * Supported platforms:
 	 * - Gen 2 (since Device OS 0.8.0, deprecated in 2.0.0)
 	 *
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise<String>}
 	 */
-	getNetworkStatus() {
+	getNetworkStatus({ timeout = globalOptions.requestTimeout, signal } = {}) {
 		return this.sendRequest(Request.NETWORK_GET_STATUS, {
 			interface: DEFAULT_INTERFACE
-		}).then(rep => NetworkStatus.fromProtobuf(rep.config.state));
+		}, { timeout, signal }).then((rep) => NetworkStatus.fromProtobuf(rep.config.state));
 	}
 
 	/**
@@ -128,12 +131,15 @@ const NetworkDevice = base => class extends base {
 	 * Supported platforms:
 	 * - Gen 2 (since Device OS 0.8.0, deprecated in 2.0.0)
 	 *
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise<Object>}
 	 */
-	getNetworkConfig() {
+	getNetworkConfig({ timeout = globalOptions.requestTimeout, signal } = {}) {
 		return this.sendRequest(Request.NETWORK_GET_CONFIGURATION, { // TODO
 			interface: DEFAULT_INTERFACE
-		});
+		}, { timeout, signal });
 	}
 
 	/**
@@ -146,10 +152,13 @@ const NetworkDevice = base => class extends base {
 	 * - Gen 2 (since Device OS 0.8.0, deprecated in 2.0.0)
 	 *
 	 * @param {Object} config Network configuration.
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise}
 	 */
-	setNetworkConfig(config) {
-		return this.sendRequest(Request.NETWORK_SET_CONFIGURATION, config); // TODO
+	setNetworkConfig(config, { timeout = globalOptions.requestTimeout, signal } = {}) {
+		return this.sendRequest(Request.NETWORK_SET_CONFIGURATION, config, { timeout, signal }); // TODO
 	}
 
 	/**
@@ -161,10 +170,11 @@ const NetworkDevice = base => class extends base {
 	 *
 	 * @param {Object} [options] Options.
 	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise<Object>}
 	 */
-	async getNetworkInterfaceList({ timeout = globalOptions.requestTimeout } = {}) {
-		const res = await this.sendRequest(Request.NETWORK_GET_INTERFACE_LIST, null, { timeout });
+	async getNetworkInterfaceList({ timeout = globalOptions.requestTimeout, signal } = {}) {
+		const res = await this.sendRequest(Request.NETWORK_GET_INTERFACE_LIST, null, { timeout, signal });
 		return res.interfaces.map(entry => ({
 			index: entry.index,
 			name: entry.name,
@@ -172,6 +182,12 @@ const NetworkDevice = base => class extends base {
 		}));
 	}
 
+	_infoGetters(options) {
+		return Object.assign(super._infoGetters(options), {
+			networkInterfaces: () => this.getNetworkInterfaceList(options)
+		});
+	}
+
 	// Helper function to get active flags of a network interface
 	_getActiveFlags(flags, flagDefinitions) {
 		const activeFlags = [];
@@ -192,10 +208,11 @@ const NetworkDevice = base => class extends base {
 	 *
 	 * @param {Object} [options] Options.
 	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise<Object>}
 	 */
-	async getNetworkInterface({ index, timeout = globalOptions.requestTimeout } = {}) {
-		const reply = await this.sendRequest(Request.NETWORK_GET_INTERFACE, { index, timeout });
+	async getNetworkInterface({ index, timeout = globalOptions.requestTimeout, signal } = {}) {
+		const reply = await this.sendRequest(Request.NETWORK_GET_INTERFACE, { index }, { timeout, signal });
 
 		if (!reply.interface) {
 			throw new NotFoundError();
@@ -1,16 +1,27 @@
 'use strict';
 const { getDevices: getUsbDevices, openDeviceById: openUsbDeviceById, openNativeUsbDevice: openUsbNativeUsbDevice } = require('./device-base');
 const { PollingPolicy } = require('./device-base');
+const { AdaptivePollingPolicy } = require('./polling-policy');
 const { FirmwareModule, FirmwareModuleDisplayNames } = require('./device');
 const { NetworkStatus } = require('./network-device');
 const { WifiAntenna, WifiCipher, EapMethod, WifiSecurityEnum } = require('./wifi-device');
 const { WifiSecurity } = require('./wifi-device-legacy');
 const { CloudConnectionStatus, ServerProtocol } = require('./cloud-device');
 const { Result } = require('./result');
-const { DeviceError, NotFoundError, NotAllowedError, StateError, TimeoutError, MemoryError, ProtocolError, UsbError, InternalError, RequestError, DeviceProtectionError, UnsupportedDfuseCommandError } = require('./error');
+const { DeviceError, NotFoundError, NotAllowedError, StateError, TimeoutError, MemoryError, ProtocolError, UsbError, InternalError, RequestError, BusyError, NotSupportedError, OperationNotAllowedError, CancelledError, RequestTimeoutError, ResourceNotFoundError, AlreadyExistsError, LimitExceededError, InvalidStateError, IoError, NetworkError, OutOfMemoryError, InvalidArgumentError, SecurityError, DeviceProtectionError, UnsupportedDfuseCommandError, AbortError, LockError, InvalidFirmwareError } = require('./error');
 const { config } = require('./config');
 const { setDevicePrototype } = require('./set-device-prototype');
 const { EdlDevice } = require('./edl-device');
+const { watchDevices } = require('./device-watcher');
+const { DeviceFleet } = require('./device-fleet');
+const { getDeviceLockOwner } = require('./device-lock');
+const { registerTransport, unregisterTransport } = require('./transport');
+const { parseCapture, createReplayTransport } = require('./capture');
+const { parseFirmwareModule, verifyFirmwareModule, validateFirmwareModule, FirmwareValidationFailure } = require('./firmware-module');
+const { Progress } = require('./progress');
+const { compareAssets } = require('./assets');
+const { parseBundle } = require('./bundle');
+const { loadBundle, findBundles } = require('./bundle-loader');
 
 /**
  * Enumerate Particle USB devices attached to the host.
@@ -19,6 +30,9 @@ const { EdlDevice } = require('./edl-device');
  * @param {Array<String>} [options.types] Device types (photon, boron, tracker, etc). By default, this
  *        function enumerates devices of all platforms supported by the library.
  * @param {Boolean} [options.includeDfu=true] Whether to include devices in DFU mode.
+ * @param {Boolean} [options.requestAccess=true] Whether to ask the user to grant access to a device
+ *        (WebUSB only). If set to `false`, only the devices the user has already granted access to
+ *        are enumerated.
  * @return {Promise<Array<Device>>}
  */
 function getDevices(options) {
@@ -58,6 +72,7 @@ function getEdlDevices() {
 
 module.exports = {
 	PollingPolicy,
+	AdaptivePollingPolicy,
 	FirmwareModule,
 	FirmwareModuleDisplayNames,
 	NetworkStatus,
@@ -79,11 +94,44 @@ module.exports = {
 	UsbError,
 	InternalError,
 	RequestError,
+	BusyError,
+	NotSupportedError,
+	OperationNotAllowedError,
+	CancelledError,
+	RequestTimeoutError,
+	ResourceNotFoundError,
+	AlreadyExistsError,
+	LimitExceededError,
+	InvalidStateError,
+	IoError,
+	NetworkError,
+	OutOfMemoryError,
+	InvalidArgumentError,
+	SecurityError,
 	DeviceProtectionError,
 	UnsupportedDfuseCommandError,
+	AbortError,
+	LockError,
+	InvalidFirmwareError,
+	FirmwareValidationFailure,
 	getDevices,
 	openDeviceById,
 	openNativeUsbDevice,
 	getEdlDevices,
+	watchDevices,
+	DeviceFleet,
+	getDeviceLockOwner,
+	registerTransport,
+	unregisterTransport,
+	parseCapture,
+	createReplayTransport,
+	parseFirmwareModule,
+	verifyFirmwareModule,
+	validateFirmwareModule,
+	Progress,
+	compareAssets,
+	parseBundle,
+	loadBundle,
+	findBundles,
 	config
 };
@@ -6,8 +6,20 @@ describe('Public interface of npm module', () => {
 		expect(particleUSB.getDevices).to.be.a('Function');
 		expect(particleUSB.openDeviceById).to.be.a('Function');
 		expect(particleUSB.openNativeUsbDevice).to.be.a('Function');
+		expect(particleUSB.watchDevices).to.be.a('Function');
+		expect(particleUSB.registerTransport).to.be.a('Function');
+		expect(particleUSB.unregisterTransport).to.be.a('Function');
+		expect(particleUSB.createReplayTransport).to.be.a('Function');
 		expect(particleUSB.PollingPolicy).to.be.an('object');
 		expect(particleUSB.PollingPolicy.DEFAULT).to.be.a('Function');
+		expect(particleUSB.AdaptivePollingPolicy).to.be.a('Function');
+		expect(particleUSB.DeviceFleet).to.be.a('Function');
+		expect(particleUSB.getDeviceLockOwner).to.be.a('Function');
+		expect(particleUSB.parseFirmwareModule).to.be.a('Function');
+		expect(particleUSB.validateFirmwareModule).to.be.a('Function');
+		expect(particleUSB.Progress).to.be.a('Function');
+		expect(particleUSB.compareAssets).to.be.a('Function');
+		expect(particleUSB.loadBundle).to.be.a('Function');
 
 		// Deliberately, omitting a lot of stuff below that is true below
 		// Given device-os-protobuf/DeviceOSProtobuf.getDefinition(), why do we need to export this stuff?
@@ -33,6 +45,10 @@ describe('Public interface of npm module', () => {
 		expect(particleUSB.UsbError).to.be.a('Function');
 		expect(particleUSB.InternalError).to.be.a('Function');
 		expect(particleUSB.RequestError).to.be.a('Function');
+		expect(particleUSB.NotSupportedError).to.be.a('Function');
+		expect(particleUSB.BusyError).to.be.a('Function');
+		expect(particleUSB.InvalidStateError).to.be.a('Function');
+		expect(particleUSB.LimitExceededError).to.be.a('Function');
 		expect(particleUSB.config).to.be.a('Function');
 	});
 });
@@ -0,0 +1,167 @@
+'use strict';
+
+// Version of the data format used by AdaptivePollingPolicy#toJSON()
+const DATA_FORMAT_VERSION = 1;
+
+const DEFAULT_MIN_INTERVAL = 5;
+const DEFAULT_MAX_INTERVAL = 1000;
+const DEFAULT_HISTORY_SIZE = 20;
+
+/**
+ * Polling policy that learns how long the device takes to process the requests of each type.
+ *
+ * The policy keeps track of the observed completion times of the requests and schedules the first
+ * CHECK request near the expected completion time (the median of the recent observations). If the
+ * request is still being processed, the interval between the subsequent CHECK requests grows
+ * exponentially up to the maximum interval. Requests of a type that hasn't been observed yet are
+ * polled according to the fallback policy.
+ *
+ * An instance of this class can be passed via the `pollingPolicy` option of {@link DeviceBase#open}
+ * or {@link DeviceBase#sendControlRequest}. Sharing an instance between devices of the same type, or
+ * saving its state via {@link AdaptivePollingPolicy#toJSON} and restoring it via the `data` option,
+ * allows the learned timings to be reused across sessions.
+ */
+class AdaptivePollingPolicy {
+	/**
+	 * Constructor.
+	 *
+	 * @param {Object} [options] Options.
+	 * @param {Function} [options.fallback] Polling policy for the requests of an unknown type. By default,
+	 *        {@link PollingPolicy.DEFAULT} is used.
+	 * @param {Number} [options.minInterval=5] Minimum interval between CHECK requests (milliseconds).
+	 * @param {Number} [options.maxInterval=1000] Maximum interval between subsequent CHECK requests
+	 *        (milliseconds). The first CHECK request can be scheduled later if the request is expected
+	 *        to take longer.
+	 * @param {Number} [options.historySize=20] Number of observations to keep per request type.
+	 * @param {Object} [options.data] State of the policy as returned by {@link AdaptivePollingPolicy#toJSON}.
+	 */
+	constructor(options = {}) {
+		const {
+			fallback = null,
+			minInterval = DEFAULT_MIN_INTERVAL,
+			maxInterval = DEFAULT_MAX_INTERVAL,
+			historySize = DEFAULT_HISTORY_SIZE,
+			data = null
+		} = options;
+		this._fallback = fallback;
+		this._minInterval = minInterval;
+		this._maxInterval = maxInterval;
+		this._historySize = historySize;
+		this._samples = new Map(); // Observed completion times arranged by request type
+		if (data) {
+			this._load(data);
+		}
+	}
+
+	/**
+	 * Get the interval before the next CHECK request.
+	 *
+	 * @param {Number} type Request type.
+	 * @param {Number} n Number of CHECK requests sent so far.
+	 * @param {Function} fallback Polling policy to use if there are no observations for the request type.
+	 * @return {Number} Interval in milliseconds.
+	 */
+	interval(type, n, fallback) {
+		const expected = this.expectedTime(type);
+		if (expected === null) {
+			const fn = this._fallback || fallback;
+			return typeof fn === 'function' ? fn(n) : fn;
+		}
+		if (n === 0) {
+			return Math.max(this._minInterval, expected);
+		}
+		// Back off exponentially starting from a fraction of the expected time
+		const interval = Math.max(this._minInterval, expected / 4) * Math.pow(2, n - 1);
+		return Math.min(this._maxInterval, interval);
+	}
+
+	/**
+	 * Record the completion time of a request.
+	 *
+	 * The exact completion time is not known as the device is only polled periodically. If the request
+	 * was still being processed when the device was polled last time, the midpoint between that time
+	 * and `time` is recorded. If the request was completed by the time of the first CHECK request, the
+	 * recorded time is slightly lower than `time`, so that the policy doesn't settle on polling the
+	 * device later than necessary.
+	 *
+	 * @param {Number} type Request type.
+	 * @param {Number} time Time since the request was sent until the device reported its completion
+	 *        (milliseconds).
+	 * @param {Number} [minTime] Time since the request was sent until the device last reported that the
+	 *        request was still being processed (milliseconds).
+	 */
+	record(type, time, minTime = null) {
+		if (minTime === null) {
+			time = time * 3 / 4;
+		} else {
+			time = (minTime + time) / 2;
+		}
+		this._addSample(type, time);
+	}
+
+	/**
+	 * Get the expected completion time of a request.
+	 *
+	 * @param {Number} type Request type.
+	 * @return {Number|null} Completion time in milliseconds or `null` if there are no observations for
+	 *         the request type.
+	 */
+	expectedTime(type) {
+		const samples = this._samples.get(type);
+		if (!samples || !samples.length) {
+			return null;
+		}
+		const sorted = samples.slice().sort((a, b) => a - b);
+		return sorted[Math.floor((sorted.length - 1) / 2)];
+	}
+
+	/**
+	 * Forget all observations.
+	 */
+	clear() {
+		this._samples.clear();
+	}
+
+	/**
+	 * Get the state of the policy in a form that can be serialized to JSON.
+	 *
+	 * @return {Object}
+	 */
+	toJSON() {
+		const types = {};
+		for (const [type, samples] of this._samples) {
+			types[type] = samples.slice();
+		}
+		return { version: DATA_FORMAT_VERSION, types };
+	}
+
+	_addSample(type, time) {
+		let samples = this._samples.get(type);
+		if (!samples) {
+			samples = [];
+			this._samples.set(type, samples);
+		}
+		samples.push(Math.max(0, Math.round(time)));
+		if (samples.length > this._historySize) {
+			samples.shift();
+		}
+	}
+
+	_load(data) {
+		if (typeof data === 'string') {
+			data = JSON.parse(data);
+		}
+		if (!data || data.version !== DATA_FORMAT_VERSION || !data.types) {
+			throw new TypeError('Invalid polling policy data');
+		}
+		for (const type of Object.keys(data.types)) {
+			for (const time of data.types[type]) {
+				this._addSample(Number(type), time);
+			}
+		}
+	}
+}
+
+module.exports = {
+	AdaptivePollingPolicy
+};
@@ -0,0 +1,68 @@
+'use strict';
+const { expect } = require('../test/support');
+const { AdaptivePollingPolicy } = require('./polling-policy');
+
+// Application-specific request types
+const REQUEST_1 = 1;
+const REQUEST_2 = 2;
+
+describe('polling-policy', () => {
+	describe('AdaptivePollingPolicy', () => {
+		it('uses the fallback policy for unknown request types', () => {
+			const policy = new AdaptivePollingPolicy();
+			expect(policy.interval(REQUEST_1, 0, (n) => n * 10 + 50)).to.equal(50);
+			expect(policy.interval(REQUEST_1, 2, (n) => n * 10 + 50)).to.equal(70);
+			expect(policy.interval(REQUEST_1, 0, 30)).to.equal(30);
+		});
+
+		it('schedules the first check near the expected completion time', () => {
+			const policy = new AdaptivePollingPolicy();
+			policy.record(REQUEST_1, 120, 80);
+			policy.record(REQUEST_1, 80, 40);
+			policy.record(REQUEST_1, 140, 100);
+			expect(policy.expectedTime(REQUEST_1)).to.equal(100);
+			expect(policy.expectedTime(REQUEST_2)).to.be.null;
+			expect(policy.interval(REQUEST_1, 0)).to.equal(100);
+		});
+
+		it('backs off exponentially if the request takes longer than expected', () => {
+			const policy = new AdaptivePollingPolicy({ maxInterval: 500 });
+			policy.record(REQUEST_1, 400, 400);
+			expect(policy.interval(REQUEST_1, 0)).to.equal(400);
+			expect(policy.interval(REQUEST_1, 1)).to.equal(100);
+			expect(policy.interval(REQUEST_1, 2)).to.equal(200);
+			expect(policy.interval(REQUEST_1, 3)).to.equal(400);
+			expect(policy.interval(REQUEST_1, 4)).to.equal(500);
+		});
+
+		it('lowers the estimate if the request completes by the first check', () => {
+			const policy = new AdaptivePollingPolicy({ minInterval: 5 });
+			policy.record(REQUEST_1, 100);
+			expect(policy.expectedTime(REQUEST_1)).to.equal(75);
+			const policy2 = new AdaptivePollingPolicy({ minInterval: 5, historySize: 1 });
+			for (let i = 0; i < 20; ++i) {
+				policy2.record(REQUEST_1, policy2.interval(REQUEST_1, 0, 50));
+			}
+			expect(policy2.interval(REQUEST_1, 0)).to.equal(5);
+		});
+
+		it('keeps a limited number of observations', () => {
+			const policy = new AdaptivePollingPolicy({ historySize: 2 });
+			policy.record(REQUEST_1, 1000, 1000);
+			policy.record(REQUEST_1, 10, 10);
+			policy.record(REQUEST_1, 10, 10);
+			expect(policy.toJSON().types[REQUEST_1]).to.deep.equal([10, 10]);
+		});
+
+		it('can be saved and restored', () => {
+			const policy = new AdaptivePollingPolicy();
+			policy.record(REQUEST_1, 100, 100);
+			policy.record(REQUEST_2, 20, 20);
+			const data = JSON.stringify(policy);
+			const policy2 = new AdaptivePollingPolicy({ data });
+			expect(policy2.expectedTime(REQUEST_1)).to.equal(100);
+			expect(policy2.expectedTime(REQUEST_2)).to.equal(20);
+			expect(() => new AdaptivePollingPolicy({ data: { version: 0 } })).to.throw(TypeError);
+		});
+	});
+});
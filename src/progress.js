@@ -0,0 +1,257 @@
+'use strict';
+const EventEmitter = require('events');
+
+// Names of the events reported for each phase of a transfer. The names predate the unified progress
+// model and are kept for compatibility
+const PHASE_EVENTS = {
+	erase: { start: 'start-erase', progress: 'erased', complete: 'complete-erase', failed: 'failed-erase' },
+	download: { start: 'start-download', progress: 'downloaded', complete: 'complete-download', failed: 'failed-download' },
+	upload: { start: 'start-upload', progress: 'uploaded', complete: 'complete-upload', failed: 'failed-upload' }
+};
+
+/**
+ * Progress of a data transfer.
+ *
+ * @typedef {Object} TransferProgress
+ * @property {String} event Event name, e.g. `'start-download'`, `'downloaded'` or `'complete-download'`.
+ * @property {String} phase Transfer phase: `'erase'`, `'download'` or `'upload'`.
+ * @property {Number} bytes Size of the data processed since the previous event, or the size of the
+ *           entire data for the `start-*` and `complete-*` events. For the `uploaded` event, the total
+ *           size of the data read so far.
+ * @property {Number} done Number of bytes processed in the current phase.
+ * @property {Number|null} total Total number of bytes to process in the current phase, or `null` if
+ *           the size is not known in advance.
+ * @property {Number|null} fraction Progress of the current phase in the range [0, 1], or `null` if
+ *           the total size is not known.
+ * @property {Number} rate Average transfer rate in the current phase (bytes per second).
+ * @property {Number|null} eta Estimated time until the current phase completes (milliseconds), or
+ *           `null` if it can't be estimated yet.
+ * @property {Number|null} address Flash address that is being processed, if applicable.
+ * @property {Object} [module] Firmware module that is being flashed, if applicable. Has the `type`,
+ *           `index` and `version` properties.
+ */
+
+/**
+ * Receiver of the progress of an operation.
+ *
+ * An instance of this class can be passed via the `progress` option to the methods that transfer data
+ * to or from the device, as an alternative to a callback function. The progress can be observed via
+ * the `progress` event or by iterating over the instance asynchronously. An instance tracks a single
+ * operation: it emits the `end` event and the iteration stops when the operation completes, whether
+ * it succeeds or fails.
+ *
+ * @example
+ * const progress = new Progress();
+ * await Promise.all([
+ *   device.updateFirmware(data, { progress }),
+ *   (async () => {
+ *     for await (const { phase, fraction, eta } of progress) {
+ *       console.log(`${phase}: ${Math.round(fraction * 100)}% (${Math.round(eta / 1000)}s left)`);
+ *     }
+ *   })()
+ * ]);
+ */
+class Progress extends EventEmitter {
+	constructor() {
+		super();
+		this._last = null;
+		this._ended = false;
+	}
+
+	/**
+	 * Last reported progress.
+	 *
+	 * @return {TransferProgress|null}
+	 */
+	get last() {
+		return this._last;
+	}
+
+	/**
+	 * `true` if the operation has completed.
+	 *
+	 * @return {Boolean}
+	 */
+	get ended() {
+		return this._ended;
+	}
+
+	/**
+	 * Report the progress of the operation.
+	 *
+	 * @param {TransferProgress} progress Progress.
+	 */
+	update(progress) {
+		this._last = progress;
+		this.emit('progress', progress);
+	}
+
+	/**
+	 * Mark the operation as completed.
+	 */
+	end() {
+		if (!this._ended) {
+			this._ended = true;
+			this.emit('end');
+		}
+	}
+
+	[Symbol.asyncIterator]() {
+		// Only the events reported after the iteration has started are buffered
+		const queue = [];
+		let done = this._ended;
+		let wake = null;
+		const onProgress = (e) => {
+			queue.push(e);
+			if (wake) {
+				wake();
+			}
+		};
+		const onEnd = () => {
+			done = true;
+			cleanup();
+			if (wake) {
+				wake();
+			}
+		};
+		const cleanup = () => {
+			this.removeListener('progress', onProgress);
+			this.removeListener('end', onEnd);
+		};
+		if (!done) {
+			this.on('progress', onProgress);
+			this.on('end', onEnd);
+		}
+		return {
+			next: async () => {
+				while (!queue.length && !done) {
+					await new Promise((resolve) => {
+						wake = resolve;
+					});
+					wake = null;
+				}
+				if (queue.length) {
+					return { value: queue.shift(), done: false };
+				}
+				return { value: undefined, done: true };
+			},
+			return: async () => {
+				done = true;
+				cleanup();
+				return { value: undefined, done: true };
+			},
+			[Symbol.asyncIterator]() {
+				return this;
+			}
+		};
+	}
+}
+
+// Tracks the progress of a single transfer phase
+class PhaseProgress {
+	constructor(progress, phase, total, address) {
+		this._progress = progress;
+		this._phase = phase;
+		this._events = PHASE_EVENTS[phase];
+		this._total = Number.isFinite(total) ? total : null;
+		this._address = (address !== undefined) ? address : null;
+		this._done = 0;
+		this._startTime = Date.now();
+		this._report(this._events.start, total);
+	}
+
+	get done() {
+		return this._done;
+	}
+
+	advance(bytes, address) {
+		this._done += bytes;
+		if (this._total !== null) {
+			this._done = Math.min(this._done, this._total);
+		}
+		if (address !== undefined) {
+			this._address = address;
+		}
+		this._report(this._events.progress, (this._phase === 'upload') ? this._done : bytes);
+	}
+
+	complete() {
+		this._report(this._events.complete, this._done);
+	}
+
+	fail() {
+		this._report(this._events.failed, this._done);
+	}
+
+	_report(event, bytes) {
+		if (!this._progress) {
+			return;
+		}
+		const elapsed = Date.now() - this._startTime;
+		const rate = (elapsed > 0) ? this._done * 1000 / elapsed : 0;
+		let eta = null;
+		if (this._total !== null && rate > 0) {
+			eta = Math.round((this._total - this._done) * 1000 / rate);
+		}
+		let fraction = null;
+		if (this._total !== null) {
+			fraction = this._total ? this._done / this._total : 1;
+		}
+		reportProgress(this._progress, {
+			event,
+			phase: this._phase,
+			bytes,
+			done: this._done,
+			total: this._total,
+			fraction,
+			rate,
+			eta,
+			address: this._address
+		});
+	}
+}
+
+/**
+ * Start tracking a transfer phase.
+ *
+ * @param {Function|Progress|null} progress Callback function or {@link Progress} instance.
+ * @param {String} phase Phase: `'erase'`, `'download'` or `'upload'`.
+ * @param {Number} total Number of bytes to process.
+ * @param {Number} [address] Start address.
+ * @return {PhaseProgress}
+ */
+function startPhase(progress, phase, total, address) {
+	return new PhaseProgress(progress, phase, total, address);
+}
+
+/**
+ * Pass a progress event to a callback function or {@link Progress} instance.
+ *
+ * @param {Function|Progress|null} progress Callback function or {@link Progress} instance.
+ * @param {Object} e Event.
+ */
+function reportProgress(progress, e) {
+	if (progress instanceof Progress) {
+		progress.update(e);
+	} else if (progress) {
+		progress(e);
+	}
+}
+
+/**
+ * Mark an operation as completed if its progress is tracked by a {@link Progress} instance.
+ *
+ * @param {Function|Progress|null} progress Callback function or {@link Progress} instance.
+ */
+function endProgress(progress) {
+	if (progress instanceof Progress) {
+		progress.end();
+	}
+}
+
+module.exports = {
+	Progress,
+	startPhase,
+	reportProgress,
+	endProgress
+};
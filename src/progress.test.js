@@ -0,0 +1,52 @@
+'use strict';
+const { sinon, expect } = require('../test/support');
+const { Progress, startPhase } = require('./progress');
+
+describe('progress', () => {
+	let clock;
+
+	beforeEach(() => {
+		clock = sinon.useFakeTimers();
+	});
+
+	afterEach(() => {
+		clock.restore();
+	});
+
+	it('reports the transferred bytes, rate and estimated time of a phase', () => {
+		const progress = sinon.spy();
+		const download = startPhase(progress, 'download', 4000, 0x1000);
+		clock.tick(1000);
+		download.advance(1000, 0x1400);
+		download.complete();
+		expect(progress.args.map((args) => args[0])).to.deep.equal([
+			{ event: 'start-download', phase: 'download', bytes: 4000, done: 0, total: 4000, fraction: 0, rate: 0, eta: null, address: 0x1000 },
+			{ event: 'downloaded', phase: 'download', bytes: 1000, done: 1000, total: 4000, fraction: 0.25, rate: 1000, eta: 3000, address: 0x1400 },
+			{ event: 'complete-download', phase: 'download', bytes: 1000, done: 1000, total: 4000, fraction: 0.25, rate: 1000, eta: 3000, address: 0x1400 }
+		]);
+	});
+
+	it('reports the total size of the data read so far in the uploaded event', () => {
+		const progress = sinon.spy();
+		const upload = startPhase(progress, 'upload', Infinity);
+		upload.advance(100);
+		upload.advance(100);
+		expect(progress.lastCall.args[0]).to.include({ event: 'uploaded', bytes: 200, done: 200, total: null, fraction: null });
+	});
+
+	it('can be iterated asynchronously until the operation completes', async () => {
+		const progress = new Progress();
+		const events = [];
+		const iteration = (async () => {
+			for await (const e of progress) {
+				events.push(e.event);
+			}
+		})();
+		const erase = startPhase(progress, 'erase', 100);
+		erase.advance(100);
+		progress.end();
+		await iteration;
+		expect(events).to.deep.equal(['start-erase', 'erased']);
+		expect(progress.last).to.include({ event: 'erased', done: 100 });
+	});
+});
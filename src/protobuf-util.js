@@ -1,4 +1,9 @@
 'use strict';
+const DeviceOSProtobuf = require('@particle/device-os-protobuf');
+
+// Request message names arranged by request type. Populated on first use
+let requestNames = null;
+
 /**
  * Get an object that maps values from a Protobuf enum value to a string value and vice versa,
  * using the provided mapping.
@@ -150,9 +155,33 @@ function extractBits(value, mapping) {
 	return names;
 }
 
+/**
+ * Get the name of the protobuf request message with the given request type.
+ *
+ * @param {Number} type Request type.
+ * @returns {String|null} Message name (e.g. `GetDeviceIdRequest` or `cellular.GetIccidRequest`) or
+ * `null` if the request type is not defined by DeviceOSProtobuf.
+ */
+function requestNameForType(type) {
+	if (!requestNames) {
+		requestNames = new Map();
+		for (const name of DeviceOSProtobuf.getDefinitions()) {
+			if (!name.endsWith('Request')) {
+				continue;
+			}
+			const { id } = DeviceOSProtobuf.getDefinition(name);
+			if (typeof id === 'number' && !requestNames.has(id)) {
+				requestNames.set(id, name);
+			}
+		}
+	}
+	return requestNames.get(type) || null;
+}
+
 module.exports = {
 	fromProtobufEnum,
 	fromProtobufMessage,
 	toProtobufMessage,
-	extractBits
+	extractBits,
+	requestNameForType
 };
@@ -1,6 +1,6 @@
 'use strict';
 const { expect } = require('../test/support');
-const { extractBits, fromProtobufEnum } = require('./protobuf-util');
+const { extractBits, fromProtobufEnum, requestNameForType } = require('./protobuf-util');
 const { cloudDefinitions: protoCloud } = require('@particle/device-os-protobuf');
 
 describe('protobuf-util', () => {
@@ -32,4 +32,15 @@ describe('protobuf-util', () => {
 			expect(extractBits(1, FirmwareModuleValidityFlag)).to.eql([]);
 		});
 	});
+
+	describe('requestNameForType', () => {
+		it('returns the name of the request message', () => {
+			expect(requestNameForType(20)).to.equal('GetDeviceIdRequest');
+			expect(requestNameForType(500)).to.equal('wifi.JoinNewNetworkRequest');
+		});
+
+		it('returns null for an unknown request type', () => {
+			expect(requestNameForType(1)).to.be.null;
+		});
+	});
 });
@@ -0,0 +1,764 @@
+'use strict';
+const { getUsbDevices, watchUsbDevices } = require('./usb-device-node');
+const { getTransports } = require('./transport');
+const { platformForUsbIds } = require('./device-base');
+const { UsbError, UsbStallError, NotAllowedError, NotFoundError, StateError, TimeoutError } = require('./error');
+const { createLogger } = require('./logger');
+
+const WebSocket = require('ws');
+const crypto = require('crypto');
+
+// Default delay before enumerating the devices after a hotplug notification
+const DEFAULT_SCAN_DELAY = 250;
+
+// Default interval for polling the list of devices when hotplug notifications are not available
+const DEFAULT_POLL_INTERVAL = 1000;
+
+// Default timeout for a request sent to the server (milliseconds)
+const DEFAULT_REQUEST_TIMEOUT = 60000;
+
+// Errors that are passed to the client as is. Other errors are reported as USB errors
+const REMOTE_ERRORS = {
+	UsbStallError,
+	UsbError,
+	NotAllowedError,
+	NotFoundError,
+	StateError
+};
+
+function errorToJson(err) {
+	return { name: err.name, message: err.message };
+}
+
+function errorFromJson({ name, message }) {
+	const ErrorClass = REMOTE_ERRORS[name] || UsbError;
+	return new ErrorClass(message);
+}
+
+function encodeData(data) {
+	return data && data.length ? Buffer.from(data).toString('base64') : null;
+}
+
+function decodeData(data) {
+	return data ? Buffer.from(data, 'base64') : Buffer.alloc(0);
+}
+
+function isSameToken(token1, token2) {
+	const hash1 = crypto.createHash('sha256').update(token1).digest();
+	const hash2 = crypto.createHash('sha256').update(token2).digest();
+	return crypto.timingSafeEqual(hash1, hash2);
+}
+
+function isLoopbackAddress(host) {
+	return host === 'localhost' || host === '::1' || /^127\.\d+\.\d+\.\d+$/.test(host);
+}
+
+// Returns the authentication token sent by a client either via the Authorization header or via the
+// `token` query parameter (for the clients that cannot set the headers, e.g. browsers)
+function requestToken(req) {
+	const auth = req.headers.authorization;
+	if (auth && auth.startsWith('Bearer ')) {
+		return auth.slice(7);
+	}
+	const url = new URL(req.url, 'ws://localhost');
+	return url.searchParams.get('token');
+}
+
+/**
+ * A server exposing the locally attached devices over a WebSocket connection.
+ *
+ * The server forwards the USB control transfers and the interface requests sent by the clients to the
+ * devices, which allows the devices to be accessed from another machine via {@link RemoteTransport}.
+ * A device can only be open by one client at a time. The clients are notified when devices are
+ * attached or detached.
+ *
+ * @example
+ * const { RemoteDeviceServer } = require('particle-usb/remote');
+ *
+ * const server = new RemoteDeviceServer({ host: '0.0.0.0', port: 8090, tokens: ['secret'] });
+ * await server.start();
+ */
+class RemoteDeviceServer {
+	/**
+	 * Constructor.
+	 *
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.port=0] Port number. By default, an arbitrary unused port is chosen.
+	 * @param {String|null} [options.host='127.0.0.1'] Host name or address to listen on. If set to `null`,
+	 *        the server listens on all interfaces.
+	 * @param {Array<String>|String} [options.tokens] Authentication tokens accepted by the server. If not
+	 *        set, the clients are not authenticated, which is only allowed on a loopback address.
+	 * @param {Boolean} [options.insecure=false] Allow listening on a non-loopback address without
+	 *        authentication. Anyone who can reach the server gets full access to the attached devices.
+	 * @param {Array<Transport>} [options.transports] Transports whose devices are exposed. By default,
+	 *        the USB devices and the devices of all registered transports, except the remote ones, are
+	 *        exposed.
+	 * @param {Number} [options.scanDelay=250] Delay before enumerating the devices after a hotplug
+	 *        notification (milliseconds).
+	 * @param {Number} [options.pollInterval=1000] Interval for polling the list of devices when hotplug
+	 *        notifications are not available (milliseconds).
+	 */
+	constructor(options) {
+		options = Object.assign({
+			port: 0,
+			host: '127.0.0.1',
+			tokens: null,
+			insecure: false,
+			transports: null,
+			scanDelay: DEFAULT_SCAN_DELAY,
+			pollInterval: DEFAULT_POLL_INTERVAL
+		}, options);
+		this._port = options.port;
+		this._host = options.host;
+		this._tokens = typeof options.tokens === 'string' ? [options.tokens] : options.tokens;
+		if (!this._tokens && !options.insecure && !isLoopbackAddress(this._host)) {
+			throw new RangeError('Authentication tokens are required to listen on a non-loopback address');
+		}
+		this._transports = options.transports;
+		this._scanDelay = options.scanDelay;
+		this._pollInterval = options.pollInterval;
+		this._log = createLogger({ component: 'remote' });
+		this._wss = null;
+		this._clients = new Set();
+		this._devs = new Map(); // Device handles arranged by key
+		this._keys = new WeakMap(); // Device keys arranged by native device object
+		this._lastKey = 0;
+		this._owners = new Map(); // Clients arranged by the keys of the devices they have open
+		this._opening = new Map(); // Pending open operations arranged by device key
+		this._known = new Set(); // Keys of the devices found during the last scan
+		this._unwatch = null;
+		this._scanTimer = null;
+		this._pollTimer = null;
+	}
+
+	/**
+	 * Start the server.
+	 *
+	 * @return {Promise}
+	 */
+	async start() {
+		if (this._wss) {
+			throw new StateError('Server is already running');
+		}
+		await this._scan({ notify: false });
+		this._unwatch = this._watch();
+		await new Promise((resolve, reject) => {
+			const opts = {
+				port: this._port,
+				verifyClient: ({ req }) => this._authenticate(req)
+			};
+			if (this._host) {
+				opts.host = this._host;
+			}
+			this._wss = new WebSocket.Server(opts);
+			this._wss.once('listening', resolve);
+			this._wss.once('error', reject);
+			this._wss.on('connection', (ws) => this._addClient(ws));
+		});
+		this._log.info('Remote device server is listening', { port: this.address.port });
+	}
+
+	/**
+	 * Stop the server.
+	 *
+	 * @return {Promise}
+	 */
+	async stop() {
+		if (!this._wss) {
+			return;
+		}
+		const wss = this._wss;
+		this._wss = null;
+		if (this._unwatch) {
+			this._unwatch();
+			this._unwatch = null;
+		}
+		clearTimeout(this._scanTimer);
+		clearTimeout(this._pollTimer);
+		this._scanTimer = null;
+		this._pollTimer = null;
+		for (const client of this._clients) {
+			client.ws.terminate();
+		}
+		await Promise.all(Array.from(this._clients).map((client) => this._removeClient(client)));
+		await new Promise((resolve) => wss.close(() => resolve()));
+	}
+
+	/**
+	 * Address the server is listening on (`{ address, family, port }`).
+	 *
+	 * @return {Object}
+	 */
+	get address() {
+		return this._wss ? this._wss.address() : null;
+	}
+
+	_authenticate(req) {
+		if (!this._tokens) {
+			return true;
+		}
+		const token = requestToken(req);
+		return !!token && this._tokens.some((t) => isSameToken(t, token));
+	}
+
+	_addClient(ws) {
+		const client = { ws, devs: new Set() };
+		this._clients.add(client);
+		this._log.trace('Remote client connected');
+		ws.on('message', (data) => this._onMessage(client, data));
+		ws.on('close', () => {
+			this._log.trace('Remote client disconnected');
+			this._removeClient(client);
+		});
+		ws.on('error', (err) => this._log.warn('Remote client error', { error: err }));
+	}
+
+	// Closes the devices left open by a disconnected client
+	async _removeClient(client) {
+		if (!this._clients.delete(client)) {
+			return;
+		}
+		for (const key of client.devs) {
+			this._owners.delete(key);
+			const dev = this._devs.get(key);
+			if (dev) {
+				await dev.close().catch((err) => this._log.warn('Unable to close device', { key, error: err }));
+			}
+		}
+		client.devs.clear();
+	}
+
+	async _onMessage(client, data) {
+		let msg;
+		try {
+			msg = JSON.parse(data.toString());
+		} catch (_err) {
+			this._log.warn('Received malformed message from remote client');
+			return;
+		}
+		let reply;
+		try {
+			const result = await this._process(client, msg);
+			reply = { id: msg.id, result };
+		} catch (err) {
+			reply = { id: msg.id, error: errorToJson(err) };
+		}
+		this._send(client, reply);
+	}
+
+	async _process(client, { op, key, filters, setup, data, iface, setting }) {
+		if (op === 'list') {
+			const devs = await this._enumerate(filters);
+			return devs.map((dev) => this._deviceInfo(dev));
+		}
+		const dev = this._devs.get(key);
+		if (!dev) {
+			throw new NotFoundError('Device is not found');
+		}
+		const owner = this._owners.get(key);
+		if (op === 'open') {
+			if (owner && owner !== client) {
+				throw new NotAllowedError('Device is in use by another client');
+			}
+			if (!owner) {
+				// Claim the device before opening it so that a concurrent request from another client fails
+				this._owners.set(key, client);
+				const opening = dev.open();
+				this._opening.set(key, opening);
+				try {
+					await opening;
+				} catch (err) {
+					this._owners.delete(key);
+					throw err;
+				} finally {
+					this._opening.delete(key);
+				}
+				client.devs.add(key);
+			} else if (this._opening.has(key)) {
+				await this._opening.get(key);
+			}
+			return { serialNumber: dev.serialNumber, productName: dev.productName };
+		}
+		if (owner !== client) {
+			if (op === 'close') {
+				return null;
+			}
+			throw new UsbError('Device is not open');
+		}
+		switch (op) {
+			case 'close': {
+				this._owners.delete(key);
+				client.devs.delete(key);
+				await dev.close();
+				return null;
+			}
+			case 'transferIn': {
+				return { data: encodeData(await dev.transferIn(setup)) };
+			}
+			case 'transferOut': {
+				await dev.transferOut(setup, data ? decodeData(data) : null);
+				return null;
+			}
+			case 'claimInterface': {
+				await dev.claimInterface(iface);
+				return null;
+			}
+			case 'releaseInterface': {
+				await dev.releaseInterface(iface);
+				return null;
+			}
+			case 'setAltSetting': {
+				await dev.setAltSetting(iface, setting);
+				return null;
+			}
+			default: {
+				throw new UsbError(`Unknown operation: ${op}`);
+			}
+		}
+	}
+
+	_send(client, msg) {
+		if (client.ws.readyState === WebSocket.OPEN) {
+			client.ws.send(JSON.stringify(msg));
+		}
+	}
+
+	_broadcast(msg) {
+		for (const client of this._clients) {
+			this._send(client, msg);
+		}
+	}
+
+	_deviceInfo(dev) {
+		return {
+			key: this._deviceKey(dev),
+			vendorId: dev.vendorId,
+			productId: dev.productId,
+			serialNumber: dev.serialNumber,
+			productName: dev.productName,
+			usbVersion: dev.usbVersion
+		};
+	}
+
+	_deviceKey(dev) {
+		const obj = dev.internalObject || dev;
+		let key = this._keys.get(obj);
+		if (!key) {
+			key = ++this._lastKey;
+			this._keys.set(obj, key);
+		}
+		// Keep the most recent handle of the device
+		this._devs.set(key, dev);
+		return key;
+	}
+
+	async _enumerate(filters) {
+		let devs = [];
+		const transports = this._transports || getTransports().filter((t) => !(t instanceof RemoteTransport));
+		if (!this._transports) {
+			devs = await getUsbDevices(filters);
+		}
+		for (const transport of transports) {
+			devs = devs.concat(await transport.getDevices(filters));
+		}
+		return devs.filter((dev) => platformForUsbIds(dev.vendorId, dev.productId));
+	}
+
+	// Enumerates the devices and notifies the clients about the devices that have been attached or detached
+	async _scan({ notify = true } = {}) {
+		let devs;
+		try {
+			devs = await this._enumerate();
+		} catch (err) {
+			this._log.warn('Unable to enumerate devices', { error: err });
+			return;
+		}
+		const found = new Map(devs.map((dev) => [this._deviceKey(dev), dev]));
+		for (const [key, dev] of this._devs) {
+			if (found.has(key)) {
+				continue;
+			}
+			this._devs.delete(key);
+			const owner = this._owners.get(key);
+			if (owner) {
+				this._owners.delete(key);
+				owner.devs.delete(key);
+				await dev.close().catch(() => {});
+			}
+			if (notify && this._known.has(key)) {
+				this._broadcast({ event: 'detached', key });
+			}
+		}
+		if (notify) {
+			for (const [key, dev] of found) {
+				if (!this._known.has(key)) {
+					this._broadcast({ event: 'attached', device: this._deviceInfo(dev) });
+				}
+			}
+		}
+		this._known = new Set(found.keys());
+	}
+
+	_scheduleScan() {
+		if (!this._wss || this._scanTimer) {
+			return;
+		}
+		this._scanTimer = setTimeout(() => {
+			this._scanTimer = null;
+			this._scan();
+		}, this._scanDelay);
+	}
+
+	// Subscribes to the hotplug notifications of the exposed transports. Falls back to polling the list
+	// of devices if any of the transports doesn't support hotplug notifications
+	_watch() {
+		const listener = () => this._scheduleScan();
+		const unwatchAll = [];
+		let hotplug = true;
+		if (!this._transports) {
+			const fn = watchUsbDevices(listener);
+			if (fn) {
+				unwatchAll.push(fn);
+			} else {
+				hotplug = false;
+			}
+		}
+		const transports = this._transports || getTransports().filter((t) => !(t instanceof RemoteTransport));
+		for (const transport of transports) {
+			const fn = transport.watchDevices ? transport.watchDevices(listener) : null;
+			if (fn) {
+				unwatchAll.push(fn);
+			} else {
+				hotplug = false;
+			}
+		}
+		if (!hotplug) {
+			const poll = () => {
+				this._pollTimer = setTimeout(() => {
+					this._scan().then(() => this._wss && poll());
+				}, this._pollInterval);
+			};
+			poll();
+		}
+		return () => unwatchAll.forEach((fn) => fn());
+	}
+}
+
+/**
+ * A handle of a device attached to a remote host.
+ *
+ * This class is not meant to be instantiated directly. Use {@link RemoteTransport} to access the
+ * remote devices.
+ */
+class RemoteUsbDevice {
+	constructor(transport, info, obj) {
+		this._transport = transport;
+		this._info = info;
+		this._obj = obj;
+		this._open = false;
+		this._quirks = {};
+	}
+
+	async open() {
+		if (this._open) {
+			throw new UsbError('Device is already open');
+		}
+		const { serialNumber, productName } = await this._request('open');
+		this._info.serialNumber = serialNumber;
+		this._info.productName = productName;
+		this._open = true;
+	}
+
+	async close() {
+		if (!this._open) {
+			return;
+		}
+		this._open = false;
+		// Closing a device of a disconnected server is not an error
+		if (this._transport.isConnected) {
+			await this._request('close');
+		}
+	}
+
+	async transferIn(setup) {
+		const { data } = await this._request('transferIn', { setup });
+		return decodeData(data);
+	}
+
+	async transferOut(setup, data) {
+		await this._request('transferOut', { setup, data: encodeData(data) });
+	}
+
+	async claimInterface(iface) {
+		await this._request('claimInterface', { iface });
+	}
+
+	async releaseInterface(iface) {
+		await this._request('releaseInterface', { iface });
+	}
+
+	async setAltSetting(iface, setting) {
+		await this._request('setAltSetting', { iface, setting });
+	}
+
+	get vendorId() {
+		return this._info.vendorId;
+	}
+
+	get productId() {
+		return this._info.productId;
+	}
+
+	get serialNumber() {
+		return this._info.serialNumber;
+	}
+
+	get productName() {
+		return this._info.productName;
+	}
+
+	get isOpen() {
+		return this._open;
+	}
+
+	get internalObject() {
+		return this._obj;
+	}
+
+	get quirks() {
+		return this._quirks;
+	}
+
+	set quirks(qs) {
+		this._quirks = qs;
+	}
+
+	get usbVersion() {
+		return this._info.usbVersion;
+	}
+
+	_request(op, args) {
+		return this._transport._request(Object.assign({ op, key: this._info.key }, args));
+	}
+}
+
+/**
+ * A transport providing access to the devices exposed by a {@link RemoteDeviceServer}.
+ *
+ * Once registered via {@link registerTransport}, the remote devices are reported by {@link getDevices},
+ * {@link openDeviceById} and {@link watchDevices} along with the local USB devices.
+ *
+ * @example
+ * const { registerTransport, openDeviceById } = require('particle-usb');
+ * const { RemoteTransport } = require('particle-usb/remote');
+ *
+ * registerTransport(new RemoteTransport({ url: 'ws://lab-host:8090', token: 'secret' }));
+ * const device = await openDeviceById('0123456789abcdef01234567');
+ */
+class RemoteTransport {
+	/**
+	 * Constructor.
+	 *
+	 * @param {Object} options Options.
+	 * @param {String} options.url Server URL (e.g. `ws://localhost:8090`).
+	 * @param {String} [options.token] Authentication token.
+	 * @param {String} [options.name='remote'] Transport name.
+	 * @param {Number} [options.requestTimeout=60000] Timeout for a request sent to the server
+	 *        (milliseconds).
+	 */
+	constructor({ url, token = null, name = 'remote', requestTimeout = DEFAULT_REQUEST_TIMEOUT } = {}) {
+		if (!url) {
+			throw new TypeError('Server URL is not specified');
+		}
+		this._url = url;
+		this._token = token;
+		this._name = name;
+		this._requestTimeout = requestTimeout;
+		this._log = createLogger({ component: 'remote', url });
+		this._ws = null;
+		this._connecting = null;
+		this._reqs = new Map(); // Pending requests arranged by request ID
+		this._lastReqId = 0;
+		this._listeners = new Set();
+		this._objs = new Map(); // Objects identifying the remote devices arranged by key
+	}
+
+	/**
+	 * Connect to the server.
+	 *
+	 * The transport connects to the server automatically when it is first used. If the connection is
+	 * lost, the transport reconnects when it is used next time.
+	 *
+	 * @return {Promise}
+	 */
+	connect() {
+		if (!this._connecting) {
+			this._connecting = this._connect().catch((err) => {
+				this._connecting = null;
+				throw err;
+			});
+		}
+		return this._connecting;
+	}
+
+	/**
+	 * Disconnect from the server.
+	 *
+	 * @return {Promise}
+	 */
+	async close() {
+		const ws = this._ws;
+		if (!ws) {
+			return;
+		}
+		await new Promise((resolve) => {
+			ws.once('close', resolve);
+			ws.close();
+		});
+	}
+
+	/**
+	 * Enumerate the remote devices.
+	 *
+	 * @param {Array<Object>} [filters] Filters (see {@link Transport}).
+	 * @return {Promise<Array<RemoteUsbDevice>>}
+	 */
+	async getDevices(filters) {
+		const infos = await this._request({ op: 'list', filters: filters || null });
+		return infos.map((info) => new RemoteUsbDevice(this, info, this._deviceObject(info.key)));
+	}
+
+	/**
+	 * Subscribe to device attach/detach notifications.
+	 *
+	 * @param {Function} listener Listener function.
+	 * @return {Function} Function that cancels the subscription.
+	 */
+	watchDevices(listener) {
+		this._listeners.add(listener);
+		this.connect().catch((err) => {
+			this._log.warn('Unable to connect to remote device server', { error: err });
+		});
+		return () => this._listeners.delete(listener);
+	}
+
+	/**
+	 * Transport name.
+	 */
+	get name() {
+		return this._name;
+	}
+
+	/**
+	 * Set to `true` if the transport is connected to the server.
+	 */
+	get isConnected() {
+		return !!this._ws;
+	}
+
+	async _connect() {
+		const headers = {};
+		if (this._token) {
+			headers.Authorization = `Bearer ${this._token}`;
+		}
+		const ws = new WebSocket(this._url, { headers });
+		await new Promise((resolve, reject) => {
+			ws.once('open', resolve);
+			ws.once('unexpected-response', (req, res) => {
+				ws.terminate();
+				if (res.statusCode === 401) {
+					reject(new NotAllowedError('Authentication failed'));
+				} else {
+					reject(new UsbError(`Unable to connect to remote device server: HTTP ${res.statusCode}`));
+				}
+			});
+			ws.once('error', (err) => reject(new UsbError('Unable to connect to remote device server', { cause: err })));
+		});
+		ws.on('message', (data) => this._onMessage(data));
+		ws.on('error', (err) => this._log.warn('Remote device server error', { error: err }));
+		ws.on('close', () => this._onClose());
+		this._ws = ws;
+	}
+
+	_onMessage(data) {
+		let msg;
+		try {
+			msg = JSON.parse(data.toString());
+		} catch (_err) {
+			this._log.warn('Received malformed message from remote device server');
+			return;
+		}
+		if (msg.event) {
+			if (msg.event === 'detached') {
+				this._objs.delete(msg.key);
+			}
+			this._notify(msg);
+			return;
+		}
+		const req = this._reqs.get(msg.id);
+		if (!req) {
+			return;
+		}
+		this._reqs.delete(msg.id);
+		clearTimeout(req.timer);
+		if (msg.error) {
+			req.reject(errorFromJson(msg.error));
+		} else {
+			req.resolve(msg.result);
+		}
+	}
+
+	_onClose() {
+		this._ws = null;
+		this._connecting = null;
+		this._objs.clear();
+		const reqs = Array.from(this._reqs.values());
+		this._reqs.clear();
+		reqs.forEach((req) => {
+			clearTimeout(req.timer);
+			req.reject(new UsbError('Connection to remote device server closed'));
+		});
+		// All remote devices are detached
+		this._notify({ event: 'disconnected' });
+	}
+
+	_notify(event) {
+		for (const listener of this._listeners) {
+			try {
+				listener(event);
+			} catch (err) {
+				this._log.warn('Unhandled error in device listener', { error: err });
+			}
+		}
+	}
+
+	async _request(msg) {
+		await this.connect();
+		const id = ++this._lastReqId;
+		return new Promise((resolve, reject) => {
+			const timer = setTimeout(() => {
+				this._reqs.delete(id);
+				reject(new TimeoutError('Request to remote device server timed out'));
+			}, this._requestTimeout);
+			this._reqs.set(id, { resolve, reject, timer });
+			this._ws.send(JSON.stringify(Object.assign({ id }, msg)));
+		});
+	}
+
+	// Returns an object that identifies a remote device. Two handles of the same enumerated device share
+	// the same object
+	_deviceObject(key) {
+		let obj = this._objs.get(key);
+		if (!obj) {
+			obj = { url: this._url, key };
+			this._objs.set(key, obj);
+		}
+		return obj;
+	}
+}
+
+module.exports = {
+	RemoteDeviceServer,
+	RemoteTransport,
+	RemoteUsbDevice
+};
@@ -0,0 +1,180 @@
+'use strict';
+const { sinon, expect } = require('../test/support');
+
+const { RemoteDeviceServer, RemoteTransport } = require('./remote');
+const { Emulator, EmulatedUsbDevice } = require('./emulator');
+const { openDeviceById } = require('./particle-usb');
+const { registerTransport, unregisterTransport } = require('./transport');
+const { NotAllowedError, UsbError, TimeoutError } = require('./error');
+
+const DEVICE_ID = '0123456789abcdef01234567';
+const TOKEN = 'secret';
+
+describe('remote', () => {
+	let emulator;
+	let server;
+	let url;
+	let transports;
+	let devs;
+
+	beforeEach(async () => {
+		emulator = new Emulator();
+		server = new RemoteDeviceServer({ host: '127.0.0.1', tokens: [TOKEN], transports: [emulator], scanDelay: 10 });
+		await server.start();
+		url = `ws://127.0.0.1:${server.address.port}`;
+		transports = [];
+		devs = [];
+	});
+
+	afterEach(async () => {
+		for (const dev of devs) {
+			await dev.close();
+		}
+		for (const transport of transports) {
+			unregisterTransport(transport.name);
+			await transport.close();
+		}
+		await server.stop();
+		sinon.restore();
+	});
+
+	function addTransport(options) {
+		const transport = new RemoteTransport(Object.assign({ url, token: TOKEN, name: `remote${transports.length}` }, options));
+		registerTransport(transport);
+		transports.push(transport);
+		return transport;
+	}
+
+	async function openDevice(id, options) {
+		const dev = await openDeviceById(id, options);
+		devs.push(dev);
+		return dev;
+	}
+
+	it('forwards control requests to a device attached to the server', async () => {
+		const emuDev = emulator.addDevice({ type: 'argon', id: DEVICE_ID, firmwareVersion: '5.0.0' });
+		emuDev.handle('GetSerialNumberRequest', () => ({ serial: 'A40KAB000000000' }));
+		addTransport();
+		const dev = await openDevice(DEVICE_ID);
+		expect(dev.type).to.equal('argon');
+		expect(dev.firmwareVersion).to.equal('5.0.0');
+		expect(await dev.getSerialNumber()).to.equal('A40KAB000000000');
+	});
+
+	it('forwards DFU operations', async () => {
+		const emuDev = emulator.addDevice({
+			id: DEVICE_ID,
+			dfu: true,
+			resetDelay: 10,
+			memoryMap: ['@Internal Flash /0x00000000/16*004Kg'],
+			transferSize: 1024
+		});
+		addTransport();
+		const dev = await openDevice(DEVICE_ID);
+		const data = Buffer.alloc(3000, 0xaa);
+		await dev.writeOverDfu(data, { altSetting: 0, startAddr: 0x4000 });
+		expect(emuDev.readMemory(0x4000, 3000)).to.deep.equal(data);
+		expect(await dev.readOverDfu({ altSetting: 0, startAddr: 0x4000, size: 3000 })).to.deep.equal(data);
+	});
+
+	it('allows a device to be open by one client at a time', async () => {
+		emulator.addDevice({ id: DEVICE_ID });
+		const transport1 = addTransport();
+		const transport2 = addTransport();
+		const [handle1] = await transport1.getDevices();
+		const [handle2] = await transport2.getDevices();
+		await handle1.open();
+		await expect(handle2.open()).to.be.rejectedWith(NotAllowedError);
+		await handle1.close();
+		await handle2.open();
+		await handle2.close();
+	});
+
+	it('allows only one of the clients opening a device concurrently to open it', async () => {
+		emulator.addDevice({ id: DEVICE_ID });
+		// Make opening the device take a while
+		sinon.stub(EmulatedUsbDevice.prototype, 'open').callsFake(() => new Promise((resolve) => setTimeout(resolve, 50)));
+		const transport1 = addTransport();
+		const transport2 = addTransport();
+		const [handle1] = await transport1.getDevices();
+		const [handle2] = await transport2.getDevices();
+		const results = await Promise.allSettled([handle1.open(), handle2.open()]);
+		expect(results[0].status).to.equal('fulfilled');
+		expect(results[1].status).to.equal('rejected');
+		expect(results[1].reason).to.be.an.instanceOf(NotAllowedError);
+		await handle1.close();
+		await handle2.open();
+		await handle2.close();
+	});
+
+	it('releases a device if opening it fails', async () => {
+		emulator.addDevice({ id: DEVICE_ID });
+		sinon.stub(EmulatedUsbDevice.prototype, 'open').onFirstCall().rejects(new UsbError('Unable to open USB device'));
+		EmulatedUsbDevice.prototype.open.resolves();
+		const transport1 = addTransport();
+		const transport2 = addTransport();
+		const [handle1] = await transport1.getDevices();
+		const [handle2] = await transport2.getDevices();
+		await expect(handle1.open()).to.be.rejectedWith(UsbError);
+		await handle2.open();
+		await handle2.close();
+	});
+
+	it('fails a request if the server does not respond in time', async () => {
+		emulator.addDevice({ id: DEVICE_ID });
+		sinon.stub(EmulatedUsbDevice.prototype, 'open').callsFake(() => new Promise((resolve) => setTimeout(resolve, 200)));
+		const transport = addTransport({ requestTimeout: 20 });
+		const [handle] = await transport.getDevices();
+		await expect(handle.open()).to.be.rejectedWith(TimeoutError, 'timed out');
+		expect(transport._reqs.size).to.equal(0);
+	});
+
+	it('refuses to listen on a non-loopback address without authentication', () => {
+		expect(() => new RemoteDeviceServer({ host: '0.0.0.0' })).to.throw(RangeError);
+		expect(() => new RemoteDeviceServer({ host: null })).to.throw(RangeError);
+		expect(() => new RemoteDeviceServer({ host: '0.0.0.0', insecure: true })).to.not.throw();
+		expect(() => new RemoteDeviceServer({ host: '0.0.0.0', tokens: [TOKEN] })).to.not.throw();
+		expect(() => new RemoteDeviceServer()).to.not.throw();
+	});
+
+	it('releases the devices open by a client when it disconnects', async () => {
+		emulator.addDevice({ id: DEVICE_ID });
+		const transport1 = addTransport();
+		const transport2 = addTransport();
+		const [handle1] = await transport1.getDevices();
+		await handle1.open();
+		await transport1.close();
+		const [handle2] = await transport2.getDevices();
+		await handle2.open();
+		await handle2.close();
+	});
+
+	it('rejects clients with an invalid token', async () => {
+		const transport = new RemoteTransport({ url, token: 'invalid' });
+		await expect(transport.getDevices()).to.be.rejectedWith(NotAllowedError);
+	});
+
+	it('notifies the clients when a device is attached or detached', async () => {
+		const transport = addTransport();
+		await transport.connect();
+		const events = [];
+		let notify;
+		const unwatch = transport.watchDevices((e) => {
+			events.push(e);
+			notify();
+		});
+		const nextEvent = () => new Promise((resolve) => {
+			notify = resolve;
+		});
+		let changed = nextEvent();
+		emulator.addDevice({ id: DEVICE_ID });
+		await changed;
+		expect(events[0].event).to.equal('attached');
+		expect(events[0].device.serialNumber.toLowerCase()).to.equal(DEVICE_ID);
+		changed = nextEvent();
+		emulator.removeDevice(DEVICE_ID);
+		await changed;
+		expect(events[1]).to.deep.equal({ event: 'detached', key: events[0].device.key });
+		unwatch();
+	});
+});
@@ -0,0 +1,130 @@
+'use strict';
+
+// Upper bounds of the histogram buckets (milliseconds)
+const HISTOGRAM_BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000, Infinity];
+
+/**
+ * Distribution of a timing metric.
+ *
+ * @typedef {Object} Histogram
+ * @property {Number} count Number of samples.
+ * @property {Number} min Minimum value (milliseconds).
+ * @property {Number} max Maximum value (milliseconds).
+ * @property {Number} mean Mean value (milliseconds).
+ * @property {Array<Object>} buckets Histogram buckets. Every bucket is an object with the `le` (upper
+ *           bound of the bucket in milliseconds) and `count` (number of samples that fall into the
+ *           bucket) properties.
+ */
+
+class Histogram {
+	constructor() {
+		this._counts = HISTOGRAM_BUCKETS.map(() => 0);
+		this._count = 0;
+		this._total = 0;
+		this._min = null;
+		this._max = null;
+	}
+
+	add(value) {
+		const i = HISTOGRAM_BUCKETS.findIndex((le) => value <= le);
+		++this._counts[i];
+		++this._count;
+		this._total += value;
+		if (this._min === null || value < this._min) {
+			this._min = value;
+		}
+		if (this._max === null || value > this._max) {
+			this._max = value;
+		}
+	}
+
+	toJSON() {
+		return {
+			count: this._count,
+			min: this._min,
+			max: this._max,
+			mean: this._count ? this._total / this._count : null,
+			buckets: HISTOGRAM_BUCKETS.map((le, i) => ({ le, count: this._counts[i] }))
+		};
+	}
+}
+
+/**
+ * Statistics of the control requests of a given type.
+ *
+ * @typedef {Object} RequestTypeStats
+ * @property {Number} type Request type.
+ * @property {String} name Request name (e.g. the protobuf message name) or `null` if not known.
+ * @property {Number} count Number of completed requests.
+ * @property {Number} errors Number of failed requests.
+ * @property {Object} results Number of completed requests arranged by result code.
+ * @property {Histogram} duration Total duration of the requests.
+ * @property {Histogram} queueTime Time the requests spent queued on the host.
+ * @property {Histogram} transferTime Time spent performing the USB transfers.
+ * @property {Histogram} pollTime Time spent waiting for the device to process the requests.
+ * @property {Number} polls Total number of times the device was polled.
+ */
+
+// Aggregates the timings reported for the control requests
+class RequestStats {
+	constructor() {
+		this._types = new Map();
+	}
+
+	add({ type, name, result, error, duration, queueTime, transferTime, pollTime, pollCount }) {
+		let s = this._types.get(type);
+		if (!s) {
+			s = {
+				type,
+				name: name || null,
+				count: 0,
+				errors: 0,
+				results: {},
+				duration: new Histogram(),
+				queueTime: new Histogram(),
+				transferTime: new Histogram(),
+				pollTime: new Histogram(),
+				polls: 0
+			};
+			this._types.set(type, s);
+		} else if (name && !s.name) {
+			s.name = name;
+		}
+		if (error) {
+			++s.errors;
+		} else {
+			++s.count;
+			s.results[result] = (s.results[result] || 0) + 1;
+		}
+		s.duration.add(duration);
+		s.queueTime.add(queueTime);
+		s.transferTime.add(transferTime);
+		s.pollTime.add(pollTime);
+		s.polls += pollCount;
+	}
+
+	clear() {
+		this._types.clear();
+	}
+
+	toJSON() {
+		const types = Array.from(this._types.values()).sort((a, b) => a.type - b.type);
+		return types.map((s) => ({
+			type: s.type,
+			name: s.name,
+			count: s.count,
+			errors: s.errors,
+			results: Object.assign({}, s.results),
+			duration: s.duration.toJSON(),
+			queueTime: s.queueTime.toJSON(),
+			transferTime: s.transferTime.toJSON(),
+			pollTime: s.pollTime.toJSON(),
+			polls: s.polls
+		}));
+	}
+}
+
+module.exports = {
+	RequestStats,
+	HISTOGRAM_BUCKETS
+};
@@ -1,5 +1,23 @@
 'use strict';
-const { RequestError, DeviceProtectionError } = require('./error');
+const {
+	RequestError,
+	AlreadyExistsError,
+	BusyError,
+	CancelledError,
+	DeviceProtectionError,
+	InvalidArgumentError,
+	InvalidStateError,
+	IoError,
+	LimitExceededError,
+	NetworkError,
+	NotSupportedError,
+	OperationNotAllowedError,
+	OutOfMemoryError,
+	RequestTimeoutError,
+	ResourceNotFoundError,
+	SecurityError
+} = require('./error');
+
 // Result codes as defined by the firmware's system_error_t enum
 const RESULT_CODES = [
 	{
@@ -15,67 +33,80 @@ const RESULT_CODES = [
 	{
 		id: 'BUSY',
 		value: -110,
-		message: 'Resource is busy'
+		message: 'Resource is busy',
+		error: BusyError
 	},
 	{
 		id: 'NOT_SUPPORTED',
 		value: -120,
-		message: 'Not supported'
+		message: 'Not supported',
+		error: NotSupportedError
 	},
 	{
 		id: 'NOT_ALLOWED',
 		value: -130,
-		message: 'Not allowed'
+		message: 'Not allowed',
+		error: OperationNotAllowedError
 	},
 	{
 		id: 'CANCELLED',
 		value: -140,
-		message: 'Operation cancelled'
+		message: 'Operation cancelled',
+		error: CancelledError
 	},
 	{
 		id: 'ABORTED',
 		value: -150,
-		message: 'Operation aborted'
+		message: 'Operation aborted',
+		error: CancelledError
 	},
 	{
 		id: 'TIMEOUT_ERROR',
 		value: -160,
-		message: 'Timeout error'
+		message: 'Timeout error',
+		error: RequestTimeoutError
 	},
 	{
 		id: 'NOT_FOUND',
 		value: -170,
-		message: 'Not found'
+		message: 'Not found',
+		error: ResourceNotFoundError
 	},
 	{
 		id: 'ALREADY_EXISTS',
 		value: -180,
-		message: 'Already exists'
+		message: 'Already exists',
+		error: AlreadyExistsError
 	},
 	{
 		id: 'TOO_LARGE',
 		value: -190,
-		message: 'Data is too large'
+		message: 'Data is too large',
+		error: LimitExceededError
 	},
 	{
 		id: 'LIMIT_EXCEEDED',
 		value: -200,
-		message: 'Limit exceeded'
+		message: 'Limit exceeded',
+		error: LimitExceededError
 	},
 	{
 		id: 'INVALID_STATE',
 		value: -210,
-		message: 'Invalid state'
+		message: 'Invalid state',
+		error: InvalidStateError
 	},
 	{
 		id: 'IO_ERROR',
 		value: -220,
-		message: 'IO error'
+		message: 'IO error',
+		error: IoError
 	},
 	{
 		id: 'NETWORK_ERROR',
 		value: -230,
-		message: 'Network error'
+		message: 'Network error',
+		error: NetworkError
 	},
 	{
 		id: 'PROTOCOL_ERROR',
@@ -90,43 +121,50 @@ const RESULT_CODES = [
 	{
 		id: 'NO_MEMORY',
 		value: -260,
-		message: 'Memory allocation error'
+		message: 'Memory allocation error',
+		error: OutOfMemoryError
 	},
 	{
 		id: 'INVALID_ARGUMENT',
 		value: -270,
-		message: 'Invalid argument'
+		message: 'Invalid argument',
+		error: InvalidArgumentError
 	},
 	{
 		id: 'BAD_DATA',
 		value: -280,
-		message: 'Invalid data format'
+		message: 'Invalid data format',
+		error: InvalidArgumentError
 	},
 	{
 		id: 'OUT_OF_RANGE',
 		value: -290,
-		message: 'Out of range'
+		message: 'Out of range',
+		error: InvalidArgumentError
 	},
 	{
 		id: 'DEVICE_PROTECTED',
 		value: -1801,
-		message: 'Device is protected'
+		message: 'Device is protected',
+		error: DeviceProtectionError
 	},
 	{
 		id: 'KEY_MISMATCH',
 		value: -1802,
-		message: 'Unrecognized cryptographic key'
+		message: 'Unrecognized cryptographic key',
+		error: SecurityError
 	},
 	{
 		id: 'INVALID_SIGNATURE',
 		value: -1803,
-		message: 'Signature validation failed'
+		message: 'Signature validation failed',
+		error: SecurityError
 	}
 ];
 
-// Result code messages
-const RESULT_CODE_MESSAGES = RESULT_CODES.reduce((obj, result) => {
-	obj[result.value] = result.message;
+// Result codes arranged by value
+const RESULT_CODES_BY_VALUE = RESULT_CODES.reduce((obj, result) => {
+	obj[result.value] = result;
 	return obj;
 }, {});
 
@@ -147,19 +185,45 @@ const Result = RESULT_CODES.reduce((obj, result) => {
  * @return {String} Error message.
  */
 function messageForResultCode(result) {
-	return (RESULT_CODE_MESSAGES[result] || 'Request error');
+	const r = RESULT_CODES_BY_VALUE[result];
+	return (r ? r.message : 'Request error');
 }
 
-function errorForRequest(result) {
-	if (result === Result.DEVICE_PROTECTED) {
-		return new DeviceProtectionError('Device is protected');
-	} else {
-		return new RequestError(result, messageForResultCode(result));
-	}
+/**
+ * Return the symbolic name of the result code.
+ *
+ * @param {Number} result Result code.
+ * @return {String|null} Name of the result code (e.g. `'NOT_SUPPORTED'`) or `null` if the result code
+ *         is not known.
+ */
+function codeForResult(result) {
+	const r = RESULT_CODES_BY_VALUE[result];
+	return (r ? r.id : null);
+}
+
+/**
+ * Create an error for a failed request.
+ *
+ * @param {Number} result Result code.
+ * @param {Object} [context] Context of the request.
+ * @param {Number} [context.requestType] Request type.
+ * @param {String} [context.messageName] Name of the request message.
+ * @param {String} [context.deviceId] Device ID.
+ * @param {String} [context.firmwareVersion] Device OS version.
+ * @param {Error} [context.cause] Underlying error.
+ * @return {RequestError|DeviceProtectionError} An instance of the {@link RequestError} subclass
+ *         corresponding to the result code, or {@link RequestError} itself if there's no specific class
+ *         for the result code. {@link DeviceProtectionError} is returned for `Result.DEVICE_PROTECTED`.
+ */
+function errorForRequest(result, context) {
+	const r = RESULT_CODES_BY_VALUE[result];
+	const ErrorClass = (r && r.error) || RequestError;
+	return new ErrorClass(result, messageForResultCode(result), context);
 }
 
 module.exports = {
 	Result,
 	messageForResultCode,
+	codeForResult,
 	errorForRequest
 };
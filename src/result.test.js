@@ -0,0 +1,54 @@
+'use strict';
+const { expect } = require('../test/support');
+const { Result, codeForResult, errorForRequest } = require('./result');
+const error = require('./error');
+
+describe('result', () => {
+	describe('errorForRequest()', () => {
+		it('creates an error of the class corresponding to the result code', () => {
+			expect(errorForRequest(Result.BUSY)).to.be.an.instanceOf(error.BusyError);
+			expect(errorForRequest(Result.NOT_SUPPORTED)).to.be.an.instanceOf(error.NotSupportedError);
+			expect(errorForRequest(Result.INVALID_STATE)).to.be.an.instanceOf(error.InvalidStateError);
+			expect(errorForRequest(Result.TOO_LARGE)).to.be.an.instanceOf(error.LimitExceededError);
+			expect(errorForRequest(Result.LIMIT_EXCEEDED)).to.be.an.instanceOf(error.LimitExceededError);
+			expect(errorForRequest(Result.DEVICE_PROTECTED)).to.be.an.instanceOf(error.DeviceProtectionError);
+			expect(errorForRequest(Result.DEVICE_PROTECTED)).to.not.be.an.instanceOf(error.RequestError);
+			for (const result of Object.values(Result).filter((r) => r !== Result.OK)) {
+				const err = errorForRequest(result);
+				expect(err).to.be.an.instanceOf(result === Result.DEVICE_PROTECTED ? error.DeviceError : error.RequestError);
+				expect(err.result).to.equal(result);
+				expect(err.code).to.equal(codeForResult(result));
+			}
+		});
+
+		it('creates a generic request error for an unknown result code', () => {
+			const err = errorForRequest(-12345);
+			expect(err.constructor).to.equal(error.RequestError);
+			expect(err.code).to.be.null;
+			expect(err.message).to.equal('Request error');
+		});
+
+		it('stores the context of the request in the error', () => {
+			const cause = new Error('Test error');
+			const err = errorForRequest(Result.BUSY, {
+				requestType: 100,
+				messageName: 'TestRequest',
+				deviceId: '0123456789abcdef01234567',
+				firmwareVersion: '6.1.1',
+				cause
+			});
+			expect(err.cause).to.equal(cause);
+			expect(JSON.parse(JSON.stringify(err))).to.deep.equal({
+				name: 'BusyError',
+				message: 'Resource is busy',
+				code: 'BUSY',
+				result: Result.BUSY,
+				requestType: 100,
+				messageName: 'TestRequest',
+				deviceId: '0123456789abcdef01234567',
+				firmwareVersion: '6.1.1',
+				cause: { name: 'Error', message: 'Test error' }
+			});
+		});
+	});
+});
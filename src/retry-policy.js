@@ -0,0 +1,106 @@
+'use strict';
+const { UsbError } = require('./error');
+const { Result } = require('./result');
+
+// Names of the request messages that only read the state of the device
+const IDEMPOTENT_NAME_REGEX = /^(Get|Is|Has|List|Read|Check)[A-Z]/;
+
+/**
+ * Retry policy for control requests.
+ *
+ * A request is retried if it fails with an error of one of the transient error classes, or if the device
+ * replies with one of the transient result codes. Requests that are not idempotent are only retried if the
+ * device didn't process them, i.e. if the request failed before its payload data was delivered to the
+ * device or the device replied with the `BUSY` result code.
+ *
+ * @typedef {Object} RetryPolicy
+ * @property {Number} [maxAttempts=1] Maximum number of attempts, including the first one. The requests are
+ *           not retried by default.
+ * @property {Function|Number} [delay] Delay before the next attempt (milliseconds). The argument can either
+ *           be a function that takes the number of attempts made so far and returns the delay, or a number
+ *           that specifies a fixed delay. By default, the delay grows exponentially from 50 to 1000 ms.
+ * @property {Array<Function>} [errors] Error classes that are considered transient. By default, only
+ *           {@link UsbError} is considered transient.
+ * @property {Array<Number>} [results] Result codes that are considered transient. By default, only
+ *           {@link Result.BUSY} is considered transient.
+ */
+
+/**
+ * Default retry policy.
+ *
+ * @type {RetryPolicy}
+ */
+const DEFAULT_RETRY_POLICY = Object.freeze({
+	maxAttempts: 1,
+	delay: (n) => Math.min(50 * 2 ** (n - 1), 1000),
+	errors: [UsbError],
+	results: [Result.BUSY]
+});
+
+/**
+ * Merge retry policies.
+ *
+ * @param {...RetryPolicy} policies Policies in the order of precedence, lowest first.
+ * @return {RetryPolicy} Complete policy.
+ */
+function mergeRetryPolicies(...policies) {
+	return Object.assign({}, DEFAULT_RETRY_POLICY, ...policies.filter((p) => !!p));
+}
+
+/**
+ * Get the delay before the next attempt.
+ *
+ * @param {RetryPolicy} policy Policy.
+ * @param {Number} n Number of attempts made so far.
+ * @return {Number} Delay (milliseconds).
+ */
+function retryDelay(policy, n) {
+	return (typeof policy.delay === 'function') ? policy.delay(n) : policy.delay;
+}
+
+/**
+ * Check if an error is transient according to a policy.
+ *
+ * @param {RetryPolicy} policy Policy.
+ * @param {Error} err Error.
+ * @return {Boolean}
+ */
+function isTransientError(policy, err) {
+	return policy.errors.some((ErrorClass) => err instanceof ErrorClass);
+}
+
+/**
+ * Check if a result code is transient according to a policy.
+ *
+ * @param {RetryPolicy} policy Policy.
+ * @param {Number} result Result code.
+ * @return {Boolean}
+ */
+function isTransientResult(policy, result) {
+	return policy.results.includes(result);
+}
+
+/**
+ * Check if a request can be safely sent to the device more than once.
+ *
+ * Requests that only read the state of the device (`GetDeviceIdRequest`, `IsClaimedRequest`, etc) are
+ * considered idempotent. Requests of an unknown type are assumed to be not idempotent.
+ *
+ * @param {String} name Request name (e.g. the protobuf message name).
+ * @return {Boolean}
+ */
+function isIdempotentRequest(name) {
+	if (!name) {
+		return false;
+	}
+	return IDEMPOTENT_NAME_REGEX.test(name.slice(name.lastIndexOf('.') + 1));
+}
+
+module.exports = {
+	DEFAULT_RETRY_POLICY,
+	mergeRetryPolicies,
+	retryDelay,
+	isTransientError,
+	isTransientResult,
+	isIdempotentRequest
+};
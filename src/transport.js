@@ -0,0 +1,117 @@
+'use strict';
+const { StateError } = require('./error');
+
+/**
+ * Device handle interface.
+ *
+ * The control request protocol, the DFU implementation and all device classes communicate with the
+ * device via an object implementing this interface. The built-in USB transport provides handles backed
+ * by node-usb or WebUSB, but any object implementing the interface can be used instead, e.g. an object
+ * that forwards the control transfers to a TCP bridge or an in-process emulator.
+ *
+ * All methods return promises.
+ *
+ * @typedef {Object} TransportDevice
+ * @property {Function} open Open the device: `open()`. Once the device is open, the `serialNumber` and
+ *           `productName` properties must be available.
+ * @property {Function} close Close the device: `close()`.
+ * @property {Function} transferIn Perform an IN control transfer: `transferIn(setup)`. The `setup`
+ *           argument is an object with the `bmRequestType`, `bRequest`, `wValue`, `wIndex` and `wLength`
+ *           properties. Resolves to a `Buffer` with the received data.
+ * @property {Function} transferOut Perform an OUT control transfer: `transferOut(setup, data)`.
+ * @property {Function} claimInterface Claim an interface: `claimInterface(interface)`.
+ * @property {Function} releaseInterface Release an interface: `releaseInterface(interface)`.
+ * @property {Function} setAltSetting Select an alternate setting of an interface:
+ *           `setAltSetting(interface, setting)`.
+ * @property {Number} vendorId USB vendor ID.
+ * @property {Number} productId USB product ID.
+ * @property {String} serialNumber Serial number (device ID). Can be `null` if the device is not open.
+ * @property {String} productName Product name. Can be `null` if the device is not open.
+ * @property {Boolean} isOpen Set to `true` if the device is open.
+ * @property {Object} quirks Device quirks (see `src/platforms.js`). The property is assigned by the
+ *           library when the device is opened.
+ * @property {Object} usbVersion USB version supported by the device (`{ major, minor }`).
+ * @property {Object} [internalObject] Native device object. Two handles referring to the same
+ *           enumerated device are expected to have the same native object.
+ */
+
+/**
+ * Transport interface.
+ *
+ * @typedef {Object} Transport
+ * @property {String} name Transport name.
+ * @property {Function} getDevices Enumerate the devices: `getDevices(filters, options)`. The `filters`
+ *           argument is an array of objects with the optional `vendorId`, `productId` and `serialNumber`
+ *           properties. A device needs to match at least one of the filters to be included in the list.
+ *           Serial numbers are compared in a case-insensitive manner. Resolves to an array of
+ *           {@link TransportDevice} objects.
+ * @property {Function} [watchDevices] Subscribe to device attach/detach notifications:
+ *           `watchDevices(listener)`. Returns a function that cancels the subscription. If this method
+ *           is not implemented, the list of devices is polled periodically.
+ */
+
+// Transports registered in addition to the built-in USB transport
+const transports = new Map();
+
+/**
+ * Register a transport.
+ *
+ * Devices enumerated by the registered transports are reported along with the USB devices by
+ * {@link getDevices}, {@link openDeviceById} and {@link watchDevices}.
+ *
+ * @param {Transport} transport Transport.
+ */
+function registerTransport(transport) {
+	if (!transport || !transport.name || typeof transport.getDevices !== 'function') {
+		throw new TypeError('Invalid transport');
+	}
+	if (transport.name === 'usb' || transports.has(transport.name)) {
+		throw new StateError(`Transport is already registered: ${transport.name}`);
+	}
+	transports.set(transport.name, transport);
+}
+
+/**
+ * Unregister a transport.
+ *
+ * @param {String} name Transport name.
+ * @return {Boolean} `true` if the transport was registered, otherwise `false`.
+ */
+function unregisterTransport(name) {
+	return transports.delete(name);
+}
+
+/**
+ * Filter a list of devices.
+ *
+ * This function can be used by transports to implement the filtering logic of `getDevices()`.
+ *
+ * @param {Array<TransportDevice>} devs Devices.
+ * @param {Array<Object>} [filters] Filters (see {@link Transport}).
+ * @return {Array<TransportDevice>}
+ */
+function filterDevices(devs, filters) {
+	if (!filters || filters.length === 0) {
+		return devs;
+	}
+	return devs.filter((dev) => filters.some((f) => (
+		(!f.vendorId || dev.vendorId === f.vendorId) &&
+		(!f.productId || dev.productId === f.productId) &&
+		(!f.serialNumber || (!!dev.serialNumber && dev.serialNumber.toLowerCase() === f.serialNumber.toLowerCase())))));
+}
+
+/**
+ * Get the transports registered in addition to the built-in USB transport.
+ *
+ * @return {Array<Transport>}
+ */
+function getTransports() {
+	return Array.from(transports.values());
+}
+
+module.exports = {
+	registerTransport,
+	unregisterTransport,
+	getTransports,
+	filterDevices
+};
@@ -0,0 +1,34 @@
+'use strict';
+const { expect } = require('../test/support');
+const { registerTransport, unregisterTransport, getTransports } = require('./transport');
+const { StateError } = require('./error');
+
+describe('transport', () => {
+	const transport = {
+		name: 'test',
+		getDevices: async () => []
+	};
+
+	afterEach(() => {
+		unregisterTransport('test');
+	});
+
+	it('registers and unregisters transports', () => {
+		registerTransport(transport);
+		expect(getTransports()).to.deep.equal([transport]);
+		expect(unregisterTransport('test')).to.be.true;
+		expect(getTransports()).to.be.empty;
+		expect(unregisterTransport('test')).to.be.false;
+	});
+
+	it('fails if a transport with the same name is already registered', () => {
+		registerTransport(transport);
+		expect(() => registerTransport(Object.assign({}, transport))).to.throw(StateError);
+		expect(() => registerTransport(Object.assign({}, transport, { name: 'usb' }))).to.throw(StateError);
+	});
+
+	it('fails if the transport does not implement the required methods', () => {
+		expect(() => registerTransport({ name: 'test' })).to.throw(TypeError);
+		expect(() => registerTransport({ getDevices: async () => [] })).to.throw(TypeError);
+	});
+});
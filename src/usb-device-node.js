@@ -1,6 +1,6 @@
 'use strict';
 const { UsbError, NotAllowedError, UsbStallError } = require('./error');
-const { globalOptions } = require('./config');
+const { createLogger } = require('./logger');
 
 let usb = null;
 
@@ -30,7 +30,7 @@ class UsbDevice {
 	constructor(dev) {
 		this._dev = dev;
 		this._dev.timeout = 5000; // Use longer timeout for control transfers
-		this._log = globalOptions.log;
+		this._log = createLogger({ component: 'usb' });
 		// node-usb doesn't provide a way to check if a device is open, so we're storing the state in
 		// an additional property of the node-usb device object. Device objects are cached, so this
 		// property persists between calls to getDeviceList()
@@ -61,11 +61,12 @@ class UsbDevice {
 			try {
 				this._dev.close();
 			} catch (err) {
-				this._log.error(`Unable to close device: ${err.message}`);
+				this._log.error('Unable to close device', { error: err });
 				// Ignore error
 			}
 			throw err;
 		}
+		this._log.setFields({ serialNumber: serialNum });
 		this._dev.particle.serialNumber = serialNum;
 		this._dev.particle.productName = prodName;
 		this._dev.particle.isOpen = true;
@@ -294,8 +295,31 @@ async function getUsbDevices(filters) {
 	return devs;
 }
 
+// Subscribes to libusb hotplug notifications. Returns a function that cancels the subscription, or
+// `null` if hotplug notifications are not available
+function watchUsbDevices(listener) {
+	if (!usb || !usb.usb || typeof usb.usb.on !== 'function') {
+		return null;
+	}
+	const onAttach = () => listener({ event: 'attach' });
+	const onDetach = () => listener({ event: 'detach' });
+	try {
+		usb.usb.on('attach', onAttach);
+		usb.usb.on('detach', onDetach);
+	} catch (err) {
+		usb.usb.removeListener('attach', onAttach);
+		usb.usb.removeListener('detach', onDetach);
+		throw wrapUsbError(err, 'Unable to register hotplug listener');
+	}
+	return () => {
+		usb.usb.removeListener('attach', onAttach);
+		usb.usb.removeListener('detach', onDetach);
+	};
+}
+
 module.exports = {
 	MAX_CONTROL_TRANSFER_DATA_SIZE,
 	UsbDevice,
-	getUsbDevices
+	getUsbDevices,
+	watchUsbDevices
 };
@@ -1,5 +1,6 @@
 'use strict';
 const { UsbError, UsbStallError } = require('./error');
+const { createLogger } = require('./logger');
 
 // Maximum size of a control transfer's data stage
 const MAX_CONTROL_TRANSFER_DATA_SIZE = 4096;
@@ -45,6 +46,7 @@ class UsbDevice {
 	constructor(dev) {
 		this._dev = dev;
 		this._dev.timeout = 5000; // Use longer timeout for control transfers
+		this._log = createLogger({ component: 'usb' });
 		this._quirks = {};
 	}
 
@@ -54,6 +56,7 @@ class UsbDevice {
 		} catch (err) {
 			throw new UsbError('Unable to open USB device', { cause: err });
 		}
+		this._log.setFields({ serialNumber: this._dev.serialNumber });
 	}
 
 	async close() {
@@ -166,7 +169,7 @@ class UsbDevice {
 	}
 }
 
-async function getUsbDevices(filters) {
+async function getUsbDevices(filters, { requestAccess = true } = {}) {
 	if (filters) {
 		// Validate filtering options
 		filters.forEach(f => {
@@ -184,12 +187,14 @@ async function getUsbDevices(filters) {
 		// and calling requestDevice() after getDevices() causes a SecurityError.
 		// TODO: Implement a separate API to request a permission from the user
 		let newDev = null;
-		try {
-			newDev = await navigator.usb.requestDevice({ filters });
-		} catch (e) {
-			// Ignore NotFoundError which means that the user has cancelled the request
-			if (e.name !== 'NotFoundError') {
-				throw e;
+		if (requestAccess) {
+			try {
+				newDev = await navigator.usb.requestDevice({ filters });
+			} catch (e) {
+				// Ignore NotFoundError which means that the user has cancelled the request
+				if (e.name !== 'NotFoundError') {
+					throw e;
+				}
 			}
 		}
 		// Get the list of known devices and filter them according to the provided options
@@ -214,8 +219,25 @@ async function getUsbDevices(filters) {
 	return devs;
 }
 
+// Subscribes to the WebUSB connect/disconnect events. Returns a function that cancels the
+// subscription, or `null` if the events are not available
+function watchUsbDevices(listener) {
+	if (typeof navigator === 'undefined' || !navigator.usb || typeof navigator.usb.addEventListener !== 'function') {
+		return null;
+	}
+	const onConnect = () => listener({ event: 'attach' });
+	const onDisconnect = () => listener({ event: 'detach' });
+	navigator.usb.addEventListener('connect', onConnect);
+	navigator.usb.addEventListener('disconnect', onDisconnect);
+	return () => {
+		navigator.usb.removeEventListener('connect', onConnect);
+		navigator.usb.removeEventListener('disconnect', onDisconnect);
+	};
+}
+
 module.exports = {
 	MAX_CONTROL_TRANSFER_DATA_SIZE,
 	UsbDevice,
-	getUsbDevices
+	getUsbDevices,
+	watchUsbDevices
 };
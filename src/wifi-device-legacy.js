@@ -7,6 +7,7 @@
 // TODO: Remove the legacy behavior!
 'use strict';
 const { Request } = require('./request');
+const { globalOptions } = require('./config');
 const { fromProtobufEnum, fromProtobufMessage, toProtobufMessage } = require('./protobuf-util');
 const { definitions: proto } = require('@particle/device-os-protobuf');
 
@@ -99,12 +100,15 @@ const WifiDeviceLegacy = base => class extends base {
 	 * - Gen 2 (since Device OS 0.8.0, deprecated in 2.0.0)
 	 *
 	 * @param {String} antenna Antenna type.
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise}
 	 */
-	setWifiAntenna(antenna) {
+	setWifiAntenna(antenna, { timeout = globalOptions.requestTimeout, signal } = {}) {
 		return this.sendRequest(Request.WIFI_SET_ANTENNA, {
 			antenna: WifiAntenna.toProtobuf(antenna)
-		});
+		}, { timeout, signal });
 	}
 
 	/**
@@ -116,10 +120,13 @@ const WifiDeviceLegacy = base => class extends base {
 	 * Supported platforms:
 	 * - Gen 2 (since Device OS 0.8.0, deprecated in 2.0.0)
 	 *
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise<String>}
 	 */
-	getWifiAntenna(/* antenna */) {
-		return this.sendRequest(Request.WIFI_GET_ANTENNA).then(rep => {
+	getWifiAntenna({ timeout = globalOptions.requestTimeout, signal } = {}) {
+		return this.sendRequest(Request.WIFI_GET_ANTENNA, null /* msg */, { timeout, signal }).then((rep) => {
 			return WifiAntenna.fromProtobuf(rep.antenna);
 		});
 	}
@@ -133,10 +140,13 @@ const WifiDeviceLegacy = base => class extends base {
 	 * Supported platforms:
 	 * - Gen 2 (since Device OS 0.8.0, deprecated in 2.0.0)
 	 *
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise<Array>}
 	 */
-	scanWifiNetworks() {
-		return this.sendRequest(Request.WIFI_SCAN).then(rep => {
+	scanWifiNetworks({ timeout = globalOptions.requestTimeout, signal } = {}) {
+		return this.sendRequest(Request.WIFI_SCAN, null /* msg */, { timeout, signal }).then((rep) => {
 			if (!rep.list) {
 				return [];
 			}
@@ -154,12 +164,15 @@ const WifiDeviceLegacy = base => class extends base {
 	 * - Gen 2 (since Device OS 0.8.0, deprecated in 2.0.0)
 	 *
 	 * @param {Object} credentials Credentials.
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise}
 	 */
-	setWifiCredentials(credentials) {
+	setWifiCredentials(credentials, { timeout = globalOptions.requestTimeout, signal } = {}) {
 		return this.sendRequest(Request.WIFI_SET_CREDENTIALS, {
 			ap: accessPointToProtobuf(credentials)
-		});
+		}, { timeout, signal });
 	}
 
 	/**
@@ -171,10 +184,13 @@ const WifiDeviceLegacy = base => class extends base {
 	 * Supported platforms:
 	 * - Gen 2 (since Device OS 0.8.0, deprecated in 2.0.0)
 	 *
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise<Array>}
 	 */
-	getWifiCredentials() {
-		return this.sendRequest(Request.WIFI_GET_CREDENTIALS).then(rep => {
+	getWifiCredentials({ timeout = globalOptions.requestTimeout, signal } = {}) {
+		return this.sendRequest(Request.WIFI_GET_CREDENTIALS, null /* msg */, { timeout, signal }).then((rep) => {
 			if (!rep.list) {
 				return [];
 			}
@@ -191,10 +207,13 @@ const WifiDeviceLegacy = base => class extends base {
 	 * Supported platforms:
 	 * - Gen 2 (since Device OS 0.8.0, deprecated in 2.0.0)
 	 *
+	 * @param {Object} [options] Options.
+	 * @param {Number} [options.timeout] Timeout (milliseconds).
+	 * @param {AbortSignal} [options.signal] Signal that can be used to abort the operation.
 	 * @return {Promise}
 	 */
-	clearWifiCredentials() {
-		return this.sendRequest(Request.WIFI_CLEAR_CREDENTIALS);
+	clearWifiCredentials({ timeout = globalOptions.requestTimeout, signal } = {}) {
+		return this.sendRequest(Request.WIFI_CLEAR_CREDENTIALS, null /* msg */, { timeout, signal });
 	}
 };
 
@@ -0,0 +1,92 @@
+'use strict';
+const { crc32 } = require('./firmware-module');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const EOCD_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const CENTRAL_HEADER_SIZE = 46;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const LOCAL_HEADER_SIZE = 30;
+
+const CompressionMethod = {
+	STORED: 0,
+	DEFLATE: 8
+};
+
+async function inflateRaw(data) {
+	const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+	return Buffer.from(await new Response(stream).arrayBuffer());
+}
+
+// Returns the offset of the end of central directory record
+function findEndOfCentralDirectory(data) {
+	const minOffs = Math.max(data.length - EOCD_SIZE - MAX_COMMENT_SIZE, 0);
+	for (let offs = data.length - EOCD_SIZE; offs >= minOffs; --offs) {
+		if (data.readUInt32LE(offs) === EOCD_SIGNATURE) {
+			return offs;
+		}
+	}
+	throw new Error('End of central directory not found');
+}
+
+/**
+ * Read the files stored in a zip archive.
+ *
+ * Only the stored and deflated entries are supported. ZIP64 archives are not supported.
+ *
+ * @param {Buffer} data Archive data.
+ * @return {Promise<Array<Object>>} Files stored in the archive. Every file is described by the `name`
+ *         and `data` properties. Directory entries are omitted.
+ * @throws {Error} If the archive is not valid.
+ */
+async function readZip(data) {
+	data = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+	if (data.length < EOCD_SIZE) {
+		throw new Error('Archive is too short');
+	}
+	const eocdOffs = findEndOfCentralDirectory(data);
+	const count = data.readUInt16LE(eocdOffs + 10);
+	let offs = data.readUInt32LE(eocdOffs + 16);
+	const files = [];
+	for (let i = 0; i < count; ++i) {
+		if (offs + CENTRAL_HEADER_SIZE > data.length || data.readUInt32LE(offs) !== CENTRAL_HEADER_SIGNATURE) {
+			throw new Error('Invalid central directory');
+		}
+		const method = data.readUInt16LE(offs + 10);
+		const crc = data.readUInt32LE(offs + 16);
+		const compressedSize = data.readUInt32LE(offs + 20);
+		const size = data.readUInt32LE(offs + 24);
+		const nameLen = data.readUInt16LE(offs + 28);
+		const extraLen = data.readUInt16LE(offs + 30);
+		const commentLen = data.readUInt16LE(offs + 32);
+		const localOffs = data.readUInt32LE(offs + 42);
+		const name = data.toString('utf8', offs + CENTRAL_HEADER_SIZE, offs + CENTRAL_HEADER_SIZE + nameLen);
+		offs += CENTRAL_HEADER_SIZE + nameLen + extraLen + commentLen;
+		if (name.endsWith('/')) {
+			continue; // Directory
+		}
+		if (localOffs + LOCAL_HEADER_SIZE > data.length || data.readUInt32LE(localOffs) !== LOCAL_HEADER_SIGNATURE) {
+			throw new Error(`Invalid local header of ${name}`);
+		}
+		const dataOffs = localOffs + LOCAL_HEADER_SIZE + data.readUInt16LE(localOffs + 26) + data.readUInt16LE(localOffs + 28);
+		if (dataOffs + compressedSize > data.length) {
+			throw new Error(`Unexpected end of data of ${name}`);
+		}
+		let fileData = data.slice(dataOffs, dataOffs + compressedSize);
+		if (method === CompressionMethod.DEFLATE) {
+			fileData = await inflateRaw(fileData);
+		} else if (method !== CompressionMethod.STORED) {
+			throw new Error(`Unsupported compression method of ${name}: ${method}`);
+		}
+		if (fileData.length !== size || crc32(fileData) !== crc) {
+			throw new Error(`Invalid checksum of ${name}`);
+		}
+		files.push({ name, data: fileData });
+	}
+	return files;
+}
+
+module.exports = {
+	readZip
+};
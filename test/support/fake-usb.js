@@ -1,8 +1,8 @@
 'use strict';
 const { platforms } = require('@particle/device-constants');
-const proto = require('../../src/usb-protocol');
-const { ProtocolError, UsbError } = require('../../src/error');
+const { UsbError } = require('../../src/error');
 const dfu = require('../../src/dfu');
+const { ControlProtocol: Protocol } = require('../../src/emulator');
 const { PLATFORMS } = require('../../src/platforms');
 
 const USB_DEVICES = PLATFORMS.reduce((arr, platform) => {
@@ -28,281 +28,17 @@ const USB_DEVICES = PLATFORMS.reduce((arr, platform) => {
 	return arr;
 }, []);
 
-// Low-level vendor requests
-const VendorRequest = {
-	SYSTEM_VERSION: 30 // Get system version
-};
-
-// Maximum request ID value
-const MAX_REQUEST_ID = 0xffff;
-
 // USB devices "attached" to the host
 const devices = new Map();
 
-// Last used internal device ID
-let lastDeviceId = 0;
-
-// Mockable protocol implementation
-class Protocol {
-	constructor(options) {
-		this._opts = options; // Device options
-		this._reqs = new Map(); // All known requests
-		this._lastReqId = 0; // Last used request ID
-	}
+// Hotplug listeners
+const hotplugListeners = new Set();
 
-	deviceToHostRequest(setup) {
-		if (setup.bmRequestType !== proto.BmRequestType.DEVICE_TO_HOST) {
-			throw new ProtocolError(`Unsupported device-to-host request: bmRequestType: ${setup.bmRequestType}`);
-		}
-		let data = null;
-		switch (setup.bRequest) {
-			case proto.ServiceType.INIT: {
-				data = this.initServiceRequest(setup.wIndex, setup.wValue);
-				break;
-			}
-			case proto.ServiceType.CHECK: {
-				data = this.checkServiceRequest(setup.wIndex);
-				break;
-			}
-			case proto.ServiceType.RECV: {
-				data = this.recvServiceRequest(setup.wIndex, setup.wLength);
-				break;
-			}
-			case proto.ServiceType.RESET: {
-				data = this.resetServiceRequest(setup.wIndex);
-				break;
-			}
-			case proto.PARTICLE_BREQUEST: { // Low-level vendor request
-				if (setup.wIndex === VendorRequest.SYSTEM_VERSION) {
-					if (!this._opts.firmwareVersion) {
-						throw new ProtocolError(`Unsupported device-to-host request: wIndex: ${setup.wIndex}`);
-					}
-					data = Buffer.from(this._opts.firmwareVersion);
-				} else {
-					throw new ProtocolError(`Unsupported device-to-host request: wIndex: ${setup.wIndex}`);
-				}
-				break;
-			}
-			default: {
-				throw new ProtocolError(`Unsupported device-to-host request: bRequest: ${setup.bRequest}`);
-			}
-		}
-		if (data.length > setup.wLength) {
-			throw new ProtocolError(`Unexpected size of the data stage: wLength: ${setup.wLength}`);
-		}
-		return data;
-	}
+// Set to false to simulate a backend without hotplug support
+let hotplugSupported = true;
 
-	hostToDeviceRequest(setup, data) {
-		if (setup.bmRequestType !== proto.BmRequestType.HOST_TO_DEVICE) {
-			throw new ProtocolError(`Unsupported host-to-device request: bmRequestType: ${setup.bmRequestType}`);
-		}
-		if (data && data.length !== setup.wLength || !data && setup.wLength !== 0) {
-			throw new ProtocolError(`Unexpected size of the data stage: wLength: ${setup.wLength}`);
-		}
-		switch (setup.bRequest) {
-			case proto.ServiceType.SEND: {
-				this.sendServiceRequest(setup.wIndex, data);
-				break;
-			}
-			case proto.PARTICLE_BREQUEST: { // Low-level vendor request
-				throw new ProtocolError(`Unsupported host-to-device request: wIndex: ${setup.wIndex}`);
-			}
-			default: {
-				throw new ProtocolError(`Unsupported host-to-device request: bRequest: ${setup.bRequest}`);
-			}
-		}
-	}
-
-	initServiceRequest(type, size) {
-		if (type < 0 || type > proto.MAX_REQUEST_TYPE) {
-			throw new ProtocolError(`Invalid request type: ${type}`);
-		}
-		if (size < 0 || size > proto.MAX_PAYLOAD_SIZE) {
-			throw new ProtocolError(`Invalid payload size: ${size}`);
-		}
-		const id = this.nextRequestId;
-		const req = { // Request object
-			id: id,
-			type: type,
-			size: size,
-			offset: 0,
-			data: null,
-			reply: null,
-			received: false
-		};
-		const srep = {}; // Service reply
-		srep.status = this.initRequest({ id, type, size });
-		if (srep.status === proto.Status.OK || srep.status === proto.Status.PENDING) {
-			if (srep.status === proto.Status.OK) {
-				if (!req.size) {
-					req.received = true;
-				} else if (!req.data) {
-					req.data = Buffer.alloc(req.size);
-				}
-			}
-			this._reqs.set(id, req);
-			this._lastReqId = id;
-			srep.id = id;
-		}
-		return proto.encodeReply(srep);
-	}
-
-	checkServiceRequest(id) {
-		const req = this._reqs.get(id);
-		const srep = {}; // Service reply
-		if (req) {
-			if (req.size && !req.data) {
-				// Buffer allocation is pending
-				srep.status = this.checkBuffer({ id });
-				if (srep.status === proto.Status.OK) {
-					req.data = Buffer.alloc(req.size);
-				} else if (srep.status !== proto.Status.PENDING) {
-					this._reqs.delete(id); // Buffer allocation failed
-				}
-			} else {
-				// Request processing is pending
-				srep.status = this.checkRequest({ id });
-				if (srep.status === proto.Status.OK) {
-					const rep = { // Application reply
-						result: this.replyResult({ id }),
-						data: this.replyData({ id })
-					};
-					srep.result = rep.result;
-					if (rep.data && rep.data.length !== 0) {
-						srep.size = rep.data.length;
-						req.reply = rep;
-					} else {
-						this._reqs.delete(id); // Request completed
-					}
-				} else if (srep.status !== proto.Status.PENDING) {
-					this._reqs.delete(id); // Request failed
-				}
-			}
-		} else {
-			srep.status = proto.Status.NOT_FOUND;
-		}
-		return proto.encodeReply(srep);
-	}
-
-	sendServiceRequest(id, data) {
-		const req = this._reqs.get(id);
-		if (!req) {
-			// This is a host-to-device request, so we can't reply with a status code
-			throw new ProtocolError(`Request not found: ${id}`);
-		}
-		if (req.received) {
-			throw new ProtocolError('Unexpected service request');
-		}
-		if (!req.data) {
-			throw new ProtocolError('Request buffer is not allocated');
-		}
-		if (!data || !data.length || req.offset + data.length > req.data.length) {
-			throw new ProtocolError('Unexpected size of the control transfer');
-		}
-		this.sendRequest({ id, data: Buffer.from(data) });
-		data.copy(req.data, req.offset);
-		req.offset += data.length;
-		if (req.offset === req.data.length) {
-			req.offset = 0;
-			req.received = true;
-		}
-	}
-
-	recvServiceRequest(id, size) {
-		const req = this._reqs.get(id);
-		if (!req) {
-			// Payload data is application-specific, so we can't reply with a status code
-			throw new ProtocolError(`Request not found: ${id}`);
-		}
-		const repData = req.reply ? req.reply.data : null;
-		if (!repData) {
-			throw new ProtocolError('Reply data is not available');
-		}
-		if (!size || req.offset + size > repData.length) {
-			throw new ProtocolError('Unexpected size of the control transfer');
-		}
-		this.recvRequest({ id, size });
-		const data = repData.slice(req.offset, req.offset + size);
-		req.offset += size;
-		if (req.offset === repData.size) {
-			this._reqs.delete(id); // Request completed
-		}
-		return data;
-	}
-
-	resetServiceRequest(id) {
-		const srep = {}; // Service reply
-		if (id) {
-			const req = this._reqs.get(id);
-			if (req) {
-				srep.status = this.resetRequest({ id: req.id });
-				if (srep.status === proto.Status.OK) {
-					this._reqs.delete(id);
-				}
-			} else {
-				srep.status = proto.Status.NOT_FOUND;
-			}
-		} else {
-			srep.status = this.resetAllRequests();
-			if (srep.status === proto.Status.OK) {
-				this._reqs.clear();
-			}
-		}
-		return proto.encodeReply(srep);
-	}
-
-	initRequest(/* { id, type, size } */) {
-		return proto.Status.OK;
-	}
-
-	checkBuffer(/* { id } */) {
-		return proto.Status.OK;
-	}
-
-	checkRequest(/* { id } */) {
-		return proto.Status.OK;
-	}
-
-	sendRequest(/* { id, data } */) {
-	}
-
-	recvRequest(/* { id, size } */) {
-	}
-
-	resetRequest(/* { id } */) {
-		return proto.Status.OK;
-	}
-
-	resetAllRequests() {
-		return proto.Status.OK;
-	}
-
-	replyResult(/* { id } */) {
-		return 0; // OK
-	}
-
-	replyData(/* { id } */) {
-		return null;
-	}
-
-	reset() {
-		this._reqs.clear();
-		this._lastReqId = 0;
-	}
-
-	get lastRequestId() {
-		return this._lastReqId;
-	}
-
-	get nextRequestId() {
-		let id = this._lastReqId + 1;
-		if (id > MAX_REQUEST_ID) {
-			id = 0;
-		}
-		return id;
-	}
-}
+// Last used internal device ID
+let lastDeviceId = 0;
 
 // Mockable minimal DFU implementation
 class DfuClass {
@@ -542,6 +278,7 @@ class Device {
 		this._opts = options; // Device options
 		this._proto = new Protocol(options); // Protocol implementation
 		this._open = false; // Set to true if the device is open
+		this._wasOpen = false; // Set to true if the device has been open at least once
 		this._attached = true; // Set to true if the device is "attached" to the host
 		if (options.dfu) {
 			this._dfu = new DfuClass(options, this);
@@ -556,6 +293,7 @@ class Device {
 			throw new UsbError('Device is already open');
 		}
 		this._open = true;
+		this._wasOpen = true;
 	}
 
 	async close() {
@@ -666,6 +404,10 @@ class Device {
 	}
 
 	get serialNumber() {
+		// Like the Node backend, the serial number may only be available after opening the device
+		if (this._opts.serialNumberAfterOpen && !this._wasOpen) {
+			return null;
+		}
 		return this._opts.serialNumber;
 	}
 
@@ -707,6 +449,26 @@ async function getUsbDevices(filters) {
 	return devs;
 }
 
+function watchUsbDevices(listener) {
+	if (!hotplugSupported) {
+		return null;
+	}
+	hotplugListeners.add(listener);
+	return () => {
+		hotplugListeners.delete(listener);
+	};
+}
+
+function notifyHotplugListeners(event) {
+	for (const listener of hotplugListeners) {
+		listener({ event });
+	}
+}
+
+function setHotplugSupported(supported) {
+	hotplugSupported = supported;
+}
+
 function addDevice(options) {
 	if (options.type) {
 		const devs = USB_DEVICES.filter(dev => (dev.type === options.type && dev.dfu === !!options.dfu));
@@ -724,6 +486,7 @@ function addDevice(options) {
 	const objId = ++lastDeviceId; // Internal object ID
 	const dev = new Device(objId, options);
 	devices.set(objId, dev);
+	notifyHotplugListeners('attach');
 	return dev;
 }
 
@@ -798,6 +561,7 @@ function addP2(options) {
 function removeDevice(dev) {
 	if (devices.delete(dev.objectId)) {
 		dev.detach();
+		notifyHotplugListeners('detach');
 	}
 }
 
@@ -806,6 +570,8 @@ function clearDevices() {
 		dev.detach();
 	}
 	devices.clear();
+	hotplugListeners.clear();
+	hotplugSupported = true;
 }
 
 module.exports = {
@@ -813,6 +579,8 @@ module.exports = {
 	DfuClass,
 	Device,
 	getUsbDevices,
+	watchUsbDevices,
+	setHotplugSupported,
 	addDevice,
 	addDevices,
 	addPhoton,
@@ -1,12 +1,15 @@
 'use strict';
 const fakeUsb = require('./fake-usb');
 const { config } = require('../../src/config');
+const { crc32 } = require('../../src/firmware-module');
 
 const chai = require('chai');
 const chaiAsPromised = require('chai-as-promised');
 const chaiSubset = require('chai-subset');
 const sinon = require('sinon');
 const sinonChai = require('sinon-chai');
+const crypto = require('crypto');
+const zlib = require('zlib');
 
 const { expect, assert } = chai;
 
@@ -55,6 +58,68 @@ function randomString(minLen = 6, maxLen = -1) {
 	return str;
 }
 
+// Creates a Particle firmware module binary with a valid prefix, suffix and checksums
+function firmwareModule({ platformId = 32, moduleFunction = 5, index = 1, version = 6, size = 1024, startAddress = 0x85f000, productId = 0, dependencies = [] } = {}) {
+	const data = Buffer.alloc(size, 0xaa);
+	data.writeUInt32LE(startAddress, 0);
+	data.writeUInt32LE(startAddress + size - 4, 4); // End address
+	data.writeUInt16LE(0, 8); // Reserved, flags
+	data.writeUInt16LE(version, 10);
+	data.writeUInt16LE(platformId, 12);
+	data.writeUInt8(moduleFunction, 14);
+	data.writeUInt8(index, 15);
+	data.fill(0, 16, 24); // Dependencies
+	dependencies.forEach((dep, i) => {
+		data.writeUInt8(dep.moduleFunction, 16 + i * 4);
+		data.writeUInt8(dep.index, 17 + i * 4);
+		data.writeUInt16LE(dep.version, 18 + i * 4);
+	});
+	data.writeUInt16LE(productId, size - 44);
+	data.writeUInt16LE(0, size - 42); // Product version
+	data.writeUInt16LE(0, size - 40); // Reserved
+	crypto.createHash('sha256').update(data.slice(0, size - 38)).digest().copy(data, size - 38);
+	data.writeUInt16LE(40, size - 6); // Suffix size
+	data.writeUInt32BE(crc32(data.slice(0, size - 4)), size - 4);
+	return data;
+}
+
+// Creates a zip archive. The files are deflated unless the name ends with '.txt'
+function zipArchive(files) {
+	const locals = [];
+	const centrals = [];
+	let offs = 0;
+	for (const [name, data] of Object.entries(files)) {
+		const stored = name.endsWith('.txt');
+		const compressed = stored ? data : zlib.deflateRawSync(data);
+		const nameData = Buffer.from(name);
+		const header = Buffer.alloc(30);
+		header.writeUInt32LE(0x04034b50, 0);
+		header.writeUInt16LE(20, 4); // Version needed to extract
+		header.writeUInt16LE(stored ? 0 : 8, 8); // Compression method
+		header.writeUInt32LE(crc32(data), 14);
+		header.writeUInt32LE(compressed.length, 18);
+		header.writeUInt32LE(data.length, 22);
+		header.writeUInt16LE(nameData.length, 26);
+		const central = Buffer.alloc(46);
+		central.writeUInt32LE(0x02014b50, 0);
+		central.writeUInt16LE(20, 4); // Version made by
+		header.copy(central, 6, 4, 26); // Version needed to extract ... uncompressed size
+		central.writeUInt16LE(nameData.length, 28);
+		central.writeUInt32LE(offs, 42);
+		locals.push(header, nameData, compressed);
+		centrals.push(central, nameData);
+		offs += header.length + nameData.length + compressed.length;
+	}
+	const centralDir = Buffer.concat(centrals);
+	const eocd = Buffer.alloc(22);
+	eocd.writeUInt32LE(0x06054b50, 0);
+	eocd.writeUInt16LE(Object.keys(files).length, 8);
+	eocd.writeUInt16LE(Object.keys(files).length, 10);
+	eocd.writeUInt32LE(centralDir.length, 12);
+	eocd.writeUInt32LE(offs, 16);
+	return Buffer.concat([...locals, centralDir, eocd]);
+}
+
 function nextTick() {
 	return new Promise(resolve => {
 		process.nextTick(resolve);
@@ -76,5 +141,7 @@ module.exports = {
 	assert,
 	nextTick,
 	randomString,
+	firmwareModule,
+	zipArchive,
 	integrationTest
 };